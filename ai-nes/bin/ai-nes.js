@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+// =============================================================================
+// AI-NES COMMAND LINE
+// Usage: ai-nes run <rom.nes|rom.unf|rom.fds|rom.nsf|rom.zip> [--frames 600] [--screenshot out.png]
+//                             [--wav out.wav] [--input movie.fm2] [--trace cpu.log]
+//                             [--region auto|ntsc|pal|dendy] [--db games.txt] [--patch hack.ips]
+//                             [--entry path/in/zip.nes] [--track 1] [--fds-bios disksys.rom]
+//                             [--players auto|standard|fourscore|fourplayer]
+//        ai-nes test <dir|rom.nes>... [--timeout 60] [--json]
+//        ai-nes regress <suite-dir> --roms <dir> [--update] [--diff-dir dir]
+// =============================================================================
+
+import {
+  closeSync, existsSync, mkdirSync, openSync, readFileSync, readdirSync, statSync, writeFileSync, writeSync,
+} from 'node:fs';
+import { basename, extname, join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+import { HeadlessNES, decodePNG, encodePNG } from '../src/nes-headless.js';
+import { REGION_NAMES } from '../src/region.js';
+import { PORT_DEVICES } from '../src/controller.js';
+import { loadCartridgeDb } from '../src/cartridge-db.js';
+import { PATCH_EXTENSIONS } from '../src/patch.js';
+import { extractZipEntry, isZip, listZipEntries } from '../src/zip.js';
+import { parseFM2 } from '../src/nes-movie.js';
+import { TraceLogger } from '../src/trace-logger.js';
+import { makeDiffImage, runRegressionCase } from '../src/nes-regression.js';
+import { categorizeTestRom, formatTestResults, runTestRom } from '../src/nes-test-roms.js';
+
+const USAGE = `Usage: ai-nes run <rom.nes|rom.unf|rom.fds|rom.nsf|rom.zip> [options]
+       ai-nes test <dir|rom.nes>... [options]
+       ai-nes regress <suite-dir> --roms <dir> [options]
+
+Run options:
+  --frames <n>         Number of frames to run (default 600)
+  --screenshot <file>  Write the last frame as a PNG
+  --wav <file>         Write the audio output as a 16-bit stereo WAV
+  --input <file>       Play back controller input from an FCEUX .fm2 movie
+  --sav <file>         Load battery RAM before running and write it back after (IPS for .fds)
+  --cheat <code>       Apply a Game Genie or PAR code (repeatable)
+  --trace <file>       Write a nestest-format CPU trace (one line per instruction)
+  --pc <hex>           Start at this address instead of the reset vector (nestest: C000)
+  --region <name>      auto, ntsc, pal or dendy (default auto: header, database, file name)
+  --db <file>          Add cartridge database entries (MesenDB-style CSV, see docs/TECHNICAL.md)
+  --patch <file>       Apply an IPS, UPS or BPS patch (default: <rom>.ips/.ups/.bps if present)
+  --entry <name>       ROM to run from a zip holding several (path or file name)
+  --track <n>          NSF/NSFe track to play, from 1 (default: the file's first track)
+  --fds-bios <file>    Famicom Disk System BIOS (disksys.rom), needed for .fds images
+  --players <device>   auto, standard, fourscore or fourplayer (default auto: header, database)
+  --verbose            Show emulator log output
+
+Test options (blargg $6000 result protocol):
+  --timeout <seconds>  Emulated seconds before a test times out (default 60)
+  --json               Print results as JSON instead of a table
+
+Regression options (frame hashes, see docs/TECHNICAL.md):
+  --roms <dir>         Directory the test cases' "rom" paths are relative to
+  --update             Record current hashes and golden PNGs instead of comparing
+  --diff-dir <dir>     Where to write diff images (default regression-diff)
+
+  -h, --help           Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      frames: { type: 'string', default: '600' },
+      screenshot: { type: 'string' },
+      wav: { type: 'string' },
+      input: { type: 'string' },
+      sav: { type: 'string' },
+      cheat: { type: 'string', multiple: true, default: [] },
+      trace: { type: 'string' },
+      pc: { type: 'string' },
+      region: { type: 'string', default: 'auto' },
+      db: { type: 'string' },
+      patch: { type: 'string' },
+      entry: { type: 'string' },
+      track: { type: 'string' },
+      'fds-bios': { type: 'string' },
+      players: { type: 'string', default: 'auto' },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  const romPath = positionals[0];
+  const frames = Number(values.frames);
+  const track = values.track !== undefined ? Number(values.track) : null;
+  if (!romPath || !Number.isInteger(frames) || frames < 0 || (track !== null && !(track >= 1)) ||
+      (values.region !== 'auto' && !REGION_NAMES.includes(values.region)) ||
+      (values.players !== 'auto' && !PORT_DEVICES.includes(values.players))) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  // Mappers and the PPU log liberally; keep stdout for the summary
+  const log = console.log;
+  if (!values.verbose) console.log = () => {};
+
+  if (values.db) loadCartridgeDb(readFileSync(values.db, 'utf8'));
+
+  const fdsBios = values['fds-bios'] ? new Uint8Array(readFileSync(values['fds-bios'])) : null;
+  const runner = new HeadlessNES({
+    recordAudio: !!values.wav, region: values.region, inputDevice: values.players, fdsBios,
+  });
+  const batteryRam = values.sav ? readOptionalFile(values.sav) : null;
+  const patchPath = values.patch || findPatchFor(romPath);
+  const patch = patchPath ? new Uint8Array(readFileSync(patchPath)) : null;
+  const romFile = readRomFile(romPath, values.entry);
+  runner.loadROM(romFile.data, batteryRam, romFile.name, patch);
+  if (track !== null) {
+    if (!runner.nes.rom.nsf) throw new Error('--track needs an NSF or NSFe file');
+    runner.nes.mmap.playTrack(track - 1);
+  }
+  for (const code of values.cheat) runner.nes.cheats.add(code);
+  if (values.pc) runner.setPC(parseInt(values.pc.replace(/^\$/, ''), 16));
+
+  if (values.input) {
+    runner.playMovie(parseFM2(readFileSync(values.input, 'utf8')));
+  }
+
+  let tracer = null;
+  let traceFd = null;
+  if (values.trace) {
+    traceFd = openSync(values.trace, 'w');
+    tracer = new TraceLogger(runner.nes, { write: text => writeSync(traceFd, text) });
+    tracer.start();
+  }
+
+  const start = performance.now();
+  runner.runFrames(frames);
+  const elapsed = performance.now() - start;
+
+  if (tracer) {
+    tracer.stop();
+    closeSync(traceFd);
+  }
+
+  console.log = log;
+
+  if (values.screenshot) writeFileSync(values.screenshot, runner.getScreenshotPNG());
+  if (values.wav) writeFileSync(values.wav, runner.getWAV());
+  if (values.sav) {
+    const ram = runner.nes.getBatteryRam();
+    if (ram) writeFileSync(values.sav, ram);
+  }
+
+  const rom = runner.nes.rom;
+  const crc = rom.getCRC32().toString(16).toUpperCase().padStart(8, '0');
+  console.log(`ROM:      ${romPath} (CRC32 ${crc}, mapper ${rom.mapperType}, ${runner.nes.region.toUpperCase()})`);
+  if (rom.dbEntry) console.log(`Database: ${rom.dbEntry.name || 'matched'}`);
+  if (runner.nes.inputDevice !== 'standard') console.log(`Players:  4 (${runner.nes.inputDevice})`);
+  if (rom.nsf) {
+    const song = runner.nes.mmap.currentTrack;
+    const label = rom.nsf.tracks[song].label;
+    console.log(`NSF:      ${rom.nsf.title || 'Untitled'}${rom.nsf.artist ? ` by ${rom.nsf.artist}` : ''}, ` +
+      `track ${song + 1} of ${rom.nsf.songCount}${label ? ` (${label})` : ''}`);
+  }
+  if (rom.unif) console.log(`UNIF:     ${rom.unif.board}${rom.unif.name ? ` (${rom.unif.name})` : ''}`);
+  if (rom.fds) console.log(`FDS:      ${rom.fds.gameCode || 'disk'}, ${rom.fds.sides.length} disk sides`);
+  if (patchPath) console.log(`Patch:    ${patchPath}`);
+  console.log(`Frames:   ${frames} in ${(elapsed / 1000).toFixed(2)}s ` +
+    `(${(frames / (elapsed / 1000) || 0).toFixed(1)} fps)`);
+  if (values.screenshot) console.log(`Screen:   ${values.screenshot}`);
+  if (values.wav) console.log(`Audio:    ${values.wav} (${runner.audioSampleCount} samples)`);
+  if (tracer) console.log(`Trace:    ${values.trace} (${tracer.lineCount} instructions)`);
+  return EXIT_OK;
+}
+
+function test(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      timeout: { type: 'string', default: '60' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const timeoutSeconds = Number(values.timeout);
+  if (positionals.length === 0 || !(timeoutSeconds > 0)) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const roms = [];
+  for (const target of positionals) {
+    if (statSync(target).isDirectory()) {
+      for (const file of findRoms(target)) roms.push({ file, path: relative(target, file) });
+    } else {
+      roms.push({ file: target, path: target });
+    }
+  }
+
+  const log = console.log;
+  const results = [];
+  for (const { file, path } of roms) {
+    console.log = () => {};
+    const result = runTestRom(new Uint8Array(readFileSync(file)), { timeoutSeconds });
+    console.log = log;
+
+    results.push({ path, category: categorizeTestRom(path), ...result });
+    if (!values.json) process.stderr.write(`${result.status.padEnd(7)} ${path}\n`);
+  }
+
+  console.log(values.json ? JSON.stringify(results, null, 2) : formatTestResults(results));
+  return results.every(r => r.status === 'pass') ? EXIT_OK : EXIT_ERROR;
+}
+
+function regress(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      roms: { type: 'string' },
+      update: { type: 'boolean', default: false },
+      'diff-dir': { type: 'string', default: 'regression-diff' },
+    },
+  });
+
+  const suiteDir = positionals[0];
+  if (!suiteDir || !values.roms) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const caseFiles = readdirSync(suiteDir).filter(f => f.endsWith('.json')).sort();
+  const log = console.log;
+  let failures = 0;
+
+  for (const caseFile of caseFiles) {
+    const name = basename(caseFile, '.json');
+    const casePath = join(suiteDir, caseFile);
+    const testCase = JSON.parse(readFileSync(casePath, 'utf8'));
+    const romPath = join(values.roms, testCase.rom);
+
+    if (!existsSync(romPath)) {
+      console.log(`FAIL  ${name}: ROM not found (${romPath})`);
+      failures++;
+      continue;
+    }
+    const movie = testCase.input
+      ? parseFM2(readFileSync(join(suiteDir, testCase.input), 'utf8'))
+      : null;
+
+    console.log = () => {};
+    const captures = runRegressionCase(new Uint8Array(readFileSync(romPath)), testCase, movie);
+    console.log = log;
+
+    const goldenDir = join(suiteDir, name);
+    if (values.update) {
+      mkdirSync(goldenDir, { recursive: true });
+      testCase.hashes = {};
+      for (const { frame, hash, pixels } of captures) {
+        testCase.hashes[frame] = hash;
+        writeFileSync(join(goldenDir, `${frame}.png`), encodePNG(pixels, 256, 240));
+      }
+      writeFileSync(casePath, JSON.stringify(testCase, null, 2) + '\n');
+      console.log(`UPDATED  ${name} (${captures.length} frames)`);
+      continue;
+    }
+
+    for (const { frame, hash, pixels } of captures) {
+      const golden = testCase.hashes && testCase.hashes[frame];
+      if (golden === hash) {
+        console.log(`PASS  ${name} @${frame}`);
+        continue;
+      }
+
+      failures++;
+      if (!golden) {
+        console.log(`FAIL  ${name} @${frame}: no golden hash (run with --update)`);
+        continue;
+      }
+
+      const goldenPng = join(goldenDir, `${frame}.png`);
+      if (!existsSync(goldenPng)) {
+        console.log(`FAIL  ${name} @${frame}: hash ${hash.slice(0, 12)} != ${golden.slice(0, 12)}`);
+        continue;
+      }
+
+      const diff = makeDiffImage(decodePNG(new Uint8Array(readFileSync(goldenPng))).pixels, pixels);
+      mkdirSync(values['diff-dir'], { recursive: true });
+      const diffPath = join(values['diff-dir'], `${name}-${frame}.png`);
+      writeFileSync(diffPath, encodePNG(diff.pixels, diff.width, diff.height));
+      console.log(`FAIL  ${name} @${frame}: ${diff.changed} pixels differ, see ${diffPath}`);
+    }
+  }
+
+  return failures === 0 ? EXIT_OK : EXIT_ERROR;
+}
+
+// All .nes files below a directory, in a stable order
+function findRoms(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findRoms(path));
+    } else if (entry.name.toLowerCase().endsWith('.nes')) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// A .nes, .unf, .fds or .nsf/.nsfe file, or one inside a zip (in any folder); --entry picks one of several
+function readRomFile(path, entryName) {
+  const data = new Uint8Array(readFileSync(path));
+  if (!isZip(data)) return { data, name: basename(path) };
+
+  const roms = listZipEntries(data).filter(entry => /\.(nes|unf|fds|nsfe?)$/i.test(entry.name));
+  const entry = entryName
+    ? roms.find(rom => rom.name === entryName || basename(rom.name) === entryName)
+    : (roms.length === 1 ? roms[0] : null);
+  if (!entry) {
+    if (roms.length === 0) throw new Error(`${path} contains no .nes, .unf, .fds or .nsf file`);
+    const names = roms.map(rom => `  ${rom.name}`).join('\n');
+    throw new Error(`${path} ${entryName ? `has no ROM named ${entryName}` : 'contains several ROMs'}; ` +
+      `pick one with --entry:\n${names}`);
+  }
+  return { data: extractZipEntry(data, entry), name: basename(entry.name) };
+}
+
+// A patch next to the ROM with the same base name ("Game.nes" + "Game.ips")
+function findPatchFor(romPath) {
+  const base = romPath.slice(0, romPath.length - extname(romPath).length);
+  for (const ext of PATCH_EXTENSIONS) {
+    if (existsSync(`${base}.${ext}`)) return `${base}.${ext}`;
+  }
+  return null;
+}
+
+function readOptionalFile(path) {
+  try {
+    return new Uint8Array(readFileSync(path));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  if (command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  const commands = { run, test, regress };
+  if (!Object.hasOwn(commands, command)) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return commands[command](args);
+  } catch (err) {
+    console.error(`ai-nes: ${err.message}`);
+    return err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
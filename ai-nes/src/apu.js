@@ -33,6 +33,16 @@ const DMC_PERIOD_NTSC = [
   190, 160, 142, 128, 106, 84, 72, 54,
 ];
 
+const NOISE_PERIOD_PAL = [
+  4, 8, 14, 30, 60, 88, 118, 148,
+  188, 236, 354, 472, 708, 944, 1890, 3778,
+];
+
+const DMC_PERIOD_PAL = [
+  398, 354, 316, 298, 276, 236, 210, 198,
+  176, 148, 132, 118, 98, 78, 66, 50,
+];
+
 const FRAME_COUNTER_STEPS_NTSC = {
   4: [
     { cycles: 7457, quarter: true, half: false, irq: false },
@@ -49,6 +59,22 @@ const FRAME_COUNTER_STEPS_NTSC = {
   ],
 };
 
+const FRAME_COUNTER_STEPS_PAL = {
+  4: [
+    { cycles: 8313, quarter: true, half: false, irq: false },
+    { cycles: 16627, quarter: true, half: true, irq: false },
+    { cycles: 24939, quarter: true, half: false, irq: false },
+    { cycles: 33253, quarter: true, half: true, irq: true },
+  ],
+  5: [
+    { cycles: 8313, quarter: true, half: false, irq: false },
+    { cycles: 16627, quarter: true, half: true, irq: false },
+    { cycles: 24939, quarter: true, half: false, irq: false },
+    { cycles: 33253, quarter: false, half: false, irq: false },
+    { cycles: 41565, quarter: true, half: true, irq: false },
+  ],
+};
+
 class ApuLengthCounter {
   constructor(channelName) {
     this.channelName = channelName;
@@ -456,6 +482,7 @@ class TriangleChannel {
 class NoiseChannel {
   constructor() {
     this.envelope = new ApuEnvelope("noise");
+    this.periodTable = NOISE_PERIOD_NTSC; // Set by PAPU.setRegion()
     this.JSON_PROPERTIES = [
       "period",
       "timer",
@@ -468,7 +495,7 @@ class NoiseChannel {
 
   reset(softReset) {
     this.envelope.reset(softReset);
-    this.period = NOISE_PERIOD_NTSC[0] - 1;
+    this.period = this.periodTable[0] - 1;
     this.timer = 0;
     this.shiftRegister = 1;
     this.modeFlag = false;
@@ -522,7 +549,7 @@ class NoiseChannel {
   }
 
   writePeriod(value) {
-    this.period = NOISE_PERIOD_NTSC[value & 0x0f] - 1;
+    this.period = this.periodTable[value & 0x0f] - 1;
     this.modeFlag = (value & 0x80) !== 0;
   }
 
@@ -551,6 +578,7 @@ class DmcChannel {
   constructor(apu) {
     this.apu = apu;
     this.nes = apu.nes;
+    this.periodTable = DMC_PERIOD_NTSC; // Set by PAPU.setRegion()
     this.JSON_PROPERTIES = [
       "irqEnabled",
       "loopFlag",
@@ -596,7 +624,7 @@ class DmcChannel {
 
   setRate(rateIndex) {
     this.rateIndex = rateIndex & 0x0f;
-    this.timerPeriod = DMC_PERIOD_NTSC[this.rateIndex] - 1;
+    this.timerPeriod = this.periodTable[this.rateIndex] - 1;
   }
 
   setEnabled(enabled) {
@@ -754,6 +782,7 @@ export class PAPU {
 
     this.sampleRate = nes?.opts?.sampleRate || 44100;
     this.cpuFreq = CPU_FREQ_NTSC;
+    this.frameCounterSteps = FRAME_COUNTER_STEPS_NTSC;
     this.sampleCycles = this.cpuFreq / this.sampleRate;
     this.sampleCounter = 0;
 
@@ -828,6 +857,20 @@ export class PAPU {
     }
   }
 
+  /**
+   * Switch clock rate and timing tables (NES.setRegion passes an entry from REGIONS in region.js)
+   * @param {RegionTiming} timing
+   */
+  setRegion(timing) {
+    const pal = timing.apuTables === 'pal';
+    this.cpuFreq = timing.cpuFreq;
+    this.frameCounterSteps = pal ? FRAME_COUNTER_STEPS_PAL : FRAME_COUNTER_STEPS_NTSC;
+    this.noise.periodTable = pal ? NOISE_PERIOD_PAL : NOISE_PERIOD_NTSC;
+    this.dmc.periodTable = pal ? DMC_PERIOD_PAL : DMC_PERIOD_NTSC;
+    this.dmc.setRate(this.dmc.rateIndex);
+    this.setSampleRate(this.sampleRate, false);
+  }
+
   setExpansionAudioSource(name, source) {
     if (!name || !source) return;
     this.expansionSources.set(name, source);
@@ -1040,7 +1083,7 @@ export class PAPU {
 
     this.frameCounterCycle++;
     const mode = this.frameCounterMode ? 5 : 4;
-    const steps = FRAME_COUNTER_STEPS_NTSC[mode];
+    const steps = this.frameCounterSteps[mode];
     const step = steps[this.frameCounterStep];
     if (!step) return;
 
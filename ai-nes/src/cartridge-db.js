@@ -0,0 +1,210 @@
+// =============================================================================
+// CARTRIDGE DATABASE
+// Per-dump board information in the spirit of NesCartDB and Mesen's MesenDB.txt,
+// keyed by the CRC32 or SHA-1 of PRG+CHR (header and trainer excluded).
+// ROM.load() applies the matching entry over the header, so games with bad or
+// incomplete iNES headers still get the right mapper, RAM and mirroring.
+// Usage: loadCartridgeDb(text);        // Add or replace entries from a user file
+//        rom.dbEntry                   // Entry applied to a loaded ROM, or null
+//        findCartridge(rom)            // Look up without applying
+// =============================================================================
+
+/**
+ * Default expansion device IDs (NES 2.0 header byte 15). The Input column
+ * accepts these names or a number.
+ */
+export const INPUT_DEVICES = {
+  unspecified: 0x00,
+  standard: 0x01,
+  fourscore: 0x02,
+  fourplayer: 0x03,  // Famicom Four Players Adapter
+  vs: 0x04,
+  vszapper: 0x07,
+  zapper: 0x08,
+  twozappers: 0x09,
+  powerpad: 0x0B,
+  arkanoid: 0x0F,
+};
+
+const MIRRORING = { h: 0, v: 1, 4: 4 };
+
+const COLUMNS = [
+  'crc32', 'sha1', 'mapper', 'submapper', 'mirroring', 'prgRamSize', 'prgNvramSize',
+  'chrRamSize', 'chrNvramSize', 'battery', 'region', 'input', 'name',
+];
+
+// One dump per line: blank columns keep the header's value. Sizes are bytes or
+// "8K"; Mirroring is h, v or 4; Region is ntsc, pal or dendy. Name comes last
+// and may contain commas.
+const BUILTIN_DB = `
+# CRC32,SHA-1,Mapper,Submapper,Mirroring,PRG-RAM,PRG-NVRAM,CHR-RAM,CHR-NVRAM,Battery,Region,Input,Name
+EC968C51,,206,,4,0,0,,,0,,,Gauntlet (USA)
+CD50A092,,206,,4,0,0,,,0,,,Gauntlet (USA) (Unl)
+889129CB,,6,,,,1K,,,1,,,StarTropics (USA)
+D054FFB0,,6,,,,1K,,,1,,,StarTropics II - Zoda's Revenge (USA)
+063E5653,,1,,,0,0,,,0,,,Pugsley's Scavenger Hunt (USA)
+2696C69C,,1,,,0,0,,,0,,,Pugsley's Scavenger Hunt (Europe)
+13886346,,25,1,,,,,,,,,Gradius II (Japan)
+5ADBF660,,25,1,,,,,,,,,Gradius II (Japan)
+A2060609,,25,1,,,,,,,,,Racer Mini Yonku - Japan Cup (Japan)
+`;
+
+const byCrc = new Map();
+const bySha1 = new Map();
+
+/**
+ * Parse database text and add its entries, replacing any with the same hash.
+ * @param {string} text - Lines in the BUILTIN_DB format; '#' starts a comment
+ * @returns {number} Entries added
+ */
+export function loadCartridgeDb(text) {
+  const entries = parseCartridgeDb(text);
+  for (const entry of entries) {
+    if (entry.crc32) byCrc.set(entry.crc32, entry);
+    if (entry.sha1) bySha1.set(entry.sha1, entry);
+  }
+  return entries.length;
+}
+
+/**
+ * @param {string} text
+ * @returns {Object[]} Parsed entries (unset fields are null)
+ */
+export function parseCartridgeDb(text) {
+  const entries = [];
+  const lines = String(text).split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/#.*/, '').trim();
+    if (!line) continue;
+
+    // The name is the last column and may itself contain commas
+    const parts = line.split(',');
+    const fields = parts.slice(0, COLUMNS.length - 1);
+    fields.push(parts.slice(COLUMNS.length - 1).join(','));
+    fields.forEach((field, column) => { fields[column] = field.trim(); });
+    try {
+      entries.push(parseEntry(fields));
+    } catch (err) {
+      throw new Error(`Cartridge DB line ${i + 1}: ${err.message}`);
+    }
+  }
+  return entries;
+}
+
+function parseEntry(fields) {
+  const raw = {};
+  COLUMNS.forEach((column, i) => { raw[column] = fields[i] || ''; });
+
+  const crc32 = raw.crc32.toUpperCase();
+  const sha1 = raw.sha1.toLowerCase();
+  if (crc32 && !/^[0-9A-F]{8}$/.test(crc32)) throw new Error(`bad CRC32 "${raw.crc32}"`);
+  if (sha1 && !/^[0-9a-f]{40}$/.test(sha1)) throw new Error(`bad SHA-1 "${raw.sha1}"`);
+  if (!crc32 && !sha1) throw new Error('needs a CRC32 or SHA-1');
+
+  const mirroring = raw.mirroring ? MIRRORING[raw.mirroring.toLowerCase()] : null;
+  if (mirroring === undefined) throw new Error(`bad mirroring "${raw.mirroring}"`);
+
+  const region = raw.region ? raw.region.toLowerCase() : null;
+  if (region && !['ntsc', 'pal', 'dendy'].includes(region)) throw new Error(`bad region "${raw.region}"`);
+
+  let input = null;
+  if (raw.input) {
+    const name = raw.input.toLowerCase();
+    input = name in INPUT_DEVICES ? INPUT_DEVICES[name] : parseNumber(raw.input, 'input');
+  }
+
+  return {
+    crc32: crc32 || null,
+    sha1: sha1 || null,
+    name: raw.name || null,
+    mapper: parseNumber(raw.mapper, 'mapper'),
+    submapper: parseNumber(raw.submapper, 'submapper'),
+    mirroring,
+    prgRamSize: parseSize(raw.prgRamSize),
+    prgNvramSize: parseSize(raw.prgNvramSize),
+    chrRamSize: parseSize(raw.chrRamSize),
+    chrNvramSize: parseSize(raw.chrNvramSize),
+    battery: raw.battery ? raw.battery !== '0' : null,
+    region,
+    input,
+  };
+}
+
+function parseNumber(text, column) {
+  if (!text) return null;
+  const value = /^\$|^0x/i.test(text) ? parseInt(text.replace(/^\$|^0x/i, ''), 16) : Number(text);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`bad ${column} "${text}"`);
+  return value;
+}
+
+function parseSize(text) {
+  if (!text) return null;
+  const match = /^(\d+)(K?)$/i.exec(text);
+  if (!match) throw new Error(`bad size "${text}"`);
+  return Number(match[1]) * (match[2] ? 1024 : 1);
+}
+
+/**
+ * Database entry for a loaded ROM. SHA-1 matches win over CRC32 matches;
+ * the SHA-1 is only computed when some entry has one.
+ * @param {ROM} rom
+ * @returns {Object|null}
+ */
+export function findCartridge(rom) {
+  if (bySha1.size > 0) {
+    const entry = bySha1.get(rom.getSHA1());
+    if (entry) return entry;
+  }
+  return byCrc.get(rom.getCRC32().toString(16).toUpperCase().padStart(8, '0')) || null;
+}
+
+/**
+ * Overwrite header fields with the ROM's database entry, if it has one.
+ * Called at the end of ROM.load().
+ * @param {ROM} rom
+ * @returns {Object|null} The entry applied
+ */
+export function applyCartridgeDb(rom) {
+  const entry = findCartridge(rom);
+  if (!entry) return null;
+
+  if (entry.mapper !== null) rom.mapperType = entry.mapper;
+  if (entry.submapper !== null) rom.submapper = entry.submapper;
+  if (entry.mirroring !== null) {
+    rom.fourScreen = entry.mirroring === 4;
+    if (!rom.fourScreen) rom.mirroring = entry.mirroring;
+  }
+  // A size in either column makes the PRG (or CHR) RAM layout known, like an NES 2.0 header
+  if (entry.prgRamSize !== null || entry.prgNvramSize !== null) {
+    rom.prgRamSize = entry.prgRamSize || 0;
+    rom.prgNvramSize = entry.prgNvramSize || 0;
+  }
+  if (entry.chrRamSize !== null || entry.chrNvramSize !== null) {
+    rom.chrRamSize = entry.chrRamSize || 0;
+    rom.chrNvramSize = entry.chrNvramSize || 0;
+  }
+  if (entry.battery !== null) rom.batteryRam = entry.battery;
+  if (entry.region !== null) rom.region = entry.region;
+  if (entry.input !== null) rom.expansionDevice = entry.input;
+  return entry;
+}
+
+/**
+ * Applies the ROM's database entry to a running NES.
+ * @deprecated NES.loadROM() applies the database itself; kept for callers of
+ * the old compatibility.js API.
+ * @param {NES} nes - The NES instance
+ * @param {Function} [logger] - Optional logging function (msg, type)
+ */
+export function applyCompatibilityFixes(nes, logger) {
+  if (!nes || !nes.rom) return;
+
+  const entry = applyCartridgeDb(nes.rom);
+  if (entry) {
+    if (logger) logger(`🛠️ Applied fix for: ${entry.name || 'this ROM'}`, 'success');
+    nes.ppu.setMirroring(nes.rom.getMirroringType());
+  }
+}
+
+loadCartridgeDb(BUILTIN_DB);
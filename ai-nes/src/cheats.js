@@ -0,0 +1,171 @@
+// =============================================================================
+// CHEAT ENGINE
+// Game Genie codes patch PRG-ROM reads ($8000-$FFFF) in CPU.cpuRead();
+// Pro Action Replay codes freeze a RAM byte, rewritten before every frame.
+//
+// Game Genie: 6 letters = address + value, 8 letters = address + value +
+// compare (only replaces when the ROM byte matches, which keeps bank-switched
+// games from being patched in the wrong bank).
+// Pro Action Replay: "AAAAVV" or "AAAA:VV" (hex address + value). Only
+// work RAM ($0000-$07FF and mirrors) and PRG-RAM ($6000-$7FFF) can be frozen.
+//
+// References:
+//   https://www.nesdev.org/wiki/Game_Genie
+// =============================================================================
+
+const GAME_GENIE_LETTERS = 'APZLGITYEOXUKSVN';
+const PAR_PATTERN = /^([0-9A-F]{4}):?([0-9A-F]{2})$/;
+
+/**
+ * Decode a 6- or 8-letter Game Genie code
+ * @param {string} code
+ * @returns {{address: number, value: number, compare: number|null}}
+ */
+export function decodeGameGenie(code) {
+  const n = [];
+  for (const letter of code.toUpperCase()) {
+    const digit = GAME_GENIE_LETTERS.indexOf(letter);
+    if (digit < 0) throw new Error(`Invalid Game Genie letter "${letter}"`);
+    n.push(digit);
+  }
+  if (n.length !== 6 && n.length !== 8) {
+    throw new Error('Game Genie codes have 6 or 8 letters');
+  }
+
+  const address = 0x8000 |
+    ((n[3] & 7) << 12) | ((n[5] & 7) << 8) | ((n[4] & 8) << 8) |
+    ((n[2] & 7) << 4) | ((n[1] & 8) << 4) | (n[4] & 7) | (n[3] & 8);
+
+  if (n.length === 6) {
+    const value = ((n[1] & 7) << 4) | ((n[0] & 8) << 4) | (n[0] & 7) | (n[5] & 8);
+    return { address, value, compare: null };
+  }
+
+  const value = ((n[1] & 7) << 4) | ((n[0] & 8) << 4) | (n[0] & 7) | (n[7] & 8);
+  const compare = ((n[7] & 7) << 4) | ((n[6] & 8) << 4) | (n[6] & 7) | (n[5] & 8);
+  return { address, value, compare };
+}
+
+/**
+ * Parse a Game Genie or Pro Action Replay code
+ * @param {string} code
+ * @returns {{type: string, code: string, address: number, value: number, compare: number|null}}
+ */
+export function parseCheatCode(code) {
+  const normalized = code.trim().toUpperCase().replace(/[\s-]/g, '');
+
+  const par = PAR_PATTERN.exec(normalized);
+  if (par) {
+    const address = parseInt(par[1], 16);
+    if (!isFreezableAddress(address)) {
+      throw new Error('Pro Action Replay codes must target RAM ($0000-$07FF) or PRG-RAM ($6000-$7FFF)');
+    }
+    return {
+      type: 'par',
+      code: `${par[1]}:${par[2]}`,
+      address,
+      value: parseInt(par[2], 16),
+      compare: null,
+    };
+  }
+
+  return { type: 'gg', code: normalized, ...decodeGameGenie(normalized) };
+}
+
+function isFreezableAddress(address) {
+  return address < 0x2000 || (address >= 0x6000 && address < 0x8000);
+}
+
+export class CheatEngine {
+  constructor(nes) {
+    this.nes = nes;
+    this.cheats = [];
+    this.nextId = 1;
+
+    // Built from enabled cheats by rebuild()
+    this.romPatches = new Map(); // address -> [{ value, compare }]
+    this.romPatchCount = 0;      // Checked by CPU.cpuRead() before the map lookup
+    this.freezes = [];           // [{ address, value }]
+  }
+
+  /**
+   * Add a cheat
+   * @param {string} code - Game Genie or PAR code
+   * @param {Object} [opts] - { description, enabled }
+   * @returns {Object} The cheat entry
+   * @throws {Error} If the code is invalid
+   */
+  add(code, opts = {}) {
+    const cheat = {
+      id: this.nextId++,
+      ...parseCheatCode(code),
+      description: opts.description || '',
+      enabled: opts.enabled !== false,
+    };
+    this.cheats.push(cheat);
+    this.rebuild();
+    return cheat;
+  }
+
+  remove(id) {
+    this.cheats = this.cheats.filter(c => c.id !== id);
+    this.rebuild();
+  }
+
+  setEnabled(id, enabled) {
+    const cheat = this.cheats.find(c => c.id === id);
+    if (cheat) cheat.enabled = enabled;
+    this.rebuild();
+  }
+
+  clear() {
+    this.cheats = [];
+    this.rebuild();
+  }
+
+  list() {
+    return this.cheats;
+  }
+
+  rebuild() {
+    this.romPatches.clear();
+    this.freezes = [];
+
+    for (const cheat of this.cheats) {
+      if (!cheat.enabled) continue;
+      if (cheat.type === 'par') {
+        this.freezes.push({ address: cheat.address, value: cheat.value });
+        continue;
+      }
+      if (!this.romPatches.has(cheat.address)) this.romPatches.set(cheat.address, []);
+      this.romPatches.get(cheat.address).push({ value: cheat.value, compare: cheat.compare });
+    }
+    this.romPatchCount = this.romPatches.size;
+  }
+
+  // Called by CPU.cpuRead() for $8000-$FFFF with the byte the cartridge returned
+  patchRead(address, value) {
+    const patches = this.romPatches.get(address);
+    if (!patches) return value;
+    for (let i = 0; i < patches.length; i++) {
+      const patch = patches[i];
+      if (patch.compare === null || patch.compare === value) return patch.value;
+    }
+    return value;
+  }
+
+  // Called by NES.frame() before each frame
+  applyFreezes() {
+    const cpu = this.nes.cpu;
+    for (let i = 0; i < this.freezes.length; i++) {
+      const { address, value } = this.freezes[i];
+      if (address < 0x2000) {
+        cpu.mem[address & 0x7FF] = value;
+      } else if (this.nes.mmap && this.nes.mmap.cpuRead(address) !== value) {
+        // Only write on a change: each PRG-RAM write marks battery RAM dirty,
+        // which would hold off the save flush for as long as the freeze is on
+        this.nes.mmap.cpuWrite(address, value);
+      }
+    }
+  }
+}
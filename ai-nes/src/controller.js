@@ -1,3 +1,12 @@
+import { INPUT_DEVICES } from "./cartridge-db.js";
+
+/** Devices ControllerPorts can present at $4016/$4017 */
+export const PORT_DEVICES = ['standard', 'fourscore', 'fourplayer'];
+
+// Four Score signature bits, read after both controllers (reads 17-24), LSB
+// first. Games shift them in MSB first and compare against $10 and $20.
+const FOUR_SCORE_SIGNATURES = { 1: 0x08, 2: 0x04 };
+
 export class Controller {
   constructor() {
     // Button state stored as bits in a single byte
@@ -78,4 +87,84 @@ Controller.BUTTON_START = 3;
 Controller.BUTTON_UP = 4;
 Controller.BUTTON_DOWN = 5;
 Controller.BUTTON_LEFT = 6;
-Controller.BUTTON_RIGHT = 7;
\ No newline at end of file
+Controller.BUTTON_RIGHT = 7;
+
+/**
+ * Port device for a ROM's default expansion device (NES 2.0 header byte 15 or
+ * the cartridge database Input column)
+ * @param {ROM|null} rom
+ * @returns {string} 'standard' | 'fourscore' | 'fourplayer'
+ */
+export function detectInputDevice(rom) {
+  if (!rom) return 'standard';
+  if (rom.expansionDevice === INPUT_DEVICES.fourscore) return 'fourscore';
+  if (rom.expansionDevice === INPUT_DEVICES.fourplayer) return 'fourplayer';
+  return 'standard';
+}
+
+// What the CPU sees at $4016/$4017: controllers 1 and 2, or all four through
+// an adapter.
+//   - 'fourscore': NES Four Score / Satellite. Each port is one 24-bit stream:
+//     controller 1 (or 2), then 3 (or 4), then the signature.
+//   - 'fourplayer': Famicom four-player adapter. Controllers 3 and 4 are read
+//     in parallel with 1 and 2, on D1 of $4016 and $4017.
+export class ControllerPorts {
+  constructor(controllers) {
+    this.controllers = controllers; // NES.controllers, keyed 1-4
+    this.device = 'standard';
+    this.strobeByte = 0;
+    this.fourScoreReads = { 1: 0, 2: 0 }; // Bits shifted out per port (0-24)
+  }
+
+  setDevice(device) {
+    if (!PORT_DEVICES.includes(device)) throw new Error(`Unknown input device: ${device}`);
+    this.device = device;
+    this.fourScoreReads[1] = 0;
+    this.fourScoreReads[2] = 0;
+  }
+
+  // Called when CPU reads from $4016 (port 1) or $4017 (port 2)
+  read(port) {
+    const first = this.controllers[port];
+    const second = this.controllers[port + 2];
+    switch (this.device) {
+      case 'fourscore':
+        return 0x40 | this.readFourScore(port, first, second);
+      case 'fourplayer':
+        return first.read() | ((second.read() & 1) << 1);
+      default:
+        return first.read();
+    }
+  }
+
+  readFourScore(port, first, second) {
+    if (this.strobeByte === 1) return first.currentState & 1;
+    const bit = this.fourScoreReads[port];
+    if (bit < 8) return (first.strobedState >> bit) & 1;
+    if (bit < 16) return (second.strobedState >> (bit - 8)) & 1;
+    if (bit < 24) return (FOUR_SCORE_SIGNATURES[port] >> (bit - 16)) & 1;
+    return 1;
+  }
+
+  // Called after the instruction that read the port (see CPU.stepControllers)
+  clock(port) {
+    if (this.device === 'fourscore') {
+      if (this.strobeByte === 0 && this.fourScoreReads[port] < 24) this.fourScoreReads[port]++;
+      return;
+    }
+    this.controllers[port].clock();
+    if (this.device === 'fourplayer') this.controllers[port + 2].clock();
+  }
+
+  // Called when CPU writes to $4016; the strobe line reaches every controller
+  strobe(data) {
+    for (let i = 1; i <= 4; i++) {
+      this.controllers[i].strobe(data);
+    }
+    if (this.strobeByte === 1 && (data & 1) === 0) {
+      this.fourScoreReads[1] = 0;
+      this.fourScoreReads[2] = 0;
+    }
+    this.strobeByte = data & 1;
+  }
+}
@@ -40,7 +40,7 @@ export class CPU {
         break;
       case 'random':
         for (let i = 0; i < 0x2000; i++) {
-          this.mem[i] = (Math.random() * 256) | 0;
+          this.mem[i] = (this.nes.random() * 256) | 0;
         }
         break;
     }
@@ -92,12 +92,12 @@ export class CPU {
       value = this.nes.ppu.readRegister(reg);
     } else if (addr < 0x4020) {
       if (addr === 0x4016) {
-        value = this.nes.controllers[1].read();
+        value = this.nes.controllerPorts.read(1);
         this.controller1Read = true; // Mark that controller 1 was read this instruction
       } else if (addr === 0x4017) {
         this.nes.catchUp(); // Synchronize PPU for accurate beam detection
-        // Controller 2 (D0-D4) + Zapper (D3, D4)
-        let ret = this.nes.controllers[2].read();
+        // Controller 2 (D0-D1) + Zapper (D3, D4)
+        let ret = this.nes.controllerPorts.read(2);
         this.controller2Read = true; // Mark that controller 2 was read this instruction
 
         // Zapper Handling
@@ -146,10 +146,15 @@ export class CPU {
       if (value === undefined) {
         value = this.dataBus;
       }
+      // Game Genie patches sit between the cartridge and the CPU
+      if (addr >= 0x8000 && this.nes.cheats.romPatchCount > 0) {
+        value = this.nes.cheats.patchRead(addr, value);
+      }
     }
 
     // Update data bus latch with the value read
     this.dataBus = value;
+    if (this.nes.debugger.watchReads) this.nes.debugger.onRead(addr, value);
     return value;
   }
 
@@ -164,6 +169,7 @@ export class CPU {
   cpuWrite(addr, val) {
     // Update data bus latch on all writes
     this.dataBus = val;
+    if (this.nes.debugger.watchWrites) this.nes.debugger.onWrite(addr, val);
 
     if (addr === 0x4014 && this.nes && typeof this.nes.recordPpuTraceAccess === 'function') {
       this.nes.recordPpuTraceAccess('WRITE', addr, val, this.REG_PC);
@@ -192,8 +198,7 @@ export class CPU {
       }
       if (addr === 0x4016) {
         // Pass the value to strobe() so controllers can track strobe state
-        this.nes.controllers[1].strobe(val);
-        this.nes.controllers[2].strobe(val);
+        this.nes.controllerPorts.strobe(val);
         return;
       }
       if (this.nes.papu) this.nes.papu.writeReg(addr, val);
@@ -217,44 +222,53 @@ export class CPU {
     return this.emulate();
   }
 
+  // Take a pending interrupt: push state and jump to the vector. Called at the
+  // start of emulate(), and by the debugger so it can stop on the handler's
+  // first instruction.
+  serviceInterrupt() {
+    const status = this.F_CARRY | ((this.F_ZERO === 0 ? 1 : 0) << 1) |
+      (this.F_INTERRUPT << 2) | (this.F_DECIMAL << 3) |
+      (0 << 4) | (this.F_NOTUSED << 5) |
+      (this.F_OVERFLOW << 6) | (this.F_SIGN << 7);
+
+    this.REG_PC_NEW = this.REG_PC;
+    this.F_INTERRUPT_NEW = this.F_INTERRUPT;
+
+    switch (this.irqType) {
+      case 0:
+        if (this.F_INTERRUPT !== 0) break;
+        this.doIrq(status);
+        break;
+      case 1:
+        this.doNonMaskableInterrupt(status);
+        break;
+      case 2:
+        this.doResetInterrupt();
+        break;
+    }
+    this.REG_PC = this.REG_PC_NEW;
+    this.F_INTERRUPT = this.F_INTERRUPT_NEW;
+    this.F_BRK = this.F_BRK_NEW;
+
+    // Only clear the request flag for edge-triggered (NMI) or one-shot (Reset) interrupts.
+    // Level-triggered IRQs (type 0) must remain set until explicitly cleared by the device.
+    if (this.irqType !== 0) {
+      this.irqRequested = false;
+    }
+  }
+
   emulate() {
     let temp, add, val;
 
     if (this.irqRequested) {
-      temp = this.F_CARRY | ((this.F_ZERO === 0 ? 1 : 0) << 1) |
-        (this.F_INTERRUPT << 2) | (this.F_DECIMAL << 3) |
-        (0 << 4) | (this.F_NOTUSED << 5) |
-        (this.F_OVERFLOW << 6) | (this.F_SIGN << 7);
-
-      this.REG_PC_NEW = this.REG_PC;
-      this.F_INTERRUPT_NEW = this.F_INTERRUPT;
-
-      switch (this.irqType) {
-        case 0:
-          if (this.F_INTERRUPT !== 0) break;
-          this.doIrq(temp);
-          break;
-        case 1:
-          this.doNonMaskableInterrupt(temp);
-          break;
-        case 2:
-          this.doResetInterrupt();
-          break;
-      }
-      this.REG_PC = this.REG_PC_NEW;
-      this.F_INTERRUPT = this.F_INTERRUPT_NEW;
-      this.F_BRK = this.F_BRK_NEW;
-
-      // Only clear the request flag for edge-triggered (NMI) or one-shot (Reset) interrupts.
-      // Level-triggered IRQs (type 0) must remain set until explicitly cleared by the device.
-      if (this.irqType !== 0) {
-        this.irqRequested = false;
-      }
+      this.serviceInterrupt();
     }
 
     const mmap = this.nes.mmap;
     if (!mmap) return 32;
 
+    if (this.nes.tracer !== null) this.nes.tracer.logInstruction();
+
     // REG_PC here is treated as the current instruction address
     const opaddr = (this.REG_PC + 1) & 0xffff;
     const opcode = this.cpuRead(opaddr);
@@ -470,11 +484,11 @@ export class CPU {
     // Only clock controllers that were actually read during this instruction
     // This prevents advancing the shift register on every instruction
     if (this.controller1Read) {
-      this.nes.controllers[1].clock();
+      this.nes.controllerPorts.clock(1);
       this.controller1Read = false;
     }
     if (this.controller2Read) {
-      this.nes.controllers[2].clock();
+      this.nes.controllerPorts.clock(2);
       this.controller2Read = false;
     }
   }
@@ -0,0 +1,451 @@
+// =============================================================================
+// DEBUGGER
+// Breakpoints and stepping for the 6502. Each NES owns one (nes.debugger);
+// NES.frame() asks it before every instruction whether to stop, and returns
+// mid-frame when it does. The next frame() call after resume() carries on
+// from the same cycle.
+// Usage: nes.debugger.addBreakpoint({ type: 'exec', address: 0xC000 });
+//        nes.debugger.addBreakpoint({ type: 'write', address: 0x0300, end: 0x03FF, condition: 'value == $FF' });
+//        nes.debugger.onBreak = info => console.log(info.reason, info.address);
+//        nes.frame();                    // Stops at the first hit
+//        nes.debugger.stepOver();        // Or stepInto/stepOut/runToScanline/runToFrame/resume
+//        nes.frame();
+//
+// Read/write breakpoints stop after the instruction that made the access.
+// Conditions are expressions over A, X, Y, SP, PC, P, value, address,
+// scanline, cycle, frame and read(addr); "$" prefixes hex numbers.
+// =============================================================================
+
+import { disassemble } from './disassembler.js';
+
+export const BREAKPOINT_TYPES = ['exec', 'read', 'write'];
+
+const OPCODE_JSR = 0x20;
+const OPCODE_RTI = 0x40;
+const OPCODE_RTS = 0x60;
+
+const CONDITION_NAMES = ['A', 'X', 'Y', 'SP', 'PC', 'P', 'value', 'address', 'scanline', 'cycle', 'frame', 'read'];
+const CONDITION_TOKEN = /0x[0-9a-f]+|\d+|[A-Za-z_]\w*/gi;
+
+export class Debugger {
+  constructor(nes) {
+    this.nes = nes;
+    this.breakpoints = [];
+    this.nextId = 1;
+
+    this.paused = false;
+    this.breakInfo = null;    // Why execution last stopped (see break())
+    this.onBreak = null;      // Called with breakInfo whenever execution stops
+
+    // Checked on the hot path by NES.frame() and CPU.cpuRead()/cpuWrite()
+    this.active = false;      // Anything to check before each instruction
+    this.watchReads = false;
+    this.watchWrites = false;
+
+    // Stepping: null | 'into' | 'over' | 'out' | 'scanline' | 'frame'
+    this.stepMode = null;
+    this.stepTarget = 0;      // Return address (over), scanline or frame number
+    this.stepSP = 0;          // Stack pointer when the step began
+    this.scanlineArmed = false;
+
+    this.resuming = false;    // Next boundary is the instruction we stopped on
+    this.pendingAccess = null;
+    this.lastOpcode = -1;     // Opcode of the instruction now executing
+    this.instructionStart = 0;
+    this.instructionEnd = 0;
+  }
+
+  // ===========================================================================
+  // BREAKPOINTS
+  // ===========================================================================
+
+  /**
+   * Add a breakpoint
+   * @param {Object} bp
+   * @param {string} [bp.type='exec'] - 'exec', 'read' or 'write'
+   * @param {number} bp.address - First address
+   * @param {number} [bp.end] - Last address of a range (default: address)
+   * @param {string} [bp.condition] - Expression that must be true to stop
+   * @param {boolean} [bp.enabled=true]
+   * @returns {Object} The breakpoint
+   * @throws {Error} If the type or condition is invalid
+   */
+  addBreakpoint({ type = 'exec', address, end = address, condition = '', enabled = true }) {
+    if (!BREAKPOINT_TYPES.includes(type)) throw new Error(`Unknown breakpoint type "${type}"`);
+    const breakpoint = {
+      id: this.nextId++,
+      type,
+      address: address & 0xFFFF,
+      end: Math.max(address, end) & 0xFFFF,
+      condition: condition.trim(),
+      test: compileCondition(condition),
+      enabled,
+      hits: 0,
+    };
+    this.breakpoints.push(breakpoint);
+    this.updateFlags();
+    return breakpoint;
+  }
+
+  removeBreakpoint(id) {
+    this.breakpoints = this.breakpoints.filter(bp => bp.id !== id);
+    this.updateFlags();
+  }
+
+  setBreakpointEnabled(id, enabled) {
+    const breakpoint = this.breakpoints.find(bp => bp.id === id);
+    if (breakpoint) breakpoint.enabled = enabled;
+    this.updateFlags();
+  }
+
+  /**
+   * Add an exec breakpoint at `address`, or remove the ones already there
+   * @param {number} address
+   * @returns {boolean} True if a breakpoint was added
+   */
+  toggleBreakpoint(address) {
+    const existing = this.breakpoints.filter(bp => bp.type === 'exec' && bp.address === address && bp.end === address);
+    if (existing.length > 0) {
+      for (const bp of existing) this.removeBreakpoint(bp.id);
+      return false;
+    }
+    this.addBreakpoint({ address });
+    return true;
+  }
+
+  clearBreakpoints() {
+    this.breakpoints = [];
+    this.updateFlags();
+  }
+
+  listBreakpoints() {
+    return this.breakpoints;
+  }
+
+  updateFlags() {
+    const enabled = this.breakpoints.filter(bp => bp.enabled);
+    this.watchReads = enabled.some(bp => bp.type === 'read');
+    this.watchWrites = enabled.some(bp => bp.type === 'write');
+    this.active = enabled.length > 0 || this.stepMode !== null || this.resuming;
+  }
+
+  // ===========================================================================
+  // EXECUTION CONTROL
+  // ===========================================================================
+
+  /**
+   * Stop before the next instruction. Called between frames, so the
+   * console stops on a frame boundary.
+   */
+  pause() {
+    if (this.paused) return;
+    this.break({ reason: 'pause' });
+  }
+
+  // Continue until a breakpoint hits
+  resume() {
+    this.run(null);
+  }
+
+  // Execute one instruction (entering subroutines and interrupts)
+  stepInto() {
+    this.run('into');
+  }
+
+  // Execute one instruction, running a JSR through to its return
+  stepOver() {
+    const cpu = this.nes.cpu;
+    const pc = this.getPC();
+    if (this.peek(pc) !== OPCODE_JSR || this.interruptPending()) {
+      this.stepInto();
+      return;
+    }
+    this.stepTarget = (pc + 3) & 0xFFFF;
+    this.stepSP = cpu.REG_SP;
+    this.run('over');
+  }
+
+  // Run until the current subroutine or interrupt handler returns
+  stepOut() {
+    this.stepSP = this.nes.cpu.REG_SP;
+    this.run('out');
+  }
+
+  /**
+   * Run until the PPU next enters `scanline` (0-239 visible, 241 vblank, 261 pre-render)
+   * @param {number} scanline
+   */
+  runToScanline(scanline) {
+    this.stepTarget = scanline;
+    this.scanlineArmed = this.nes.ppu.scanline !== scanline;
+    this.run('scanline');
+  }
+
+  /**
+   * Run until the start of frame number `frame` (nes.frameCount)
+   * @param {number} frame
+   */
+  runToFrame(frame) {
+    this.stepTarget = frame;
+    this.run('frame');
+  }
+
+  // Forget pause and step state (breakpoints are kept). Called on ROM load.
+  reset() {
+    this.paused = false;
+    this.breakInfo = null;
+    this.stepMode = null;
+    this.resuming = false;
+    this.pendingAccess = null;
+    this.updateFlags();
+  }
+
+  run(mode) {
+    this.stepMode = mode;
+    this.paused = false;
+    this.resuming = true;
+    this.pendingAccess = null;
+    this.updateFlags();
+  }
+
+  /**
+   * Stop execution
+   * @param {Object} info - { reason, breakpoint?, access?, value? }
+   * @returns {boolean} Always true, for NES.frame()
+   */
+  break(info) {
+    this.paused = true;
+    this.stepMode = null;
+    this.breakInfo = {
+      ...info,
+      address: this.getPC(),
+      frame: this.nes.frameCount,
+      scanline: this.nes.ppu.scanline,
+      cycle: this.nes.ppu.cycle,
+    };
+    this.updateFlags();
+    if (this.onBreak) this.onBreak(this.breakInfo);
+    return true;
+  }
+
+  // ===========================================================================
+  // HOOKS
+  // ===========================================================================
+
+  /**
+   * Called by NES.frame() at each instruction boundary while `active`
+   * @returns {boolean} True to stop before the instruction at PC
+   */
+  beforeInstruction() {
+    // Enter a pending interrupt now, so the next instruction is the handler's
+    if (this.nes.cpu.irqRequested) this.nes.cpu.serviceInterrupt();
+    const pc = this.getPC();
+
+    if (this.resuming) {
+      // Let the instruction we stopped on run
+      this.resuming = false;
+      this.updateFlags();
+    } else {
+      if (this.pendingAccess) {
+        const access = this.pendingAccess;
+        this.pendingAccess = null;
+        return this.break(access);
+      }
+      if (this.stepMode !== null && this.stepDone(pc)) {
+        return this.break({ reason: this.stepMode });
+      }
+      const breakpoint = this.findBreakpoint('exec', pc, this.peek(pc));
+      if (breakpoint) return this.break({ reason: 'exec', breakpoint });
+    }
+
+    this.lastOpcode = this.peek(pc);
+    this.instructionStart = pc;
+    this.instructionEnd = pc + disassemble(addr => this.peek(addr) ?? 0, pc).size;
+    if (this.stepMode === 'scanline' && this.nes.ppu.scanline !== this.stepTarget) this.scanlineArmed = true;
+    return false;
+  }
+
+  stepDone(pc) {
+    const cpu = this.nes.cpu;
+    switch (this.stepMode) {
+      case 'into': return true;
+      case 'over': return pc === this.stepTarget && cpu.REG_SP >= this.stepSP;
+      case 'out':
+        return (this.lastOpcode === OPCODE_RTS || this.lastOpcode === OPCODE_RTI) && cpu.REG_SP > this.stepSP;
+      case 'scanline': return this.scanlineArmed && this.nes.ppu.scanline === this.stepTarget;
+      case 'frame': return this.nes.frameCount >= this.stepTarget;
+    }
+    return false;
+  }
+
+  // Called by CPU.cpuRead() while watchReads is set
+  onRead(address, value) {
+    if (this.pendingAccess) return;
+    // Opcode and operand fetches are exec, not read, accesses
+    if (address >= this.instructionStart && address < this.instructionEnd) return;
+    const breakpoint = this.findBreakpoint('read', address, value);
+    if (breakpoint) this.pendingAccess = { reason: 'read', breakpoint, access: address, value };
+  }
+
+  // Called by CPU.cpuWrite() while watchWrites is set
+  onWrite(address, value) {
+    if (this.pendingAccess) return;
+    const breakpoint = this.findBreakpoint('write', address, value);
+    if (breakpoint) this.pendingAccess = { reason: 'write', breakpoint, access: address, value };
+  }
+
+  findBreakpoint(type, address, value) {
+    for (const bp of this.breakpoints) {
+      if (!bp.enabled || bp.type !== type || address < bp.address || address > bp.end) continue;
+      if (bp.test && !this.evaluate(bp, address, value)) continue;
+      bp.hits++;
+      return bp;
+    }
+    return null;
+  }
+
+  evaluate(breakpoint, address, value) {
+    const cpu = this.nes.cpu;
+    try {
+      return !!breakpoint.test({
+        A: cpu.REG_ACC,
+        X: cpu.REG_X,
+        Y: cpu.REG_Y,
+        SP: cpu.REG_SP,
+        PC: this.getPC(),
+        P: cpu.getStatus(),
+        value,
+        address,
+        scanline: this.nes.ppu.scanline,
+        cycle: this.nes.ppu.cycle,
+        frame: this.nes.frameCount,
+        read: addr => this.peek(addr) ?? 0,
+      });
+    } catch (err) {
+      // A broken condition stops execution rather than being silently ignored
+      return true;
+    }
+  }
+
+  // ===========================================================================
+  // INSPECTION
+  // ===========================================================================
+
+  /**
+   * Address of the next instruction. CPU.REG_PC holds that minus one.
+   * @returns {number}
+   */
+  getPC() {
+    return (this.nes.cpu.REG_PC + 1) & 0xFFFF;
+  }
+
+  // An interrupt is taken before the instruction at PC runs
+  interruptPending() {
+    const cpu = this.nes.cpu;
+    return cpu.irqRequested && (cpu.irqType !== 0 || cpu.F_INTERRUPT === 0);
+  }
+
+  /**
+   * @returns {{PC: number, A: number, X: number, Y: number, SP: number, P: number,
+   *            scanline: number, cycle: number, frame: number, cpuCycles: number}}
+   */
+  getRegisters() {
+    const cpu = this.nes.cpu;
+    return {
+      PC: this.getPC(),
+      A: cpu.REG_ACC,
+      X: cpu.REG_X,
+      Y: cpu.REG_Y,
+      SP: cpu.REG_SP,
+      P: cpu.getStatus(),
+      scanline: this.nes.ppu.scanline,
+      cycle: this.nes.ppu.cycle,
+      frame: this.nes.frameCount,
+      cpuCycles: cpu.cycleCount,
+    };
+  }
+
+  /**
+   * Read CPU memory without side effects: no PPU/APU register reads, no
+   * mapper latches. PRG-ROM is read through the mapper's current banks
+   * (getPrgOffset) with Game Genie patches applied, as the CPU sees it;
+   * $6000-$7FFF, and $8000-$FFFF on boards without PRG-ROM there (FDS RAM
+   * and BIOS), go through the mapper's own mapping (Mapper.peek).
+   * @param {number} address
+   * @returns {number|null} Null for I/O registers and unmapped space
+   */
+  peek(address) {
+    const nes = this.nes;
+    address &= 0xFFFF;
+    if (address < 0x2000) return nes.cpu.mem[address & 0x7FF];
+    if (!nes.mmap || address < 0x6000) return null;
+    if (address < 0x8000) return nes.mmap.peek(address) ?? null;
+
+    const offset = nes.mmap.getPrgOffset(address);
+    const value = offset === null ? nes.mmap.peek(address) : nes.mmap.prgData[offset];
+    if (value === undefined || value === null) return null;
+    return nes.cheats.romPatchCount > 0 ? nes.cheats.patchRead(address, value) : value;
+  }
+
+  /**
+   * PRG-ROM bank (8KB units) mapped at a CPU address
+   * @param {number} address
+   * @returns {number|null}
+   */
+  getPrgBank(address) {
+    if (!this.nes.mmap) return null;
+    const offset = this.nes.mmap.getPrgOffset(address);
+    return offset === null ? null : offset >> 13;
+  }
+
+  /**
+   * Disassemble forward from `address` (default: PC)
+   * @param {number} [address]
+   * @param {number} [count=16]
+   * @returns {Array<Object>} disassemble() results plus `bank`, `current` and `breakpoint`
+   */
+  disassemble(address = this.getPC(), count = 16) {
+    const pc = this.getPC();
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+      const ins = disassemble(addr => this.peek(addr) ?? 0, address);
+      lines.push({
+        ...ins,
+        bank: this.getPrgBank(address),
+        current: address === pc,
+        breakpoint: this.breakpoints.some(bp => bp.type === 'exec' && address >= bp.address && address <= bp.end),
+      });
+      address = (address + ins.size) & 0xFFFF;
+    }
+    return lines;
+  }
+}
+
+/**
+ * Compile a breakpoint condition into a function of the register context
+ * @param {string} text - e.g. "A == $10 && read($0300) > 3"
+ * @returns {Function|null} Null for an empty condition
+ * @throws {Error} If the expression uses anything but known names, numbers and operators
+ */
+export function compileCondition(text) {
+  const source = (text || '').trim();
+  if (!source) return null;
+
+  const expression = source.replace(/\$([0-9a-fA-F]+)/g, '0x$1');
+  if (!/^[\w\s()+\-*/%<>=!&|^~?:,]*$/.test(expression)) {
+    throw new Error(`Invalid character in condition "${source}"`);
+  }
+  if (/(^|[^=!<>])=(?!=)/.test(expression)) {
+    throw new Error('Use == to compare in conditions');
+  }
+  for (const token of expression.match(CONDITION_TOKEN) || []) {
+    if (/^(0x|\d)/i.test(token)) continue;
+    if (!CONDITION_NAMES.includes(token)) throw new Error(`Unknown name "${token}" in condition`);
+  }
+
+  try {
+    return new Function('ctx', `const { ${CONDITION_NAMES.join(', ')} } = ctx; return (${expression});`);
+  } catch (err) {
+    throw new Error(`Invalid condition "${source}": ${err.message}`);
+  }
+}
@@ -0,0 +1,152 @@
+// =============================================================================
+// 6502 DISASSEMBLER
+// Decodes one instruction at a time through a caller-supplied read function,
+// so it works on live CPU memory, a single PRG bank or a raw buffer.
+// Usage: import { disassemble } from './disassembler.js';
+//        const ins = disassemble(addr => debugger.peek(addr), 0xC000);
+//        // { address: 0xC000, size: 3, bytes: [0x4C, 0xF5, 0xC5], text: 'JMP $C5F5', ... }
+//
+// Unofficial opcodes use the names from the nesdev wiki (SLO, LAX, DCP...);
+// STP is the "KIL"/"JAM" family that halts a real 6502.
+// =============================================================================
+
+// Addressing modes
+export const MODE_IMP = 0;  // CLC
+export const MODE_ACC = 1;  // LSR A
+export const MODE_IMM = 2;  // LDA #$10
+export const MODE_ZP = 3;   // LDA $10
+export const MODE_ZPX = 4;  // LDA $10,X
+export const MODE_ZPY = 5;  // LDX $10,Y
+export const MODE_ABS = 6;  // LDA $1234
+export const MODE_ABX = 7;  // LDA $1234,X
+export const MODE_ABY = 8;  // LDA $1234,Y
+export const MODE_IND = 9;  // JMP ($1234)
+export const MODE_IZX = 10; // LDA ($10,X)
+export const MODE_IZY = 11; // LDA ($10),Y
+export const MODE_REL = 12; // BNE $C010
+
+const MODE_SIZES = [1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 2, 2, 2];
+
+const MODE_NAMES = {
+  imp: MODE_IMP, acc: MODE_ACC, imm: MODE_IMM, zp: MODE_ZP, zpx: MODE_ZPX,
+  zpy: MODE_ZPY, abs: MODE_ABS, abx: MODE_ABX, aby: MODE_ABY, ind: MODE_IND,
+  izx: MODE_IZX, izy: MODE_IZY, rel: MODE_REL,
+};
+
+// 16 opcodes per row, $00-$FF
+const OPCODE_TABLE = `
+  BRK:imp ORA:izx STP:imp SLO:izx NOP:zp  ORA:zp  ASL:zp  SLO:zp  PHP:imp ORA:imm ASL:acc ANC:imm NOP:abs ORA:abs ASL:abs SLO:abs
+  BPL:rel ORA:izy STP:imp SLO:izy NOP:zpx ORA:zpx ASL:zpx SLO:zpx CLC:imp ORA:aby NOP:imp SLO:aby NOP:abx ORA:abx ASL:abx SLO:abx
+  JSR:abs AND:izx STP:imp RLA:izx BIT:zp  AND:zp  ROL:zp  RLA:zp  PLP:imp AND:imm ROL:acc ANC:imm BIT:abs AND:abs ROL:abs RLA:abs
+  BMI:rel AND:izy STP:imp RLA:izy NOP:zpx AND:zpx ROL:zpx RLA:zpx SEC:imp AND:aby NOP:imp RLA:aby NOP:abx AND:abx ROL:abx RLA:abx
+  RTI:imp EOR:izx STP:imp SRE:izx NOP:zp  EOR:zp  LSR:zp  SRE:zp  PHA:imp EOR:imm LSR:acc ALR:imm JMP:abs EOR:abs LSR:abs SRE:abs
+  BVC:rel EOR:izy STP:imp SRE:izy NOP:zpx EOR:zpx LSR:zpx SRE:zpx CLI:imp EOR:aby NOP:imp SRE:aby NOP:abx EOR:abx LSR:abx SRE:abx
+  RTS:imp ADC:izx STP:imp RRA:izx NOP:zp  ADC:zp  ROR:zp  RRA:zp  PLA:imp ADC:imm ROR:acc ARR:imm JMP:ind ADC:abs ROR:abs RRA:abs
+  BVS:rel ADC:izy STP:imp RRA:izy NOP:zpx ADC:zpx ROR:zpx RRA:zpx SEI:imp ADC:aby NOP:imp RRA:aby NOP:abx ADC:abx ROR:abx RRA:abx
+  NOP:imm STA:izx NOP:imm SAX:izx STY:zp  STA:zp  STX:zp  SAX:zp  DEY:imp NOP:imm TXA:imp XAA:imm STY:abs STA:abs STX:abs SAX:abs
+  BCC:rel STA:izy STP:imp AHX:izy STY:zpx STA:zpx STX:zpy SAX:zpy TYA:imp STA:aby TXS:imp TAS:aby SHY:abx STA:abx SHX:aby AHX:aby
+  LDY:imm LDA:izx LDX:imm LAX:izx LDY:zp  LDA:zp  LDX:zp  LAX:zp  TAY:imp LDA:imm TAX:imp LAX:imm LDY:abs LDA:abs LDX:abs LAX:abs
+  BCS:rel LDA:izy STP:imp LAX:izy LDY:zpx LDA:zpx LDX:zpy LAX:zpy CLV:imp LDA:aby TSX:imp LAS:aby LDY:abx LDA:abx LDX:aby LAX:aby
+  CPY:imm CMP:izx NOP:imm DCP:izx CPY:zp  CMP:zp  DEC:zp  DCP:zp  INY:imp CMP:imm DEX:imp AXS:imm CPY:abs CMP:abs DEC:abs DCP:abs
+  BNE:rel CMP:izy STP:imp DCP:izy NOP:zpx CMP:zpx DEC:zpx DCP:zpx CLD:imp CMP:aby NOP:imp DCP:aby NOP:abx CMP:abx DEC:abx DCP:abx
+  CPX:imm SBC:izx NOP:imm ISC:izx CPX:zp  SBC:zp  INC:zp  ISC:zp  INX:imp SBC:imm NOP:imp SBC:imm CPX:abs SBC:abs INC:abs ISC:abs
+  BEQ:rel SBC:izy STP:imp ISC:izy NOP:zpx SBC:zpx INC:zpx ISC:zpx SED:imp SBC:aby NOP:imp ISC:aby NOP:abx SBC:abx INC:abx ISC:abx
+`.trim().split(/\s+/).map(entry => {
+  const [mnemonic, mode] = entry.split(':');
+  return { mnemonic, mode: MODE_NAMES[mode] };
+});
+
+// Documented opcodes; everything else is flagged `unofficial`
+const OFFICIAL_MNEMONICS = new Set([
+  'ADC', 'AND', 'ASL', 'BCC', 'BCS', 'BEQ', 'BIT', 'BMI', 'BNE', 'BPL', 'BRK', 'BVC', 'BVS', 'CLC',
+  'CLD', 'CLI', 'CLV', 'CMP', 'CPX', 'CPY', 'DEC', 'DEX', 'DEY', 'EOR', 'INC', 'INX', 'INY', 'JMP',
+  'JSR', 'LDA', 'LDX', 'LDY', 'LSR', 'NOP', 'ORA', 'PHA', 'PHP', 'PLA', 'PLP', 'ROL', 'ROR', 'RTI',
+  'RTS', 'SBC', 'SEC', 'SED', 'SEI', 'STA', 'STX', 'STY', 'TAX', 'TAY', 'TSX', 'TXA', 'TXS', 'TYA',
+]);
+
+/**
+ * Decode the instruction at `address`
+ * @param {Function} read - read(address) => byte (should have no side effects)
+ * @param {number} address
+ * @returns {{address: number, opcode: number, mnemonic: string, mode: number, size: number,
+ *            bytes: number[], operand: number|null, target: number|null, unofficial: boolean, text: string}}
+ *   `operand` is the raw 8/16-bit operand; `target` is the branch destination for relative
+ *   branches, otherwise the operand address for zp/abs modes
+ */
+export function disassemble(read, address) {
+  const opcode = read(address) & 0xFF;
+  const { mnemonic, mode } = OPCODE_TABLE[opcode];
+  const size = MODE_SIZES[mode];
+
+  const bytes = [opcode];
+  for (let i = 1; i < size; i++) bytes.push(read((address + i) & 0xFFFF) & 0xFF);
+
+  let operand = null;
+  if (size === 2) operand = bytes[1];
+  if (size === 3) operand = bytes[1] | (bytes[2] << 8);
+
+  let target = operand;
+  if (mode === MODE_REL) {
+    target = (address + 2 + (operand < 0x80 ? operand : operand - 256)) & 0xFFFF;
+  }
+
+  // NOP-family unofficial opcodes share the NOP mnemonic; flag them by opcode
+  const unofficial = !OFFICIAL_MNEMONICS.has(mnemonic) || (mnemonic === 'NOP' && opcode !== 0xEA) ||
+    (mnemonic === 'SBC' && opcode === 0xEB);
+
+  return {
+    address,
+    opcode,
+    mnemonic,
+    mode,
+    size,
+    bytes,
+    operand,
+    target: mode === MODE_IMM || mode === MODE_IMP || mode === MODE_ACC ? null : target,
+    unofficial,
+    text: formatInstruction(mnemonic, mode, operand, target),
+  };
+}
+
+/**
+ * @param {number} opcode
+ * @returns {number} Instruction length in bytes
+ */
+export function getInstructionSize(opcode) {
+  return MODE_SIZES[OPCODE_TABLE[opcode & 0xFF].mode];
+}
+
+/**
+ * @param {number} opcode
+ * @returns {string} Mnemonic, e.g. 'LDA'
+ */
+export function getMnemonic(opcode) {
+  return OPCODE_TABLE[opcode & 0xFF].mnemonic;
+}
+
+function formatInstruction(mnemonic, mode, operand, target) {
+  switch (mode) {
+    case MODE_IMP: return mnemonic;
+    case MODE_ACC: return `${mnemonic} A`;
+    case MODE_IMM: return `${mnemonic} #$${hex8(operand)}`;
+    case MODE_ZP: return `${mnemonic} $${hex8(operand)}`;
+    case MODE_ZPX: return `${mnemonic} $${hex8(operand)},X`;
+    case MODE_ZPY: return `${mnemonic} $${hex8(operand)},Y`;
+    case MODE_ABS: return `${mnemonic} $${hex16(operand)}`;
+    case MODE_ABX: return `${mnemonic} $${hex16(operand)},X`;
+    case MODE_ABY: return `${mnemonic} $${hex16(operand)},Y`;
+    case MODE_IND: return `${mnemonic} ($${hex16(operand)})`;
+    case MODE_IZX: return `${mnemonic} ($${hex8(operand)},X)`;
+    case MODE_IZY: return `${mnemonic} ($${hex8(operand)}),Y`;
+    case MODE_REL: return `${mnemonic} $${hex16(target)}`;
+  }
+  return mnemonic;
+}
+
+function hex8(value) {
+  return value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function hex16(value) {
+  return value.toString(16).toUpperCase().padStart(4, '0');
+}
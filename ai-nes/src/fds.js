@@ -0,0 +1,156 @@
+// =============================================================================
+// FAMICOM DISK SYSTEM IMAGES
+// Parses .fds disk images (with or without the 16-byte fwNES header) into their
+// 65500-byte sides, and converts sides between the .fds layout and the bit
+// stream the drive sees. ROM.load() turns the result into a cartridge for the
+// disk drive mapper (mappers/mapper-fds.js); the console's BIOS comes from the
+// user (NES opts.fdsBios).
+// Usage: if (isFds(data)) {
+//          const fds = parseFds(data);
+//          fds.sides.length, getFdsSideLabel(1)   // "Disk 1 Side B"
+//        }
+// =============================================================================
+
+/** iNES mapper 20 is reserved for the Famicom Disk System */
+export const FDS_MAPPER_ID = 20;
+
+/** Bytes per disk side in an .fds image */
+export const FDS_SIDE_SIZE = 65500;
+
+/** Size of the disksys.rom BIOS */
+export const FDS_BIOS_SIZE = 0x2000;
+
+const FWNES_HEADER_SIZE = 16;
+const DISK_MAGIC = '*NINTENDO-HVC*';
+
+// Gaps the drive sees around blocks, in bytes: the lead-in before the first
+// block and the gap after each block's CRC
+const LEAD_IN_GAP = 28300 / 8;
+const BLOCK_GAP = 976 / 8;
+const GAP_END_MARK = 0x80;
+
+// Block type -> length in bytes, including the type byte (file data: see below)
+const BLOCK_SIZES = { 1: 56, 2: 2, 3: 16 };
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean} True for .fds images, with or without the fwNES header
+ */
+export function isFds(data) {
+  if (!data || data.length < FWNES_HEADER_SIZE) return false;
+  if (data[0] === 0x46 && data[1] === 0x44 && data[2] === 0x53 && data[3] === 0x1A) return true;
+  return data[0] === 0x01 && readText(data, 1, DISK_MAGIC.length) === DISK_MAGIC;
+}
+
+/**
+ * @param {number} side - 0-based side index
+ * @returns {string} "Disk 1 Side A"
+ */
+export function getFdsSideLabel(side) {
+  return `Disk ${(side >> 1) + 1} Side ${side & 1 ? 'B' : 'A'}`;
+}
+
+/**
+ * @typedef {Object} FdsInfo
+ * @property {Uint8Array[]} sides - FDS_SIDE_SIZE bytes each, in .fds layout
+ * @property {string} gameCode - Three-letter game code from the first side's disk header
+ * @property {number} manufacturer - Licensee code from the disk header
+ * @property {number} revision - Game revision from the disk header
+ */
+
+/**
+ * Split an .fds image into sides. Throws if it holds no disk.
+ * @param {Uint8Array} data
+ * @returns {FdsInfo}
+ */
+export function parseFds(data) {
+  if (!isFds(data)) throw new Error('Not an FDS disk image');
+
+  const hasHeader = data[0] === 0x46;
+  const start = hasHeader ? FWNES_HEADER_SIZE : 0;
+  // The header's side count is often wrong; trust the file length
+  const sideCount = Math.floor((data.length - start) / FDS_SIDE_SIZE);
+  if (sideCount === 0) throw new Error('FDS image is truncated (no complete disk side)');
+
+  const sides = [];
+  for (let i = 0; i < sideCount; i++) {
+    const offset = start + i * FDS_SIDE_SIZE;
+    sides.push(data.slice(offset, offset + FDS_SIDE_SIZE));
+  }
+
+  const header = sides[0];
+  if (header[0] !== 0x01 || readText(header, 1, DISK_MAGIC.length) !== DISK_MAGIC) {
+    throw new Error('FDS image has no disk header');
+  }
+
+  return {
+    sides,
+    gameCode: readText(header, 0x10, 3).trim(),
+    manufacturer: header[0x0F],
+    revision: header[0x14],
+  };
+}
+
+/**
+ * Lay out an .fds side the way the drive reads it: a lead-in gap, then each
+ * block behind a start mark and followed by a CRC and a gap. The CRC bytes
+ * are placeholders; the drive emulation does not check them on reads.
+ * @param {Uint8Array} side - FDS_SIDE_SIZE bytes in .fds layout
+ * @returns {Uint8Array} At least FDS_SIDE_SIZE bytes
+ */
+export function addFdsGaps(side) {
+  const out = [];
+  for (let i = 0; i < LEAD_IN_GAP; i++) out.push(0);
+
+  let fileSize = 0;
+  for (let pos = 0; pos < side.length;) {
+    const type = side[pos];
+    const length = type === 4 ? 1 + fileSize : BLOCK_SIZES[type];
+    if (!length || pos + length > side.length) break; // Unused space
+
+    if (type === 3) fileSize = side[pos + 13] | (side[pos + 14] << 8);
+    out.push(GAP_END_MARK);
+    for (let i = 0; i < length; i++) out.push(side[pos + i]);
+    out.push(0x4D, 0x62);
+    for (let i = 0; i < BLOCK_GAP; i++) out.push(0);
+    pos += length;
+  }
+
+  const raw = new Uint8Array(Math.max(out.length, FDS_SIDE_SIZE));
+  raw.set(out);
+  return raw;
+}
+
+/**
+ * Undo addFdsGaps(): pull the blocks back out of a side as the drive left it,
+ * including blocks the game wrote.
+ * @param {Uint8Array} raw - Side with gaps, start marks and CRCs
+ * @returns {Uint8Array} FDS_SIDE_SIZE bytes in .fds layout
+ */
+export function removeFdsGaps(raw) {
+  const side = new Uint8Array(FDS_SIDE_SIZE);
+  let out = 0;
+  let fileSize = 0;
+
+  let pos = 0;
+  for (;;) {
+    while (pos < raw.length && raw[pos] !== GAP_END_MARK) pos++;
+    pos++; // Start mark
+
+    const type = raw[pos];
+    const length = type === 4 ? 1 + fileSize : BLOCK_SIZES[type];
+    if (pos >= raw.length || !length || pos + length > raw.length || out + length > FDS_SIDE_SIZE) break;
+
+    if (type === 3) fileSize = raw[pos + 13] | (raw[pos + 14] << 8);
+    side.set(raw.subarray(pos, pos + length), out);
+    out += length;
+    pos += length + 2; // Block and CRC
+  }
+  return side;
+}
+
+function readText(data, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) text += String.fromCharCode(data[offset + i]);
+  return text;
+}
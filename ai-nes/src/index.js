@@ -1,5 +1,24 @@
 export { NES } from './nes.js';
 export { Controller } from './controller.js';
 export { ROM } from './rom.js';
-export { applyCompatibilityFixes } from './compatibility.js';
-export * from './nes-save-states.js';
\ No newline at end of file
+export { applyPatch, createIPS, getPatchFormat, isPatchFileName, PATCH_EXTENSIONS } from './patch.js';
+export { isZip, listZipEntries, extractZipEntry, inflateRaw } from './zip.js';
+export { isNsf, parseNsf, getNsfChipNames, getNsfChipLabel, NSF_CHIPS } from './nsf.js';
+export { isFds, parseFds, getFdsSideLabel, FDS_SIDE_SIZE } from './fds.js';
+export { isUnif, parseUnif } from './unif.js';
+export { INPUT_DEVICES, loadCartridgeDb, parseCartridgeDb, findCartridge, applyCompatibilityFixes } from './cartridge-db.js';
+export { REGIONS, REGION_NAMES, detectRegion, detectRegionFromFileName } from './region.js';
+export * from './nes-save-states.js';
+export * from './nes-battery.js';
+export * from './nes-rewind.js';
+export * from './nes-movie.js';
+export * from './nes-cheats.js';
+export * from './nes-cartridge-db.js';
+export { CheatEngine, decodeGameGenie, parseCheatCode } from './cheats.js';
+export { RamSearch } from './ram-search.js';
+export * from './nes-debugger.js';
+export * from './nes-nsf-player.js';
+export * from './nes-fds.js';
+export { Debugger, compileCondition } from './debugger.js';
+export { disassemble, getInstructionSize, getMnemonic } from './disassembler.js';
+export { TraceLogger } from './trace-logger.js';
@@ -31,14 +31,17 @@ export default class Mapper {
             this.chrPagesMap[i] = (this.chrBankCount > 0) ? (i % this.chrBankCount) << 10 : 0;
         }
 
-        // PRG-RAM (most mappers have 8KB of SRAM at $6000-$7FFF)
-        this.prgRam = new Uint8Array(0x2000); // 8KB
+        // PRG-RAM (most mappers have 8KB of SRAM at $6000-$7FFF; NES 2.0 headers give the size)
+        this.prgRam = new Uint8Array(this.getPrgRamSize(0x2000));
         this.fillRam(this.prgRam);
 
         // CHR-RAM (for cartridges without CHR-ROM)
         this.chrRam = null;
         this.usingChrRam = false;
 
+        // Battery-backed PRG-RAM (iNES header byte 6, bit 1)
+        this.hasBattery = !!cartridge.batteryRam;
+
         // Capability flags - mappers set these to enable PPU features
         this.hasChrLatch = false;     // MMC2/MMC4 style CHR latching
         this.hasScanlineIrq = false;  // MMC3-style A12-based scanline counter
@@ -57,7 +60,7 @@ export default class Mapper {
             ram.fill(0xFF);
         } else if (pattern === 'random') {
             for (let i = 0; i < ram.length; i++) {
-                ram[i] = (Math.random() * 256) | 0;
+                ram[i] = (this.nes.random() * 256) | 0;
             }
         }
     }
@@ -144,9 +147,24 @@ export default class Mapper {
         }
     }
 
+    // PRG-RAM bytes (volatile + battery-backed) from an NES 2.0 header, or the
+    // board default when the header doesn't say. A header size of 0 also falls
+    // back, so mappers that index $6000-$7FFF directly always have a buffer.
+    getPrgRamSize(defaultSize = 0x2000) {
+        const size = (this.cartridge.prgRamSize || 0) + (this.cartridge.prgNvramSize || 0);
+        return size > 0 ? size : defaultSize;
+    }
+
+    // CHR-RAM bytes from an NES 2.0 header, or the board default
+    getChrRamSize(defaultSize = 0x2000) {
+        const size = (this.cartridge.chrRamSize || 0) + (this.cartridge.chrNvramSize || 0);
+        return size > 0 ? size : defaultSize;
+    }
+
     // CHR-RAM support
     useVRAM(numBanks = 8) {
-        // Allocate CHR-RAM instead of using CHR-ROM
+        // Allocate CHR-RAM instead of using CHR-ROM; an NES 2.0 header overrides the board default
+        numBanks = Math.max(1, this.getChrRamSize(numBanks << 10) >> 10);
         this.usingChrRam = true;
         this.chrData = new Uint8Array(numBanks << 10); // numBanks x 1KB (<< 10 = * 0x400)
         this.chrRam = this.chrData; // Alias for compatibility
@@ -249,6 +267,51 @@ export default class Mapper {
         // Default: do nothing. Used by MMC5.
     }
 
+    // ==========================================================
+    // DEBUGGER SUPPORT
+    // ==========================================================
+
+    // Offset into prgData of the PRG-ROM byte the CPU sees at `address`
+    // ($8000-$FFFF), or null if none. Used by the debugger to read code
+    // without side effects and to show which bank is mapped. Mappers that
+    // track banks outside prgPagesMap override this.
+    getPrgOffset(address) {
+        if (address < 0x8000 || !this.prgData || this.prgData.length === 0) return null;
+        return (this.prgPagesMap[(address >> 13) & 3] + (address & 0x1FFF)) % this.prgData.length;
+    }
+
+    // The byte the CPU would read at `address` ($6000-$FFFF) through the
+    // current mapping, without side effects. Used by the debugger for PRG-RAM
+    // and anything else getPrgOffset() can't place. cpuRead() is already
+    // side-effect free there on most boards; those where it isn't override this.
+    peek(address) {
+        return this.cpuRead(address);
+    }
+
+    // ==========================================================
+    // BATTERY-BACKED RAM
+    // ==========================================================
+
+    // Called by mappers after a CPU write lands in PRG-RAM.
+    // Battery-backed boards forward it so the front end can persist SRAM.
+    onPrgRamWrite(address, data) {
+        if (this.hasBattery) {
+            this.nes.opts.onBatteryRamWrite(address, data);
+        }
+    }
+
+    // Restores a raw .sav image into PRG-RAM. Shorter images fill from the start.
+    loadBatteryRam(data) {
+        if (!this.prgRam || !data) return;
+        const len = Math.min(data.length, this.prgRam.length);
+        this.prgRam.set(data.subarray(0, len));
+    }
+
+    // Returns the PRG-RAM image to persist, or null if the board has no battery.
+    getBatteryRam() {
+        return (this.hasBattery && this.prgRam) ? this.prgRam : null;
+    }
+
     // ==========================================================
     // SAVE STATE SUPPORT
     // ==========================================================
@@ -9,13 +9,22 @@ import Mapper006 from './mapper006.js';
 import Mapper007 from './mapper007.js';
 import Mapper009 from './mapper009.js';
 import Mapper011 from './mapper011.js';
-import Mapper025 from './mapper025.js';
+import Mapper019 from './mapper019.js';
+import Mapper024 from './mapper024.js';
+import Mapper026 from './mapper026.js';
 import Mapper034 from './mapper034.js';
 import Mapper047 from './mapper047.js';
+import Mapper064 from './mapper064.js';
 import Mapper066 from './mapper066.js';
 import Mapper069 from './mapper069.js';
 import Mapper079 from './mapper079.js';
+import Mapper085 from './mapper085.js';
 import Mapper206 from './mapper206.js';
+import Vrc24Mapper from './mapper-vrc24.js';
+import FdsMapper from './mapper-fds.js';
+import NsfMapper from './mapper-nsf.js';
+import { NSF_MAPPER_ID } from '../nsf.js';
+import { FDS_MAPPER_ID } from '../fds.js';
 
 // Registry of supported mappers (expand as new mappers are added)
 const registry = {
@@ -29,15 +38,57 @@ const registry = {
   7: Mapper007,
   9: Mapper009,
   11: Mapper011,
-  25: Mapper025,
+  19: Mapper019,
+  [FDS_MAPPER_ID]: FdsMapper,
+  21: Vrc24Mapper,
+  22: Vrc24Mapper,
+  23: Vrc24Mapper,
+  24: Mapper024,
+  25: Vrc24Mapper,
+  26: Mapper026,
   34: Mapper034,
   47: Mapper047,
+  64: Mapper064,
   66: Mapper066,
   69: Mapper069,
   79: Mapper079,
-  206: Mapper206
+  85: Mapper085,
+  206: Mapper206,
+  [NSF_MAPPER_ID]: NsfMapper
 };
 
+// UNIF board names -> iNES mapper, grouped by mapper. Names are listed without
+// their NES-/UNL-/HVC-/BTL-/BMC- prefix. Boards wired for four-screen VRAM say
+// so here, since their MIRR chunk often does not.
+const UNIF_BOARDS = [
+  { mapper: 0, boards: ['NROM', 'NROM-128', 'NROM-256', 'RROM', 'RROM-128'] },
+  { mapper: 1, boards: ['SAROM', 'SBROM', 'SCROM', 'SEROM', 'SFROM', 'SGROM', 'SHROM', 'SJROM', 'SKROM',
+    'SLROM', 'SL1ROM', 'SL2ROM', 'SL3ROM', 'SLRROM', 'SNROM', 'SOROM', 'SUROM', 'SXROM'] },
+  { mapper: 2, boards: ['UNROM', 'UOROM'] },
+  { mapper: 3, boards: ['CNROM'] },
+  { mapper: 4, boards: ['TBROM', 'TEROM', 'TFROM', 'TGROM', 'TKROM', 'TLROM', 'TL1ROM', 'TL2ROM', 'TSROM'] },
+  { mapper: 4, fourScreen: true, boards: ['TR1ROM', 'TVROM'] },
+  { mapper: 5, boards: ['EKROM', 'ELROM', 'ETROM', 'EWROM'] },
+  { mapper: 6, boards: ['HKROM'] },
+  { mapper: 7, boards: ['AMROM', 'ANROM', 'AN1ROM', 'AOROM'] },
+  { mapper: 9, boards: ['PNROM', 'PEEOROM'] },
+  { mapper: 34, boards: ['BNROM'] },
+  { mapper: 47, boards: ['QJ'] },
+  { mapper: 66, boards: ['GNROM', 'MHROM'] },
+  { mapper: 69, boards: ['BTR', 'JLROM', 'JSROM'] },
+  { mapper: 79, boards: ['SA-016-1M'] }, // Sachen 3015 (mapper 146), a NINA-06 clone
+  { mapper: 85, boards: ['VRC7'] },
+  { mapper: 206, boards: ['DEROM', 'DE1ROM'] },
+  { mapper: 206, fourScreen: true, boards: ['DRROM'] },
+];
+
+const UNIF_PREFIX = /^(NES|UNL|HVC|BTL|BMC)-/;
+
+const unifBoards = new Map();
+for (const { mapper, submapper = 0, fourScreen = false, boards } of UNIF_BOARDS) {
+  for (const board of boards) unifBoards.set(board, { mapper, submapper, fourScreen });
+}
+
 /**
  * Creates a mapper instance for the given ROM
  * @param {number} mapperId - Mapper number from ROM header
@@ -57,21 +108,6 @@ export function createMapper(mapperId, cartridge, nes) {
     console.warn('createMapper: No NES reference available on cartridge');
   }
 
-  // CRC Overrides for games with incorrect headers
-  if (cartridge && cartridge.getCRC32) {
-      const crc = cartridge.getCRC32().toString(16).toUpperCase();
-      // Gauntlet (Tengen/Licensed) - Force Mapper 206
-      if (crc === 'EC968C51' || crc === 'CD50A092') {
-          console.log(`[MapperFactory] Detected Gauntlet (CRC: ${crc}). Forcing Mapper 206.`);
-          mapperId = 206;
-      }
-      // StarTropics 1 & 2 (MMC6) - Force Mapper 6
-      if (crc === '889129CB' || crc === 'D054FFB0') {
-          console.log(`[MapperFactory] Detected StarTropics (CRC: ${crc}). Forcing Mapper 6 (MMC6).`);
-          mapperId = 6;
-      }
-  }
-
   // Look up the mapper class
   const MapperClass = registry[mapperId];
 
@@ -100,4 +136,14 @@ export function isMapperSupported(mapperId) {
 **/
 export function getSupportedMappers() {
   return Object.keys(registry).map(Number);
-}
\ No newline at end of file
+}
+
+/**
+ * Mapper for a UNIF board name
+ * @param {string} board - MAPR chunk ("NES-TLROM", "UNL-SA-016-1M", ...)
+ * @returns {{mapper: number, submapper: number, fourScreen: boolean}|null} null if unsupported
+**/
+export function getUnifBoard(board) {
+  const name = board.toUpperCase();
+  return unifBoards.get(name) || unifBoards.get(name.replace(UNIF_PREFIX, '')) || null;
+}
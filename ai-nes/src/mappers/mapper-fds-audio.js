@@ -0,0 +1,332 @@
+// Famicom Disk System expansion audio (RP2C33 wavetable channel)
+//
+// Features:
+//   - 64-step, 6-bit wavetable at $4040-$407F, writable while $4089 bit 7 is set
+//   - 12-bit pitch ($4082/$4083) with a 16-bit phase accumulator
+//   - Frequency modulation: 32-entry table of 3-bit deltas ($4088) driving a
+//     7-bit signed counter ($4085), scaled by the mod envelope gain
+//   - Volume and mod envelopes ($4080/$4084), paced by the master speed ($408A)
+//   - Master volume 2/2, 2/3, 2/4 or 2/5 ($4089)
+//
+// Notes:
+//   - Envelopes tick every 8 * (speed + 1) * master speed CPU cycles; a
+//     master speed of 0 or $4083 bit 6 stops both.
+//   - Volume gain can be set up to 63, but output is limited to 32.
+//   - The hardware's 2kHz low-pass filter is not emulated.
+//   - $4090 and $4092 read back the envelope gains.
+//
+// References:
+//   - https://www.nesdev.org/wiki/FDS_audio
+
+import { toJSON, fromJSON } from "../utils.js";
+
+// $4089 bits 0-1: output scale out of 36 (2/2, 2/3, 2/4, 2/5)
+const MASTER_VOLUME = [36, 24, 17, 14];
+
+// Mod table entry -> counter change (4 resets the counter)
+const MOD_STEPS = [0, 1, 2, 4, 0, -4, -2, -1];
+
+// Full-volume FDS output is about 2.4x a full-volume APU pulse
+const OUTPUT_RATIO = 2.4;
+
+export class FdsAudio {
+  constructor(nes) {
+    this.nes = nes;
+    this.papu = nes ? nes.papu : null;
+
+    this.waveTable = new Uint8Array(64);
+    this.modTable = new Uint8Array(64);
+
+    this.waveWriteEnabled = false;
+    this.masterVolume = 0;
+    this.masterSpeed = 0xE8;
+    this.waveHalted = true;
+    this.envelopesHalted = false;
+
+    this.wavePitch = 0;
+    this.waveAccumulator = 0;
+    this.wavePosition = 0;
+    this.output = 0;
+
+    // Volume envelope ($4080)
+    this.volumeSpeed = 0;
+    this.volumeGain = 0;
+    this.volumeIncrease = false;
+    this.volumeDisabled = true;
+    this.volumeTimer = 0;
+
+    // Modulator ($4084-$4088)
+    this.modSpeed = 0;
+    this.modGain = 0;
+    this.modIncrease = false;
+    this.modEnvDisabled = true;
+    this.modTimer = 0;
+    this.modPitch = 0;
+    this.modHalted = true;
+    this.modCounter = 0;
+    this.modPosition = 0;
+    this.modAccumulator = 0;
+    this.modOutput = 0;
+
+    this.outputScale = null;
+
+    this.JSON_PROPERTIES = [
+      "waveWriteEnabled",
+      "masterVolume",
+      "masterSpeed",
+      "waveHalted",
+      "envelopesHalted",
+      "wavePitch",
+      "waveAccumulator",
+      "wavePosition",
+      "output",
+      "volumeSpeed",
+      "volumeGain",
+      "volumeIncrease",
+      "volumeDisabled",
+      "volumeTimer",
+      "modSpeed",
+      "modGain",
+      "modIncrease",
+      "modEnvDisabled",
+      "modTimer",
+      "modPitch",
+      "modHalted",
+      "modCounter",
+      "modPosition",
+      "modAccumulator",
+      "modOutput",
+    ];
+
+    this.reset();
+  }
+
+  reset() {
+    this.waveTable.fill(0);
+    this.modTable.fill(0);
+
+    this.waveWriteEnabled = false;
+    this.masterVolume = 0;
+    this.masterSpeed = 0xE8;
+    this.waveHalted = true;
+    this.envelopesHalted = false;
+
+    this.wavePitch = 0;
+    this.waveAccumulator = 0;
+    this.wavePosition = 0;
+    this.output = 0;
+
+    this.volumeSpeed = 0;
+    this.volumeGain = 0;
+    this.volumeIncrease = false;
+    this.volumeDisabled = true;
+    this.volumeTimer = 0;
+
+    this.modSpeed = 0;
+    this.modGain = 0;
+    this.modIncrease = false;
+    this.modEnvDisabled = true;
+    this.modTimer = 0;
+    this.modPitch = 0;
+    this.modHalted = true;
+    this.modCounter = 0;
+    this.modPosition = 0;
+    this.modAccumulator = 0;
+    this.modOutput = 0;
+
+    this.updateOutputScale();
+  }
+
+  updateOutputScale() {
+    const pulseMax = this.papu && this.papu.square_table
+      ? this.papu.square_table[15 << 4]
+      : 0.149;
+    this.outputScale = pulseMax * OUTPUT_RATIO / 63;
+  }
+
+  // $4040-$408A
+  writeRegister(addr, value) {
+    if (addr < 0x4080) {
+      if (this.waveWriteEnabled) this.waveTable[addr & 0x3F] = value & 0x3F;
+      return;
+    }
+
+    switch (addr) {
+      case 0x4080:
+        this.volumeSpeed = value & 0x3F;
+        this.volumeIncrease = (value & 0x40) !== 0;
+        this.volumeDisabled = (value & 0x80) !== 0;
+        if (this.volumeDisabled) this.volumeGain = this.volumeSpeed;
+        this.volumeTimer = this.getEnvelopePeriod(this.volumeSpeed);
+        break;
+      case 0x4082:
+        this.wavePitch = (this.wavePitch & 0x0F00) | value;
+        this.updateModOutput();
+        break;
+      case 0x4083:
+        this.wavePitch = (this.wavePitch & 0x00FF) | ((value & 0x0F) << 8);
+        this.envelopesHalted = (value & 0x40) !== 0;
+        this.waveHalted = (value & 0x80) !== 0;
+        if (this.waveHalted) {
+          this.waveAccumulator = 0;
+          this.wavePosition = 0;
+        }
+        if (this.envelopesHalted) {
+          this.volumeTimer = this.getEnvelopePeriod(this.volumeSpeed);
+          this.modTimer = this.getEnvelopePeriod(this.modSpeed);
+        }
+        this.updateModOutput();
+        break;
+      case 0x4084:
+        this.modSpeed = value & 0x3F;
+        this.modIncrease = (value & 0x40) !== 0;
+        this.modEnvDisabled = (value & 0x80) !== 0;
+        if (this.modEnvDisabled) this.modGain = this.modSpeed;
+        this.modTimer = this.getEnvelopePeriod(this.modSpeed);
+        this.updateModOutput();
+        break;
+      case 0x4085:
+        this.setModCounter(value & 0x7F);
+        this.updateModOutput();
+        break;
+      case 0x4086:
+        this.modPitch = (this.modPitch & 0x0F00) | value;
+        break;
+      case 0x4087:
+        this.modPitch = (this.modPitch & 0x00FF) | ((value & 0x0F) << 8);
+        this.modHalted = (value & 0x80) !== 0;
+        if (this.modHalted) this.modAccumulator = 0;
+        break;
+      case 0x4088:
+        // Only while the modulator is halted; each entry fills two steps
+        if (this.modHalted) {
+          this.modTable[this.modPosition] = value & 0x07;
+          this.modTable[(this.modPosition + 1) & 0x3F] = value & 0x07;
+          this.modPosition = (this.modPosition + 2) & 0x3F;
+        }
+        break;
+      case 0x4089:
+        this.masterVolume = value & 0x03;
+        this.waveWriteEnabled = (value & 0x80) !== 0;
+        break;
+      case 0x408A:
+        this.masterSpeed = value;
+        break;
+    }
+  }
+
+  // $4040-$407F wave RAM, $4090 volume gain, $4092 mod gain. Bits 6-7 are open bus.
+  readRegister(addr, openBus) {
+    if (addr >= 0x4040 && addr < 0x4080) {
+      return (openBus & 0xC0) | this.waveTable[addr & 0x3F];
+    }
+    if (addr === 0x4090) return (openBus & 0xC0) | this.volumeGain;
+    if (addr === 0x4092) return (openBus & 0xC0) | this.modGain;
+    return undefined;
+  }
+
+  getEnvelopePeriod(speed) {
+    return 8 * (speed + 1) * this.masterSpeed;
+  }
+
+  // 7-bit two's complement
+  setModCounter(value) {
+    this.modCounter = value >= 64 ? value - 128 : value;
+  }
+
+  clock(cpuCycles) {
+    for (let i = 0; i < cpuCycles; i++) {
+      this.tick();
+    }
+  }
+
+  tick() {
+    if (!this.waveHalted && !this.envelopesHalted && this.masterSpeed > 0) {
+      if (!this.volumeDisabled && --this.volumeTimer <= 0) {
+        this.volumeTimer = this.getEnvelopePeriod(this.volumeSpeed);
+        if (this.volumeIncrease) {
+          if (this.volumeGain < 32) this.volumeGain++;
+        } else if (this.volumeGain > 0) {
+          this.volumeGain--;
+        }
+      }
+      if (!this.modEnvDisabled && --this.modTimer <= 0) {
+        this.modTimer = this.getEnvelopePeriod(this.modSpeed);
+        if (this.modIncrease) {
+          if (this.modGain < 32) this.modGain++;
+        } else if (this.modGain > 0) {
+          this.modGain--;
+        }
+        this.updateModOutput();
+      }
+    }
+
+    if (!this.modHalted && this.modPitch > 0) {
+      this.modAccumulator += this.modPitch;
+      if (this.modAccumulator > 0xFFFF) {
+        this.modAccumulator &= 0xFFFF;
+        const step = this.modTable[this.modPosition];
+        this.setModCounter(step === 4 ? 0 : (this.modCounter + MOD_STEPS[step]) & 0x7F);
+        this.modPosition = (this.modPosition + 1) & 0x3F;
+        this.updateModOutput();
+      }
+    }
+
+    if (this.waveHalted) return;
+
+    // The output holds while the CPU has wave RAM
+    if (!this.waveWriteEnabled) {
+      const gain = Math.min(this.volumeGain, 32);
+      this.output = (this.waveTable[this.wavePosition] * gain * MASTER_VOLUME[this.masterVolume]) / 1152;
+    }
+
+    const pitch = this.wavePitch + this.modOutput;
+    if (pitch > 0) {
+      this.waveAccumulator += pitch;
+      if (this.waveAccumulator > 0xFFFF) {
+        this.waveAccumulator &= 0xFFFF;
+        this.wavePosition = (this.wavePosition + 1) & 0x3F;
+      }
+    }
+  }
+
+  // Pitch offset from the mod counter and gain, with the hardware's rounding
+  updateModOutput() {
+    let temp = this.modCounter * this.modGain;
+    let remainder = temp & 0x0F;
+    temp >>= 4;
+    if (remainder > 0 && (temp & 0x80) === 0) {
+      temp += this.modCounter < 0 ? -1 : 2;
+    }
+
+    if (temp >= 192) temp -= 256;
+    else if (temp < -64) temp += 256;
+
+    temp *= this.wavePitch;
+    remainder = temp & 0x3F;
+    temp >>= 6;
+    if (remainder >= 32) temp += 1;
+    this.modOutput = temp;
+  }
+
+  getSample() {
+    if (this.outputScale === null) {
+      this.updateOutputScale();
+    }
+    return this.output * this.outputScale;
+  }
+
+  toJSON() {
+    const state = toJSON(this);
+    state.waveTable = Array.from(this.waveTable);
+    state.modTable = Array.from(this.modTable);
+    return state;
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+    this.waveTable = new Uint8Array(state.waveTable || new Array(64).fill(0));
+    this.modTable = new Uint8Array(state.modTable || new Array(64).fill(0));
+  }
+}
@@ -0,0 +1,542 @@
+// Mapper 020: Famicom Disk System (RAM adapter + disk drive)
+//
+// Features:
+//   - 32KB RAM at $6000-$DFFF, 8KB BIOS at $E000-$FFFF, 8KB CHR-RAM
+//   - 16-bit CPU cycle timer IRQ ($4020-$4022)
+//   - Disk drive: motor, read/write transfers with a byte IRQ, CRC
+//     generation and end-of-disk detection ($4023-$4026, $4030-$4033)
+//   - Mirroring select ($4025 bit 3)
+//   - Wavetable expansion audio ($4040-$4092, mapper-fds-audio.js)
+//   - Disk side insert/eject, with a delay so games see the disk leave
+//
+// Notes:
+//   - The BIOS (disksys.rom) is not part of the image; it comes from
+//     NES opts.fdsBios.
+//   - Sides are kept the way the drive sees them (addFdsGaps in fds.js):
+//     gaps, start marks, blocks and CRCs. A byte passes under the head every
+//     150 CPU cycles; after the motor starts, the head needs ~50000 cycles to
+//     reach the start of the disk.
+//   - CRCs are not checked on reads. Writes compute real ones.
+//   - Disk changes are saved as an IPS patch against the .fds sides
+//     (getBatteryRam/loadBatteryRam), so the nes-battery.js store persists them.
+//
+// References:
+//   - https://www.nesdev.org/wiki/Family_Computer_Disk_System
+//   - https://www.nesdev.org/wiki/FDS_disk_format
+
+import Mapper from './mapper-base.js';
+import { FdsAudio } from './mapper-fds-audio.js';
+import { addFdsGaps, removeFdsGaps, FDS_BIOS_SIZE, FDS_SIDE_SIZE } from '../fds.js';
+import { applyPatch, createIPS, getPatchFormat } from '../patch.js';
+
+const BYTE_CYCLES = 150;
+const REWIND_CYCLES = 50000;
+const DISK_INSERT_DELAY = 1000000; // ~0.5s with no disk between sides
+
+export default class FdsMapper extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    if (!cartridge.fds) {
+      throw new Error('Mapper 20 is the Famicom Disk System; load an .fds disk image');
+    }
+    const bios = this.nes.opts.fdsBios;
+    if (!bios) {
+      throw new Error('The Famicom Disk System needs its BIOS (disksys.rom)');
+    }
+    if (bios.length !== FDS_BIOS_SIZE) {
+      throw new Error(`FDS BIOS must be 8KB (got ${bios.length} bytes)`);
+    }
+    this.bios = Uint8Array.from(bios);
+
+    this.fds = cartridge.fds;
+    this.originalSides = this.fds.sides.map(addFdsGaps);
+    this.sides = this.originalSides.map(side => side.slice());
+    this.sideCount = this.sides.length;
+
+    this.prgRam = new Uint8Array(0x8000);
+    this.fillRam(this.prgRam);
+    this.useVRAM(8);
+
+    this.fdsAudio = new FdsAudio(this.nes);
+
+    // The first side is in the drive at power-on
+    this.diskSide = 0;       // Side in the drive, or null
+    this.pendingSide = null; // Side going in once insertDelay runs out
+    this.insertDelay = 0;
+
+    this.reset();
+  }
+
+  reset() {
+    // Timer IRQ
+    this.irqReload = 0;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqRepeat = false;
+    this.timerIrq = false;
+
+    // $4023
+    this.diskRegsEnabled = true;
+    this.soundRegsEnabled = true;
+
+    // $4024-$4026
+    this.writeData = 0;
+    this.motorOn = false;
+    this.resetTransfer = false;
+    this.readMode = true;
+    this.horizontalMirroring = false;
+    this.crcControl = false;
+    this.transferEnabled = false;
+    this.diskIrqEnabled = false;
+    this.extConnector = 0;
+
+    // Drive
+    this.readData = 0;
+    this.transferComplete = false;
+    this.diskIrq = false;
+    this.diskPosition = 0;
+    this.delay = 0;
+    this.scanning = false;
+    this.endOfHead = true;
+    this.gapEnded = false;
+    this.previousCrcControl = false;
+    this.crc = 0;
+
+    this.fdsAudio.reset();
+    if (this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+      this.nes.papu.setExpansionAudioSource('fds', this.fdsAudio);
+    }
+
+    this.updateIrq();
+    this.updateMirroring();
+  }
+
+  loadROM() {
+    console.log(`FDS loaded: ${this.sideCount} disk sides.`);
+  }
+
+  // ==========================================================
+  // DISK CONTROL
+  // ==========================================================
+
+  /**
+   * Put a side in the drive. The drive is empty for a moment first, as games
+   * wait for the old disk to come out before reading the new one.
+   * @param {number} side - 0-based side index (Disk 1 Side A = 0, Side B = 1, ...)
+   */
+  insertDisk(side) {
+    if (!Number.isInteger(side) || side < 0 || side >= this.sideCount) {
+      throw new Error(`No disk side ${side + 1} (the image has ${this.sideCount})`);
+    }
+    this.diskSide = null;
+    this.pendingSide = side;
+    this.insertDelay = DISK_INSERT_DELAY;
+  }
+
+  ejectDisk() {
+    this.diskSide = null;
+    this.pendingSide = null;
+    this.insertDelay = 0;
+  }
+
+  /**
+   * @returns {number|null} Side in the drive or about to go in, or null when empty
+   */
+  getInsertedSide() {
+    return this.pendingSide !== null ? this.pendingSide : this.diskSide;
+  }
+
+  // ==========================================================
+  // TIMING
+  // ==========================================================
+
+  cpuClock(cpuCycles) {
+    for (let i = 0; i < cpuCycles; i++) {
+      this.clockTimer();
+      this.clockDrive();
+    }
+  }
+
+  clockTimer() {
+    if (!this.irqEnabled) return;
+    if (this.irqCounter === 0) {
+      this.timerIrq = true;
+      this.updateIrq();
+      this.irqCounter = this.irqReload;
+      if (!this.irqRepeat) this.irqEnabled = false;
+    } else {
+      this.irqCounter--;
+    }
+  }
+
+  clockDrive() {
+    if (this.insertDelay > 0 && --this.insertDelay === 0) {
+      this.diskSide = this.pendingSide;
+      this.pendingSide = null;
+    }
+
+    if (this.diskSide === null || !this.motorOn) {
+      this.endOfHead = true;
+      this.scanning = false;
+      return;
+    }
+    if (this.resetTransfer && !this.scanning) return;
+
+    // Motor just started (or the head reached the end): rewind to the start
+    if (this.endOfHead) {
+      this.delay = REWIND_CYCLES;
+      this.endOfHead = false;
+      this.diskPosition = 0;
+      this.gapEnded = false;
+      return;
+    }
+
+    if (this.delay > 0) {
+      this.delay--;
+      return;
+    }
+
+    this.scanning = true;
+    const side = this.sides[this.diskSide];
+
+    if (this.readMode) {
+      const data = side[this.diskPosition];
+      let irq = this.diskIrqEnabled;
+      if (!this.transferEnabled) {
+        this.gapEnded = false;
+      } else if (data !== 0 && !this.gapEnded) {
+        // The start mark ends the gap without an IRQ
+        this.gapEnded = true;
+        irq = false;
+      }
+      if (this.gapEnded) {
+        this.readData = data;
+        this.transferComplete = true;
+        if (irq) this.setDiskIrq(true);
+      }
+    } else {
+      let data;
+      if (!this.crcControl) {
+        this.transferComplete = true;
+        if (this.diskIrqEnabled) this.setDiskIrq(true);
+        data = this.transferEnabled ? this.writeData : 0;
+        this.updateCrc(data);
+      } else {
+        if (!this.previousCrcControl) {
+          // Flush the CRC register before shifting it out
+          this.updateCrc(0);
+          this.updateCrc(0);
+        }
+        data = this.crc & 0xFF;
+        this.crc >>= 8;
+      }
+      if (!this.transferEnabled) this.crc = 0;
+      this.writeDisk(side, data);
+      this.gapEnded = false;
+    }
+
+    this.previousCrcControl = this.crcControl;
+    this.diskPosition++;
+    if (this.diskPosition >= side.length) {
+      this.motorOn = false;
+    } else {
+      this.delay = BYTE_CYCLES;
+    }
+  }
+
+  // CRC-16 as the RP2C33 computes it: reflected polynomial $8408
+  updateCrc(value) {
+    for (let bit = 0x01; bit <= 0x80; bit <<= 1) {
+      const carry = this.crc & 1;
+      this.crc >>= 1;
+      if (carry) this.crc ^= 0x8408;
+      if (value & bit) this.crc ^= 0x8000;
+    }
+  }
+
+  // The write head trails the read head by two bytes
+  writeDisk(side, value) {
+    const position = this.diskPosition - 2;
+    if (position < 0 || side[position] === value) return;
+    side[position] = value;
+    if (this.hasBattery) this.nes.opts.onBatteryRamWrite(position, value);
+  }
+
+  // ==========================================================
+  // IRQ / MIRRORING
+  // ==========================================================
+
+  setDiskIrq(pending) {
+    this.diskIrq = pending;
+    this.updateIrq();
+  }
+
+  // Timer and disk IRQs share the CPU's IRQ line
+  updateIrq() {
+    const cpu = this.nes.cpu;
+    if (!cpu || !cpu.requestIrq) return;
+    if (this.timerIrq || this.diskIrq) {
+      cpu.requestIrq(cpu.IRQ_NORMAL);
+    } else {
+      cpu.clearIrq(cpu.IRQ_NORMAL);
+    }
+  }
+
+  updateMirroring() {
+    if (this.nes.ppu && this.nes.rom) {
+      this.nes.ppu.setMirroring(this.horizontalMirroring
+        ? this.nes.rom.HORIZONTAL_MIRRORING
+        : this.nes.rom.VERTICAL_MIRRORING);
+    }
+  }
+
+  // ==========================================================
+  // CPU INTERFACE
+  // ==========================================================
+
+  cpuRead(address) {
+    if (address >= 0xE000) return this.bios[address - 0xE000];
+    if (address >= 0x6000) return this.prgRam[address - 0x6000];
+
+    const openBus = this.nes.cpu.dataBus;
+    if (address >= 0x4030 && address <= 0x4033 && this.diskRegsEnabled) {
+      return this.readDiskRegister(address, openBus);
+    }
+    if (address >= 0x4040 && address <= 0x4097 && this.soundRegsEnabled) {
+      return this.fdsAudio.readRegister(address, openBus);
+    }
+    return undefined;
+  }
+
+  readDiskRegister(address, openBus) {
+    switch (address) {
+      case 0x4030: {
+        // Reading acknowledges both IRQs
+        const value = (openBus & 0x2C) |
+          (this.timerIrq ? 0x01 : 0) |
+          (this.transferComplete ? 0x02 : 0);
+        this.transferComplete = false;
+        this.timerIrq = false;
+        this.diskIrq = false;
+        this.updateIrq();
+        return value;
+      }
+      case 0x4031:
+        this.transferComplete = false;
+        this.setDiskIrq(false);
+        return this.readData;
+      case 0x4032: {
+        const empty = this.diskSide === null;
+        return (openBus & 0xF8) |
+          (empty ? 0x01 : 0) |                    // No disk
+          (empty || !this.scanning ? 0x02 : 0) |  // Not ready
+          (empty ? 0x04 : 0);                     // Write protected
+      }
+      default:
+        // $4033: battery good; the expansion port reads back what $4026 wrote
+        return this.extConnector & 0x80;
+    }
+  }
+
+  cpuWrite(address, value) {
+    if (address >= 0x6000 && address < 0xE000) {
+      this.prgRam[address - 0x6000] = value;
+      return;
+    }
+
+    if (address >= 0x4040 && address <= 0x408A) {
+      if (this.soundRegsEnabled) this.fdsAudio.writeRegister(address, value);
+      return;
+    }
+
+    if (address >= 0x4024 && address <= 0x4026 && !this.diskRegsEnabled) return;
+
+    switch (address) {
+      case 0x4020:
+        this.irqReload = (this.irqReload & 0xFF00) | value;
+        break;
+      case 0x4021:
+        this.irqReload = (this.irqReload & 0x00FF) | (value << 8);
+        break;
+      case 0x4022:
+        this.irqRepeat = (value & 0x01) !== 0;
+        this.irqEnabled = (value & 0x02) !== 0 && this.diskRegsEnabled;
+        if (this.irqEnabled) {
+          this.irqCounter = this.irqReload;
+        } else {
+          this.timerIrq = false;
+          this.updateIrq();
+        }
+        break;
+      case 0x4023:
+        this.diskRegsEnabled = (value & 0x01) !== 0;
+        this.soundRegsEnabled = (value & 0x02) !== 0;
+        if (!this.diskRegsEnabled) {
+          this.irqEnabled = false;
+          this.timerIrq = false;
+          this.diskIrq = false;
+          this.updateIrq();
+        }
+        break;
+      case 0x4024:
+        this.writeData = value;
+        this.transferComplete = false;
+        this.setDiskIrq(false);
+        break;
+      case 0x4025:
+        this.motorOn = (value & 0x01) !== 0;
+        this.resetTransfer = (value & 0x02) !== 0;
+        this.readMode = (value & 0x04) !== 0;
+        this.horizontalMirroring = (value & 0x08) !== 0;
+        this.crcControl = (value & 0x10) !== 0;
+        this.transferEnabled = (value & 0x40) !== 0;
+        this.diskIrqEnabled = (value & 0x80) !== 0;
+        this.setDiskIrq(false);
+        this.updateMirroring();
+        break;
+      case 0x4026:
+        this.extConnector = value;
+        break;
+    }
+  }
+
+  // Code runs from RAM and the BIOS, neither of which is PRG-ROM
+  getPrgOffset(address) {
+    return null;
+  }
+
+  // The debugger reads them here instead; no disk or audio registers involved
+  peek(address) {
+    if (address >= 0xE000) return this.bios[address - 0xE000];
+    if (address >= 0x6000) return this.prgRam[address - 0x6000];
+    return undefined;
+  }
+
+  // ==========================================================
+  // DISK SAVES
+  // ==========================================================
+
+  // Current sides in .fds layout; untouched sides keep their original bytes
+  getDiskImage() {
+    const image = new Uint8Array(this.sideCount * FDS_SIDE_SIZE);
+    for (let i = 0; i < this.sideCount; i++) {
+      const changed = this.sides[i].some((byte, j) => byte !== this.originalSides[i][j]);
+      image.set(changed ? removeFdsGaps(this.sides[i]) : this.fds.sides[i], i * FDS_SIDE_SIZE);
+    }
+    return image;
+  }
+
+  /**
+   * Disk writes as an IPS patch against the loaded .fds (without its header)
+   * @returns {Uint8Array}
+   */
+  getBatteryRam() {
+    return createIPS(this.cartridge.prg, this.getDiskImage());
+  }
+
+  /**
+   * Restore disk writes saved by getBatteryRam()
+   * @param {Uint8Array} data - IPS patch
+   */
+  loadBatteryRam(data) {
+    if (!data) return;
+    if (getPatchFormat(data) !== 'ips') throw new Error('FDS disk saves are IPS patches');
+    const image = applyPatch(this.cartridge.prg, data);
+    for (let i = 0; i < this.sideCount; i++) {
+      const side = image.subarray(i * FDS_SIDE_SIZE, (i + 1) * FDS_SIDE_SIZE);
+      this.sides[i] = side.some((byte, j) => byte !== this.fds.sides[i][j])
+        ? addFdsGaps(side)
+        : this.originalSides[i].slice();
+    }
+  }
+
+  // ==========================================================
+  // SAVE STATE SUPPORT
+  // ==========================================================
+
+  toJSON() {
+    return {
+      prgRam: Array.from(this.prgRam),
+      chrRam: Array.from(this.chrRam),
+      // Disk contents as the drive sees them, as IPS patches per side
+      disks: this.sides.map((side, i) => Array.from(createIPS(this.originalSides[i], side))),
+      diskSide: this.diskSide,
+      pendingSide: this.pendingSide,
+      insertDelay: this.insertDelay,
+      irqReload: this.irqReload,
+      irqCounter: this.irqCounter,
+      irqEnabled: this.irqEnabled,
+      irqRepeat: this.irqRepeat,
+      timerIrq: this.timerIrq,
+      diskRegsEnabled: this.diskRegsEnabled,
+      soundRegsEnabled: this.soundRegsEnabled,
+      writeData: this.writeData,
+      motorOn: this.motorOn,
+      resetTransfer: this.resetTransfer,
+      readMode: this.readMode,
+      horizontalMirroring: this.horizontalMirroring,
+      crcControl: this.crcControl,
+      transferEnabled: this.transferEnabled,
+      diskIrqEnabled: this.diskIrqEnabled,
+      extConnector: this.extConnector,
+      readData: this.readData,
+      transferComplete: this.transferComplete,
+      diskIrq: this.diskIrq,
+      diskPosition: this.diskPosition,
+      delay: this.delay,
+      scanning: this.scanning,
+      endOfHead: this.endOfHead,
+      gapEnded: this.gapEnded,
+      previousCrcControl: this.previousCrcControl,
+      crc: this.crc,
+      fdsAudio: this.fdsAudio.toJSON(),
+    };
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    if (state.prgRam) this.prgRam = new Uint8Array(state.prgRam);
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+    }
+    if (state.disks) {
+      this.sides = this.originalSides.map((side, i) =>
+        state.disks[i] ? applyPatch(side, Uint8Array.from(state.disks[i])) : side.slice());
+    }
+
+    this.diskSide = state.diskSide ?? null;
+    this.pendingSide = state.pendingSide ?? null;
+    this.insertDelay = state.insertDelay || 0;
+    this.irqReload = state.irqReload || 0;
+    this.irqCounter = state.irqCounter || 0;
+    this.irqEnabled = !!state.irqEnabled;
+    this.irqRepeat = !!state.irqRepeat;
+    this.timerIrq = !!state.timerIrq;
+    this.diskRegsEnabled = state.diskRegsEnabled ?? true;
+    this.soundRegsEnabled = state.soundRegsEnabled ?? true;
+    this.writeData = state.writeData || 0;
+    this.motorOn = !!state.motorOn;
+    this.resetTransfer = !!state.resetTransfer;
+    this.readMode = state.readMode ?? true;
+    this.horizontalMirroring = !!state.horizontalMirroring;
+    this.crcControl = !!state.crcControl;
+    this.transferEnabled = !!state.transferEnabled;
+    this.diskIrqEnabled = !!state.diskIrqEnabled;
+    this.extConnector = state.extConnector || 0;
+    this.readData = state.readData || 0;
+    this.transferComplete = !!state.transferComplete;
+    this.diskIrq = !!state.diskIrq;
+    this.diskPosition = state.diskPosition || 0;
+    this.delay = state.delay || 0;
+    this.scanning = !!state.scanning;
+    this.endOfHead = state.endOfHead ?? true;
+    this.gapEnded = !!state.gapEnded;
+    this.previousCrcControl = !!state.previousCrcControl;
+    this.crc = state.crc || 0;
+    if (state.fdsAudio) this.fdsAudio.fromJSON(state.fdsAudio);
+
+    this.updateMirroring();
+  }
+}
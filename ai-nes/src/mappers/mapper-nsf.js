@@ -0,0 +1,395 @@
+// NSF player: synthetic mapper for NSF/NSFe music files
+//
+// Features:
+//   - 4KB PRG bankswitching at $5FF8-$5FFF
+//   - 8KB RAM at $6000-$7FFF
+//   - A small driver at $4100 that runs INIT, then calls PLAY at the file's rate
+//   - VRC6, VRC7, MMC5 (pulses, ExRAM, multiplier), Namco 163, Sunsoft 5B
+//     and FDS expansion audio when the tune's chip flags ask for them
+//
+// Notes:
+//   - There is no real board. The driver stands in for the player program of
+//     hardware NSF players: the reset vector points at it, it clears RAM, sets
+//     up the APU and calls INIT with the song in A and PAL/NTSC in X, then
+//     polls PLAY_TICK, which reads non-zero once per play period. PLAY never
+//     interrupts INIT or itself.
+//   - Choosing a track resets the console; the driver is rebuilt with the new
+//     song number.
+//   - Reads of $FFFA-$FFFF return the driver's vectors, not the tune's data.
+//   - FDS tunes run from RAM: $6000-$FFFF is writable, and bank writes
+//     ($5FF6-$5FFF) copy a 4KB bank into it. Load addresses below $8000 are
+//     not supported.
+//   - VRC6 registers use the VRC6a layout ($9000-$9003, $A000-$A002,
+//     $B000-$B002), VRC7 uses $9010/$9030 and Namco 163 $4800/$F800. Writes
+//     above $8000 also reach FDS RAM when FDS is flagged too.
+//
+// References:
+//   - https://www.nesdev.org/wiki/NSF
+//   - https://www.nesdev.org/wiki/NSFe
+
+import Mapper from './mapper-base.js';
+import { Vrc6Audio } from './mapper024-audio.js';
+import { Vrc7Audio } from './mapper085-audio.js';
+import { Namco163Audio } from './mapper019-audio.js';
+import { Mmc5Audio } from './mapper005-audio.js';
+import { Sunsoft5bAudio } from './mapper069-audio.js';
+import { FdsAudio } from './mapper-fds-audio.js';
+import { getNsfChipNames } from '../nsf.js';
+import { REGIONS } from '../region.js';
+
+const DRIVER_ADDRESS = 0x4100;
+const DRIVER_IDLE = DRIVER_ADDRESS + 0x3B;
+const DRIVER_RTI = DRIVER_ADDRESS + 0x46;
+const PLAY_TICK = 0x41FF;
+
+// Expansion audio the player can provide, by NSF_CHIPS name
+const CHIP_AUDIO = {
+  vrc6: Vrc6Audio,
+  vrc7: Vrc7Audio,
+  mmc5: Mmc5Audio,
+  n163: Namco163Audio,
+  sunsoft5b: Sunsoft5bAudio,
+  fds: FdsAudio,
+};
+
+// Player program at DRIVER_ADDRESS (offsets in the comments)
+function buildDriver(song, region, init, play) {
+  return Uint8Array.of(
+    0x78,                               // 00 SEI
+    0xD8,                               // 01 CLD
+    0xA2, 0xFF,                         // 02 LDX #$FF
+    0x9A,                               // 04 TXS
+    0xE8,                               // 05 INX
+    0x8A,                               // 06 TXA
+    0x9D, 0x00, 0x00,                   // 07 STA $0000,X   clear RAM
+    0x9D, 0x00, 0x01,                   // 0A STA $0100,X
+    0x9D, 0x00, 0x02,                   // 0D STA $0200,X
+    0x9D, 0x00, 0x03,                   // 10 STA $0300,X
+    0x9D, 0x00, 0x04,                   // 13 STA $0400,X
+    0x9D, 0x00, 0x05,                   // 16 STA $0500,X
+    0x9D, 0x00, 0x06,                   // 19 STA $0600,X
+    0x9D, 0x00, 0x07,                   // 1C STA $0700,X
+    0xE8,                               // 1F INX
+    0xD0, 0xE5,                         // 20 BNE $07
+    0xA2, 0x13,                         // 22 LDX #$13
+    0x9D, 0x00, 0x40,                   // 24 STA $4000,X   silence the APU
+    0xCA,                               // 27 DEX
+    0x10, 0xFA,                         // 28 BPL $24
+    0xA9, 0x0F,                         // 2A LDA #$0F
+    0x8D, 0x15, 0x40,                   // 2C STA $4015
+    0xA9, 0x40,                         // 2F LDA #$40
+    0x8D, 0x17, 0x40,                   // 31 STA $4017     no frame IRQ
+    0xA9, song,                         // 34 LDA #song
+    0xA2, region,                       // 36 LDX #region
+    0x20, init & 0xFF, init >> 8,       // 38 JSR INIT
+    0xAD, PLAY_TICK & 0xFF, PLAY_TICK >> 8, // 3B LDA PLAY_TICK
+    0xF0, 0xFB,                         // 3E BEQ $3B
+    0x20, play & 0xFF, play >> 8,       // 40 JSR PLAY
+    0x4C, DRIVER_IDLE & 0xFF, DRIVER_IDLE >> 8, // 43 JMP $3B
+    0x40,                               // 46 RTI           NMI/IRQ
+  );
+}
+
+// $FFFA-$FFFF: NMI, reset and IRQ vectors
+const VECTORS = Uint8Array.of(
+  DRIVER_RTI & 0xFF, DRIVER_RTI >> 8,
+  DRIVER_ADDRESS & 0xFF, DRIVER_ADDRESS >> 8,
+  DRIVER_RTI & 0xFF, DRIVER_RTI >> 8,
+);
+
+export default class NsfMapper extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    // ROM.load() laid the program out in 4KB banks (buildNsfPrg)
+    this.nsf = cartridge.nsf;
+    this.bankInit = this.nsf.bankInit ? this.nsf.bankInit.slice() : Uint8Array.of(0, 1, 2, 3, 4, 5, 6, 7);
+    this.bankCount = this.prgData.length >> 12;
+    this.banks = new Uint8Array(8);
+    this.bankOffsets = new Uint32Array(8);
+
+    this.currentTrack = this.nsf.startSong;
+    this.driver = null;
+
+    // PLAY timing, in CPU cycles
+    this.playPeriod = 0;
+    this.playCounter = 0;
+    this.playPending = false;
+    this.periodRegion = null;
+
+    // Flagged chips with audio emulation, and those without
+    this.chipAudio = {};
+    this.missingChips = [];
+    for (const name of getNsfChipNames(this.nsf.chips)) {
+      if (CHIP_AUDIO[name]) {
+        this.chipAudio[name] = new CHIP_AUDIO[name](this.nes);
+      } else {
+        this.missingChips.push(name);
+      }
+    }
+
+    // FDS tunes get RAM in place of PRG-ROM at $8000-$FFFF
+    this.fdsRam = this.chipAudio.fds ? new Uint8Array(0x8000) : null;
+
+    // MMC5 tunes may use its ExRAM and multiplier
+    this.exram = new Uint8Array(0x400);
+    this.multiplicand = 0xFF;
+    this.multiplier = 0xFF;
+
+    this.useVRAM(8);
+    this.reset();
+  }
+
+  reset() {
+    this.banks.set(this.bankInit);
+    this.updateBanks();
+    this.prgRam.fill(0);
+    if (this.fdsRam) {
+      // $5FF6/$5FF7 start with the header's banks for $E000/$F000
+      this.copyBankToRam(0x6000, this.bankInit[6]);
+      this.copyBankToRam(0x7000, this.bankInit[7]);
+      for (let i = 0; i < 8; i++) this.copyBankToRam(0x8000 + (i << 12), this.banks[i]);
+    }
+    this.exram.fill(0);
+    this.multiplicand = 0xFF;
+    this.multiplier = 0xFF;
+
+    const region = this.nes.region === 'pal' ? 1 : 0;
+    this.driver = buildDriver(this.currentTrack, region, this.nsf.initAddress, this.nsf.playAddress);
+    this.updatePlayPeriod();
+    this.playCounter = 0;
+    this.playPending = false;
+
+    for (const name in this.chipAudio) {
+      this.chipAudio[name].reset();
+      if (this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+        this.nes.papu.setExpansionAudioSource(name, this.chipAudio[name]);
+      }
+    }
+  }
+
+  loadROM() {
+    console.log(`NSF loaded: ${this.nsf.songCount} songs, ${this.bankCount} x 4KB banks.`);
+  }
+
+  // ==========================================================
+  // TRACKS
+  // ==========================================================
+
+  /**
+   * Restart the console on another song
+   * @param {number} song - 0-based song number
+   */
+  playTrack(song) {
+    if (!Number.isInteger(song) || song < 0 || song >= this.nsf.songCount) {
+      throw new Error(`No track ${song + 1} (the file has ${this.nsf.songCount})`);
+    }
+    this.currentTrack = song;
+    this.nes.reset();
+  }
+
+  // Microseconds per PLAY call for the console's region, as CPU cycles
+  updatePlayPeriod() {
+    const region = this.nes.region;
+    const speed = region === 'ntsc' ? this.nsf.ntscSpeed
+      : region === 'dendy' ? this.nsf.dendySpeed : this.nsf.palSpeed;
+    this.playPeriod = speed * REGIONS[region].cpuFreq / 1000000;
+    this.periodRegion = region;
+  }
+
+  cpuClock(cpuCycles) {
+    if (this.periodRegion !== this.nes.region) this.updatePlayPeriod();
+    this.playCounter += cpuCycles;
+    if (this.playCounter >= this.playPeriod) {
+      this.playCounter -= this.playPeriod;
+      this.playPending = true;
+    }
+  }
+
+  // ==========================================================
+  // BANKING
+  // ==========================================================
+
+  updateBanks() {
+    for (let i = 0; i < 8; i++) {
+      this.bankOffsets[i] = (this.banks[i] % this.bankCount) << 12;
+    }
+  }
+
+  // FDS: bank writes load RAM instead of switching ROM
+  copyBankToRam(address, bank) {
+    const offset = (bank % this.bankCount) << 12;
+    const data = this.prgData.subarray(offset, offset + 0x1000);
+    if (address < 0x8000) {
+      this.prgRam.set(data, address - 0x6000);
+    } else {
+      this.fdsRam.set(data, address - 0x8000);
+    }
+  }
+
+  getPrgOffset(address) {
+    if (address < 0x8000) return null;
+    return this.bankOffsets[(address >> 12) & 7] + (address & 0x0FFF);
+  }
+
+  // ==========================================================
+  // CPU INTERFACE
+  // ==========================================================
+
+  cpuRead(address) {
+    if (address >= 0x8000) {
+      if (address >= 0xFFFA) return VECTORS[address - 0xFFFA];
+      if (this.fdsRam) return this.fdsRam[address - 0x8000];
+      return this.prgData[this.bankOffsets[(address >> 12) & 7] + (address & 0x0FFF)];
+    }
+    if (address >= 0x6000) {
+      return this.prgRam[(address - 0x6000) % this.prgRam.length];
+    }
+
+    if (address === PLAY_TICK) {
+      const tick = this.playPending ? 1 : 0;
+      this.playPending = false;
+      return tick;
+    }
+    if (address >= DRIVER_ADDRESS && address < DRIVER_ADDRESS + this.driver.length) {
+      return this.driver[address - DRIVER_ADDRESS];
+    }
+
+    const n163 = this.chipAudio.n163;
+    if (n163 && address >= 0x4800 && address < 0x5000) {
+      return n163.readData();
+    }
+
+    const fds = this.chipAudio.fds;
+    if (fds && address >= 0x4040 && address <= 0x4092) {
+      return fds.readRegister(address, this.nes.cpu.dataBus);
+    }
+
+    const mmc5 = this.chipAudio.mmc5;
+    if (mmc5) {
+      if (address === 0x5015) return mmc5.readStatus();
+      if (address === 0x5205) return (this.multiplier * this.multiplicand) & 0xFF;
+      if (address === 0x5206) return ((this.multiplier * this.multiplicand) >> 8) & 0xFF;
+      if (address >= 0x5C00 && address < 0x5FF6) return this.exram[address & 0x03FF];
+    }
+    return undefined;
+  }
+
+  cpuWrite(address, value) {
+    if (address >= 0x5FF8 && address <= 0x5FFF) {
+      this.banks[address - 0x5FF8] = value;
+      this.updateBanks();
+      if (this.fdsRam) this.copyBankToRam(0x8000 + ((address - 0x5FF8) << 12), value);
+      return;
+    }
+    if (this.fdsRam && (address === 0x5FF6 || address === 0x5FF7)) {
+      this.copyBankToRam(0x6000 + ((address - 0x5FF6) << 12), value);
+      return;
+    }
+    if (address >= 0x6000 && address < 0x8000) {
+      this.prgRam[(address - 0x6000) % this.prgRam.length] = value;
+      return;
+    }
+    const vrc6 = this.chipAudio.vrc6;
+    if (vrc6 && address >= 0x9000 && address < 0xC000) {
+      vrc6.writeRegister(address, value);
+    }
+    const vrc7 = this.chipAudio.vrc7;
+    if (vrc7 && (address === 0x9010 || address === 0x9030)) {
+      vrc7.writeRegister(address, value);
+    }
+    const n163 = this.chipAudio.n163;
+    if (n163 && address >= 0xF800) {
+      n163.setAddress(value);
+    }
+    if (this.fdsRam && address >= 0x8000) {
+      this.fdsRam[address - 0x8000] = value;
+      return;
+    }
+
+    const fds = this.chipAudio.fds;
+    if (fds && address >= 0x4040 && address <= 0x408A) {
+      fds.writeRegister(address, value);
+      return;
+    }
+
+    if (n163 && address >= 0x4800 && address < 0x5000) {
+      n163.writeData(value);
+      return;
+    }
+
+    const mmc5 = this.chipAudio.mmc5;
+    if (mmc5) {
+      if (address >= 0x5000 && address <= 0x5015) {
+        mmc5.writeRegister(address, value);
+        return;
+      }
+      if (address === 0x5205) {
+        this.multiplicand = value;
+        return;
+      }
+      if (address === 0x5206) {
+        this.multiplier = value;
+        return;
+      }
+      if (address >= 0x5C00 && address < 0x5FF6) {
+        this.exram[address & 0x03FF] = value;
+        return;
+      }
+    }
+
+    const sunsoft = this.chipAudio.sunsoft5b;
+    if (sunsoft && address >= 0xC000) {
+      sunsoft.writeRegister(address & 0xE000, value);
+    }
+  }
+
+  // ==========================================================
+  // SAVE STATE SUPPORT
+  // ==========================================================
+
+  toJSON() {
+    const chipAudio = {};
+    for (const name in this.chipAudio) {
+      chipAudio[name] = this.chipAudio[name].toJSON();
+    }
+    return {
+      currentTrack: this.currentTrack,
+      banks: Array.from(this.banks),
+      prgRam: Array.from(this.prgRam),
+      exram: Array.from(this.exram),
+      fdsRam: this.fdsRam ? Array.from(this.fdsRam) : null,
+      multiplicand: this.multiplicand,
+      multiplier: this.multiplier,
+      playCounter: this.playCounter,
+      playPending: this.playPending,
+      chipAudio,
+      chrRam: Array.from(this.chrRam),
+    };
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    this.currentTrack = state.currentTrack || 0;
+    this.banks = new Uint8Array(state.banks || this.bankInit);
+    if (state.prgRam) this.prgRam = new Uint8Array(state.prgRam);
+    if (state.exram) this.exram = new Uint8Array(state.exram);
+    if (this.fdsRam && state.fdsRam) this.fdsRam = new Uint8Array(state.fdsRam);
+    this.multiplicand = state.multiplicand ?? 0xFF;
+    this.multiplier = state.multiplier ?? 0xFF;
+    this.playCounter = state.playCounter || 0;
+    this.playPending = !!state.playPending;
+    for (const name in this.chipAudio) {
+      if (state.chipAudio && state.chipAudio[name]) this.chipAudio[name].fromJSON(state.chipAudio[name]);
+    }
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+    }
+
+    const region = this.nes.region === 'pal' ? 1 : 0;
+    this.driver = buildDriver(this.currentTrack, region, this.nsf.initAddress, this.nsf.playAddress);
+    this.updateBanks();
+    this.updatePlayPeriod();
+  }
+}
@@ -0,0 +1,292 @@
+// Mappers 021, 022, 023, 025: Konami VRC2 and VRC4
+// Used by: Wai Wai World 2 (21), TwinBee 3 (22), Contra (JP), Parodius Da! (23),
+//          Gradius II, Teenage Mutant Ninja Turtles (JP) (25)
+//
+// Features:
+//   - Two switchable 8KB PRG banks plus the second-last and last banks;
+//     VRC4 can swap the $8000 and $C000 banks ($9002 bit 1)
+//   - Eight 1KB CHR banks, each set by a low and a high nibble register
+//   - VRC2: vertical/horizontal mirroring, and without PRG-RAM a 1-bit
+//     latch at $6000-$6FFF (the microwire EEPROM interface, unused on carts)
+//   - VRC4: 1-screen mirroring as well, PRG-RAM, and the VRC IRQ
+//
+// Notes:
+//   - The boards differ in which CPU address lines reach the chip's A0/A1
+//     pins (see VARIANTS). The NES 2.0 submapper picks one; without it both
+//     possible lines are ORed together, which works for every known game.
+//   - VRC2 and VRC4 share mappers 23 and 25. Submapper 3 means VRC2; without
+//     a submapper it is VRC2 only when the header or database says there is
+//     no PRG-RAM. VRC2 games run on VRC4, where RAM stands in for the latch.
+//   - VRC2a (mapper 22) ignores the low bit of the CHR bank number.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC2_and_VRC4
+//   - https://www.nesdev.org/wiki/VRC_IRQ
+
+import Mapper from './mapper-base.js';
+import { VrcIrq } from './vrc-irq.js';
+
+// Chip A0/A1 as CPU address bit masks, by mapper and then submapper
+const VARIANTS = {
+  21: {
+    0: { name: 'VRC4a/VRC4c', vrc2: false, a0: 0x42, a1: 0x84 },
+    1: { name: 'VRC4a', vrc2: false, a0: 0x02, a1: 0x04 },
+    2: { name: 'VRC4c', vrc2: false, a0: 0x40, a1: 0x80 },
+  },
+  22: {
+    0: { name: 'VRC2a', vrc2: true, a0: 0x02, a1: 0x01 },
+  },
+  23: {
+    0: { name: 'VRC4e/VRC4f', vrc2: false, a0: 0x05, a1: 0x0A },
+    1: { name: 'VRC4f', vrc2: false, a0: 0x01, a1: 0x02 },
+    2: { name: 'VRC4e', vrc2: false, a0: 0x04, a1: 0x08 },
+    3: { name: 'VRC2b', vrc2: true, a0: 0x01, a1: 0x02 },
+  },
+  25: {
+    0: { name: 'VRC4b/VRC4d', vrc2: false, a0: 0x0A, a1: 0x05 },
+    1: { name: 'VRC4b', vrc2: false, a0: 0x02, a1: 0x01 },
+    2: { name: 'VRC4d', vrc2: false, a0: 0x08, a1: 0x04 },
+    3: { name: 'VRC2c', vrc2: true, a0: 0x02, a1: 0x01 },
+  },
+};
+
+// VRC2 boards on the shared mappers, used when the header rules out PRG-RAM
+const VRC2_FALLBACK = {
+  23: { name: 'VRC2b', vrc2: true, a0: 0x05, a1: 0x0A },
+  25: { name: 'VRC2c', vrc2: true, a0: 0x0A, a1: 0x05 },
+};
+
+/**
+ * Board variant for a cartridge
+ * @param {ROM} cartridge
+ * @returns {{name: string, vrc2: boolean, a0: number, a1: number}}
+ */
+export function getVrc24Variant(cartridge) {
+  const mapper = VARIANTS[cartridge.mapperType] ? cartridge.mapperType : 25;
+  const submapper = cartridge.submapper || 0;
+  const variant = VARIANTS[mapper][submapper] || VARIANTS[mapper][0];
+
+  if (submapper === 0 && VRC2_FALLBACK[mapper] && hasNoPrgRam(cartridge)) {
+    return VRC2_FALLBACK[mapper];
+  }
+  return variant;
+}
+
+// True only when an NES 2.0 header or database entry lists no PRG-RAM
+function hasNoPrgRam(cartridge) {
+  if (cartridge.prgRamSize === null && cartridge.prgNvramSize === null) return false;
+  return !cartridge.prgRamSize && !cartridge.prgNvramSize;
+}
+
+export default class Vrc24Mapper extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    this.variant = getVrc24Variant(cartridge);
+    this.pinA0 = this.variant.a0;
+    this.pinA1 = this.variant.a1;
+    this.isVrc2 = this.variant.vrc2;
+    this.chrShift = this.variant.name === 'VRC2a' ? 1 : 0;
+
+    // VRC2 boards without PRG-RAM answer at $6000-$6FFF with the latch
+    this.hasLatch = this.isVrc2 && !this.hasBattery &&
+      !(cartridge.prgRamSize || cartridge.prgNvramSize);
+
+    this.prgRegs = new Uint8Array(2);   // $8000, $A000
+    this.chrRegs = new Uint16Array(8);  // 9-bit on VRC4, 8-bit on VRC2
+    this.mirroringReg = 0;              // $9000
+    this.programMode = 0;               // $9002 bit 1 (VRC4)
+    this.latch = 0;                     // $6000 bit 0 (VRC2)
+
+    this.irq = new VrcIrq(this.nes);
+
+    if (!this.chrData || this.chrData.length === 0) {
+      this.useVRAM(8);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.prgRegs.fill(0);
+    this.chrRegs.fill(0);
+    this.mirroringReg = 0;
+    this.programMode = 0;
+    this.latch = 0;
+
+    this.irq.reset();
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+
+  /**
+   * Fold the board's address lines onto the chip's register address
+   * ($x000-$x003).
+   */
+  getRegisterAddress(address) {
+    const a0 = (address & this.pinA0) ? 1 : 0;
+    const a1 = (address & this.pinA1) ? 2 : 0;
+    return (address & 0xF000) | a0 | a1;
+  }
+
+  updatePrgBanks() {
+    if (!this.prgData || this.prgBankCount === 0) return;
+    const secondLast = this.prgBankCount - 2;
+
+    if (this.programMode === 0) {
+      this.switch8kPrgBank(this.prgRegs[0], 0);
+      this.switch8kPrgBank(secondLast, 2);
+    } else {
+      this.switch8kPrgBank(secondLast, 0);
+      this.switch8kPrgBank(this.prgRegs[0], 2);
+    }
+    this.switch8kPrgBank(this.prgRegs[1], 1);
+    this.switch8kPrgBank(this.prgBankCount - 1, 3);
+  }
+
+  updateChrBanks() {
+    for (let i = 0; i < 8; i++) {
+      this.switch1kChrBank(this.chrRegs[i] >> this.chrShift, i);
+    }
+  }
+
+  updateMirroring() {
+    if (!this.nes || !this.nes.ppu || !this.nes.rom) return;
+    // VRC2 only decodes bit 0
+    const mode = this.isVrc2 ? this.mirroringReg & 0x01 : this.mirroringReg & 0x03;
+    switch (mode) {
+      case 0: this.nes.ppu.setMirroring(this.nes.rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(this.nes.rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_A); break;
+      case 3: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_B); break;
+    }
+  }
+
+  cpuRead(address) {
+    if (address >= 0x8000) {
+      if (!this.prgData || this.prgBankCount === 0) return 0;
+      const slot = (address >> 13) & 0x03;
+      return this.prgData[this.prgPagesMap[slot] + (address & 0x1FFF)];
+    }
+
+    if (address >= 0x6000) {
+      if (this.hasLatch) {
+        // Only bit 0 is driven; the rest is open bus
+        if (address >= 0x7000) return undefined;
+        const bus = this.nes && this.nes.cpu ? this.nes.cpu.dataBus : 0;
+        return (bus & 0xFE) | this.latch;
+      }
+      return this.prgRam[(address - 0x6000) % this.prgRam.length]; // 2KB boards mirror
+    }
+    return undefined;
+  }
+
+  cpuWrite(address, value) {
+    if (address < 0x6000) return;
+
+    if (address < 0x8000) {
+      if (this.hasLatch) {
+        if (address < 0x7000) this.latch = value & 0x01;
+        return;
+      }
+      this.prgRam[(address - 0x6000) % this.prgRam.length] = value;
+      this.onPrgRamWrite(address, value);
+      return;
+    }
+
+    const regAddress = this.getRegisterAddress(address);
+
+    switch (regAddress & 0xF000) {
+      case 0x8000:
+        this.prgRegs[0] = value & 0x1F;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9000:
+        if (this.isVrc2 || (regAddress & 0x02) === 0) {
+          this.mirroringReg = value & 0x03;
+          this.updateMirroring();
+        } else {
+          this.programMode = (value & 0x02) ? 1 : 0;
+          this.updatePrgBanks();
+        }
+        break;
+
+      case 0xA000:
+        this.prgRegs[1] = value & 0x1F;
+        this.updatePrgBanks();
+        break;
+
+      case 0xB000:
+      case 0xC000:
+      case 0xD000:
+      case 0xE000:
+        this.writeChrReg(regAddress, value);
+        break;
+
+      case 0xF000:
+        if (this.isVrc2) break;
+        switch (regAddress & 0x03) {
+          case 0: this.irq.setReload((this.irq.latch & 0xF0) | (value & 0x0F)); break;
+          case 1: this.irq.setReload((this.irq.latch & 0x0F) | ((value & 0x0F) << 4)); break;
+          case 2: this.irq.setControl(value); break;
+          case 3: this.irq.acknowledge(); break;
+        }
+        break;
+    }
+  }
+
+  // $B000-$E003: A1 picks the even or odd 1KB slot, A0 the low or high nibble
+  writeChrReg(regAddress, value) {
+    const slot = (((regAddress >> 12) - 0xB) << 1) | ((regAddress >> 1) & 0x01);
+    if (regAddress & 0x01) {
+      const high = this.isVrc2 ? value & 0x0F : value & 0x1F;
+      this.chrRegs[slot] = (this.chrRegs[slot] & 0x0F) | (high << 4);
+    } else {
+      this.chrRegs[slot] = (this.chrRegs[slot] & 0x1F0) | (value & 0x0F);
+    }
+    this.updateChrBanks();
+  }
+
+  cpuClock(cpuCycles) {
+    if (!this.isVrc2) this.irq.clock(cpuCycles);
+  }
+
+  toJSON() {
+    return {
+      prgRegs: Array.from(this.prgRegs),
+      chrRegs: Array.from(this.chrRegs),
+      mirroringReg: this.mirroringReg,
+      programMode: this.programMode,
+      latch: this.latch,
+      irq: this.irq.toJSON(),
+      prgRam: Array.from(this.prgRam),
+      chrRam: this.usingChrRam ? Array.from(this.chrRam) : null
+    };
+  }
+
+  fromJSON(state) {
+    this.prgRegs = new Uint8Array(state.prgRegs || [0, 0]);
+    this.chrRegs = new Uint16Array(state.chrRegs || new Array(8).fill(0));
+    this.mirroringReg = state.mirroringReg || 0;
+    this.programMode = state.programMode || 0;
+    this.latch = state.latch || 0;
+    this.irq.fromJSON(state.irq);
+
+    if (state.prgRam) {
+      this.prgRam = new Uint8Array(state.prgRam);
+    }
+
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+      this.usingChrRam = true;
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+}
@@ -58,7 +58,7 @@ export default class Mapper000 extends Mapper {
     cpuRead(address) {
         // PRG-RAM: $6000-$7FFF
         if (address >= 0x6000 && address < 0x8000) {
-            return this.prgRam[address - 0x6000];
+            return this.prgRam[(address - 0x6000) % this.prgRam.length]; // Smaller RAM mirrors
         }
 
         // PRG-ROM: $8000-$FFFF (use page map for bank switching)
@@ -78,7 +78,8 @@ export default class Mapper000 extends Mapper {
     cpuWrite(address, data) {
         // PRG-RAM: $6000-$7FFF (writable)
         if (address >= 0x6000 && address < 0x8000) {
-            this.prgRam[address - 0x6000] = data;
+            this.prgRam[(address - 0x6000) % this.prgRam.length] = data;
+            this.onPrgRamWrite(address, data);
         }
         // Writes to $8000+ are ignored (ROM is read-only)
     }
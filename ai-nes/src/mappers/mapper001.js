@@ -71,17 +71,13 @@ export default class Mapper001 extends Mapper {
         const hasBattery = (romBattery === true) || (romBattery && romBattery.length > 0);
         this.hasPrgRam = this.usingChrRam || hasBattery;
 
-        // Pugsley's Scavenger Hunt (SLROM) fails if WRAM is detected.
-        // We check the CRC32 to explicitly disable WRAM for this game.
-        if (this.nes.rom.getCRC32) {
-            const crc = this.nes.rom.getCRC32().toString(16).toUpperCase();
-            if (crc === '63E5653' || crc === '2696C69C') {
-                console.log(`[Mapper001] Detected Pugsley's Scavenger Hunt (CRC: ${crc}). Disabling WRAM.`);
-                this.hasPrgRam = false;
-            }
+        // An NES 2.0 header or cartridge database entry states whether the board has WRAM,
+        // so it overrides the guesswork above (the database lists Pugsley's with none)
+        if (this.nes.rom.prgRamSize !== null) {
+            this.hasPrgRam = (this.nes.rom.prgRamSize + this.nes.rom.prgNvramSize) > 0;
         }
-        
-        this.prgRam = this.hasPrgRam ? new Uint8Array(0x2000) : null;
+
+        this.prgRam = this.hasPrgRam ? new Uint8Array(this.getPrgRamSize(0x2000)) : null;
         // Initialize WRAM to 0x00. While some games prefer 0xFF for cold boot detection,
         // Dragon Warrior 3 appears to hang/glitch if initialized to 0xFF.
         if (this.prgRam) this.prgRam.fill(0x00);
@@ -121,16 +117,13 @@ export default class Mapper001 extends Mapper {
         this.updateBankOffsets();
         this.updateMirroring(); // Apply power-on mirroring
         
-        this.loadBatteryRam();
         this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
     }
 
-    loadBatteryRam() {
-        // Load battery-backed RAM if provided by the ROM loader
-        if (this.hasPrgRam && this.nes.rom.batteryRam && this.nes.rom.batteryRam.length && typeof this.nes.rom.batteryRam !== 'boolean') {
-            // Copy to internal prgRam
-            // Note: ROM.batteryRam might be a boolean flag or a byte array
-            this.prgRam.set(this.nes.rom.batteryRam);
+    loadBatteryRam(data) {
+        // SLROM-style boards without WRAM have nowhere to put a save
+        if (this.hasPrgRam) {
+            super.loadBatteryRam(data);
         }
     }
 
@@ -140,7 +133,7 @@ export default class Mapper001 extends Mapper {
             // Return open bus (approx high byte) if WRAM is disabled/missing
             // Returning 0 can cause false positives for WRAM detection (e.g. Pugsley's Scavenger Hunt)
             if (!this.hasPrgRam || this.wramDisable) return (address >> 8) & 0xFF;
-            return this.prgRam[address - 0x6000] || 0;
+            return this.prgRam[(address - 0x6000) % this.prgRam.length] || 0;
         }
 
         // PRG-ROM Bank 0: $8000-$BFFF
@@ -163,12 +156,19 @@ export default class Mapper001 extends Mapper {
         return this.cpuRead(address);
     }
 
+    getPrgOffset(address) {
+        if (address < 0x8000 || !this.prgSize) return null;
+        const base = address < 0xC000 ? this.prgBank0Offset : this.prgBank1Offset;
+        return (base + (address & 0x3FFF)) % this.prgSize;
+    }
+
     cpuWrite(address, data) {
         // PRG-RAM: $6000-$7FFF
         if (address >= 0x6000 && address < 0x8000) {
             // Only allow writes if WRAM is enabled
             if (this.hasPrgRam && !this.wramDisable) {
-                this.prgRam[address - 0x6000] = data;
+                this.prgRam[(address - 0x6000) % this.prgRam.length] = data;
+                this.onPrgRamWrite(address, data);
             }
             return;
         }
@@ -404,7 +404,7 @@ export default class Mapper001 extends Mapper {
         if (state.prgRam) {
             this.prgRam = new Uint8Array(state.prgRam);
         } else {
-            this.prgRam = this.hasPrgRam ? new Uint8Array(0x2000) : null;
+            this.prgRam = this.hasPrgRam ? new Uint8Array(this.getPrgRamSize(0x2000)) : null;
         }
         if (state.chrRam) {
             this.chrRam = new Uint8Array(state.chrRam);
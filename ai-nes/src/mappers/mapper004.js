@@ -25,7 +25,7 @@ export default class Mapper004 extends Mapper {
         this.reg = new Uint8Array(8);
         this.prgOffsets = new Uint32Array(4);
         this.chrOffsets = new Uint32Array(8);
-        this.prgRam = new Uint8Array(0x2000);
+        this.prgRam = new Uint8Array(this.getPrgRamSize(0x2000));
         this.fillRam(this.prgRam); // Apply global RAM initialization pattern
     }
 
@@ -76,7 +76,8 @@ export default class Mapper004 extends Mapper {
     cpuWrite(address, data) {
         if (address >= 0x6000 && address < 0x8000) {
             if (this.prgRamEnabled && !this.prgRamWriteProtect) {
-                this.prgRam[address - 0x6000] = data;
+                this.prgRam[(address - 0x6000) % this.prgRam.length] = data;
+                this.onPrgRamWrite(address, data);
             }
             return;
         }
@@ -140,7 +141,7 @@ export default class Mapper004 extends Mapper {
     cpuRead(address) {
         if (address >= 0x6000 && address < 0x8000) {
             if (!this.prgRamEnabled) return (address >> 8) & 0xFF; // Open bus
-            return this.prgRam[address - 0x6000];
+            return this.prgRam[(address - 0x6000) % this.prgRam.length];
         }
 
         if (address >= 0x8000) {
@@ -151,6 +152,11 @@ export default class Mapper004 extends Mapper {
         return undefined;
     }
 
+    getPrgOffset(address) {
+        if (address < 0x8000 || !this.prgData) return null;
+        return this.prgOffsets[(address >> 13) & 0x03] + (address & 0x1FFF);
+    }
+
     ppuRead(address) {
         if (address < 0x2000) {
             const bankSource = this.usingChrRam ? this.chrRam : this.chrData;
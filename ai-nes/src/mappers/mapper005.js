@@ -28,8 +28,8 @@ export default class Mapper005 extends Mapper {
     this.hasNametableOverride = true;
     this.hasPerTileAttributes = true;
 
-    // MMC5 PRG RAM can be up to 64KB (8 x 8KB banks).
-    this.prgRamBankCount = 8;
+    // MMC5 PRG RAM can be up to 64KB (8 x 8KB banks); NES 2.0 headers give the real size.
+    this.prgRamBankCount = Math.max(1, this.getPrgRamSize(0x10000) >> 13);
     this.prgRam = new Uint8Array(0x2000 * this.prgRamBankCount);
     this.fillRam(this.prgRam);
 
@@ -168,6 +168,13 @@ export default class Mapper005 extends Mapper {
     return { bank, offset, isRam: false };
   }
 
+  getPrgOffset(address) {
+    if (address < 0x8000 || !this.prgData || this.prgBankCount === 0) return null;
+    const { bank, offset, isRam } = this.resolvePrgBank(address);
+    if (isRam || (bank & 0x80) === 0) return null; // PRG-RAM mapped into ROM space
+    return (((bank & 0x7F) % this.prgBankCount) << 13) + offset; // << 13 = * 0x2000
+  }
+
   readPrg(address) {
     const { bank, offset, isRam } = this.resolvePrgBank(address);
     if (isRam) {
@@ -193,6 +200,7 @@ export default class Mapper005 extends Mapper {
       if (this.ramWriteProtect[0] === 2 && this.ramWriteProtect[1] === 1) {
         const index = bank % this.prgRamBankCount;
         this.prgRam[(index << 13) + offset] = value; // << 13 = * 0x2000
+        this.onPrgRamWrite(address, value);
       }
       return;
     }
@@ -202,6 +210,7 @@ export default class Mapper005 extends Mapper {
       const bankIndex = bank & 0x7F;
       const index = bankIndex % this.prgRamBankCount;
       this.prgRam[(index << 13) + offset] = value; // << 13 = * 0x2000
+      this.onPrgRamWrite(address, value);
     }
   }
 
@@ -249,6 +258,11 @@ export default class Mapper005 extends Mapper {
   // ----------------------------------------------------------
   // CPU reads/writes
   // ----------------------------------------------------------
+  // readPrg() without the PCM read mode's DAC capture
+  peek(address) {
+    return address >= 0x6000 ? this.readPrg(address) : undefined;
+  }
+
   cpuRead(address) {
     if ((address & 0xFC00) === 0x5800) {
       return undefined;
@@ -716,7 +730,10 @@ export default class Mapper005 extends Mapper {
 
   fromJSON(state) {
     if (!state) return;
-    if (state.prgRam) this.prgRam = new Uint8Array(state.prgRam);
+    if (state.prgRam) {
+      this.prgRam = new Uint8Array(state.prgRam);
+      this.prgRamBankCount = Math.max(1, this.prgRam.length >> 13);
+    }
     if (state.exram) this.exram = new Uint8Array(state.exram);
     this.programMode = state.programMode || 0;
     this.characterMode = state.characterMode || 0;
@@ -105,6 +105,7 @@ export default class Mapper006 extends Mapper004 {
             
             if (this.ramControl & enableBit) {
                 this.prgRam[offset] = data;
+                this.onPrgRamWrite(address, data);
             }
             return;
         }
@@ -82,6 +82,12 @@ export default class Mapper009 extends Mapper {
         }
     }
 
+    getPrgOffset(address) {
+        if (address < 0x8000) return null;
+        const banks = [this.prgBank0, this.prgBank1, this.prgBank2, this.prgBank3];
+        return (banks[(address >> 13) & 3] << 13) + (address & 0x1FFF); // << 13 = * 0x2000
+    }
+
     ppuRead(address) {
         if (address < 0x2000) {
             // Check for Latch Triggers
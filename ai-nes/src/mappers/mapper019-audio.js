@@ -0,0 +1,165 @@
+// Namco 163 expansion audio (wavetable channels in 128 bytes of internal RAM)
+//
+// Features:
+//   - 128 bytes of RAM behind a data port ($4800) with an address register
+//     and auto-increment ($F800)
+//   - Up to 8 channels, each with a 18-bit frequency, 24-bit phase, wave
+//     length, wave address and 4-bit volume stored in RAM $40-$7F
+//   - 4-bit samples packed two per byte anywhere in RAM (low nibble first)
+//   - $7F bits 4-6 set how many channels run, counted down from channel 8
+//
+// Notes:
+//   - The chip updates one channel every 15 CPU cycles and outputs only that
+//     channel until the next update, so each of N channels plays 1/N of the
+//     time and runs at 1/N of the update rate. Using more channels makes the
+//     chip quieter per channel and adds a whine at 119318 / N Hz.
+//   - getSample() averages the output over the CPU cycles since the previous
+//     call, standing in for the board's low-pass filter.
+//   - The same RAM holds game data; battery-backed boards save it (Mapper019).
+//
+// References:
+//   - https://www.nesdev.org/wiki/Namco_163_audio
+
+import { toJSON, fromJSON } from "../utils.js";
+
+const RAM_SIZE = 0x80;
+const CYCLES_PER_UPDATE = 15;
+const CHANNEL_REGS = 0x40; // Channel 1 at $40-$47, channel 8 at $78-$7F
+
+// A full-volume channel playing alone swings about twice a full-volume APU pulse
+const OUTPUT_RATIO = 2.0;
+
+export class Namco163Audio {
+  constructor(nes) {
+    this.nes = nes;
+    this.papu = nes ? nes.papu : null;
+
+    this.ram = new Uint8Array(RAM_SIZE);
+    this.address = 0;
+    this.autoIncrement = false;
+    this.disabled = false;
+
+    this.updateCounter = 0;
+    this.channel = 7;
+    this.output = 0;
+    this.outputSum = 0;
+    this.outputCycles = 0;
+    this.outputScale = null;
+
+    this.JSON_PROPERTIES = [
+      "address",
+      "autoIncrement",
+      "disabled",
+      "updateCounter",
+      "channel",
+      "output",
+      "outputSum",
+      "outputCycles",
+    ];
+
+    this.reset();
+  }
+
+  // RAM is left alone: it may hold battery-backed data
+  reset() {
+    this.address = 0;
+    this.autoIncrement = false;
+    this.disabled = false;
+
+    this.updateCounter = 0;
+    this.channel = 7;
+    this.output = 0;
+    this.outputSum = 0;
+    this.outputCycles = 0;
+
+    this.updateOutputScale();
+  }
+
+  updateOutputScale() {
+    const pulseMax = this.papu && this.papu.square_table
+      ? this.papu.square_table[15 << 4]
+      : 0.149;
+    this.outputScale = pulseMax * OUTPUT_RATIO / 120;
+  }
+
+  // $F800: bits 0-6 RAM address, bit 7 auto-increment
+  setAddress(value) {
+    this.address = value & 0x7F;
+    this.autoIncrement = (value & 0x80) !== 0;
+  }
+
+  // $4800 read
+  readData() {
+    const value = this.ram[this.address];
+    if (this.autoIncrement) this.address = (this.address + 1) & 0x7F;
+    return value;
+  }
+
+  // $4800 write
+  writeData(value) {
+    this.ram[this.address] = value;
+    if (this.autoIncrement) this.address = (this.address + 1) & 0x7F;
+  }
+
+  // Board register $E000 bit 6
+  setDisabled(disabled) {
+    this.disabled = disabled;
+  }
+
+  getChannelCount() {
+    return ((this.ram[0x7F] >> 4) & 0x07) + 1;
+  }
+
+  clock(cpuCycles) {
+    for (let i = 0; i < cpuCycles; i++) {
+      if (!this.disabled && ++this.updateCounter >= CYCLES_PER_UPDATE) {
+        this.updateCounter = 0;
+        this.output = this.updateChannel(this.channel);
+        // Channels run from 8 downward
+        this.channel = this.channel <= 8 - this.getChannelCount() ? 7 : this.channel - 1;
+      }
+      this.outputSum += this.disabled ? 0 : this.output;
+      this.outputCycles++;
+    }
+  }
+
+  // Advance one channel's phase and return its output (-120..105)
+  updateChannel(channel) {
+    const ram = this.ram;
+    const base = CHANNEL_REGS + (channel << 3);
+
+    const freq = ram[base] | (ram[base + 2] << 8) | ((ram[base + 4] & 0x03) << 16);
+    const length = (256 - (ram[base + 4] & 0xFC)) << 16;
+    let phase = ram[base + 1] | (ram[base + 3] << 8) | (ram[base + 5] << 16);
+    phase = (phase + freq) % length;
+    ram[base + 1] = phase & 0xFF;
+    ram[base + 3] = (phase >> 8) & 0xFF;
+    ram[base + 5] = (phase >> 16) & 0xFF;
+
+    const sampleAddress = ((phase >> 16) + ram[base + 6]) & 0xFF;
+    const sample = (ram[sampleAddress >> 1] >> ((sampleAddress & 1) << 2)) & 0x0F;
+    return (sample - 8) * (ram[base + 7] & 0x0F);
+  }
+
+  getSample() {
+    if (this.outputScale === null) {
+      this.updateOutputScale();
+    }
+    const level = this.outputCycles ? this.outputSum / this.outputCycles : 0;
+    this.outputSum = 0;
+    this.outputCycles = 0;
+    return level * this.outputScale;
+  }
+
+  toJSON() {
+    const state = toJSON(this);
+    state.ram = Array.from(this.ram);
+    return state;
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+    this.ram = new Uint8Array(state.ram || new Array(RAM_SIZE).fill(0));
+  }
+}
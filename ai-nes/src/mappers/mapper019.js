@@ -0,0 +1,330 @@
+// Mapper 019: Namco 163
+// Used by: Megami Tensei II, King of Kings, Rolling Thunder (JP), Erika to Satoru no Yumebouken
+//
+// Features:
+//   - Three 8KB PRG banks ($8000-$DFFF) with the last bank fixed at $E000
+//   - Eight 1KB CHR banks; values $E0-$FF can select nametable RAM instead
+//   - Four nametable registers choosing nametable RAM or any 1KB of CHR-ROM
+//   - 15-bit CPU cycle IRQ counter ($5000/$5800)
+//   - 8KB PRG-RAM at $6000-$7FFF with write protection ($F800)
+//   - 128 bytes of internal sound/save RAM and wavetable audio (mapper019-audio.js)
+//
+// Notes:
+//   - CHR registers for $0000-$0FFF use nametable RAM for $E0-$FF unless
+//     $E800 bit 6 is set; bit 7 does the same for $1000-$1FFF. Nametable
+//     registers always do.
+//   - Nametables go through the PPU's nametable override (readNametable /
+//     setNametableByte); CHR-ROM nametables ignore writes.
+//   - PRG-RAM writes need $F800 bits 4-7 = 0100; bits 0-3 then protect the
+//     four 2KB quarters.
+//   - Battery saves hold PRG-RAM followed by the 128 bytes of internal RAM.
+//
+// References:
+//   - https://www.nesdev.org/wiki/INES_Mapper_019
+
+import Mapper from './mapper-base.js';
+import { Namco163Audio } from './mapper019-audio.js';
+
+const NAMETABLE_RAM_BANK = 0xE0;
+
+export default class Mapper019 extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    this.hasNametableOverride = true;
+
+    this.prgRegs = new Uint8Array(3);
+    this.chrRegs = new Uint8Array(8);
+    this.ntRegs = new Uint8Array(4);
+    this.chrRamDisable = 0; // $E800 bits 6-7
+    this.writeProtect = 0;  // $F800
+
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+
+    this.n163Audio = new Namco163Audio(this.nes);
+
+    if (!this.chrData || this.chrData.length === 0) {
+      this.useVRAM(8);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.prgRegs.fill(0);
+    this.chrRegs.fill(0);
+    this.resetNametables();
+    this.chrRamDisable = 0;
+    this.writeProtect = 0;
+
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    if (this.nes && this.nes.cpu && this.nes.cpu.clearIrq) {
+      this.nes.cpu.clearIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+
+    this.n163Audio.reset();
+    if (this.nes && this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+      this.nes.papu.setExpansionAudioSource('n163', this.n163Audio);
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+  }
+
+  // Until the game sets them, nametables follow the header's mirroring
+  resetNametables() {
+    const rom = this.cartridge;
+    const horizontal = rom && rom.getMirroringType && rom.getMirroringType() === rom.HORIZONTAL_MIRRORING;
+    this.ntRegs.set(horizontal ? [0xE0, 0xE0, 0xE1, 0xE1] : [0xE0, 0xE1, 0xE0, 0xE1]);
+  }
+
+  updatePrgBanks() {
+    if (!this.prgData || this.prgBankCount === 0) return;
+    for (let i = 0; i < 3; i++) {
+      this.switch8kPrgBank(this.prgRegs[i] & 0x3F, i);
+    }
+    this.switch8kPrgBank(this.prgBankCount - 1, 3);
+  }
+
+  updateChrBanks() {
+    for (let i = 0; i < 8; i++) {
+      if (!this.isNametableRamBank(i)) this.switch1kChrBank(this.chrRegs[i], i);
+    }
+  }
+
+  // CHR slot 0-7 showing a page of nametable RAM
+  isNametableRamBank(slot) {
+    if (this.chrRegs[slot] < NAMETABLE_RAM_BANK) return false;
+    return (this.chrRamDisable & (slot < 4 ? 0x40 : 0x80)) === 0;
+  }
+
+  // Offset of a nametable RAM page in the PPU's VRAM
+  getNametableRamOffset(bank) {
+    return 0x2000 + ((bank & 0x01) << 10);
+  }
+
+  // ==========================================================
+  // PPU INTERFACE
+  // ==========================================================
+
+  ppuRead(address, context) {
+    if (address >= 0x2000) return null;
+    const slot = (address >> 10) & 7;
+    if (this.isNametableRamBank(slot)) {
+      return this.nes.ppu.vramMem[this.getNametableRamOffset(this.chrRegs[slot]) + (address & 0x3FF)];
+    }
+    return super.ppuRead(address, context);
+  }
+
+  ppuWrite(address, data) {
+    const slot = (address >> 10) & 7;
+    if (this.isNametableRamBank(slot)) {
+      this.nes.ppu.vramMem[this.getNametableRamOffset(this.chrRegs[slot]) + (address & 0x3FF)] = data;
+      return true;
+    }
+    return super.ppuWrite(address, data);
+  }
+
+  readNametable(address, context) {
+    const bank = this.ntRegs[(address >> 10) & 0x03];
+    const offset = address & 0x03FF;
+
+    let value;
+    if (bank >= NAMETABLE_RAM_BANK || !this.chrData || this.usingChrRam) {
+      value = this.nes.ppu.vramMem[this.getNametableRamOffset(bank) + offset];
+    } else {
+      value = this.chrData[((bank % this.chrBankCount) << 10) + offset];
+    }
+
+    if (context === 'attribute') {
+      const v = this.nes.ppu.v;
+      const shift = (((v >> 5) << 1) & 0x04) | (v & 0x02); // coarse Y bit 1, coarse X bit 1
+      return (value >> shift) & 0x03;
+    }
+    return value;
+  }
+
+  setNametableByte(address, value) {
+    const bank = this.ntRegs[(address >> 10) & 0x03];
+    if (bank >= NAMETABLE_RAM_BANK || this.usingChrRam) {
+      this.nes.ppu.vramMem[this.getNametableRamOffset(bank) + (address & 0x03FF)] = value;
+    }
+  }
+
+  // ==========================================================
+  // CPU INTERFACE
+  // ==========================================================
+
+  cpuRead(address) {
+    if (address >= 0x8000) {
+      if (!this.prgData || this.prgBankCount === 0) return 0;
+      const slot = (address >> 13) & 0x03;
+      return this.prgData[this.prgPagesMap[slot] + (address & 0x1FFF)];
+    }
+    if (address >= 0x6000) {
+      return this.prgRam[(address - 0x6000) % this.prgRam.length];
+    }
+
+    switch (address & 0xF800) {
+      case 0x4800:
+        return this.n163Audio.readData();
+      case 0x5000:
+        return this.irqCounter & 0xFF;
+      case 0x5800:
+        return (this.irqCounter >> 8) | (this.irqEnabled ? 0x80 : 0);
+    }
+    return undefined;
+  }
+
+  cpuWrite(address, value) {
+    if (address < 0x6000) {
+      switch (address & 0xF800) {
+        case 0x4800:
+          this.n163Audio.writeData(value);
+          this.onPrgRamWrite(address, value);
+          break;
+        case 0x5000:
+          this.irqCounter = (this.irqCounter & 0x7F00) | value;
+          this.acknowledgeIrq();
+          break;
+        case 0x5800:
+          this.irqCounter = (this.irqCounter & 0x00FF) | ((value & 0x7F) << 8);
+          this.irqEnabled = (value & 0x80) !== 0;
+          this.acknowledgeIrq();
+          break;
+      }
+      return;
+    }
+
+    if (address < 0x8000) {
+      const quarter = (address >> 11) & 0x03;
+      if ((this.writeProtect & 0xF0) === 0x40 && !(this.writeProtect & (1 << quarter))) {
+        this.prgRam[(address - 0x6000) % this.prgRam.length] = value;
+        this.onPrgRamWrite(address, value);
+      }
+      return;
+    }
+
+    const reg = (address >> 11) & 0x0F; // $8000 -> 0 ... $F800 -> 15
+    if (reg < 8) {
+      this.chrRegs[reg] = value;
+      this.updateChrBanks();
+      return;
+    }
+    if (reg < 12) {
+      this.ntRegs[reg - 8] = value;
+      return;
+    }
+
+    switch (reg) {
+      case 12: // $E000
+        this.prgRegs[0] = value & 0x3F;
+        this.n163Audio.setDisabled((value & 0x40) !== 0);
+        this.updatePrgBanks();
+        break;
+      case 13: // $E800
+        this.prgRegs[1] = value & 0x3F;
+        this.chrRamDisable = value & 0xC0;
+        this.updatePrgBanks();
+        this.updateChrBanks();
+        break;
+      case 14: // $F000
+        this.prgRegs[2] = value & 0x3F;
+        this.updatePrgBanks();
+        break;
+      case 15: // $F800
+        this.writeProtect = value;
+        this.n163Audio.setAddress(value);
+        break;
+    }
+  }
+
+  acknowledgeIrq() {
+    if (this.nes && this.nes.cpu && this.nes.cpu.clearIrq) {
+      this.nes.cpu.clearIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  // Counts up to $7FFF, then holds there with the IRQ asserted
+  cpuClock(cpuCycles) {
+    if (!this.irqEnabled || this.irqCounter === 0x7FFF) return;
+    this.irqCounter += cpuCycles;
+    if (this.irqCounter >= 0x7FFF) {
+      this.irqCounter = 0x7FFF;
+      if (this.nes && this.nes.cpu && this.nes.cpu.requestIrq) {
+        this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+      }
+    }
+  }
+
+  // ==========================================================
+  // BATTERY-BACKED RAM
+  // ==========================================================
+
+  // PRG-RAM, then the chip's 128 bytes
+  getBatteryRam() {
+    if (!this.hasBattery) return null;
+    const image = new Uint8Array(this.prgRam.length + this.n163Audio.ram.length);
+    image.set(this.prgRam);
+    image.set(this.n163Audio.ram, this.prgRam.length);
+    return image;
+  }
+
+  loadBatteryRam(data) {
+    if (!data) return;
+    super.loadBatteryRam(data);
+    if (data.length > this.prgRam.length) {
+      const internal = data.subarray(this.prgRam.length, this.prgRam.length + this.n163Audio.ram.length);
+      this.n163Audio.ram.set(internal);
+    }
+  }
+
+  // ==========================================================
+  // SAVE STATE SUPPORT
+  // ==========================================================
+
+  toJSON() {
+    return {
+      prgRegs: Array.from(this.prgRegs),
+      chrRegs: Array.from(this.chrRegs),
+      ntRegs: Array.from(this.ntRegs),
+      chrRamDisable: this.chrRamDisable,
+      writeProtect: this.writeProtect,
+      irqCounter: this.irqCounter,
+      irqEnabled: this.irqEnabled,
+      prgRam: Array.from(this.prgRam),
+      n163Audio: this.n163Audio.toJSON(),
+      chrRam: this.usingChrRam ? Array.from(this.chrRam) : null
+    };
+  }
+
+  fromJSON(state) {
+    this.prgRegs = new Uint8Array(state.prgRegs || [0, 0, 0]);
+    this.chrRegs = new Uint8Array(state.chrRegs || new Array(8).fill(0));
+    if (state.ntRegs) {
+      this.ntRegs = new Uint8Array(state.ntRegs);
+    } else {
+      this.resetNametables();
+    }
+    this.chrRamDisable = state.chrRamDisable || 0;
+    this.writeProtect = state.writeProtect || 0;
+    this.irqCounter = state.irqCounter || 0;
+    this.irqEnabled = !!state.irqEnabled;
+    this.n163Audio.fromJSON(state.n163Audio);
+
+    if (state.prgRam) {
+      this.prgRam = new Uint8Array(state.prgRam);
+    }
+
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+      this.usingChrRam = true;
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+  }
+}
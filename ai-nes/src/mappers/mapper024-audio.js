@@ -0,0 +1,270 @@
+// Konami VRC6 expansion audio (two pulse channels and a sawtooth)
+//
+// Features:
+//   - Pulse channels ($9000-$9002, $A000-$A002): 12-bit period, 8 duty
+//     settings (1/16 to 8/16), 4-bit volume and a constant-output "digital" mode
+//   - Sawtooth ($B000-$B002): 6-bit accumulator rate, 7 steps per cycle
+//   - Frequency control ($9003): halt all channels, or speed them up 16x/256x
+//
+// Notes:
+//   - Timers run at the CPU clock. A pulse steps every period + 1 cycles;
+//     the sawtooth steps its 14-step sequencer at the same rate and adds the
+//     rate on every other step, so one ramp takes 14 * (period + 1) cycles.
+//   - Only the top 5 bits of the sawtooth accumulator reach the DAC.
+//   - Output levels are linear: a full-volume VRC6 pulse matches a
+//     full-volume APU pulse, and the sawtooth peaks at about twice that.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC6_audio
+
+import { toJSON, fromJSON } from "../utils.js";
+
+class Vrc6Pulse {
+  constructor() {
+    this.volume = 0;
+    this.duty = 0;
+    this.ignoreDuty = false;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+    this.frequencyShift = 0;
+
+    this.JSON_PROPERTIES = [
+      "volume",
+      "duty",
+      "ignoreDuty",
+      "period",
+      "enabled",
+      "timer",
+      "step",
+      "frequencyShift",
+    ];
+  }
+
+  reset() {
+    this.volume = 0;
+    this.duty = 0;
+    this.ignoreDuty = false;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+    this.frequencyShift = 0;
+  }
+
+  // reg 0: mode/duty/volume, 1: period low, 2: enable/period high
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.volume = value & 0x0F;
+        this.duty = (value >> 4) & 0x07;
+        this.ignoreDuty = (value & 0x80) !== 0;
+        break;
+      case 1:
+        this.period = (this.period & 0x0F00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0x00FF) | ((value & 0x0F) << 8);
+        this.enabled = (value & 0x80) !== 0;
+        if (!this.enabled) this.step = 0;
+        break;
+    }
+  }
+
+  clock() {
+    if (!this.enabled) return;
+    if (--this.timer <= 0) {
+      this.timer = (this.period >> this.frequencyShift) + 1;
+      this.step = (this.step + 1) & 0x0F;
+    }
+  }
+
+  getOutput() {
+    if (!this.enabled) return 0;
+    return (this.ignoreDuty || this.step <= this.duty) ? this.volume : 0;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(state) {
+    fromJSON(this, state);
+  }
+}
+
+class Vrc6Sawtooth {
+  constructor() {
+    this.rate = 0;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+    this.accumulator = 0;
+    this.frequencyShift = 0;
+
+    this.JSON_PROPERTIES = [
+      "rate",
+      "period",
+      "enabled",
+      "timer",
+      "step",
+      "accumulator",
+      "frequencyShift",
+    ];
+  }
+
+  reset() {
+    this.rate = 0;
+    this.period = 0;
+    this.enabled = false;
+    this.timer = 0;
+    this.step = 0;
+    this.accumulator = 0;
+    this.frequencyShift = 0;
+  }
+
+  // reg 0: accumulator rate, 1: period low, 2: enable/period high
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.rate = value & 0x3F;
+        break;
+      case 1:
+        this.period = (this.period & 0x0F00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0x00FF) | ((value & 0x0F) << 8);
+        this.enabled = (value & 0x80) !== 0;
+        if (!this.enabled) {
+          this.step = 0;
+          this.accumulator = 0;
+        }
+        break;
+    }
+  }
+
+  clock() {
+    if (!this.enabled) return;
+    if (--this.timer <= 0) {
+      this.timer = (this.period >> this.frequencyShift) + 1;
+      this.step = (this.step + 1) % 14;
+      if (this.step === 0) {
+        this.accumulator = 0;
+      } else if ((this.step & 0x01) === 0) {
+        this.accumulator = (this.accumulator + this.rate) & 0xFF;
+      }
+    }
+  }
+
+  getOutput() {
+    return this.enabled ? this.accumulator >> 3 : 0;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(state) {
+    fromJSON(this, state);
+  }
+}
+
+export class Vrc6Audio {
+  constructor(nes) {
+    this.nes = nes;
+    this.papu = nes ? nes.papu : null;
+
+    this.pulse1 = new Vrc6Pulse();
+    this.pulse2 = new Vrc6Pulse();
+    this.sawtooth = new Vrc6Sawtooth();
+
+    this.halted = false;
+    this.outputScale = null;
+
+    this.JSON_PROPERTIES = [
+      "halted",
+    ];
+
+    this.reset();
+  }
+
+  reset() {
+    this.pulse1.reset();
+    this.pulse2.reset();
+    this.sawtooth.reset();
+    this.halted = false;
+
+    this.updateOutputScale();
+  }
+
+  updateOutputScale() {
+    const pulseMax = this.papu && this.papu.square_table
+      ? this.papu.square_table[15 << 4]
+      : 0.149;
+    this.outputScale = pulseMax / 15;
+  }
+
+  // Register addresses as seen on VRC6a (A0/A1 unswapped): $9000-$9003, $A000-$A002, $B000-$B002
+  writeRegister(addr, value) {
+    const reg = addr & 0x03;
+    switch (addr & 0xF000) {
+      case 0x9000:
+        if (reg === 3) {
+          this.writeFrequencyControl(value);
+        } else {
+          this.pulse1.writeReg(reg, value);
+        }
+        break;
+      case 0xA000:
+        if (reg !== 3) this.pulse2.writeReg(reg, value);
+        break;
+      case 0xB000:
+        if (reg !== 3) this.sawtooth.writeReg(reg, value);
+        break;
+    }
+  }
+
+  // $9003: bit 0 halts every channel, bit 1 shifts periods right by 4, bit 2 by 8 (wins over bit 1)
+  writeFrequencyControl(value) {
+    this.halted = (value & 0x01) !== 0;
+    const shift = (value & 0x04) ? 8 : (value & 0x02) ? 4 : 0;
+    this.pulse1.frequencyShift = shift;
+    this.pulse2.frequencyShift = shift;
+    this.sawtooth.frequencyShift = shift;
+  }
+
+  clock(cpuCycles) {
+    if (this.halted) return;
+    for (let i = 0; i < cpuCycles; i++) {
+      this.pulse1.clock();
+      this.pulse2.clock();
+      this.sawtooth.clock();
+    }
+  }
+
+  getSample() {
+    if (this.outputScale === null) {
+      this.updateOutputScale();
+    }
+    const raw = this.pulse1.getOutput() + this.pulse2.getOutput() + this.sawtooth.getOutput();
+    return raw * this.outputScale;
+  }
+
+  toJSON() {
+    const state = toJSON(this);
+    state.pulse1 = this.pulse1.toJSON();
+    state.pulse2 = this.pulse2.toJSON();
+    state.sawtooth = this.sawtooth.toJSON();
+    return state;
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+    if (state.pulse1) this.pulse1.fromJSON(state.pulse1);
+    if (state.pulse2) this.pulse2.fromJSON(state.pulse2);
+    if (state.sawtooth) this.sawtooth.fromJSON(state.sawtooth);
+  }
+}
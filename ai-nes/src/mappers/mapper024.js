@@ -0,0 +1,240 @@
+// Mapper 024: Konami VRC6a
+// Used by: Akumajou Densetsu (Castlevania III JP)
+//
+// Features:
+//   - 16KB PRG bank at $8000, 8KB PRG bank at $C000, last bank fixed at $E000
+//   - Eight 8-bit CHR registers used as 1KB or 2KB banks ($B003 modes)
+//   - 8KB PRG-RAM at $6000-$7FFF, enabled by $B003 bit 7
+//   - VRC IRQ (scanline or CPU cycle mode)
+//   - Two pulse channels and a sawtooth (mapper024-audio.js)
+//
+// Notes:
+//   - Registers are decoded from A0/A1 only. VRC6b (mapper 26) swaps the two
+//     lines; Mapper026 just changes the pins.
+//   - $B003 bits 0-1 pick the CHR layout: 0 = R0-R7 as 1KB banks,
+//     1 = R0-R3 as 2KB banks, 2/3 = R0-R3 as 1KB at $0000 and R4/R5 as 2KB
+//     at $1000. With bit 5 set a 2KB bank is an even/odd pair of 1KB pages;
+//     with it clear both halves show the same 1KB page.
+//   - $B003 bits 2-3 give the mirroring (vertical, horizontal, 1-screen A/B).
+//     Nametables from CHR-ROM (bit 4) are not emulated; no licensed game uses them.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC6
+
+import Mapper from './mapper-base.js';
+import { Vrc6Audio } from './mapper024-audio.js';
+import { VrcIrq } from './vrc-irq.js';
+
+export default class Mapper024 extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    // Cartridge address lines wired to the chip's A0/A1 inputs
+    this.pinA0 = 0x01;
+    this.pinA1 = 0x02;
+
+    this.prgReg16 = 0;
+    this.prgReg8 = 0;
+    this.chrRegs = new Uint8Array(8);
+    this.bankingMode = 0;
+
+    this.irq = new VrcIrq(this.nes);
+    this.vrc6Audio = new Vrc6Audio(this.nes);
+
+    if (!this.chrData || this.chrData.length === 0) {
+      this.useVRAM(8);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.prgReg16 = 0;
+    this.prgReg8 = 0;
+    this.chrRegs.fill(0);
+    this.bankingMode = 0;
+
+    this.irq.reset();
+    this.vrc6Audio.reset();
+    if (this.nes && this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+      this.nes.papu.setExpansionAudioSource('vrc6', this.vrc6Audio);
+    }
+
+    if (this.nes && this.nes.rom && this.nes.rom.batteryRam && this.nes.rom.batteryRam.length) {
+      const len = Math.min(this.nes.rom.batteryRam.length, this.prgRam.length);
+      this.prgRam.set(this.nes.rom.batteryRam.subarray(0, len));
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+
+  // Map a CPU address to the register it selects ($x000-$x003)
+  getRegisterAddress(address) {
+    const a0 = (address & this.pinA0) ? 1 : 0;
+    const a1 = (address & this.pinA1) ? 1 : 0;
+    return (address & 0xF000) | a0 | (a1 << 1);
+  }
+
+  get prgRamEnabled() {
+    return (this.bankingMode & 0x80) !== 0;
+  }
+
+  updatePrgBanks() {
+    if (!this.prgData || this.prgBankCount === 0) return;
+    this.switch16kPrgBank(this.prgReg16 & 0x0F, true);
+    this.switch8kPrgBank(this.prgReg8 & 0x1F, 2);
+    this.switch8kPrgBank(this.prgBankCount - 1, 3);
+  }
+
+  updateChrBanks() {
+    const r = this.chrRegs;
+    // Bit 5: 2KB banks take an even/odd pair instead of repeating one page
+    const mask = (this.bankingMode & 0x20) ? 0xFE : 0xFF;
+    const odd = (this.bankingMode & 0x20) ? 1 : 0;
+
+    switch (this.bankingMode & 0x03) {
+      case 0:
+        for (let i = 0; i < 8; i++) this.switch1kChrBank(r[i], i);
+        break;
+      case 1:
+        for (let i = 0; i < 4; i++) {
+          this.switch1kChrBank(r[i] & mask, i << 1);
+          this.switch1kChrBank((r[i] & mask) | odd, (i << 1) + 1);
+        }
+        break;
+      default:
+        for (let i = 0; i < 4; i++) this.switch1kChrBank(r[i], i);
+        this.switch1kChrBank(r[4] & mask, 4);
+        this.switch1kChrBank((r[4] & mask) | odd, 5);
+        this.switch1kChrBank(r[5] & mask, 6);
+        this.switch1kChrBank((r[5] & mask) | odd, 7);
+        break;
+    }
+  }
+
+  updateMirroring() {
+    if (!this.nes || !this.nes.ppu || !this.nes.rom) return;
+    switch ((this.bankingMode >> 2) & 0x03) {
+      case 0: this.nes.ppu.setMirroring(this.nes.rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(this.nes.rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_A); break;
+      case 3: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_B); break;
+    }
+  }
+
+  cpuRead(address) {
+    if (address >= 0x6000 && address < 0x8000) {
+      if (!this.prgRamEnabled) return undefined;
+      return this.prgRam[(address - 0x6000) % this.prgRam.length];
+    }
+
+    if (address >= 0x8000) {
+      if (!this.prgData || this.prgBankCount === 0) return 0;
+      const slot = (address >> 13) & 0x03;
+      return this.prgData[this.prgPagesMap[slot] + (address & 0x1FFF)];
+    }
+    return undefined;
+  }
+
+  cpuWrite(address, value) {
+    if (address < 0x6000) return;
+
+    if (address < 0x8000) {
+      if (this.prgRamEnabled) {
+        this.prgRam[(address - 0x6000) % this.prgRam.length] = value;
+        this.onPrgRamWrite(address, value);
+      }
+      return;
+    }
+
+    const regAddress = this.getRegisterAddress(address);
+    const regIndex = regAddress & 0x03;
+
+    switch (regAddress & 0xF000) {
+      case 0x8000:
+        this.prgReg16 = value & 0x0F;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9000:
+      case 0xA000:
+        this.vrc6Audio.writeRegister(regAddress, value);
+        break;
+
+      case 0xB000:
+        if (regIndex === 3) {
+          this.bankingMode = value;
+          this.updateChrBanks();
+          this.updateMirroring();
+        } else {
+          this.vrc6Audio.writeRegister(regAddress, value);
+        }
+        break;
+
+      case 0xC000:
+        this.prgReg8 = value & 0x1F;
+        this.updatePrgBanks();
+        break;
+
+      case 0xD000:
+        this.chrRegs[regIndex] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0xE000:
+        this.chrRegs[4 + regIndex] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0xF000:
+        switch (regIndex) {
+          case 0: this.irq.setReload(value); break;
+          case 1: this.irq.setControl(value); break;
+          case 2: this.irq.acknowledge(); break;
+        }
+        break;
+    }
+  }
+
+  cpuClock(cpuCycles) {
+    this.irq.clock(cpuCycles);
+  }
+
+  toJSON() {
+    return {
+      prgReg16: this.prgReg16,
+      prgReg8: this.prgReg8,
+      chrRegs: Array.from(this.chrRegs),
+      bankingMode: this.bankingMode,
+      irq: this.irq.toJSON(),
+      prgRam: Array.from(this.prgRam),
+      vrc6Audio: this.vrc6Audio.toJSON(),
+      chrRam: this.usingChrRam ? Array.from(this.chrRam) : null
+    };
+  }
+
+  fromJSON(state) {
+    this.prgReg16 = state.prgReg16 || 0;
+    this.prgReg8 = state.prgReg8 || 0;
+    this.chrRegs = new Uint8Array(state.chrRegs || new Array(8).fill(0));
+    this.bankingMode = state.bankingMode || 0;
+    this.irq.fromJSON(state.irq);
+    this.vrc6Audio.fromJSON(state.vrc6Audio);
+
+    if (state.prgRam) {
+      this.prgRam = new Uint8Array(state.prgRam);
+    }
+
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+      this.usingChrRam = true;
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+}
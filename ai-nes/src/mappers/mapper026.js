@@ -0,0 +1,24 @@
+// Mapper 026: Konami VRC6b
+// Used by: Madara, Esper Dream 2
+//
+// Features:
+//   - Same chip as VRC6a (mapper 24): PRG/CHR banking, PRG-RAM, VRC IRQ
+//     and the pulse/sawtooth expansion audio
+//
+// Notes:
+//   - The board wires CPU A0 to the chip's A1 and A1 to its A0, so $x001
+//     and $x002 trade places.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC6
+
+import Mapper024 from './mapper024.js';
+
+export default class Mapper026 extends Mapper024 {
+  constructor(cartridge) {
+    super(cartridge);
+
+    this.pinA0 = 0x02;
+    this.pinA1 = 0x01;
+  }
+}
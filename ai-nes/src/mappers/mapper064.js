@@ -0,0 +1,149 @@
+// Mapper 064: Tengen RAMBO-1
+// Used by: Klax, Skull & Crossbones, Hard Drivin', Shinobi (Tengen)
+//
+// Features:
+//   - MMC3-style bank select/data registers with four more banks:
+//     R8/R9 (1KB CHR, in place of the odd halves of R0/R1) and RF (a third
+//     switchable 8KB PRG bank)
+//   - IRQ counter clocked by PPU A12 rises (as MMC3) or every 4 CPU cycles
+//   - Switchable mirroring
+//
+// Notes:
+//   - $8000 bit 5 turns R0/R1 into 1KB banks and enables R8/R9.
+//   - The counter's reload is quirky: after a $C001 write the first IRQ comes
+//     one clock later than the following ones (unless the latch is 0 or 1),
+//     and the IRQ reaches the CPU one cycle (cycle mode) or two cycles (A12
+//     mode) after the counter hits zero. Hard Drivin' and Skull & Crossbones
+//     depend on this.
+//
+// References:
+//   - https://www.nesdev.org/wiki/RAMBO-1
+
+import Mapper004 from './mapper004.js';
+
+const PPU_IRQ_DELAY = 2; // CPU cycles from the counter reaching 0 to /IRQ
+const CPU_IRQ_DELAY = 1;
+
+export default class Mapper064 extends Mapper004 {
+    constructor(cartridge) {
+        super(cartridge);
+        this.reg = new Uint8Array(16); // R0-R9 and RF
+    }
+
+    loadROM() {
+        this.chr1kMode = false;
+        this.irqCycleMode = false;
+        this.irqPrescaler = 0;
+        this.irqDelay = 0;
+        super.loadROM();
+    }
+
+    cpuWrite(address, data) {
+        if (address < 0x8000) {
+            super.cpuWrite(address, data);
+            return;
+        }
+
+        const reg = address & 1;
+        switch (address & 0xE000) {
+            case 0x8000:
+                if (reg === 0) {
+                    // Bank Select ($8000): bit 5 is the 1KB CHR mode
+                    this.prgMode = (data >> 6) & 1;
+                    this.chrMode = (data >> 7) & 1;
+                    this.chr1kMode = (data & 0x20) !== 0;
+                    this.bankSelect = data & 0x0F;
+                } else {
+                    this.reg[this.bankSelect] = data;
+                }
+                this.updateBanks();
+                return;
+
+            case 0xC000:
+                if (reg === 1) {
+                    // $C001: IRQ mode (bit 0 = CPU cycles) and reload
+                    this.irqCycleMode = (data & 0x01) !== 0;
+                    if (this.irqCycleMode) this.irqPrescaler = 0;
+                    this.irqReload = true;
+                    return;
+                }
+                break;
+
+            case 0xE000:
+                if (reg === 0) this.irqDelay = 0;
+                break;
+        }
+        super.cpuWrite(address, data);
+    }
+
+    updateBanks() {
+        // CHR Banks: R0/R1 are 2KB unless the 1KB mode brings in R8/R9
+        const chrMask = (this.get1kChrBankCount() > 0) ? this.get1kChrBankCount() - 1 : 0;
+        const r = this.reg;
+        const banks = this.chr1kMode
+            ? [r[0], r[8], r[1], r[9], r[2], r[3], r[4], r[5]]
+            : [r[0] & 0xFE, r[0] | 0x01, r[1] & 0xFE, r[1] | 0x01, r[2], r[3], r[4], r[5]];
+        // CHR A12 inversion swaps the two pattern tables
+        const flip = this.chrMode ? 4 : 0;
+        for (let i = 0; i < 8; i++) {
+            this.chrOffsets[i ^ flip] = (banks[i] & chrMask) << 10;
+        }
+
+        // PRG Banks: R6, R7, RF in mode 0; RF, R6, R7 in mode 1
+        const prgCount = this.get8kPrgBankCount();
+        const prgMask = (prgCount > 0) ? prgCount - 1 : 0;
+        const prg = this.prgMode === 0 ? [r[6], r[7], r[15]] : [r[15], r[6], r[7]];
+        for (let i = 0; i < 3; i++) {
+            this.prgOffsets[i] = (prg[i] & prgMask) << 13;
+        }
+        this.prgOffsets[3] = (prgCount - 1) << 13;
+    }
+
+    // Filtered A12 rise from the PPU
+    clockScanline() {
+        if (!this.irqCycleMode) this.clockIrqCounter(PPU_IRQ_DELAY);
+    }
+
+    clockIrqCounter(delay) {
+        if (this.irqReload) {
+            this.irqCounter = this.irqLatch + (this.irqLatch <= 1 ? 1 : 2);
+            this.irqReload = false;
+        } else if (this.irqCounter === 0) {
+            this.irqCounter = this.irqLatch + 1;
+        }
+        this.irqCounter--;
+
+        if (this.irqCounter === 0 && this.irqEnabled) {
+            this.irqDelay = delay;
+        }
+    }
+
+    cpuClock(cpuCycles) {
+        for (let i = 0; i < cpuCycles; i++) {
+            if (this.irqDelay > 0 && --this.irqDelay === 0 && this.irqEnabled) {
+                this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+            }
+            if (this.irqCycleMode) {
+                this.irqPrescaler = (this.irqPrescaler + 1) & 0x03;
+                if (this.irqPrescaler === 0) this.clockIrqCounter(CPU_IRQ_DELAY);
+            }
+        }
+    }
+
+    toJSON() {
+        const state = super.toJSON();
+        state.chr1kMode = this.chr1kMode;
+        state.irqCycleMode = this.irqCycleMode;
+        state.irqPrescaler = this.irqPrescaler;
+        state.irqDelay = this.irqDelay;
+        return state;
+    }
+
+    fromJSON(state) {
+        this.chr1kMode = !!state.chr1kMode;
+        this.irqCycleMode = !!state.irqCycleMode;
+        this.irqPrescaler = state.irqPrescaler || 0;
+        this.irqDelay = state.irqDelay || 0;
+        super.fromJSON(state);
+    }
+}
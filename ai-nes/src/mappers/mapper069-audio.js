@@ -0,0 +1,221 @@
+// Sunsoft 5B expansion audio (YM2149F core inside the FME-7)
+//
+// Features:
+//   - Three square-wave tone channels with 12-bit periods
+//   - 17-bit LFSR noise generator shared by all channels
+//   - Envelope generator with all 16 YM2149 shapes (32 steps)
+//   - Logarithmic DAC: 3dB per volume step, 1.5dB per envelope step
+//
+// Notes:
+//   - The chip divides M2 by 16: tone = CPU / (32 * period),
+//     noise = CPU / (32 * period), envelope step = CPU / (128 * period).
+//   - A channel with tone and noise both disabled outputs its volume level
+//     constantly, which some games use as a 4-bit DAC.
+//   - I/O port registers $E/$F are stored but have no effect.
+//
+// References:
+//   - https://www.nesdev.org/wiki/Sunsoft_5B_audio
+
+import { toJSON, fromJSON } from "../utils.js";
+
+const CLOCK_DIVIDER = 16;
+
+// Output level for envelope steps 0-31; fixed volume v uses step v * 2 + 1
+const VOLUME_LOOKUP = new Float32Array(32);
+for (let i = 1; i < 32; i++) {
+  VOLUME_LOOKUP[i] = Math.pow(10, (i - 31) * 1.5 / 20);
+}
+
+export class Sunsoft5bAudio {
+  constructor(nes) {
+    this.nes = nes;
+    this.papu = nes ? nes.papu : null;
+
+    this.address = 0;
+    this.regs = new Uint8Array(0x10);
+
+    this.clockCounter = 0;
+    this.toneCounters = new Int32Array(3);
+    this.toneOutputs = new Uint8Array(3);
+    this.noiseCounter = 0;
+    this.noiseShift = 1;
+    this.envCounter = 0;
+    this.envStep = 0;
+    this.envAttack = 0;
+    this.envHold = false;
+    this.envAlternate = false;
+    this.envHolding = false;
+    this.outputScale = null;
+
+    this.JSON_PROPERTIES = [
+      "address",
+      "regs",
+      "clockCounter",
+      "toneCounters",
+      "toneOutputs",
+      "noiseCounter",
+      "noiseShift",
+      "envCounter",
+      "envStep",
+      "envAttack",
+      "envHold",
+      "envAlternate",
+      "envHolding",
+    ];
+
+    this.reset();
+  }
+
+  reset() {
+    this.address = 0;
+    this.regs.fill(0);
+
+    this.clockCounter = 0;
+    this.toneCounters.fill(0);
+    this.toneOutputs.fill(0);
+    this.noiseCounter = 0;
+    this.noiseShift = 1;
+    this.envCounter = 0;
+    this.envStep = 0;
+    this.envAttack = 0;
+    this.envHold = false;
+    this.envAlternate = false;
+    this.envHolding = true;
+
+    this.updateOutputScale();
+  }
+
+  updateOutputScale() {
+    const pulseMax = this.papu && this.papu.square_table
+      ? this.papu.square_table[15 << 4]
+      : 0.149;
+    // One 5B channel at full volume is about as loud as one APU pulse at full volume.
+    this.outputScale = pulseMax;
+  }
+
+  // $C000-$DFFF selects a register, $E000-$FFFF writes it
+  writeRegister(addr, value) {
+    if ((addr & 0xE000) === 0xC000) {
+      this.address = value & 0x0F;
+      return;
+    }
+
+    this.regs[this.address] = value;
+    if (this.address === 0x0D) {
+      this.restartEnvelope();
+    }
+  }
+
+  getTonePeriod(channel) {
+    const period = this.regs[channel << 1] | ((this.regs[(channel << 1) + 1] & 0x0F) << 8);
+    return period || 1;
+  }
+
+  getNoisePeriod() {
+    return (this.regs[0x06] & 0x1F) || 1;
+  }
+
+  getEnvelopePeriod() {
+    return (this.regs[0x0B] | (this.regs[0x0C] << 8)) || 1;
+  }
+
+  restartEnvelope() {
+    const shape = this.regs[0x0D] & 0x0F;
+    this.envAttack = (shape & 0x04) ? 0x1F : 0x00;
+    if ((shape & 0x08) === 0) {
+      // Shapes 0-7 decay or attack once, then hold at 0
+      this.envHold = true;
+      this.envAlternate = this.envAttack !== 0;
+    } else {
+      this.envHold = (shape & 0x01) !== 0;
+      this.envAlternate = (shape & 0x02) !== 0;
+    }
+    this.envStep = 0x1F;
+    this.envHolding = false;
+    this.envCounter = 0;
+  }
+
+  clock(cpuCycles) {
+    this.clockCounter += cpuCycles;
+    while (this.clockCounter >= CLOCK_DIVIDER) {
+      this.clockCounter -= CLOCK_DIVIDER;
+      this.tick();
+    }
+  }
+
+  // One internal clock (CPU / 16)
+  tick() {
+    for (let i = 0; i < 3; i++) {
+      if (++this.toneCounters[i] >= this.getTonePeriod(i)) {
+        this.toneCounters[i] = 0;
+        this.toneOutputs[i] ^= 1;
+      }
+    }
+
+    // The LFSR runs at half the tone rate
+    if (++this.noiseCounter >= this.getNoisePeriod() << 1) {
+      this.noiseCounter = 0;
+      const feedback = (this.noiseShift ^ (this.noiseShift >> 3)) & 1;
+      this.noiseShift = (this.noiseShift >> 1) | (feedback << 16);
+    }
+
+    if (!this.envHolding && ++this.envCounter >= this.getEnvelopePeriod() << 3) {
+      this.envCounter = 0;
+      this.clockEnvelope();
+    }
+  }
+
+  clockEnvelope() {
+    this.envStep--;
+    if (this.envStep >= 0) return;
+
+    if (this.envHold) {
+      if (this.envAlternate) this.envAttack ^= 0x1F;
+      this.envHolding = true;
+      this.envStep = 0;
+    } else {
+      if (this.envAlternate) this.envAttack ^= 0x1F;
+      this.envStep = 0x1F;
+    }
+  }
+
+  getChannelLevel(channel, noiseOutput) {
+    const mixer = this.regs[0x07];
+    const toneOn = this.toneOutputs[channel] !== 0 || (mixer & (0x01 << channel)) !== 0;
+    const noiseOn = noiseOutput || (mixer & (0x08 << channel)) !== 0;
+    if (!toneOn || !noiseOn) return 0;
+
+    const volume = this.regs[0x08 + channel];
+    if (volume & 0x10) {
+      return VOLUME_LOOKUP[this.envStep ^ this.envAttack];
+    }
+    return (volume & 0x0F) ? VOLUME_LOOKUP[((volume & 0x0F) << 1) + 1] : 0;
+  }
+
+  getSample() {
+    if (this.outputScale === null) {
+      this.updateOutputScale();
+    }
+    const noiseOutput = (this.noiseShift & 1) !== 0;
+    const raw = this.getChannelLevel(0, noiseOutput) +
+      this.getChannelLevel(1, noiseOutput) +
+      this.getChannelLevel(2, noiseOutput);
+    return raw * this.outputScale;
+  }
+
+  toJSON() {
+    const state = toJSON(this);
+    state.regs = Array.from(this.regs);
+    state.toneCounters = Array.from(this.toneCounters);
+    state.toneOutputs = Array.from(this.toneOutputs);
+    return state;
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+    this.regs = new Uint8Array(state.regs || new Array(0x10).fill(0));
+    this.toneCounters = new Int32Array(state.toneCounters || [0, 0, 0]);
+    this.toneOutputs = new Uint8Array(state.toneOutputs || [0, 0, 0]);
+  }
+}
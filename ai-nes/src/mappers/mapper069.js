@@ -9,12 +9,13 @@
 //   - Sunsoft 5B audio registers at $C000/$E000
 //
 // Notes:
-//   - Sunsoft 5B audio is not emulated; register writes are tracked only.
+//   - Sunsoft 5B audio is mixed via an external expansion audio module.
 //
 // References:
 //   - https://www.nesdev.org/wiki/Sunsoft_FME-7
 
 import Mapper from './mapper-base.js';
+import { Sunsoft5bAudio } from './mapper069-audio.js';
 
 export default class Mapper069 extends Mapper {
     constructor(cartridge) {
@@ -29,11 +30,10 @@ export default class Mapper069 extends Mapper {
         this.prgRegs = new Uint8Array(3);
         this.chrRegs = new Uint8Array(8);
 
-        this.prgRam = new Uint8Array(0x8000);
+        this.prgRam = new Uint8Array(this.getPrgRamSize(0x8000));
         this.fillRam(this.prgRam);
 
-        this.audioAddress = 0;
-        this.audioRegs = new Uint8Array(0x10);
+        this.sunsoftAudio = new Sunsoft5bAudio(this.nes);
 
         if (!this.chrData || this.chrData.length === 0) {
             this.useVRAM(8);
@@ -51,8 +51,11 @@ export default class Mapper069 extends Mapper {
 
         this.prgRegs.fill(0);
         this.chrRegs.fill(0);
-        this.audioAddress = 0;
-        this.audioRegs.fill(0);
+
+        this.sunsoftAudio.reset();
+        if (this.nes && this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+            this.nes.papu.setExpansionAudioSource('sunsoft5b', this.sunsoftAudio);
+        }
 
         if (this.nes && this.nes.cpu && this.nes.cpu.clearIrq) {
             this.nes.cpu.clearIrq(this.nes.cpu.IRQ_NORMAL);
@@ -97,11 +100,7 @@ export default class Mapper069 extends Mapper {
     }
 
     writeAudioRegister(address, value) {
-        if ((address & 0xE000) === 0xC000) {
-            this.audioAddress = value & 0x0F;
-        } else {
-            this.audioRegs[this.audioAddress] = value;
-        }
+        this.sunsoftAudio.writeRegister(address, value);
     }
 
     cpuRead(address) {
@@ -134,6 +133,7 @@ export default class Mapper069 extends Mapper {
                 const bankCount = this.prgRam.length >> 13; // >> 13 = / 0x2000
                 const bank = bankCount ? (this.workRamBank % bankCount) : 0;
                 this.prgRam[(bank << 13) + (address & 0x1FFF)] = value; // << 13 = * 0x2000
+                this.onPrgRamWrite(address, value);
             }
             return;
         }
@@ -231,8 +231,7 @@ export default class Mapper069 extends Mapper {
             prgRegs: Array.from(this.prgRegs),
             chrRegs: Array.from(this.chrRegs),
             prgRam: Array.from(this.prgRam),
-            audioAddress: this.audioAddress,
-            audioRegs: Array.from(this.audioRegs),
+            sunsoftAudio: this.sunsoftAudio.toJSON(),
             chrRam: this.usingChrRam ? Array.from(this.chrRam) : null
         };
     }
@@ -247,8 +246,14 @@ export default class Mapper069 extends Mapper {
         this.prgRegs = new Uint8Array(state.prgRegs || [0, 0, 0]);
         this.chrRegs = new Uint8Array(state.chrRegs || new Array(8).fill(0));
 
-        this.audioAddress = state.audioAddress || 0;
-        this.audioRegs = new Uint8Array(state.audioRegs || new Array(0x10).fill(0));
+        if (state.sunsoftAudio) {
+            this.sunsoftAudio.fromJSON(state.sunsoftAudio);
+        } else if (state.audioRegs) {
+            // States from before 5B audio was emulated only kept the registers
+            this.sunsoftAudio.reset();
+            this.sunsoftAudio.regs.set(state.audioRegs);
+            this.sunsoftAudio.address = state.audioAddress || 0;
+        }
 
         if (state.prgRam) {
             this.prgRam = new Uint8Array(state.prgRam);
@@ -0,0 +1,414 @@
+// Konami VRC7 expansion audio (YM2413 / OPLL derived FM synthesizer)
+//
+// Features:
+//   - 6 two-operator FM channels: a modulator with self-feedback drives the
+//     phase of a carrier
+//   - 15 built-in instruments plus one custom instrument ($00-$07)
+//   - Per-channel 9-bit F-number, 3-bit block, key on, sustain and 4-bit
+//     volume ($10-$15, $20-$25, $30-$35)
+//   - Envelope generator: damp, attack, decay, sustain and release with key
+//     scaling of rates (KSR) and of level (KSL)
+//   - AM (3.7 Hz tremolo, 4.8dB) and FM (6.1 Hz vibrato) LFOs
+//   - Full or half-rectified sine per operator
+//
+// Notes:
+//   - The chip runs from its own 3.58MHz clock and produces one sample every
+//     72 clocks, which is every 36 CPU cycles on an NTSC console.
+//   - Operators work like the real chip in the log domain: a log-sine table
+//     plus attenuation, then an exponential table. Envelopes count 7-bit
+//     attenuation in 0.375dB steps.
+//   - Key on first damps the channel to silence, then restarts the phase and
+//     attacks, which avoids clicks when a playing note is retriggered.
+//   - There is no rhythm mode and channels 6-8 do not exist on the VRC7.
+//   - $E000 bit 6 on the board silences the chip's output; it keeps running
+//     and taking writes (setMuted()).
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC7_audio
+//   - https://www.nesdev.org/wiki/VRC7_audio#Internal_patch_set
+
+import { toJSON, fromJSON } from "../utils.js";
+
+const CPU_CYCLES_PER_SAMPLE = 36;
+const CHANNEL_COUNT = 6;
+
+// Built-in instruments 1-15, in the same 8-byte layout as the custom one
+const PATCHES = [
+  [0x03, 0x21, 0x05, 0x06, 0xE8, 0x81, 0x42, 0x27], // 1 Buzzy bell
+  [0x13, 0x41, 0x14, 0x0D, 0xD8, 0xF6, 0x23, 0x12], // 2 Guitar
+  [0x11, 0x11, 0x08, 0x08, 0xFA, 0xB2, 0x20, 0x12], // 3 Wurly
+  [0x31, 0x61, 0x0C, 0x07, 0xA8, 0x64, 0x61, 0x27], // 4 Flute
+  [0x32, 0x21, 0x1E, 0x06, 0xE1, 0x76, 0x01, 0x28], // 5 Clarinet
+  [0x02, 0x01, 0x06, 0x00, 0xA3, 0xE2, 0xF4, 0xF4], // 6 Synth
+  [0x21, 0x61, 0x1D, 0x07, 0x82, 0x81, 0x11, 0x07], // 7 Trumpet
+  [0x23, 0x21, 0x22, 0x17, 0xA2, 0x72, 0x01, 0x17], // 8 Organ
+  [0x35, 0x11, 0x25, 0x00, 0x40, 0x73, 0x72, 0x01], // 9 Bells
+  [0xB5, 0x01, 0x0F, 0x0F, 0xA8, 0xA5, 0x51, 0x02], // 10 Vibes
+  [0x17, 0xC1, 0x24, 0x07, 0xF8, 0xF8, 0x22, 0x12], // 11 Vibraphone
+  [0x71, 0x23, 0x11, 0x06, 0x65, 0x74, 0x18, 0x16], // 12 Tutti
+  [0x01, 0x02, 0xD3, 0x05, 0xC9, 0x95, 0x03, 0x02], // 13 Fretless
+  [0x61, 0x63, 0x0C, 0x00, 0x94, 0xC0, 0x33, 0xF6], // 14 Synth bass
+  [0x21, 0x72, 0x0D, 0x00, 0xC1, 0xD5, 0x56, 0x06], // 15 Sweep
+];
+
+// Frequency multiplier x2 (1/2, 1, 2, ... 10, 10, 12, 12, 15, 15)
+const MULTIPLIER = [1, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 20, 24, 24, 30, 30];
+
+// Key scale level by the top 4 F-number bits, in 0.75dB at block 7
+const KSL_TABLE = [0, 24, 32, 37, 40, 43, 45, 47, 48, 50, 51, 52, 53, 54, 55, 56];
+
+// Vibrato: F-number offset by F-number bits 6-8 and LFO step
+const PM_TABLE = [
+  [0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 1, 0, 0, 0, -1, 0],
+  [0, 1, 2, 1, 0, -1, -2, -1],
+  [0, 1, 3, 1, 0, -1, -3, -1],
+  [0, 2, 4, 2, 0, -2, -4, -2],
+  [0, 2, 5, 2, 0, -2, -5, -2],
+  [0, 3, 6, 3, 0, -3, -6, -3],
+  [0, 3, 7, 3, 0, -3, -7, -3],
+];
+const PM_STEP_SAMPLES = 1024; // 8 steps: ~6.1 Hz
+const AM_STEP_SAMPLES = 64;   // 210 steps: ~3.7 Hz
+const AM_STEPS = 210;
+
+// Envelope increments for the low two rate bits, over 8 counter steps
+const EG_INCREMENTS = [
+  [0, 1, 0, 1, 0, 1, 0, 1],
+  [0, 1, 0, 1, 1, 1, 0, 1],
+  [0, 1, 1, 1, 0, 1, 1, 1],
+  [0, 1, 1, 1, 1, 1, 1, 1],
+];
+const EG_MAX = 127;
+const EG_DAMP_RATE = 48;
+
+const EG_DAMP = 0;
+const EG_ATTACK = 1;
+const EG_DECAY = 2;
+const EG_SUSTAIN = 3;
+const EG_RELEASE = 4;
+
+// Quarter sine as -log2(sin) in 1/256 steps, and 2^-x in 11 bits
+const LOG_SIN = new Uint16Array(256);
+const EXP = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  LOG_SIN[i] = Math.round(-Math.log2(Math.sin((i + 0.5) * Math.PI / 512)) * 256);
+  EXP[i] = Math.round(2047 * Math.pow(2, -i / 256));
+}
+
+// Full-volume channel output relative to a full-volume APU pulse
+const OUTPUT_RATIO = 1.0;
+
+class OpllSlot {
+  constructor() {
+    this.phase = 0;
+    this.env = EG_MAX;
+    this.state = EG_RELEASE;
+    this.output = 0;
+    this.prevOutput = 0;
+
+    this.JSON_PROPERTIES = [
+      "phase",
+      "env",
+      "state",
+      "output",
+      "prevOutput",
+    ];
+  }
+
+  reset() {
+    this.phase = 0;
+    this.env = EG_MAX;
+    this.state = EG_RELEASE;
+    this.output = 0;
+    this.prevOutput = 0;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(state) {
+    fromJSON(this, state);
+  }
+}
+
+export class Vrc7Audio {
+  constructor(nes) {
+    this.nes = nes;
+    this.papu = nes ? nes.papu : null;
+
+    this.address = 0;
+    this.regs = new Uint8Array(0x40);
+    this.slots = [];
+    for (let i = 0; i < CHANNEL_COUNT * 2; i++) {
+      this.slots.push(new OpllSlot()); // Even: modulator, odd: carrier
+    }
+
+    this.muted = false;
+    this.clockCounter = 0;
+    this.egCounter = 0;
+    this.pmCounter = 0;
+    this.amCounter = 0;
+    this.amLevel = 0;
+    this.output = 0;
+    this.outputScale = null;
+
+    this.JSON_PROPERTIES = [
+      "address",
+      "regs",
+      "muted",
+      "clockCounter",
+      "egCounter",
+      "pmCounter",
+      "amCounter",
+      "amLevel",
+      "output",
+    ];
+
+    this.reset();
+  }
+
+  reset() {
+    this.address = 0;
+    this.regs.fill(0);
+    for (const slot of this.slots) slot.reset();
+
+    this.clockCounter = 0;
+    this.egCounter = 0;
+    this.pmCounter = 0;
+    this.amCounter = 0;
+    this.amLevel = 0;
+    this.output = 0;
+
+    this.updateOutputScale();
+  }
+
+  updateOutputScale() {
+    const pulseMax = this.papu && this.papu.square_table
+      ? this.papu.square_table[15 << 4]
+      : 0.149;
+    this.outputScale = pulseMax * OUTPUT_RATIO / 2047;
+  }
+
+  /**
+   * Silence the output (board register $E000 bit 6)
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+  }
+
+  // $9010: register select, $9030: data
+  writeRegister(addr, value) {
+    if (addr === 0x9010) {
+      this.address = value & 0x3F;
+    } else if (addr === 0x9030) {
+      this.writeData(this.address, value);
+    }
+  }
+
+  writeData(reg, value) {
+    if (reg < 0x08) {
+      this.regs[reg] = value;
+      return;
+    }
+
+    const channel = reg & 0x0F;
+    if (reg < 0x10 || reg >= 0x40 || channel >= CHANNEL_COUNT) return;
+
+    if ((reg & 0xF0) === 0x20) {
+      const wasOn = (this.regs[reg] & 0x10) !== 0;
+      const isOn = (value & 0x10) !== 0;
+      this.regs[reg] = value;
+      if (isOn && !wasOn) this.keyOn(channel);
+      if (!isOn && wasOn) this.keyOff(channel);
+      return;
+    }
+    this.regs[reg] = value;
+  }
+
+  keyOn(channel) {
+    this.slots[channel << 1].state = EG_DAMP;
+    this.slots[(channel << 1) + 1].state = EG_DAMP;
+  }
+
+  keyOff(channel) {
+    this.slots[channel << 1].state = EG_RELEASE;
+    this.slots[(channel << 1) + 1].state = EG_RELEASE;
+  }
+
+  // Instrument 0 is the custom patch in $00-$07
+  getPatch(instrument) {
+    return instrument === 0 ? this.regs : PATCHES[instrument - 1];
+  }
+
+  clock(cpuCycles) {
+    this.clockCounter += cpuCycles;
+    while (this.clockCounter >= CPU_CYCLES_PER_SAMPLE) {
+      this.clockCounter -= CPU_CYCLES_PER_SAMPLE;
+      this.output = this.generateSample();
+    }
+  }
+
+  generateSample() {
+    this.egCounter = (this.egCounter + 1) & 0x3FFFF;
+    this.pmCounter = (this.pmCounter + 1) % (PM_STEP_SAMPLES * 8);
+    this.amCounter = (this.amCounter + 1) % (AM_STEP_SAMPLES * AM_STEPS);
+    const amStep = (this.amCounter / AM_STEP_SAMPLES) | 0;
+    this.amLevel = (amStep < AM_STEPS / 2 ? amStep : AM_STEPS - 1 - amStep) >> 3;
+
+    let sum = 0;
+    for (let ch = 0; ch < CHANNEL_COUNT; ch++) {
+      const fnum = this.regs[0x10 + ch] | ((this.regs[0x20 + ch] & 0x01) << 8);
+      const block = (this.regs[0x20 + ch] >> 1) & 0x07;
+      const sustain = (this.regs[0x20 + ch] & 0x20) !== 0;
+      const patch = this.getPatch(this.regs[0x30 + ch] >> 4);
+      const volume = this.regs[0x30 + ch] & 0x0F;
+
+      const mod = this.slots[ch << 1];
+      const car = this.slots[(ch << 1) + 1];
+
+      // Modulator: self-feedback from its last two outputs
+      const feedback = patch[3] & 0x07;
+      const fbInput = feedback ? (mod.output + mod.prevOutput) >> (8 - feedback) : 0;
+      this.updateSlot(mod, patch, 0, fnum, block, sustain);
+      const modOut = this.computeSlot(mod, patch, 0, fnum, block, (patch[2] & 0x3F) << 1, fbInput);
+      mod.prevOutput = mod.output;
+      mod.output = modOut;
+
+      // Carrier: phase modulated by the modulator (up to 8 pi)
+      this.updateSlot(car, patch, 1, fnum, block, sustain);
+      car.output = this.computeSlot(car, patch, 1, fnum, block, volume << 3, modOut << 1);
+      sum += car.output;
+    }
+    return sum;
+  }
+
+  // Advance one slot's phase and envelope by one sample
+  updateSlot(slot, patch, op, fnum, block, sustain) {
+    const flags = patch[op];
+
+    let freq = fnum;
+    if (flags & 0x40) freq += PM_TABLE[fnum >> 6][(this.pmCounter / PM_STEP_SAMPLES) | 0];
+    slot.phase = (slot.phase + (((freq * MULTIPLIER[flags & 0x0F]) << block) >> 1)) & 0x7FFFF;
+
+    const keyCode = (block << 1) | (fnum >> 8);
+    const rateKey = (flags & 0x10) ? keyCode : keyCode >> 2;
+    const sustained = (flags & 0x20) !== 0;
+    const attack = patch[4 + op] >> 4;
+    const decay = patch[4 + op] & 0x0F;
+    const sustainLevel = (patch[6 + op] >> 4) << 3;
+    const release = patch[6 + op] & 0x0F;
+
+    switch (slot.state) {
+      case EG_DAMP:
+        slot.env += this.getEnvelopeStep(EG_DAMP_RATE + rateKey);
+        if (slot.env >= EG_MAX) {
+          slot.env = EG_MAX;
+          slot.phase = 0;
+          slot.state = EG_ATTACK;
+        }
+        break;
+      case EG_ATTACK: {
+        const rate = this.getRate(attack, rateKey);
+        if (rate >= 60) {
+          slot.env = 0;
+        } else {
+          const step = this.getEnvelopeStep(rate);
+          if (step) slot.env += (~slot.env * step) >> 3;
+        }
+        if (slot.env <= 0) {
+          slot.env = 0;
+          slot.state = EG_DECAY;
+        }
+        break;
+      }
+      case EG_DECAY:
+        slot.env += this.getEnvelopeStep(this.getRate(decay, rateKey));
+        if (slot.env >= sustainLevel) slot.state = EG_SUSTAIN;
+        break;
+      case EG_SUSTAIN:
+        // Percussive instruments keep fading while the key is held
+        if (!sustained) slot.env += this.getEnvelopeStep(this.getRate(release, rateKey));
+        break;
+      case EG_RELEASE: {
+        const rate = sustain ? 5 : sustained ? release : 7;
+        slot.env += this.getEnvelopeStep(this.getRate(rate, rateKey));
+        break;
+      }
+    }
+    if (slot.env > EG_MAX) slot.env = EG_MAX;
+  }
+
+  getRate(value, rateKey) {
+    if (value === 0) return 0;
+    const rate = (value << 2) + rateKey;
+    return rate > 63 ? 63 : rate;
+  }
+
+  // Envelope change this sample for a 6-bit rate
+  getEnvelopeStep(rate) {
+    if (rate === 0) return 0;
+    const high = rate >> 2;
+    const increments = EG_INCREMENTS[rate & 0x03];
+    if (high < 12) {
+      const shift = 12 - high;
+      if (this.egCounter & ((1 << shift) - 1)) return 0;
+      return increments[(this.egCounter >> shift) & 0x07];
+    }
+    if (high < 15) return increments[this.egCounter & 0x07] << (high - 12);
+    return 4;
+  }
+
+  // Operator output (about +-2047) from phase, envelope and level attenuation
+  computeSlot(slot, patch, op, fnum, block, level, phaseOffset) {
+    const flags = patch[op];
+    let att = slot.env + level + this.getKeyScaleLevel(fnum, block, patch[2 + op] >> 6);
+    if (flags & 0x80) att += this.amLevel;
+    if (att >= EG_MAX) return 0;
+
+    const index = ((slot.phase >> 9) + phaseOffset) & 0x3FF;
+    const negative = (index & 0x200) !== 0;
+    // $03 bit 3: modulator half-rectified, bit 4: carrier
+    if (negative && (patch[3] & (op ? 0x10 : 0x08))) return 0;
+
+    const quarter = (index & 0x100) ? 0xFF - (index & 0xFF) : index & 0xFF;
+    const total = LOG_SIN[quarter] + (att << 4);
+    const shift = total >> 8;
+    const amplitude = shift > 11 ? 0 : EXP[total & 0xFF] >> shift;
+    return negative ? -amplitude : amplitude;
+  }
+
+  // KSL 1/2/3 = 1.5/3/6dB per octave, in envelope steps
+  getKeyScaleLevel(fnum, block, ksl) {
+    if (!ksl) return 0;
+    const level = KSL_TABLE[fnum >> 5] - ((7 - block) << 3);
+    return level > 0 ? (level << 1) >> (3 - ksl) : 0;
+  }
+
+  getSample() {
+    if (this.outputScale === null) {
+      this.updateOutputScale();
+    }
+    return this.muted ? 0 : this.output * this.outputScale;
+  }
+
+  toJSON() {
+    const state = toJSON(this);
+    state.regs = Array.from(this.regs);
+    state.slots = this.slots.map(slot => slot.toJSON());
+    return state;
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+    this.regs = new Uint8Array(state.regs || new Array(0x40).fill(0));
+    if (state.slots) {
+      this.slots.forEach((slot, i) => {
+        if (state.slots[i]) slot.fromJSON(state.slots[i]);
+      });
+    }
+  }
+}
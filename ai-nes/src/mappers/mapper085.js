@@ -0,0 +1,215 @@
+// Mapper 085: Konami VRC7
+// Used by: Lagrange Point, Tiny Toon Adventures 2 (JP)
+//
+// Features:
+//   - Three 8KB PRG banks ($8000-$DFFF) with the last bank fixed at $E000
+//   - Eight 1KB CHR banks (CHR-ROM, or 8KB CHR-RAM on Lagrange Point)
+//   - 8KB PRG-RAM at $6000-$7FFF, enabled by $E000 bit 7
+//   - Mirroring from $E000 bits 0-1 (vertical, horizontal, 1-screen A/B)
+//   - VRC IRQ (scanline or CPU cycle mode)
+//   - 6-channel FM audio (mapper085-audio.js)
+//
+// Notes:
+//   - Each register pair is split by A4 on VRC7a (Lagrange Point) and by A3
+//     on VRC7b (Tiny Toon Adventures 2), so either line selects the second
+//     register and both boards work without a submapper. The audio ports
+//     $9010/$9030 are decoded from A4/A5 on both.
+//   - $E000 bit 6 silences the audio.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC7
+
+import Mapper from './mapper-base.js';
+import { Vrc7Audio } from './mapper085-audio.js';
+import { VrcIrq } from './vrc-irq.js';
+
+export default class Mapper085 extends Mapper {
+  constructor(cartridge) {
+    super(cartridge);
+
+    this.prgRegs = new Uint8Array(3);
+    this.chrRegs = new Uint8Array(8);
+    this.control = 0;
+
+    this.irq = new VrcIrq(this.nes);
+    this.vrc7Audio = new Vrc7Audio(this.nes);
+
+    if (!this.chrData || this.chrData.length === 0) {
+      this.useVRAM(8);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.prgRegs.fill(0);
+    this.chrRegs.fill(0);
+    this.control = 0;
+
+    this.irq.reset();
+    this.vrc7Audio.reset();
+    this.vrc7Audio.setMuted(false);
+    if (this.nes && this.nes.papu && this.nes.papu.setExpansionAudioSource) {
+      this.nes.papu.setExpansionAudioSource('vrc7', this.vrc7Audio);
+    }
+
+    if (this.nes && this.nes.rom && this.nes.rom.batteryRam && this.nes.rom.batteryRam.length) {
+      const len = Math.min(this.nes.rom.batteryRam.length, this.prgRam.length);
+      this.prgRam.set(this.nes.rom.batteryRam.subarray(0, len));
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+
+  // $x000 or $x008 (A3/A4 folded together); the audio ports keep A4/A5
+  getRegisterAddress(address) {
+    if ((address & 0xF000) === 0x9000 && (address & 0x30)) {
+      return address & 0xF030;
+    }
+    return (address & 0xF000) | ((address & 0x18) ? 0x08 : 0);
+  }
+
+  get prgRamEnabled() {
+    return (this.control & 0x80) !== 0;
+  }
+
+  updatePrgBanks() {
+    if (!this.prgData || this.prgBankCount === 0) return;
+    for (let i = 0; i < 3; i++) {
+      this.switch8kPrgBank(this.prgRegs[i] & 0x3F, i);
+    }
+    this.switch8kPrgBank(this.prgBankCount - 1, 3);
+  }
+
+  updateChrBanks() {
+    for (let i = 0; i < 8; i++) {
+      this.switch1kChrBank(this.chrRegs[i], i);
+    }
+  }
+
+  updateMirroring() {
+    if (!this.nes || !this.nes.ppu || !this.nes.rom) return;
+    switch (this.control & 0x03) {
+      case 0: this.nes.ppu.setMirroring(this.nes.rom.VERTICAL_MIRRORING); break;
+      case 1: this.nes.ppu.setMirroring(this.nes.rom.HORIZONTAL_MIRRORING); break;
+      case 2: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_A); break;
+      case 3: this.nes.ppu.setMirroring(this.nes.rom.SINGLESCREEN_MIRRORING_B); break;
+    }
+  }
+
+  cpuRead(address) {
+    if (address >= 0x6000 && address < 0x8000) {
+      if (!this.prgRamEnabled) return undefined;
+      return this.prgRam[(address - 0x6000) % this.prgRam.length];
+    }
+
+    if (address >= 0x8000) {
+      if (!this.prgData || this.prgBankCount === 0) return 0;
+      const slot = (address >> 13) & 0x03;
+      return this.prgData[this.prgPagesMap[slot] + (address & 0x1FFF)];
+    }
+    return undefined;
+  }
+
+  cpuWrite(address, value) {
+    if (address < 0x6000) return;
+
+    if (address < 0x8000) {
+      if (this.prgRamEnabled) {
+        this.prgRam[(address - 0x6000) % this.prgRam.length] = value;
+        this.onPrgRamWrite(address, value);
+      }
+      return;
+    }
+
+    const regAddress = this.getRegisterAddress(address);
+
+    switch (regAddress) {
+      case 0x8000:
+      case 0x8008:
+        this.prgRegs[(regAddress >> 3) & 1] = value & 0x3F;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9000:
+        this.prgRegs[2] = value & 0x3F;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9010:
+      case 0x9030:
+        this.vrc7Audio.writeRegister(regAddress, value);
+        break;
+
+      case 0xA000:
+      case 0xA008:
+      case 0xB000:
+      case 0xB008:
+      case 0xC000:
+      case 0xC008:
+      case 0xD000:
+      case 0xD008:
+        this.chrRegs[(((regAddress >> 12) - 0xA) << 1) | ((regAddress >> 3) & 1)] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0xE000:
+        this.control = value;
+        this.updateMirroring();
+        this.vrc7Audio.setMuted((value & 0x40) !== 0);
+        break;
+
+      case 0xE008:
+        this.irq.setReload(value);
+        break;
+
+      case 0xF000:
+        this.irq.setControl(value);
+        break;
+
+      case 0xF008:
+        this.irq.acknowledge();
+        break;
+    }
+  }
+
+  cpuClock(cpuCycles) {
+    this.irq.clock(cpuCycles);
+  }
+
+  toJSON() {
+    return {
+      prgRegs: Array.from(this.prgRegs),
+      chrRegs: Array.from(this.chrRegs),
+      control: this.control,
+      irq: this.irq.toJSON(),
+      prgRam: Array.from(this.prgRam),
+      vrc7Audio: this.vrc7Audio.toJSON(),
+      chrRam: this.usingChrRam ? Array.from(this.chrRam) : null
+    };
+  }
+
+  fromJSON(state) {
+    this.prgRegs = new Uint8Array(state.prgRegs || [0, 0, 0]);
+    this.chrRegs = new Uint8Array(state.chrRegs || new Array(8).fill(0));
+    this.control = state.control || 0;
+    this.irq.fromJSON(state.irq);
+    this.vrc7Audio.fromJSON(state.vrc7Audio);
+
+    if (state.prgRam) {
+      this.prgRam = new Uint8Array(state.prgRam);
+    }
+
+    if (state.chrRam) {
+      this.chrRam = new Uint8Array(state.chrRam);
+      this.chrData = this.chrRam;
+      this.usingChrRam = true;
+    }
+
+    this.updatePrgBanks();
+    this.updateChrBanks();
+    this.updateMirroring();
+  }
+}
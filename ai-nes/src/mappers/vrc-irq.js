@@ -0,0 +1,115 @@
+// Konami VRC IRQ counter, shared by the VRC4, VRC6 and VRC7
+//
+// Features:
+//   - 8-bit up counter reloaded from a latch when it overflows
+//   - Scanline mode: a prescaler clocks the counter every 341 PPU cycles
+//     (113.667 CPU cycles), so it works without looking at the PPU
+//   - Cycle mode: the counter is clocked every CPU cycle
+//
+// Notes:
+//   - The boards only differ in where the latch, control and acknowledge
+//     registers are decoded; they call setReload/setControl/acknowledge.
+//   - Writing the control register or acknowledging always clears a pending IRQ.
+//
+// References:
+//   - https://www.nesdev.org/wiki/VRC_IRQ
+
+import { toJSON, fromJSON } from "../utils.js";
+
+const PRESCALER_RELOAD = 341;
+
+export class VrcIrq {
+  constructor(nes) {
+    this.nes = nes;
+
+    this.latch = 0;
+    this.counter = 0;
+    this.prescaler = 0;
+    this.enabled = false;
+    this.enableAfterAck = false;
+    this.cycleMode = false;
+
+    this.JSON_PROPERTIES = [
+      "latch",
+      "counter",
+      "prescaler",
+      "enabled",
+      "enableAfterAck",
+      "cycleMode",
+    ];
+  }
+
+  reset() {
+    this.latch = 0;
+    this.counter = 0;
+    this.prescaler = 0;
+    this.enabled = false;
+    this.enableAfterAck = false;
+    this.cycleMode = false;
+    this.clearIrq();
+  }
+
+  // Latch value the counter reloads from
+  setReload(value) {
+    this.latch = value & 0xFF;
+  }
+
+  // Bit 0: enable after acknowledge, bit 1: enable, bit 2: cycle mode
+  setControl(value) {
+    this.enableAfterAck = (value & 0x01) !== 0;
+    this.enabled = (value & 0x02) !== 0;
+    this.cycleMode = (value & 0x04) !== 0;
+    if (this.enabled) {
+      this.counter = this.latch;
+      this.prescaler = PRESCALER_RELOAD;
+    }
+    this.clearIrq();
+  }
+
+  acknowledge() {
+    this.enabled = this.enableAfterAck;
+    this.clearIrq();
+  }
+
+  clock(cpuCycles) {
+    if (!this.enabled) return;
+
+    if (this.cycleMode) {
+      for (let i = 0; i < cpuCycles; i++) this.clockCounter();
+      return;
+    }
+
+    // Scanline mode: 3 PPU cycles per CPU cycle
+    this.prescaler -= cpuCycles * 3;
+    while (this.prescaler <= 0) {
+      this.prescaler += PRESCALER_RELOAD;
+      this.clockCounter();
+    }
+  }
+
+  clockCounter() {
+    if (this.counter === 0xFF) {
+      this.counter = this.latch;
+      if (this.nes && this.nes.cpu && this.nes.cpu.requestIrq) {
+        this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+      }
+    } else {
+      this.counter++;
+    }
+  }
+
+  clearIrq() {
+    if (this.nes && this.nes.cpu && this.nes.cpu.clearIrq) {
+      this.nes.cpu.clearIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(state) {
+    if (!state) return;
+    fromJSON(this, state);
+  }
+}
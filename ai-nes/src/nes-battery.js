@@ -0,0 +1,216 @@
+// =============================================================================
+// BATTERY SAVE MODULE
+// Persists battery-backed PRG-RAM (SRAM) to IndexedDB, keyed by ROM CRC32.
+// FDS disk images store their disk writes here too, as an IPS patch.
+// Usage: import { initBatterySaves, readBatteryRam } from './nes-battery.js';
+//        initBatterySaves(nes, logStatus);
+//        nes.loadROM(romData, await readBatteryRam(romData));
+// =============================================================================
+
+import { ROM } from './rom.js';
+
+const DB_NAME = 'ai-nes';
+const DB_VERSION = 1;
+const STORE_NAME = 'battery';
+const FLUSH_DELAY_MS = 2000; // Debounce: games write SRAM in bursts
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+
+let dbPromise = null;
+let dirty = false;
+let flushTimer = null;
+
+// =============================================================================
+// INDEXEDDB HELPERS
+// =============================================================================
+
+/**
+ * Open (and create on first use) the battery save database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the battery store
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Format a ROM CRC32 the same way save states do
+ * @param {ROM} rom
+ * @returns {string}
+ */
+function getBatteryKey(rom) {
+  return rom.getCRC32().toString(16).toUpperCase().padStart(8, '0');
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the battery save module
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initBatterySaves(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+
+  // Flush pending writes when the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushBatteryRam();
+  });
+  window.addEventListener('pagehide', () => flushBatteryRam());
+}
+
+/**
+ * Mark SRAM as modified and schedule a debounced flush.
+ * Wire this to NES opts.onBatteryRamWrite.
+ */
+export function markBatteryRamDirty() {
+  dirty = true;
+  if (flushTimer !== null) clearTimeout(flushTimer);
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushBatteryRam();
+  }, FLUSH_DELAY_MS);
+}
+
+/**
+ * Write dirty SRAM to IndexedDB now
+ * @returns {Promise<boolean>} True if anything was written
+ */
+export async function flushBatteryRam() {
+  if (flushTimer !== null) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!dirty || !nes || !nes.rom) return false;
+
+  const ram = nes.getBatteryRam();
+  if (!ram) return false;
+
+  dirty = false;
+  try {
+    // Copy so later writes don't race the transaction
+    await withStore('readwrite', store => store.put(ram.slice(0), getBatteryKey(nes.rom)));
+    return true;
+  } catch (err) {
+    dirty = true;
+    logStatus(`❌ Battery save failed: ${err.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Look up the stored SRAM for a ROM image before it is loaded
+ * @param {Uint8Array} romData - Raw .nes file
+ * @returns {Promise<Uint8Array|null>} Saved SRAM, or null for none / no battery
+ */
+export async function readBatteryRam(romData) {
+  const rom = new ROM(nes);
+  rom.load(romData);
+  if (!rom.batteryRam) return null;
+
+  try {
+    const saved = await withStore('readonly', store => store.get(getBatteryKey(rom)));
+    return saved instanceof Uint8Array ? saved : null;
+  } catch (err) {
+    logStatus(`⚠️ Battery save unavailable: ${err.message}`, 'warning');
+    return null;
+  }
+}
+
+/**
+ * Download the current SRAM as a raw .sav file (an .ips patch for FDS disks)
+ * @param {string} [fileName] - Defaults to the ROM CRC32
+ * @returns {boolean} Success
+ */
+export function exportBatteryRam(fileName) {
+  const ram = nes && nes.rom ? nes.getBatteryRam() : null;
+  if (!ram) {
+    logStatus('❌ This cartridge has no battery save', 'error');
+    return false;
+  }
+
+  const blob = new Blob([ram], { type: 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  // FDS disk saves are IPS patches against the disk image
+  a.download = fileName || `${getBatteryKey(nes.rom)}.${nes.rom.fds ? 'ips' : 'sav'}`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+  logStatus('📥 Battery save exported', 'success');
+  return true;
+}
+
+/**
+ * Import a raw .sav file for the loaded ROM, then power cycle
+ * @param {File} file - .sav file to import
+ * @returns {Promise<boolean>} Success
+ */
+export async function importBatteryRam(file) {
+  if (!nes || !nes.rom) {
+    logStatus('❌ No ROM loaded', 'error');
+    return false;
+  }
+  if (!nes.getBatteryRam()) {
+    logStatus('❌ This cartridge has no battery save', 'error');
+    return false;
+  }
+
+  try {
+    const data = new Uint8Array(await file.arrayBuffer());
+    nes.mmap.loadBatteryRam(data);
+    nes.powerOn();
+
+    dirty = true;
+    await flushBatteryRam();
+    logStatus(`📤 Battery save imported (${data.length} bytes)`, 'success');
+    return true;
+  } catch (err) {
+    logStatus(`❌ Import failed: ${err.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Delete the stored SRAM for the loaded ROM
+ * @returns {Promise<boolean>} Success
+ */
+export async function deleteBatteryRam() {
+  if (!nes || !nes.rom) return false;
+  dirty = false;
+  await withStore('readwrite', store => store.delete(getBatteryKey(nes.rom)));
+  logStatus('🗑️ Battery save deleted', 'info');
+  return true;
+}
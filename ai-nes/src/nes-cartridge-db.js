@@ -0,0 +1,68 @@
+// =============================================================================
+// USER CARTRIDGE DATABASE
+// Lets the player add entries to the cartridge database (cartridge-db.js) from a
+// MesenDB-style text file. The file is kept in localStorage and loaded again on
+// every start, so its corrections apply to every later ROM load.
+// Usage: import { initCartridgeDb, importCartridgeDb } from './nes-cartridge-db.js';
+//        initCartridgeDb(nes, logStatus);    // Loads the stored user file
+//        await importCartridgeDb(file);       // From an <input type="file">
+// =============================================================================
+
+import { loadCartridgeDb, findCartridge } from './cartridge-db.js';
+
+const USER_DB_KEY = 'nes_cartdb_user';
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the user database and load the stored file, if any
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initCartridgeDb(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+
+  let text = null;
+  try {
+    text = localStorage.getItem(USER_DB_KEY);
+  } catch (err) {
+    return;
+  }
+  if (!text) return;
+
+  try {
+    loadCartridgeDb(text);
+  } catch (err) {
+    logStatus(`⚠️ Stored game database ignored: ${err.message}`, 'warning');
+  }
+}
+
+/**
+ * Add entries from a user database file and keep it for later sessions.
+ * It replaces the stored file; entries already loaded stay until the page reloads.
+ * @param {File} file
+ * @returns {Promise<boolean>} Success
+ */
+export async function importCartridgeDb(file) {
+  try {
+    const text = await file.text();
+    const count = loadCartridgeDb(text);
+    localStorage.setItem(USER_DB_KEY, text);
+    logStatus(`📚 Game database: ${count} entries added`, 'success');
+
+    if (nes && nes.rom && findCartridge(nes.rom) !== nes.rom.dbEntry) {
+      logStatus('🔁 Reload the ROM to apply its new database entry', 'info');
+    }
+    return true;
+  } catch (err) {
+    logStatus(`❌ Game database import failed: ${err.message}`, 'error');
+    return false;
+  }
+}
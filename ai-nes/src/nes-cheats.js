@@ -0,0 +1,134 @@
+// =============================================================================
+// CHEAT MANAGER
+// Persists Game Genie / Pro Action Replay cheats per ROM in localStorage and
+// keeps nes.cheats (CheatEngine) in sync.
+// Usage: import { initCheats, loadCheatsForRom, addCheat } from './nes-cheats.js';
+//        initCheats(nes, logStatus);
+//        loadCheatsForRom();                  // After every ROM load
+//        addCheat('SXIOPO', 'Infinite lives');
+// =============================================================================
+
+const CHEATS_PREFIX = 'nes_cheats_';
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+
+/**
+ * Storage key for the loaded ROM, by CRC32 like save states
+ * @returns {string|null}
+ */
+function getCheatsKey() {
+  if (!nes || !nes.rom) return null;
+  return CHEATS_PREFIX + nes.rom.getCRC32().toString(16).toUpperCase().padStart(8, '0');
+}
+
+function persistCheats() {
+  const key = getCheatsKey();
+  if (!key) return;
+
+  const cheats = nes.cheats.list().map(({ code, description, enabled }) => ({ code, description, enabled }));
+  try {
+    if (cheats.length > 0) {
+      localStorage.setItem(key, JSON.stringify(cheats));
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (err) {
+    logStatus(`❌ Saving cheats failed: ${err.message}`, 'error');
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the cheat manager
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initCheats(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+}
+
+/**
+ * Replace the active cheats with the ones saved for the loaded ROM
+ * @returns {number} Number of cheats loaded
+ */
+export function loadCheatsForRom() {
+  nes.cheats.clear();
+  const key = getCheatsKey();
+  if (!key) return 0;
+
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(key) || '[]');
+  } catch (err) {
+    logStatus('⚠️ Saved cheats are corrupted, ignoring', 'warning');
+    return 0;
+  }
+
+  for (const { code, description, enabled } of saved) {
+    try {
+      nes.cheats.add(code, { description, enabled });
+    } catch (err) {
+      logStatus(`⚠️ Skipped cheat ${code}: ${err.message}`, 'warning');
+    }
+  }
+  if (saved.length > 0) {
+    const active = nes.cheats.list().filter(c => c.enabled).length;
+    logStatus(`🎯 ${saved.length} cheat(s) loaded, ${active} enabled`, 'info');
+  }
+  return saved.length;
+}
+
+/**
+ * Add and enable a cheat for the loaded ROM
+ * @param {string} code - Game Genie (6/8 letters) or PAR (AAAA:VV) code
+ * @param {string} [description]
+ * @returns {Object|null} The cheat, or null if the code was rejected
+ */
+export function addCheat(code, description = '') {
+  if (!nes || !nes.rom) {
+    logStatus('❌ No ROM loaded', 'error');
+    return null;
+  }
+
+  try {
+    const cheat = nes.cheats.add(code, { description });
+    persistCheats();
+    logStatus(`🎯 Cheat added: ${cheat.code}`, 'success');
+    return cheat;
+  } catch (err) {
+    logStatus(`❌ ${err.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Remove a cheat
+ * @param {number} id - Cheat id from listCheats()
+ */
+export function removeCheat(id) {
+  nes.cheats.remove(id);
+  persistCheats();
+}
+
+/**
+ * Enable or disable a cheat
+ * @param {number} id - Cheat id from listCheats()
+ * @param {boolean} enabled
+ */
+export function toggleCheat(id, enabled) {
+  nes.cheats.setEnabled(id, enabled);
+  persistCheats();
+}
+
+/**
+ * @returns {Array} Cheats for the loaded ROM ({ id, code, type, description, enabled, ... })
+ */
+export function listCheats() {
+  return nes ? nes.cheats.list() : [];
+}
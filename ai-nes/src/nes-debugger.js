@@ -0,0 +1,304 @@
+// =============================================================================
+// DEBUGGER PANEL
+// Front end for nes.debugger: registers, a disassembly that follows PC through
+// the mapped PRG banks, the breakpoint list and stepping controls.
+// Usage: import { initDebuggerPanel, refreshDebuggerPanel } from './nes-debugger.js';
+//        initDebuggerPanel(nes, logStatus);   // Once, after the DOM is ready
+//        refreshDebuggerPanel();              // After loading a ROM
+// Keys while the panel is open: F10 step over, F11 step into, Shift+F11 step out
+// The trace buttons keep the last TRACE_RING_LINES instructions in memory and
+// save them as a nestest-format .log file.
+// =============================================================================
+
+import { TraceLogger } from './trace-logger.js';
+
+const DISASSEMBLY_LINES = 16;
+const TRACE_RING_LINES = 100000;
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+let tracer = null;
+
+function hex8(value) {
+  return value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function hex16(value) {
+  return value.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Parse "$8000", "8000", "0x8000" or a range "$0300-$03FF" (always hex)
+ * @param {string} text
+ * @returns {{address: number, end: number}|null}
+ */
+function parseAddressRange(text) {
+  const match = /^\s*(?:\$|0x)?([0-9a-f]{1,4})\s*(?:-\s*(?:\$|0x)?([0-9a-f]{1,4}))?\s*$/i.exec(text);
+  if (!match) return null;
+  const address = parseInt(match[1], 16);
+  const end = match[2] ? parseInt(match[2], 16) : address;
+  return { address: Math.min(address, end), end: Math.max(address, end) };
+}
+
+function describeBreak(info) {
+  const where = `$${hex16(info.address)}`;
+  switch (info.reason) {
+    case 'exec': return `Breakpoint at ${where}`;
+    case 'read':
+    case 'write':
+      return `${info.reason === 'read' ? 'Read' : 'Write'} $${hex16(info.access)} = $${hex8(info.value)}, stopped at ${where}`;
+    case 'pause': return `Paused at ${where}`;
+    case 'scanline': return `Reached scanline ${info.scanline}`;
+    case 'frame': return `Reached frame ${info.frame}`;
+    default: return `Step ${info.reason} to ${where}`;
+  }
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function renderStatus() {
+  const status = document.getElementById('dbg-status');
+  const pauseButton = document.getElementById('btn-dbg-pause');
+  const debug = nes.debugger;
+
+  if (pauseButton) pauseButton.textContent = debug.paused ? 'Run' : 'Pause';
+  if (!status) return;
+
+  if (!nes.rom) {
+    status.textContent = 'No ROM loaded';
+    return;
+  }
+
+  const r = debug.getRegisters();
+  const flags = 'NV-BDIZC'.split('').map((f, i) => (r.P & (0x80 >> i)) ? f : f.toLowerCase()).join('');
+  status.textContent =
+    `PC:${hex16(r.PC)} A:${hex8(r.A)} X:${hex8(r.X)} Y:${hex8(r.Y)} SP:${hex8(r.SP)} P:${flags}  ` +
+    `Frame ${r.frame} Scanline ${r.scanline} Dot ${r.cycle}` +
+    (debug.paused && debug.breakInfo ? `\n${describeBreak(debug.breakInfo)}` : '');
+}
+
+function renderTrace() {
+  const button = document.getElementById('btn-dbg-trace');
+  const count = document.getElementById('dbg-trace-count');
+  if (button) button.textContent = tracer.running ? 'Stop trace' : 'Start trace';
+  if (count) count.textContent = tracer.lineCount > 0 ? `${tracer.ringCount} lines` : '';
+}
+
+function renderDisassembly() {
+  const list = document.getElementById('dbg-disassembly');
+  if (!list) return;
+  list.innerHTML = '';
+  if (!nes.rom || !nes.debugger.paused) return;
+
+  for (const line of nes.debugger.disassemble(undefined, DISASSEMBLY_LINES)) {
+    const li = document.createElement('li');
+    if (line.current) li.classList.add('current');
+    if (line.breakpoint) li.classList.add('breakpoint');
+    li.title = 'Click to toggle a breakpoint';
+
+    const bank = line.bank === null ? '--' : hex8(line.bank);
+    const bytes = line.bytes.map(hex8).join(' ').padEnd(8);
+    li.textContent = `${line.breakpoint ? '●' : ' '}${line.current ? '▶' : ' '} ${bank}:${hex16(line.address)}  ${bytes}  ${line.text}`;
+    li.addEventListener('click', () => {
+      nes.debugger.toggleBreakpoint(line.address);
+      refreshDebuggerPanel();
+    });
+    list.appendChild(li);
+  }
+}
+
+function renderBreakpoints() {
+  const list = document.getElementById('dbg-breakpoints');
+  if (!list) return;
+  list.innerHTML = '';
+
+  for (const bp of nes.debugger.listBreakpoints()) {
+    const li = document.createElement('li');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = bp.enabled;
+    toggle.addEventListener('change', () => {
+      nes.debugger.setBreakpointEnabled(bp.id, toggle.checked);
+      renderDisassembly();
+    });
+
+    const label = document.createElement('span');
+    const range = bp.end !== bp.address ? `$${hex16(bp.address)}-$${hex16(bp.end)}` : `$${hex16(bp.address)}`;
+    label.textContent = `${bp.type.toUpperCase()} ${range}`;
+
+    const detail = document.createElement('span');
+    detail.className = 'cheat-desc';
+    detail.textContent = `${bp.condition ? `if ${bp.condition}  ` : ''}(${bp.hits} hits)`;
+
+    const remove = document.createElement('button');
+    remove.textContent = 'X';
+    remove.title = 'Delete breakpoint';
+    remove.addEventListener('click', () => {
+      nes.debugger.removeBreakpoint(bp.id);
+      refreshDebuggerPanel();
+    });
+
+    li.append(toggle, label, detail, remove);
+    list.appendChild(li);
+  }
+}
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+function onBreak(info) {
+  document.getElementById('debugger-panel')?.setAttribute('open', '');
+  logStatus(`🐞 ${describeBreak(info)}`, 'info');
+  refreshDebuggerPanel();
+}
+
+function togglePause() {
+  if (!nes.rom) return;
+  if (nes.debugger.paused) {
+    nes.debugger.resume();
+  } else {
+    nes.debugger.pause();
+  }
+  refreshDebuggerPanel();
+}
+
+// Steps only make sense from a stopped CPU
+function step(kind) {
+  if (!nes.rom || !nes.debugger.paused) return;
+  if (kind === 'into') nes.debugger.stepInto();
+  if (kind === 'over') nes.debugger.stepOver();
+  if (kind === 'out') nes.debugger.stepOut();
+  renderStatus();
+}
+
+function runTo() {
+  if (!nes.rom) return;
+  const value = parseInt(document.getElementById('dbg-run-to')?.value || '', 10);
+  if (Number.isNaN(value)) {
+    logStatus('❌ Enter a scanline or frame number', 'error');
+    return;
+  }
+  if (document.getElementById('dbg-run-to-kind')?.value === 'frame') {
+    nes.debugger.runToFrame(value);
+  } else {
+    nes.debugger.runToScanline(value);
+  }
+  renderStatus();
+}
+
+function addBreakpointFromPanel() {
+  const addressInput = document.getElementById('dbg-bp-address');
+  const conditionInput = document.getElementById('dbg-bp-condition');
+  const range = parseAddressRange(addressInput?.value || '');
+  if (!range) {
+    logStatus('❌ Breakpoint address must be hex, e.g. $8000 or $0300-$03FF', 'error');
+    return;
+  }
+
+  try {
+    nes.debugger.addBreakpoint({
+      type: document.getElementById('dbg-bp-type')?.value || 'exec',
+      address: range.address,
+      end: range.end,
+      condition: conditionInput?.value || '',
+    });
+  } catch (err) {
+    logStatus(`❌ ${err.message}`, 'error');
+    return;
+  }
+  addressInput.value = '';
+  if (conditionInput) conditionInput.value = '';
+  refreshDebuggerPanel();
+}
+
+function toggleTrace() {
+  if (tracer.running) {
+    tracer.stop();
+    logStatus(`📜 Trace stopped (${tracer.lineCount} instructions)`, 'info');
+  } else {
+    tracer.clear();
+    tracer.start();
+    logStatus('📜 Tracing instructions', 'info');
+  }
+  renderTrace();
+}
+
+function saveTrace() {
+  const text = tracer.getText();
+  if (!text) {
+    logStatus('❌ Trace is empty', 'error');
+    return;
+  }
+
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'trace.log';
+  a.click();
+
+  URL.revokeObjectURL(url);
+  logStatus(`📥 Trace saved (${tracer.ringCount} lines)`, 'success');
+}
+
+function handleDebuggerKeys(e) {
+  if (!document.getElementById('debugger-panel')?.open) return;
+  if (e.target instanceof HTMLInputElement && e.target.type === 'text') return;
+
+  if (e.key === 'F10') {
+    e.preventDefault();
+    step('over');
+  } else if (e.key === 'F11') {
+    e.preventDefault();
+    step(e.shiftKey ? 'out' : 'into');
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Wire the debugger panel to nes.debugger
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initDebuggerPanel(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+  nes.debugger.onBreak = onBreak;
+  tracer = new TraceLogger(nes, { ringSize: TRACE_RING_LINES });
+
+  document.getElementById('btn-dbg-pause')?.addEventListener('click', togglePause);
+  document.getElementById('btn-dbg-into')?.addEventListener('click', () => step('into'));
+  document.getElementById('btn-dbg-over')?.addEventListener('click', () => step('over'));
+  document.getElementById('btn-dbg-out')?.addEventListener('click', () => step('out'));
+  document.getElementById('btn-dbg-run-to')?.addEventListener('click', runTo);
+  document.getElementById('btn-dbg-bp-add')?.addEventListener('click', addBreakpointFromPanel);
+  document.getElementById('dbg-bp-address')?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') addBreakpointFromPanel();
+  });
+  document.getElementById('btn-dbg-trace')?.addEventListener('click', toggleTrace);
+  document.getElementById('btn-dbg-trace-save')?.addEventListener('click', saveTrace);
+  document.getElementById('debugger-panel')?.addEventListener('toggle', refreshDebuggerPanel);
+  document.addEventListener('keydown', handleDebuggerKeys);
+
+  refreshDebuggerPanel();
+}
+
+/**
+ * Redraw registers, disassembly and breakpoints
+ */
+export function refreshDebuggerPanel() {
+  if (!nes) return;
+  renderStatus();
+  renderDisassembly();
+  renderBreakpoints();
+  renderTrace();
+}
@@ -0,0 +1,139 @@
+// =============================================================================
+// FAMICOM DISK SYSTEM PANEL
+// Keeps the user's FDS BIOS (disksys.rom) in localStorage and hands it to the
+// emulator, and shows disk drive controls while an .fds image is loaded:
+// insert a side, flip to the next one, or eject.
+// Usage: import { initFdsPanel, refreshFdsPanel, importFdsBios } from './nes-fds.js';
+//        initFdsPanel(nes, logStatus);   // Once, after the DOM is ready; loads the stored BIOS
+//        await importFdsBios(file);      // From an <input type="file">
+//        refreshFdsPanel();              // After loading a ROM (hides the panel for cartridges)
+// =============================================================================
+
+import { FDS_BIOS_SIZE, getFdsSideLabel } from './fds.js';
+
+const BIOS_KEY = 'nes_fds_bios';
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+
+function encodeBase64(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return btoa(text);
+}
+
+function decodeBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// =============================================================================
+// DISK CONTROLS
+// =============================================================================
+
+function renderStatus() {
+  const status = document.getElementById('fds-status');
+  if (!status) return;
+  const side = nes.mmap.getInsertedSide();
+  status.textContent = side === null ? 'Drive empty' : getFdsSideLabel(side);
+}
+
+function insertSide(side) {
+  if (!nes.rom || !nes.rom.fds) return;
+  nes.mmap.insertDisk(side);
+  const select = document.getElementById('fds-side');
+  if (select) select.value = String(side);
+  renderStatus();
+  logStatus(`💾 ${getFdsSideLabel(side)} inserted`, 'info');
+}
+
+// Games ask for "side B" after side A; wraps to the first side
+function insertNextSide() {
+  if (!nes.rom || !nes.rom.fds) return;
+  const current = nes.mmap.getInsertedSide();
+  insertSide(current === null ? 0 : (current + 1) % nes.mmap.sideCount);
+}
+
+function ejectDisk() {
+  if (!nes.rom || !nes.rom.fds) return;
+  nes.mmap.ejectDisk();
+  renderStatus();
+  logStatus('⏏️ Disk ejected', 'info');
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load the stored BIOS and wire the disk drive panel
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initFdsPanel(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+
+  try {
+    const stored = localStorage.getItem(BIOS_KEY);
+    if (stored) nes.opts.fdsBios = decodeBase64(stored);
+  } catch (err) {
+    logStatus(`⚠️ Stored FDS BIOS ignored: ${err.message}`, 'warning');
+  }
+
+  document.getElementById('btn-fds-insert')?.addEventListener('click', () => {
+    insertSide(Number(document.getElementById('fds-side')?.value || 0));
+  });
+  document.getElementById('btn-fds-next')?.addEventListener('click', insertNextSide);
+  document.getElementById('btn-fds-eject')?.addEventListener('click', ejectDisk);
+
+  refreshFdsPanel();
+}
+
+/**
+ * Use a disksys.rom for .fds images and keep it for later sessions
+ * @param {File} file
+ * @returns {Promise<boolean>} Success
+ */
+export async function importFdsBios(file) {
+  try {
+    const data = new Uint8Array(await file.arrayBuffer());
+    if (data.length !== FDS_BIOS_SIZE) {
+      throw new Error(`expected 8KB, got ${data.length} bytes`);
+    }
+    nes.opts.fdsBios = data;
+    localStorage.setItem(BIOS_KEY, encodeBase64(data));
+    logStatus('💾 FDS BIOS loaded', 'success');
+    return true;
+  } catch (err) {
+    logStatus(`❌ FDS BIOS import failed: ${err.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * @returns {boolean} True once a BIOS has been imported
+ */
+export function hasFdsBios() {
+  return !!(nes && nes.opts.fdsBios);
+}
+
+/**
+ * Show the panel for a loaded disk image, or hide it for cartridges
+ */
+export function refreshFdsPanel() {
+  const panel = document.getElementById('fds-panel');
+  if (!nes || !panel) return;
+
+  const fds = nes.rom && nes.rom.fds;
+  panel.hidden = !fds;
+  if (!fds) return;
+
+  const select = document.getElementById('fds-side');
+  if (select) {
+    select.replaceChildren(...fds.sides.map((side, i) => new Option(getFdsSideLabel(i), String(i))));
+    const current = nes.mmap.getInsertedSide();
+    select.value = String(current === null ? 0 : current);
+  }
+  renderStatus();
+}
@@ -0,0 +1,286 @@
+// =============================================================================
+// HEADLESS RUNNER
+// Runs the emulator without a DOM, canvas or AudioContext (Node.js).
+// Usage: import { HeadlessNES } from './nes-headless.js';
+//        const runner = new HeadlessNES({ recordAudio: true });
+//        runner.loadROM(romData);
+//        runner.runFrames(600);
+//        fs.writeFileSync('out.png', runner.getScreenshotPNG());
+// =============================================================================
+
+import { deflateSync, inflateSync } from 'node:zlib';
+import { NES } from './nes.js';
+import { crc32 } from './utils.js';
+
+const SCREEN_WIDTH = 256;
+const SCREEN_HEIGHT = 240;
+const AUDIO_CHUNK_SIZE = 65536; // Samples per channel per recording chunk
+const RESET_CYCLES = 7; // CPU cycles the reset sequence takes before the first opcode
+
+export class HeadlessNES {
+  constructor(opts = {}) {
+    this.recordAudio = !!opts.recordAudio;
+    this.sampleRate = opts.sampleRate || 48000;
+
+    // Recorded audio, stored as fixed-size chunks to avoid reallocating
+    this.audioChunksL = [];
+    this.audioChunksR = [];
+    this.audioPos = AUDIO_CHUNK_SIZE;
+    this.audioSampleCount = 0;
+
+    this.frameCount = 0;
+
+    // Last completed frame; the PPU clears its own buffer at frame start
+    this.screen = new Uint32Array(SCREEN_WIDTH * SCREEN_HEIGHT);
+
+    this.nes = new NES({
+      onFrame: framebuffer => this.screen.set(framebuffer),
+      emulateSound: this.recordAudio,
+      sampleRate: this.sampleRate,
+      ramInitPattern: opts.ramInitPattern || 'all_zero',
+      ramInitSeed: opts.ramInitSeed ?? null,
+      region: opts.region || 'auto',
+      inputDevice: opts.inputDevice || 'auto',
+      fdsBios: opts.fdsBios || null,
+      onAudioSample: this.recordAudio ? (l, r) => this.pushSample(l, r) : null,
+    });
+  }
+
+  // fileName is optional and only used for region detection; patch is an IPS/UPS/BPS file
+  loadROM(data, batteryRam = null, fileName = '', patch = null) {
+    this.nes.loadROM(data, batteryRam, fileName, patch);
+    this.frameCount = 0;
+  }
+
+  // Starts execution at `address` instead of the reset vector, e.g. $C000
+  // for nestest's automated mode. Call after loadROM().
+  setPC(address) {
+    const { cpu, ppu } = this.nes;
+    cpu.irqRequested = false; // Drop the pending reset, which would load the vector
+    cpu.REG_PC = (address - 1) & 0xFFFF;
+
+    // Spend the 7 cycles of the skipped reset sequence, so a trace starts at
+    // CYC:7 and PPU 0,21 like nestest.log
+    cpu.cycleCount += RESET_CYCLES;
+    for (let i = 0; i < RESET_CYCLES * 3; i++) ppu.step();
+    if (this.nes.mmap && this.nes.mmap.cpuClock) this.nes.mmap.cpuClock(RESET_CYCLES);
+  }
+
+  // Plays back a Movie (e.g. from parseFM2()) from its start. Power-on
+  // movies reload the ROM, so call this after loadROM().
+  playMovie(movie) {
+    this.nes.movie.startPlayback(movie);
+    this.frameCount = 0;
+  }
+
+  // Runs `count` frames. onFrame(frameNumber, nes) is called after each one.
+  runFrames(count, onFrame = null) {
+    for (let i = 0; i < count; i++) {
+      this.nes.frame();
+      this.frameCount++;
+      if (onFrame) onFrame(this.frameCount, this.nes);
+    }
+  }
+
+  pushSample(l, r) {
+    if (this.audioPos >= AUDIO_CHUNK_SIZE) {
+      this.audioChunksL.push(new Float32Array(AUDIO_CHUNK_SIZE));
+      this.audioChunksR.push(new Float32Array(AUDIO_CHUNK_SIZE));
+      this.audioPos = 0;
+    }
+    const chunk = this.audioChunksL.length - 1;
+    this.audioChunksL[chunk][this.audioPos] = l;
+    this.audioChunksR[chunk][this.audioPos] = r;
+    this.audioPos++;
+    this.audioSampleCount++;
+  }
+
+  // Last completed frame as 0xRRGGBB pixels (256x240)
+  getFramebuffer() {
+    return this.screen;
+  }
+
+  getScreenshotPNG() {
+    return encodePNG(this.getFramebuffer(), SCREEN_WIDTH, SCREEN_HEIGHT);
+  }
+
+  getWAV() {
+    return encodeWAV(this.audioChunksL, this.audioChunksR, this.audioSampleCount, this.sampleRate);
+  }
+}
+
+// =============================================================================
+// FILE FORMATS
+// =============================================================================
+
+/**
+ * Encode 0xRRGGBB pixels as an 8-bit RGB PNG
+ * @param {Uint32Array} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function encodePNG(pixels, width, height) {
+  // Each row: filter byte (0 = None) + RGB triplets
+  const stride = width * 3 + 1;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    let o = y * stride + 1;
+    for (let x = 0; x < width; x++) {
+      const rgb = pixels[y * width + x];
+      raw[o++] = (rgb >> 16) & 0xFF;
+      raw[o++] = (rgb >> 8) & 0xFF;
+      raw[o++] = rgb & 0xFF;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8; // Bit depth
+  ihdr[9] = 2; // Colour type: RGB
+
+  const chunks = [
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ];
+  const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+  const out = new Uint8Array(8 + chunks.reduce((n, c) => n + c.length, 0));
+  out.set(signature, 0);
+  let offset = 8;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Decode an 8-bit RGB or RGBA PNG (as written by encodePNG) to 0xRRGGBB pixels
+ * @param {Uint8Array} data
+ * @returns {{width: number, height: number, pixels: Uint32Array}}
+ */
+export function decodePNG(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let width = 0, height = 0, channels = 0;
+  const idat = [];
+
+  for (let offset = 8; offset + 8 <= data.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    const body = data.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      const bitDepth = body[8], colourType = body[9];
+      if (bitDepth !== 8 || (colourType !== 2 && colourType !== 6) || body[12] !== 0) {
+        throw new Error('Unsupported PNG: only 8-bit non-interlaced RGB/RGBA');
+      }
+      channels = colourType === 6 ? 4 : 3;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (channels === 0) throw new Error('Invalid PNG: missing IHDR');
+
+  const compressed = new Uint8Array(idat.reduce((n, c) => n + c.length, 0));
+  let pos = 0;
+  for (const chunk of idat) {
+    compressed.set(chunk, pos);
+    pos += chunk.length;
+  }
+  const raw = inflateSync(compressed);
+
+  // Undo per-row filters in place
+  const stride = width * channels;
+  const pixels = new Uint32Array(width * height);
+  let prev = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let i = 0; i < stride; i++) {
+      const a = i >= channels ? row[i - channels] : 0;
+      const b = prev[i];
+      const c = i >= channels ? prev[i - channels] : 0;
+      switch (filter) {
+        case 1: row[i] += a; break;
+        case 2: row[i] += b; break;
+        case 3: row[i] += (a + b) >> 1; break;
+        case 4: row[i] += paethPredictor(a, b, c); break;
+      }
+    }
+    for (let x = 0; x < width; x++) {
+      const o = x * channels;
+      pixels[y * width + x] = (row[o] << 16) | (row[o + 1] << 8) | row[o + 2];
+    }
+    prev = row;
+  }
+
+  return { width, height, pixels };
+}
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32([chunk.subarray(4, 8 + data.length)]));
+  return chunk;
+}
+
+/**
+ * Encode recorded stereo float samples as a 16-bit PCM WAV file
+ * @param {Float32Array[]} chunksL
+ * @param {Float32Array[]} chunksR
+ * @param {number} sampleCount - Samples per channel
+ * @param {number} sampleRate
+ * @returns {Uint8Array}
+ */
+export function encodeWAV(chunksL, chunksR, sampleCount, sampleRate) {
+  const channels = 2;
+  const dataSize = sampleCount * channels * 2;
+  const out = new Uint8Array(44 + dataSize);
+  const view = new DataView(out.buffer);
+
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) out[offset + i] = tag.charCodeAt(i);
+  };
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);           // fmt chunk size
+  view.setUint16(20, 1, true);            // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true); // Block align
+  view.setUint16(34, 16, true);           // Bits per sample
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < sampleCount; i++) {
+    const chunk = (i / AUDIO_CHUNK_SIZE) | 0;
+    const pos = i % AUDIO_CHUNK_SIZE;
+    view.setInt16(offset, Math.round(chunksL[chunk][pos] * 32767), true);
+    view.setInt16(offset + 2, Math.round(chunksR[chunk][pos] * 32767), true);
+    offset += 4;
+  }
+  return out;
+}
@@ -1,4 +1,10 @@
-import { NES, Controller, applyCompatibilityFixes, initSaveStates, saveState, loadState, quickSave, quickLoad } from './index.js';
+import { NES, Controller, initSaveStates, saveState, loadState, quickSave, quickLoad,
+  initBatterySaves, markBatteryRamDirty, flushBatteryRam, readBatteryRam, exportBatteryRam, importBatteryRam,
+  initRewind, recordRewindFrame, rewindStep, clearRewind, parseFM2, exportFM2,
+  initCheats, loadCheatsForRom, addCheat, removeCheat, toggleCheat, listCheats, RamSearch,
+  initCartridgeDb, importCartridgeDb, applyPatch, isPatchFileName, isZip, listZipEntries, extractZipEntry,
+  initDebuggerPanel, refreshDebuggerPanel, initNsfPlayer, refreshNsfPlayer,
+  initFdsPanel, refreshFdsPanel, importFdsBios, hasFdsBios, isFds } from './index.js';
 import { NESDebug } from '../debug/debug.js';
 
 // =============================================================================
@@ -14,6 +20,15 @@ const AUDIO_TARGET_BUFFER_MS = 80; // Keep this much audio queued to avoid under
 const AUDIO_MAX_CATCHUP_FRAMES = 4; // Cap extra frames per tick
 const AUDIO_PREFILL_MAX_FRAMES = 8; // Cap initial prefill work
 
+const REWIND_SECONDS = 60; // Rewind history length; REWIND_MAX_BYTES caps what it may use
+const REWIND_MAX_BYTES = 64 * 1024 * 1024; // Memory budget for rewind history
+
+const INPUT_DEVICE_PREFIX = 'nes_input_'; // Per-game controller port device, by CRC32
+const INPUT_DEVICE_LABELS = { standard: '2 players', fourscore: 'Four Score', fourplayer: 'Famicom 4-player adapter' };
+
+const RAM_SEARCH_MAX_RESULTS = 100; // Rows shown in the RAM search panel
+const RAM_SEARCH_REFRESH_FRAMES = 15; // Live value refresh interval
+
 // =============================================================================
 // STATE
 // =============================================================================
@@ -31,17 +46,18 @@ let batchPos = 0;
 
 let emulationRunning = false;
 let fastForward = false;
+let rewinding = false;
 
-// Gamepad - support for 2 players
-const gamepadIndices = [null, null]; // [player1, player2]
-const gamepadStates = [
-  new Array(16).fill(false),
-  new Array(16).fill(false)
-];
-const axisStates = [
-  { up: false, down: false, left: false, right: false },
-  { up: false, down: false, left: false, right: false }
-];
+// RAM search (created once the NES exists)
+let ramSearch = null;
+let ramSearchRefresh = 0;
+let romFileName = ''; // For movie headers
+
+// Gamepad - support for 4 players (3 and 4 need a Four Score or Famicom adapter)
+const MAX_PLAYERS = 4;
+const gamepadIndices = new Array(MAX_PLAYERS).fill(null); // [player1, ..., player4]
+const gamepadStates = Array.from({ length: MAX_PLAYERS }, () => new Array(16).fill(false));
+const axisStates = Array.from({ length: MAX_PLAYERS }, () => ({ up: false, down: false, left: false, right: false }));
 
 // Button mappings for standard controllers
 const GAMEPAD_MAP = {
@@ -73,6 +89,22 @@ const KEYBOARD_MAP_P2 = {
   78: Controller.BUTTON_SELECT, 77: Controller.BUTTON_START   // N, M
 };
 
+const KEYBOARD_MAP_P3 = {
+  104: Controller.BUTTON_UP, 101: Controller.BUTTON_DOWN,     // Numpad 8, 5
+  100: Controller.BUTTON_LEFT, 102: Controller.BUTTON_RIGHT,  // Numpad 4, 6
+  105: Controller.BUTTON_A, 103: Controller.BUTTON_B,         // Numpad 9, 7
+  97: Controller.BUTTON_SELECT, 99: Controller.BUTTON_START   // Numpad 1, 3
+};
+
+const KEYBOARD_MAP_P4 = {
+  36: Controller.BUTTON_UP, 35: Controller.BUTTON_DOWN,       // Home, End
+  46: Controller.BUTTON_LEFT, 34: Controller.BUTTON_RIGHT,    // Delete, Page Down
+  33: Controller.BUTTON_A, 45: Controller.BUTTON_B,           // Page Up, Insert
+  8: Controller.BUTTON_SELECT, 220: Controller.BUTTON_START   // Backspace, Backslash
+};
+
+const KEYBOARD_MAPS = [KEYBOARD_MAP_P1, KEYBOARD_MAP_P2, KEYBOARD_MAP_P3, KEYBOARD_MAP_P4];
+
 // =============================================================================
 // NES
 // =============================================================================
@@ -84,6 +116,9 @@ export const nes = new NES({
     }
   },
   onAudioSample(l, r) {
+    // Audio is muted while running backwards
+    if (rewinding) return;
+
     // Batch samples for AudioWorklet
     sampleBatchL[batchPos] = l;
     sampleBatchR[batchPos] = r;
@@ -93,6 +128,9 @@ export const nes = new NES({
     if (batchPos >= sampleBatchL.length) {
       flushAudio();
     }
+  },
+  onBatteryRamWrite() {
+    markBatteryRamDirty();
   }
 });
 
@@ -239,12 +277,19 @@ function targetAudioSamples() {
     : 0;
 }
 
+// True when more than a frame of audio beyond the target is already queued
+function audioAhead() {
+  if (!audioCtx || audioCtx.state !== 'running') return false;
+  const samplesPerFrame = audioCtx.sampleRate / nes.opts.preferredFrameRate;
+  return (audioQueuedSamples + batchPos) >= targetAudioSamples() + samplesPerFrame;
+}
+
 function topUpAudioBuffer(maxFrames = AUDIO_MAX_CATCHUP_FRAMES) {
   if (!audioCtx) return;
   const target = targetAudioSamples();
   let guard = maxFrames;
-  while ((audioQueuedSamples + batchPos) < target && guard > 0) {
-    nes.frame();
+  while ((audioQueuedSamples + batchPos) < target && guard > 0 && !nes.debugger.paused) {
+    runFrame();
     guard--;
   }
 }
@@ -291,19 +336,37 @@ function initAudioToggles() {
 // =============================================================================
 // MAIN LOOP
 // =============================================================================
+
+// Run one frame forward and record it for rewind. A debugger break
+// returns mid-frame; only whole frames go into the rewind history.
+function runFrame() {
+  nes.frame();
+  if (!nes.frameInProgress) recordRewindFrame();
+}
+
 function onAnimationFrame() {
   requestAnimationFrame(onAnimationFrame);
   if (!emulationRunning) return;
+  // Stopped in the debugger: the panel drives execution
+  if (nes.debugger.paused) return;
   
   updateAudioQueueEstimate();
 
-  // Fast Forward: Run multiple frames per update
-  const speed = fastForward ? 4 : 1;
-  for (let i = 0; i < speed; i++) {
-      nes.frame();
-  }
-  if (!fastForward) {
-    topUpAudioBuffer(AUDIO_MAX_CATCHUP_FRAMES);
+  if (rewinding) {
+    // Rewind: restore the previous snapshot each tick (audio muted). An
+    // active movie follows (see nes-rewind.js).
+    rewindStep();
+  } else {
+    // Fast Forward: Run multiple frames per update. At normal speed a tick is
+    // skipped while audio is a frame ahead, so 50Hz regions (and high refresh
+    // rate displays) run at the console's own frame rate.
+    const speed = fastForward ? 4 : (audioAhead() ? 0 : 1);
+    for (let i = 0; i < speed; i++) {
+        runFrame();
+    }
+    if (!fastForward) {
+      topUpAudioBuffer(AUDIO_MAX_CATCHUP_FRAMES);
+    }
   }
   
   flushAudio();
@@ -319,6 +382,8 @@ function onAnimationFrame() {
   }
   canvasCtx.putImageData(imageData, 0, 0);
 
+  updateMovieStatus();
+  refreshRamSearch();
   pollGamepad();
 }
 
@@ -375,21 +440,18 @@ function pollGamepadForPlayer(playerIndex) {
 }
 
 function pollGamepad() {
-  pollGamepadForPlayer(0); // Player 1
-  pollGamepadForPlayer(1); // Player 2
+  for (let i = 0; i < MAX_PLAYERS; i++) {
+    pollGamepadForPlayer(i);
+  }
 }
 
 function handleKey(callback, e) {
-  // Check Player 1 keys
-  if (KEYBOARD_MAP_P1[e.keyCode] !== undefined) {
-    callback(1, KEYBOARD_MAP_P1[e.keyCode]);
-    e.preventDefault();
-  }
-  // Check Player 2 keys
-  if (KEYBOARD_MAP_P2[e.keyCode] !== undefined) {
-    callback(2, KEYBOARD_MAP_P2[e.keyCode]);
-    e.preventDefault();
-  }
+  KEYBOARD_MAPS.forEach((map, i) => {
+    if (map[e.keyCode] !== undefined) {
+      callback(i + 1, map[e.keyCode]);
+      e.preventDefault();
+    }
+  });
 }
 
 // =============================================================================
@@ -413,7 +475,7 @@ function nesInit(canvasId) {
   return true;
 }
 
-async function nesBoot(romData) {
+async function nesBoot(romData, patch = null) {
   if (!audioCtx) await initAudio();
 
   // Reset audio state
@@ -421,13 +483,32 @@ async function nesBoot(romData) {
   resetAudioQueue();
   audioWorkletNode?.port.postMessage({ type: 'reset' });
 
+  // A movie belongs to the outgoing game
+  nes.movie.stop();
+
+  // Patch first: the patched image's CRC32 keys its battery save and save states
+  if (patch) romData = applyPatch(romData, patch);
+
+  // Persist the outgoing game's SRAM before its mapper is replaced
+  await flushBatteryRam();
+  const batteryRam = await readBatteryRam(romData);
+
   // Load ROM - now accepts Uint8Array directly (modern, hardware-accurate)
-  nes.loadROM(romData);
+  nes.loadROM(romData, batteryRam, romFileName);
+  if (batteryRam) logStatus('🔋 Battery save restored', 'success');
+  clearRewind();
 
-  // Apply compatibility fixes (header corrections, etc.)
-  applyCompatibilityFixes(nes, logStatus);
+  // ROM.load() already applied any cartridge database corrections
+  if (nes.rom.dbEntry) logStatus(`🛠️ Game database: ${nes.rom.dbEntry.name || 'header corrected'}`, 'success');
+  logStatus(`🌍 Region: ${nes.region.toUpperCase()}`, 'info');
+  restoreInputDevice();
 
   initSaveStates(nes, logStatus);
+  loadCheatsForRom();
+  renderCheatList();
+  refreshDebuggerPanel();
+  refreshNsfPlayer();
+  refreshFdsPanel();
 
   // Pre-buffer audio to target to reduce startup underruns
   topUpAudioBuffer(AUDIO_PREFILL_MAX_FRAMES);
@@ -454,23 +535,73 @@ async function nesLoadUrl(canvasId, path) {
   }
 }
 
-async function nesLoadData(canvasId, romData) {
+async function nesLoadData(canvasId, romData, patch = null) {
   if (!nesInit(canvasId)) return;
-  // romData should be Uint8Array
-  await nesBoot(romData);
+  // romData (and the optional IPS/UPS/BPS patch) should be Uint8Array
+  await nesBoot(romData, patch);
 }
 
 // =============================================================================
 // UI
 // =============================================================================
+// Messages are plain text: they can carry names from loaded files (NSF titles)
 function logStatus(msg, type = 'info') {
   const s = document.getElementById('status');
   if (!s) return;
-  if (s.innerHTML.includes('Waiting')) s.innerHTML = '';
-  s.innerHTML += `<div class="${type}">${msg}</div>`;
+  if (s.textContent.includes('Waiting')) s.replaceChildren();
+  const line = document.createElement('div');
+  line.className = type;
+  line.textContent = msg;
+  s.appendChild(line);
   s.scrollTop = s.scrollHeight;
 }
 
+// Takes effect immediately; rewind history recorded with the old timing is dropped
+function changeRegion(region) {
+  nes.opts.region = region;
+  if (!nes.rom) return;
+  nes.setRegion(region);
+  clearRewind();
+  logStatus(`🌍 Region: ${nes.region.toUpperCase()}`, 'info');
+}
+
+function getInputDeviceKey() {
+  return INPUT_DEVICE_PREFIX + nes.rom.getCRC32().toString(16).toUpperCase().padStart(8, '0');
+}
+
+// The game's remembered port device, or 'auto' (header / game database)
+function restoreInputDevice() {
+  let device = 'auto';
+  try {
+    device = localStorage.getItem(getInputDeviceKey()) || 'auto';
+  } catch (err) {
+    logStatus(`⚠️ Stored controller setting ignored: ${err.message}`, 'warning');
+  }
+
+  nes.opts.inputDevice = device;
+  nes.setInputDevice(device);
+  const select = document.getElementById('input-select');
+  if (select) select.value = device;
+  if (nes.inputDevice !== 'standard') logStatus(`🎮 ${INPUT_DEVICE_LABELS[nes.inputDevice]}: 4 players`, 'info');
+}
+
+// Takes effect immediately and is remembered for this game
+function changeInputDevice(device) {
+  nes.opts.inputDevice = device;
+  if (!nes.rom) return;
+  nes.setInputDevice(device);
+  try {
+    if (device === 'auto') {
+      localStorage.removeItem(getInputDeviceKey());
+    } else {
+      localStorage.setItem(getInputDeviceKey(), device);
+    }
+  } catch (err) {
+    logStatus(`⚠️ Controller setting not saved: ${err.message}`, 'warning');
+  }
+  logStatus(`🎮 Controllers: ${INPUT_DEVICE_LABELS[nes.inputDevice]}`, 'info');
+}
+
 function hideOverlay() {
   const o = document.getElementById('overlay');
   if (o) { o.style.opacity = '0'; setTimeout(() => o.style.display = 'none', 300); }
@@ -479,6 +610,7 @@ function hideOverlay() {
 async function startEmulator() {
   hideOverlay();
   logStatus('▶️ Starting...', 'success');
+  romFileName = 'Gauntlet.nes';
   await nesLoadUrl('nes-canvas', 'roms/Gauntlet.nes');
   logStatus('✓ ROM loaded', 'info');
   if (nes?.rom) logStatus(`📋 PCB: NES-${nes.rom.getPcbClass()} (Mapper ${nes.rom.mapperType})`, 'info');
@@ -487,28 +619,295 @@ async function startEmulator() {
 function handleDrop(e) {
   e.preventDefault();
   document.getElementById('gameContainer')?.classList.remove('drag-over');
-  
-  const file = e.dataTransfer.files[0];
-  if (!file?.name.toLowerCase().endsWith('.nes')) {
-    logStatus('❌ Drop a .nes file', 'error');
+  loadRomFiles(e.dataTransfer.files);
+}
+
+// Loads the .nes (or .unf, .fds disk image, or .nsf/.nsfe music file) among `files`, patched by an
+// .ips/.ups/.bps picked or dropped with it. Zip archives are opened, including
+// subfolders; with several ROMs a picker asks which one to run.
+async function loadRomFiles(files) {
+  let candidates;
+  try {
+    candidates = await expandRomFiles(files);
+  } catch (err) {
+    logStatus(`❌ ${err.message}`, 'error');
     return;
   }
-  
+
+  const roms = candidates.filter(c => /\.(nes|unf|fds|nsfe?)$/i.test(c.name));
+  if (roms.length === 0) {
+    logStatus('❌ Select a .nes, .unf, .fds, .nsf or .zip file (and optionally an .ips/.ups/.bps patch)', 'error');
+    return;
+  }
+  const index = roms.length === 1 ? 0 : await pickRom(roms.map(c => c.name));
+  if (index < 0) return;
+  const rom = roms[index];
+  const patchFile = findPatchFor(rom, candidates.filter(c => isPatchFileName(c.name)));
+
   hideOverlay();
-  logStatus(`📦 Loading: ${file.name}`, 'info');
-  
-  const reader = new FileReader();
-  reader.onload = async (ev) => {
-    try {
-      // Pass Uint8Array directly - modern, hardware-accurate approach
-      await nesLoadData('nes-canvas', new Uint8Array(ev.target.result));
-      logStatus('✓ ROM loaded', 'success');
-      if (nes?.rom) logStatus(`📋 PCB: NES-${nes.rom.getPcbClass()} (Mapper ${nes.rom.mapperType})`, 'info');
-    } catch (err) {
-      logStatus(`❌ ${err.message}`, 'error');
+  romFileName = rom.name.split('/').pop();
+  logStatus(`📦 Loading: ${romFileName}`, 'info');
+
+  try {
+    const romData = await rom.read();
+    if (isFds(romData) && !hasFdsBios()) {
+      throw new Error('Disk images need the FDS BIOS: load disksys.rom with the FDS BIOS button first');
     }
-  };
-  reader.readAsArrayBuffer(file);
+    const patch = patchFile ? await patchFile.read() : null;
+    await nesLoadData('nes-canvas', romData, patch);
+    if (patchFile) logStatus(`🩹 Patched with ${patchFile.name.split('/').pop()}`, 'success');
+    logStatus('✓ ROM loaded', 'success');
+    if (nes?.rom?.nsf) {
+      logStatus(`🎵 ${nes.rom.nsf.title || 'NSF'}: ${nes.rom.nsf.songCount} tracks`, 'info');
+    } else if (nes?.rom?.fds) {
+      logStatus(`💾 Famicom Disk System: ${nes.rom.fds.sides.length} disk sides`, 'info');
+    } else if (nes?.rom) {
+      logStatus(`📋 PCB: NES-${nes.rom.getPcbClass()} (Mapper ${nes.rom.mapperType})`, 'info');
+    }
+  } catch (err) {
+    logStatus(`❌ ${err.message}`, 'error');
+  }
+}
+
+// Files plus the ROMs and patches inside any zips, as { name, read() } with
+// paths for archive entries. Entries are only decompressed when read.
+async function expandRomFiles(files) {
+  const candidates = [];
+  for (const file of Array.from(files || [])) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    if (!isZip(data)) {
+      candidates.push({ name: file.name, read: async () => data });
+      continue;
+    }
+    for (const entry of listZipEntries(data)) {
+      candidates.push({ name: entry.name, read: async () => extractZipEntry(data, entry) });
+    }
+  }
+  return candidates;
+}
+
+// The patch named after the ROM ("Game.nes" + "Game.ips"), or the only patch given
+function findPatchFor(rom, patches) {
+  const baseName = path => path.split('/').pop().replace(/\.[^.]*$/, '').toLowerCase();
+  const named = patches.find(p => baseName(p.name) === baseName(rom.name));
+  return named || (patches.length === 1 ? patches[0] : null);
+}
+
+// Resolves to the index of the chosen ROM, or -1 if the picker was cancelled
+function pickRom(names) {
+  const dialog = document.getElementById('rom-picker');
+  const list = document.getElementById('rom-picker-list');
+  if (!dialog?.showModal || !list) return Promise.resolve(0);
+
+  list.replaceChildren(...names.map((name, i) => new Option(name, String(i))));
+  list.selectedIndex = 0;
+  dialog.returnValue = '';
+  return new Promise(resolve => {
+    dialog.addEventListener('close', () => {
+      resolve(dialog.returnValue === 'load' ? list.selectedIndex : -1);
+    }, { once: true });
+    dialog.showModal();
+    list.focus();
+  });
+}
+
+// =============================================================================
+// INPUT MOVIES
+// =============================================================================
+function updateMovieStatus() {
+  const s = document.getElementById('movie-status');
+  if (!s) return;
+
+  const session = nes.movie;
+  if (!session.active) {
+    s.textContent = '';
+    return;
+  }
+  const icon = { recording: '⏺', playing: '▶', finished: '⏹' }[session.mode];
+  s.textContent = `${icon} ${session.frame}/${session.movie.length} · ${session.movie.rerecordCount} rr`;
+}
+
+function recordMovie() {
+  if (!nes.rom) {
+    logStatus('❌ No ROM loaded', 'error');
+    return;
+  }
+  const fromSaveState = document.getElementById('movie-start')?.value === 'state';
+  clearRewind();
+  nes.movie.startRecording({ fromSaveState, romFilename: romFileName });
+  logStatus(`⏺ Recording movie from ${fromSaveState ? 'current state' : 'power-on'}`, 'success');
+}
+
+async function playMovieFile(file) {
+  if (!nes.rom) {
+    logStatus('❌ No ROM loaded', 'error');
+    return;
+  }
+  try {
+    const movie = parseFM2(await file.text());
+    const readOnly = document.getElementById('movie-readonly')?.checked !== false;
+    clearRewind();
+    nes.movie.startPlayback(movie, { readOnly });
+    logStatus(`▶ Playing ${file.name} (${movie.length} frames, ${readOnly ? 'read-only' : 'read-write'})`, 'success');
+  } catch (err) {
+    logStatus(`❌ Movie failed: ${err.message}`, 'error');
+  }
+}
+
+function exportMovie() {
+  const movie = nes.movie.movie;
+  if (!movie || movie.length === 0) {
+    logStatus('❌ No movie to export', 'error');
+    return;
+  }
+
+  const blob = new Blob([exportFM2(movie)], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${romFileName.replace(/\.nes$/i, '') || 'movie'}.fm2`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+  logStatus(`📥 Movie exported (${movie.length} frames)`, 'success');
+}
+
+// =============================================================================
+// CHEATS
+// =============================================================================
+function renderCheatList() {
+  const list = document.getElementById('cheat-list');
+  if (!list) return;
+  list.innerHTML = '';
+
+  for (const cheat of listCheats()) {
+    const li = document.createElement('li');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = cheat.enabled;
+    toggle.addEventListener('change', () => toggleCheat(cheat.id, toggle.checked));
+
+    const code = document.createElement('span');
+    code.textContent = cheat.code;
+
+    const desc = document.createElement('span');
+    desc.className = 'cheat-desc';
+    desc.textContent = cheat.description;
+
+    const remove = document.createElement('button');
+    remove.textContent = 'X';
+    remove.title = 'Delete cheat';
+    remove.addEventListener('click', () => {
+      removeCheat(cheat.id);
+      renderCheatList();
+    });
+
+    li.append(toggle, code, desc, remove);
+    list.appendChild(li);
+  }
+}
+
+function addCheatFromPanel() {
+  const codeInput = document.getElementById('cheat-code');
+  const descInput = document.getElementById('cheat-desc');
+  if (!codeInput?.value.trim()) return;
+
+  if (addCheat(codeInput.value, descInput?.value.trim() || '')) {
+    codeInput.value = '';
+    if (descInput) descInput.value = '';
+    renderCheatList();
+  }
+}
+
+// =============================================================================
+// RAM SEARCH
+// =============================================================================
+function getRamSearchView() {
+  const [size, sign] = (document.getElementById('ram-search-view')?.value || '1u').split('');
+  return { size: Number(size), signed: sign === 's' };
+}
+
+// Accepts decimal, $hex or 0xhex; blank means "compare with previous"
+function parseRamSearchValue(text) {
+  const t = text.trim();
+  if (!t) return null;
+  const value = /^(\$|0x)/i.test(t) ? parseInt(t.replace(/^(\$|0x)/i, ''), 16) : parseInt(t, 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+function formatRamSearchValue(value) {
+  const view = getRamSearchView();
+  const unsigned = value & (view.size === 2 ? 0xFFFF : 0xFF);
+  return `${value} ($${unsigned.toString(16).toUpperCase().padStart(view.size * 2, '0')})`;
+}
+
+function resetRamSearch() {
+  if (!nes.rom) return;
+  ramSearch.setView(getRamSearchView());
+  ramSearch.reset();
+  renderRamSearchResults();
+}
+
+function filterRamSearch() {
+  if (!nes.rom) return;
+  const value = parseRamSearchValue(document.getElementById('ram-search-value')?.value || '');
+  if (value === undefined) {
+    logStatus('❌ Invalid search value', 'error');
+    return;
+  }
+  ramSearch.setView(getRamSearchView());
+  ramSearch.filter(document.getElementById('ram-search-compare')?.value || 'eq', value);
+  renderRamSearchResults();
+}
+
+function freezeRamSearchResult(address, value) {
+  const codes = ramSearch.toFreezeCodes(address, value);
+  const description = `RAM $${codes[0].slice(0, 4)} = ${value}`;
+  for (const code of codes) addCheat(code, description);
+  renderCheatList();
+}
+
+function renderRamSearchResults() {
+  const list = document.getElementById('ram-search-results');
+  const count = document.getElementById('ram-search-count');
+  if (!list) return;
+  list.innerHTML = '';
+
+  if (count) {
+    const shown = Math.min(ramSearch.count, RAM_SEARCH_MAX_RESULTS);
+    count.textContent = ramSearch.candidates
+      ? `${ramSearch.count} candidate(s)${shown < ramSearch.count ? `, first ${shown} shown` : ''}`
+      : '';
+  }
+
+  for (const { address, value, previous } of ramSearch.results(RAM_SEARCH_MAX_RESULTS)) {
+    const li = document.createElement('li');
+
+    const addr = document.createElement('span');
+    addr.textContent = '$' + address.toString(16).toUpperCase().padStart(4, '0');
+
+    const current = document.createElement('span');
+    current.className = 'cheat-desc';
+    current.textContent = `${formatRamSearchValue(value)}  was ${previous}`;
+
+    const freeze = document.createElement('button');
+    freeze.textContent = 'Freeze';
+    freeze.title = 'Add a cheat that holds this value';
+    freeze.addEventListener('click', () => freezeRamSearchResult(address, value));
+
+    li.append(addr, current, freeze);
+    list.appendChild(li);
+  }
+}
+
+// Keep the displayed values live while the panel is open
+function refreshRamSearch() {
+  if (!ramSearch?.candidates || !document.getElementById('ram-search-panel')?.open) return;
+  if (++ramSearchRefresh < RAM_SEARCH_REFRESH_FRAMES) return;
+  ramSearchRefresh = 0;
+  renderRamSearchResults();
 }
 
 function setVolume(v) { if (gainNode) gainNode.gain.value = v * v; }
@@ -525,36 +924,40 @@ export { pause, resume, setVolume };
 // =============================================================================
 // EVENTS
 // =============================================================================
+// Typing in the tool panels must not press NES buttons
+function isTextInput(target) {
+  // The archive ROM picker list also needs its arrow keys
+  return (target instanceof HTMLInputElement && target.type === 'text') || target.id === 'rom-picker-list';
+}
+
 document.addEventListener('keydown', e => {
+    if (isTextInput(e.target)) return;
     handleKey(nes.buttonDown, e);
     if (e.key === 'f' || e.key === 'F') fastForward = true;
+    if (e.key === 'r' || e.key === 'R') rewinding = true;
 });
 document.addEventListener('keyup', e => {
+    if (isTextInput(e.target)) return;
     handleKey(nes.buttonUp, e);
     if (e.key === 'f' || e.key === 'F') fastForward = false;
+    if (e.key === 'r' || e.key === 'R') rewinding = false;
 });
 
 window.addEventListener('gamepadconnected', e => {
   // Assign to first available player slot
-  if (gamepadIndices[0] === null) {
-    gamepadIndices[0] = e.gamepad.index;
-    updateGamepadStatus();
-  } else if (gamepadIndices[1] === null) {
-    gamepadIndices[1] = e.gamepad.index;
+  const slot = gamepadIndices.indexOf(null);
+  if (slot >= 0) {
+    gamepadIndices[slot] = e.gamepad.index;
     updateGamepadStatus();
   }
 });
 
 window.addEventListener('gamepaddisconnected', e => {
-  if (gamepadIndices[0] === e.gamepad.index) {
-    gamepadIndices[0] = null;
-    gamepadStates[0].fill(false);
-    axisStates[0] = { up: false, down: false, left: false, right: false };
-    updateGamepadStatus();
-  } else if (gamepadIndices[1] === e.gamepad.index) {
-    gamepadIndices[1] = null;
-    gamepadStates[1].fill(false);
-    axisStates[1] = { up: false, down: false, left: false, right: false };
+  const slot = gamepadIndices.indexOf(e.gamepad.index);
+  if (slot >= 0) {
+    gamepadIndices[slot] = null;
+    gamepadStates[slot].fill(false);
+    axisStates[slot] = { up: false, down: false, left: false, right: false };
     updateGamepadStatus();
   }
 });
@@ -563,17 +966,16 @@ function updateGamepadStatus() {
   const s = document.getElementById('gamepadStatus');
   if (!s) return;
 
-  const p1 = gamepadIndices[0] !== null;
-  const p2 = gamepadIndices[1] !== null;
+  const players = [];
+  gamepadIndices.forEach((index, i) => {
+    if (index !== null) players.push(`P${i + 1}`);
+  });
 
-  if (p1 && p2) {
-    s.textContent = 'Gamepads: P1 + P2';
-    s.className = 'connected';
-  } else if (p1) {
-    s.textContent = 'Gamepad: P1';
+  if (players.length > 1) {
+    s.textContent = `Gamepads: ${players.join(' + ')}`;
     s.className = 'connected';
-  } else if (p2) {
-    s.textContent = 'Gamepad: P2';
+  } else if (players.length === 1) {
+    s.textContent = `Gamepad: ${players[0]}`;
     s.className = 'connected';
   } else {
     s.textContent = 'Gamepad: Not connected';
@@ -585,6 +987,15 @@ window.addEventListener('dragover', e => e.preventDefault());
 window.addEventListener('drop', e => e.preventDefault());
 
 document.addEventListener('DOMContentLoaded', () => {
+  initBatterySaves(nes, logStatus);
+  initRewind(nes, { seconds: REWIND_SECONDS, maxBytes: REWIND_MAX_BYTES });
+  initCheats(nes, logStatus);
+  initCartridgeDb(nes, logStatus);
+  ramSearch = new RamSearch(nes);
+  initDebuggerPanel(nes, logStatus);
+  initNsfPlayer(nes, logStatus);
+  initFdsPanel(nes, logStatus);
+
   document.getElementById('overlay')?.addEventListener('click', startEmulator);
   const gc = document.getElementById('gameContainer');
   if (gc) {
@@ -625,41 +1036,101 @@ document.addEventListener('DOMContentLoaded', () => {
     loadState(slot);
   });
 
+  // Battery save (.sav) import/export
+  document.getElementById('btn-export-sav')?.addEventListener('click', () => exportBatteryRam());
+  document.getElementById('btn-import-sav')?.addEventListener('click', () => {
+    document.getElementById('sav-file')?.click();
+  });
+  document.getElementById('sav-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importBatteryRam(file);
+    e.target.value = '';
+  });
+
   document.getElementById('btn-reset')?.addEventListener('click', () => {
-    logStatus('🔄 System Reset', 'info');
-    nes.reset();
+    // Routed through the movie session so resets are recorded
+    if (nes.movie.requestReset()) {
+      logStatus('🔄 System Reset', 'info');
+    } else {
+      logStatus('⚠️ Reset is controlled by the movie during playback', 'warning');
+    }
   });
 
-  // Load ROM button
-  document.getElementById('btn-load-rom')?.addEventListener('click', () => {
-    document.getElementById('rom-file')?.click();
+  document.getElementById('region-select')?.addEventListener('change', e => changeRegion(e.target.value));
+  document.getElementById('input-select')?.addEventListener('change', e => changeInputDevice(e.target.value));
+
+  // Cheats
+  document.getElementById('btn-cheat-add')?.addEventListener('click', addCheatFromPanel);
+  document.getElementById('cheat-code')?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') addCheatFromPanel();
   });
 
-  document.getElementById('rom-file')?.addEventListener('change', async (e) => {
+  // RAM search
+  document.getElementById('btn-ram-search-reset')?.addEventListener('click', resetRamSearch);
+  document.getElementById('btn-ram-search-filter')?.addEventListener('click', filterRamSearch);
+  document.getElementById('ram-search-value')?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') filterRamSearch();
+  });
+
+  // Input movies (.fm2)
+  document.getElementById('btn-movie-record')?.addEventListener('click', recordMovie);
+  document.getElementById('btn-movie-play')?.addEventListener('click', () => {
+    document.getElementById('fm2-file')?.click();
+  });
+  document.getElementById('fm2-file')?.addEventListener('change', async (e) => {
     const file = e.target.files[0];
-    if (!file) return;
+    if (file) await playMovieFile(file);
+    e.target.value = '';
+  });
+  document.getElementById('btn-movie-stop')?.addEventListener('click', () => {
+    if (!nes.movie.active) return;
+    nes.movie.stop();
+    logStatus('⏹ Movie stopped', 'info');
+  });
+  document.getElementById('btn-movie-export')?.addEventListener('click', exportMovie);
+  document.getElementById('movie-readonly')?.addEventListener('change', e => {
+    nes.movie.setReadOnly(e.target.checked);
+  });
 
-    if (!file.name.toLowerCase().endsWith('.nes')) {
-      logStatus('❌ Please select a .nes file', 'error');
-      return;
+  // User game database
+  document.getElementById('btn-load-db')?.addEventListener('click', () => {
+    document.getElementById('db-file')?.click();
+  });
+  document.getElementById('db-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importCartridgeDb(file);
+    e.target.value = '';
+  });
+
+  // Famicom Disk System BIOS
+  document.getElementById('btn-load-bios')?.addEventListener('click', () => {
+    document.getElementById('bios-file')?.click();
+  });
+  document.getElementById('bios-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importFdsBios(file);
+    e.target.value = '';
+  });
+
+  // Archive ROM picker: double-click or Enter loads the selected ROM
+  const romPickerList = document.getElementById('rom-picker-list');
+  romPickerList?.addEventListener('dblclick', () => document.getElementById('rom-picker')?.close('load'));
+  romPickerList?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      document.getElementById('rom-picker')?.close('load');
     }
+  });
 
-    hideOverlay();
-    logStatus(`📦 Loading: ${file.name}`, 'info');
-
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      try {
-        await nesLoadData('nes-canvas', new Uint8Array(ev.target.result));
-        logStatus('✓ ROM loaded', 'success');
-        if (nes?.rom) logStatus(`📋 PCB: NES-${nes.rom.getPcbClass()} (Mapper ${nes.rom.mapperType})`, 'info');
-      } catch (err) {
-        logStatus(`❌ ${err.message}`, 'error');
-      }
-    };
-    reader.readAsArrayBuffer(file);
+  // Load ROM button
+  document.getElementById('btn-load-rom')?.addEventListener('click', () => {
+    document.getElementById('rom-file')?.click();
+  });
 
+  document.getElementById('rom-file')?.addEventListener('change', async (e) => {
+    const files = Array.from(e.target.files);
     // Reset file input so the same file can be loaded again
     e.target.value = '';
+    await loadRomFiles(files);
   });
 });
\ No newline at end of file
@@ -0,0 +1,365 @@
+// =============================================================================
+// INPUT MOVIES
+// Frame-exact recording and playback of controller input, with FCEUX .fm2
+// import/export. Each NES owns a MovieSession (nes.movie) which is driven
+// from NES.frame().
+// Usage: nes.movie.startRecording();            // From power-on
+//        nes.movie.startRecording({ fromSaveState: true });
+//        const text = exportFM2(nes.movie.movie);
+//        nes.movie.startPlayback(parseFM2(text), { readOnly: true });
+// =============================================================================
+
+// FM2 input log commands (first column of each frame line)
+export const MOVIE_COMMAND_SOFT_RESET = 1;
+export const MOVIE_COMMAND_POWER = 2;
+
+// FM2 button columns are "RLDUTSBA"; column i maps to controller bit (7 - i)
+const FM2_BUTTONS = 'RLDUTSBA';
+
+// Header key for movies that start from an ai-NES save state. FCEUX's own
+// "savestate" key holds a binary FCEUX state, which can't be loaded here.
+const FM2_SAVESTATE_KEY = 'ainesSavestate';
+const FM2_SEED_KEY = 'ainesRamInitSeed';
+
+// Header keys written by exportFM2() itself rather than copied from movie.header
+const FM2_GENERATED_KEYS = [
+  'version', 'emuVersion', 'rerecordCount', 'palFlag', 'romFilename', 'guid',
+  'fourscore', 'microphone', 'port0', 'port1', 'port2', 'FDS', 'NewPPU',
+  'comment', 'subtitle', FM2_SAVESTATE_KEY, FM2_SEED_KEY,
+];
+
+export class Movie {
+  constructor() {
+    this.frames = [];          // [{ commands, ports: [p1, p2] }], or four ports with fourScore
+    this.fourScore = false;    // Recorded with four controllers (FM2 "fourscore 1")
+    this.rerecordCount = 0;
+    this.romFilename = '';
+    this.palFlag = false;      // Recorded on a PAL console
+    this.guid = makeGuid();
+    this.comments = [];
+    this.startState = null;    // NES.toJSON() state, or null for power-on
+    this.ramInitSeed = null;   // Power-on RAM seed, or null to keep nes.opts
+    this.header = {};          // Other FM2 header keys, preserved on export
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+}
+
+export class MovieSession {
+  constructor(nes) {
+    this.nes = nes;
+    this.movie = null;
+    this.mode = 'inactive';    // 'inactive' | 'recording' | 'playing' | 'finished'
+    this.readOnly = true;
+    this.frame = 0;            // Index of the next frame to record/play
+    this.pendingCommands = 0;  // Reset/power requested while recording
+    this.savedSeed = null;     // nes.opts.ramInitSeed before the movie began
+    this.savedRegion = null;   // nes.opts.region before playback forced the movie's
+  }
+
+  get active() {
+    return this.mode !== 'inactive';
+  }
+
+  /**
+   * Begin recording a new movie
+   * @param {Object} [opts]
+   * @param {boolean} [opts.fromSaveState] - Start from the current state instead of power-on
+   * @param {string} [opts.romFilename]
+   * @returns {Movie}
+   */
+  startRecording(opts = {}) {
+    this.stop();
+    const movie = new Movie();
+    movie.romFilename = opts.romFilename || '';
+    movie.palFlag = this.nes.region === 'pal';
+    movie.fourScore = this.nes.inputDevice !== 'standard';
+
+    if (opts.fromSaveState) {
+      movie.startState = structuredClone(this.nes.toJSON());
+    } else {
+      // A fresh seed per movie keeps 'random' RAM init reproducible on playback
+      movie.ramInitSeed = (Math.random() * 0x100000000) >>> 0;
+    }
+
+    this.movie = movie;
+    this.begin();
+    this.mode = 'recording';
+    this.readOnly = false;
+    return movie;
+  }
+
+  /**
+   * Play a movie from its start (power-on or embedded save state)
+   * @param {Movie} movie
+   * @param {Object} [opts]
+   * @param {boolean} [opts.readOnly=true] - In read-write mode, loading a save state resumes recording
+   */
+  startPlayback(movie, opts = {}) {
+    this.stop();
+    this.movie = movie;
+    this.begin({ playback: true });
+    this.mode = 'playing';
+    this.readOnly = opts.readOnly !== false;
+  }
+
+  // Put the console in the movie's starting state. Playback also takes the
+  // movie's region (palFlag), so a PAL movie never runs at NTSC timing.
+  begin({ playback = false } = {}) {
+    const nes = this.nes;
+    const movie = this.movie;
+    this.frame = 0;
+    this.pendingCommands = 0;
+    this.savedSeed = nes.opts.ramInitSeed;
+    this.savedRegion = nes.opts.region;
+
+    if (playback && movie.palFlag !== (nes.region === 'pal')) {
+      nes.opts.region = movie.palFlag ? 'pal' : 'ntsc';
+    }
+
+    if (movie.startState) {
+      nes.fromJSON(structuredClone(movie.startState));
+      if (nes.opts.region !== this.savedRegion) nes.setRegion(nes.opts.region);
+    } else {
+      // Power-on movies start from a clean cartridge (no battery RAM). The file
+      // name keeps 'auto' region detection where it was.
+      if (movie.ramInitSeed !== null) nes.opts.ramInitSeed = movie.ramInitSeed;
+      nes.loadROM(nes.romData, null, nes.romFileName);
+    }
+    for (let i = 1; i <= 4; i++) {
+      nes.controllers[i].currentState = 0;
+    }
+    // Four-player movies need an adapter plugged in
+    if (movie.fourScore && nes.inputDevice === 'standard') nes.setInputDevice('fourscore');
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.nes.opts.ramInitSeed = this.savedSeed;
+    this.nes.opts.region = this.savedRegion;
+    this.mode = 'inactive';
+  }
+
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+  }
+
+  /**
+   * Soft reset through the movie, so it is recorded (or refused during playback)
+   * @returns {boolean} False if playback owns the console
+   */
+  requestReset() {
+    return this.request(MOVIE_COMMAND_SOFT_RESET);
+  }
+
+  /**
+   * Power cycle through the movie, so it is recorded (or refused during playback)
+   * @returns {boolean} False if playback owns the console
+   */
+  requestPower() {
+    return this.request(MOVIE_COMMAND_POWER);
+  }
+
+  request(command) {
+    if (this.mode === 'playing') return false;
+    if (this.mode === 'recording') {
+      this.pendingCommands |= command;
+    } else {
+      this.applyCommands(command);
+    }
+    return true;
+  }
+
+  applyCommands(commands) {
+    if (commands & MOVIE_COMMAND_POWER) {
+      this.nes.powerOn();
+    } else if (commands & MOVIE_COMMAND_SOFT_RESET) {
+      this.nes.reset();
+    }
+  }
+
+  // Called by NES.frame() before each frame is emulated
+  beforeFrame() {
+    const controllers = this.nes.controllers;
+
+    if (this.mode === 'recording') {
+      const commands = this.pendingCommands;
+      this.pendingCommands = 0;
+      this.applyCommands(commands);
+      this.movie.frames.length = this.frame;
+      const ports = [controllers[1].currentState, controllers[2].currentState];
+      if (this.movie.fourScore) ports.push(controllers[3].currentState, controllers[4].currentState);
+      this.movie.frames.push({ commands, ports });
+      this.frame++;
+    } else if (this.mode === 'playing') {
+      if (this.frame >= this.movie.frames.length) {
+        this.mode = 'finished';
+        return;
+      }
+      const input = this.movie.frames[this.frame++];
+      this.applyCommands(input.commands);
+      // Write the state directly: playback must reproduce input bit-for-bit,
+      // including combinations buttonDown() would filter out
+      for (let i = 0; i < input.ports.length; i++) {
+        controllers[i + 1].currentState = input.ports[i];
+      }
+    }
+  }
+
+  /**
+   * Movie position to store alongside a save state
+   * @returns {{frame: number}|null}
+   */
+  getSnapshot() {
+    return this.active ? { frame: this.frame } : null;
+  }
+
+  /**
+   * Re-sync the movie after a save state was loaded. In read-write mode this
+   * truncates the movie there and records from that point (a "rerecord").
+   * @param {{frame: number}|null} snapshot
+   * @param {Object} [opts] - { rerecord: false } truncates without counting a
+   *   rerecord (rewind counts one per rewind, not one per step)
+   */
+  restoreSnapshot(snapshot, { rerecord = true } = {}) {
+    if (!this.active || !snapshot) return;
+    const frame = Math.min(snapshot.frame, this.movie.frames.length);
+
+    if (this.readOnly) {
+      this.frame = frame;
+      this.mode = frame < this.movie.frames.length ? 'playing' : 'finished';
+    } else {
+      this.movie.frames.length = frame;
+      if (rerecord) this.movie.rerecordCount++;
+      this.frame = frame;
+      this.pendingCommands = 0;
+      this.mode = 'recording';
+    }
+  }
+}
+
+// =============================================================================
+// FM2 FORMAT
+// =============================================================================
+
+/**
+ * Parse an FCEUX .fm2 movie
+ * @param {string} text - .fm2 file contents
+ * @returns {Movie}
+ */
+export function parseFM2(text) {
+  const movie = new Movie();
+  movie.guid = '';
+
+  for (const line of text.split(/\r?\n/)) {
+    if (line.length === 0) continue;
+
+    if (line[0] === '|') {
+      // |commands|port0|port1|port2|, or |commands|p1|p2|p3|p4|port2| with the Four Score
+      const fields = line.split('|');
+      movie.frames.push({
+        commands: parseInt(fields[1], 10) || 0,
+        ports: fields.slice(2, movie.fourScore ? 6 : 4).map(parseFM2Buttons),
+      });
+      continue;
+    }
+
+    const space = line.indexOf(' ');
+    const key = space > 0 ? line.slice(0, space) : line;
+    const value = space > 0 ? line.slice(space + 1) : '';
+
+    switch (key) {
+      case 'rerecordCount': movie.rerecordCount = parseInt(value, 10) || 0; break;
+      case 'romFilename': movie.romFilename = value; break;
+      case 'palFlag': movie.palFlag = value === '1'; break;
+      case 'fourscore': movie.fourScore = value === '1'; break;
+      case 'guid': movie.guid = value; break;
+      case 'comment': movie.comments.push(value); break;
+      case FM2_SEED_KEY: movie.ramInitSeed = parseInt(value, 10) >>> 0; break;
+      case FM2_SAVESTATE_KEY: movie.startState = decodeSaveState(value); break;
+      case 'savestate':
+        throw new Error('Movie starts from an FCEUX save state, which is not supported');
+      default: movie.header[key] = value;
+    }
+  }
+
+  return movie;
+}
+
+/**
+ * Serialize a movie as FCEUX .fm2 text
+ * @param {Movie} movie
+ * @returns {string}
+ */
+export function exportFM2(movie) {
+  const lines = [
+    'version 3',
+    'emuVersion 22020',
+    `rerecordCount ${movie.rerecordCount}`,
+    `palFlag ${movie.palFlag ? 1 : 0}`,
+    `romFilename ${movie.romFilename}`,
+    `guid ${movie.guid}`,
+    `fourscore ${movie.fourScore ? 1 : 0}`,
+    'microphone 0',
+    'port0 1',
+    'port1 1',
+    'port2 0',
+    'FDS 0',
+    'NewPPU 1',
+  ];
+  for (const [key, value] of Object.entries(movie.header)) {
+    if (!FM2_GENERATED_KEYS.includes(key)) lines.push(`${key} ${value}`);
+  }
+  for (const comment of movie.comments) lines.push(`comment ${comment}`);
+  if (movie.ramInitSeed !== null) lines.push(`${FM2_SEED_KEY} ${movie.ramInitSeed}`);
+  if (movie.startState) lines.push(`${FM2_SAVESTATE_KEY} ${encodeSaveState(movie.startState)}`);
+
+  for (const { commands, ports } of movie.frames) {
+    lines.push(`|${commands}|${ports.map(formatFM2Buttons).join('|')}||`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseFM2Buttons(field) {
+  if (!field) return 0;
+  let state = 0;
+  for (let i = 0; i < FM2_BUTTONS.length && i < field.length; i++) {
+    const c = field[i];
+    if (c !== '.' && c !== ' ') state |= 1 << (7 - i);
+  }
+  return state;
+}
+
+function formatFM2Buttons(state) {
+  let field = '';
+  for (let i = 0; i < FM2_BUTTONS.length; i++) {
+    field += (state & (1 << (7 - i))) ? FM2_BUTTONS[i] : '.';
+  }
+  return field;
+}
+
+// Save states are embedded as base64 JSON, following FM2's "base64:" convention
+function encodeSaveState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return 'base64:' + btoa(binary);
+}
+
+function decodeSaveState(value) {
+  const binary = atob(value.replace(/^base64:/, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function makeGuid() {
+  const hex = [];
+  for (let i = 0; i < 16; i++) hex.push(((Math.random() * 256) | 0).toString(16).padStart(2, '0').toUpperCase());
+  const s = hex.join('');
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+}
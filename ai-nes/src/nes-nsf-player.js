@@ -0,0 +1,137 @@
+// =============================================================================
+// NSF PLAYER PANEL
+// Shown while an NSF/NSFe music file is loaded: title, artist, copyright and
+// expansion chips, the current track, a track list (NSFe titles, lengths and
+// playlist order) and previous/next buttons.
+// Usage: import { initNsfPlayer, refreshNsfPlayer } from './nes-nsf-player.js';
+//        initNsfPlayer(nes, logStatus);   // Once, after the DOM is ready
+//        refreshNsfPlayer();              // After loading a ROM (hides the panel for games)
+// =============================================================================
+
+import { getNsfChipLabel, getNsfChipNames } from './nsf.js';
+
+// References set by init()
+let nes = null;
+let logStatus = (msg, type) => {}; // No-op logger for production
+
+function formatTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function trackTitle(nsf, song) {
+  return nsf.tracks[song].label || `Track ${song + 1}`;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function renderInfo(nsf) {
+  const title = document.getElementById('nsf-title');
+  const meta = document.getElementById('nsf-meta');
+  if (title) title.textContent = nsf.title || 'Untitled';
+  if (!meta) return;
+
+  const chips = getNsfChipNames(nsf.chips).map(name => {
+    const missing = nes.mmap.missingChips.includes(name);
+    return getNsfChipLabel(name) + (missing ? ' (not emulated)' : '');
+  });
+  meta.textContent = [nsf.artist, nsf.copyright, chips.join(', ')].filter(Boolean).join(' · ');
+}
+
+function renderTracks(nsf) {
+  const current = nes.mmap.currentTrack;
+  const position = nsf.playlist.indexOf(current);
+
+  const status = document.getElementById('nsf-track');
+  if (status) {
+    status.textContent = position >= 0
+      ? `${position + 1} / ${nsf.playlist.length}  ${trackTitle(nsf, current)}`
+      : trackTitle(nsf, current);
+  }
+
+  const list = document.getElementById('nsf-track-list');
+  if (!list) return;
+  list.replaceChildren(...nsf.playlist.map((song, i) => {
+    const li = document.createElement('li');
+    li.dataset.song = String(song);
+    li.className = song === current ? 'current' : '';
+
+    const number = document.createElement('span');
+    number.className = 'nsf-track-number';
+    number.textContent = String(i + 1).padStart(2, '0');
+    const name = document.createElement('span');
+    name.className = 'nsf-track-name';
+    name.textContent = trackTitle(nsf, song);
+    const time = document.createElement('span');
+    time.textContent = nsf.tracks[song].time !== null ? formatTime(nsf.tracks[song].time) : '';
+
+    li.append(number, name, time);
+    return li;
+  }));
+}
+
+// =============================================================================
+// CONTROLS
+// =============================================================================
+
+function playTrack(song) {
+  if (!nes.rom || !nes.rom.nsf) return;
+  // Resets are routed through the movie session so they are recorded
+  if (nes.movie.active) {
+    logStatus('⚠️ Stop the movie to change tracks', 'warning');
+    return;
+  }
+  nes.mmap.playTrack(song);
+  renderTracks(nes.rom.nsf);
+}
+
+// Step through the playlist, wrapping at either end. Without a playlist,
+// step through every song.
+function stepTrack(delta) {
+  const nsf = nes.rom && nes.rom.nsf;
+  if (!nsf) return;
+  const playlist = nsf.playlist.length ? nsf.playlist : nsf.tracks.map((track, i) => i);
+  const position = playlist.indexOf(nes.mmap.currentTrack);
+  const count = playlist.length;
+  playTrack(playlist[(position + delta + count) % count]);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Wire the NSF player panel
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Function} [logger] - Optional status logger function(msg, type)
+ */
+export function initNsfPlayer(nesInstance, logger) {
+  nes = nesInstance;
+  if (logger) logStatus = logger;
+
+  document.getElementById('btn-nsf-prev')?.addEventListener('click', () => stepTrack(-1));
+  document.getElementById('btn-nsf-next')?.addEventListener('click', () => stepTrack(1));
+  document.getElementById('nsf-track-list')?.addEventListener('click', e => {
+    const li = e.target.closest('li');
+    if (li) playTrack(Number(li.dataset.song));
+  });
+
+  refreshNsfPlayer();
+}
+
+/**
+ * Show the panel for a loaded NSF/NSFe, or hide it for games
+ */
+export function refreshNsfPlayer() {
+  const panel = document.getElementById('nsf-player');
+  if (!nes || !panel) return;
+
+  const nsf = nes.rom && nes.rom.nsf;
+  panel.hidden = !nsf;
+  if (!nsf) return;
+
+  renderInfo(nsf);
+  renderTracks(nsf);
+}
@@ -0,0 +1,103 @@
+// =============================================================================
+// FRAME-HASH REGRESSION SUITE
+// Plays a ROM with a recorded input script from a seeded power-on state,
+// hashes the framebuffer at chosen frames and compares against golden hashes.
+// Usage: import { runRegressionCase } from './nes-regression.js';
+//        const captures = runRegressionCase(romData, testCase, movie);
+//        // captures: [{ frame: 600, hash: '...', pixels: Uint32Array }]
+//
+// Test case format (<suite>/<name>.json):
+//   {
+//     "rom": "smb.nes",              // Relative to the ROM directory
+//     "input": "smb.fm2",            // Optional, relative to the suite
+//     "seed": 1,                     // ramInitSeed (default 1)
+//     "ramInitPattern": "random",    // Default 'random'
+//     "frames": [120, 600],
+//     "hashes": { "120": "…", "600": "…" }
+//   }
+// Golden screenshots live beside it as <name>/<frame>.png.
+// =============================================================================
+
+import { createHash } from 'node:crypto';
+import { HeadlessNES } from './nes-headless.js';
+
+const SCREEN_WIDTH = 256;
+const SCREEN_HEIGHT = 240;
+const DEFAULT_SEED = 1;
+
+// Diff image: unchanged pixels are dimmed, changed pixels drawn in magenta
+const DIFF_COLOR = 0xFF00FF;
+const DIFF_DIM_SHIFT = 2;
+
+/**
+ * SHA-1 of the framebuffer's RGB bytes (independent of host endianness)
+ * @param {Uint32Array} pixels - 0xRRGGBB
+ * @returns {string} Hex digest
+ */
+export function hashFramebuffer(pixels) {
+  const rgb = new Uint8Array(pixels.length * 3);
+  for (let i = 0, o = 0; i < pixels.length; i++) {
+    const p = pixels[i];
+    rgb[o++] = (p >> 16) & 0xFF;
+    rgb[o++] = (p >> 8) & 0xFF;
+    rgb[o++] = p & 0xFF;
+  }
+  return createHash('sha1').update(rgb).digest('hex');
+}
+
+/**
+ * Run one test case and capture the framebuffer at each requested frame
+ * @param {Uint8Array} romData - Raw .nes file
+ * @param {Object} testCase - Parsed test case JSON
+ * @param {Movie|null} [movie] - Input movie from parseFM2()
+ * @returns {Array<{frame: number, hash: string, pixels: Uint32Array}>}
+ */
+export function runRegressionCase(romData, testCase, movie = null) {
+  const runner = new HeadlessNES({
+    ramInitPattern: testCase.ramInitPattern || 'random',
+    ramInitSeed: testCase.seed ?? DEFAULT_SEED,
+  });
+  runner.loadROM(romData);
+  if (movie) runner.playMovie(movie);
+
+  const frames = [...testCase.frames].sort((a, b) => a - b);
+  const captures = [];
+  for (const frame of frames) {
+    runner.runFrames(frame - runner.frameCount);
+    const pixels = runner.getFramebuffer().slice();
+    captures.push({ frame, hash: hashFramebuffer(pixels), pixels });
+  }
+  return captures;
+}
+
+/**
+ * Build a side-by-side comparison: expected | actual | differences
+ * @param {Uint32Array} expected
+ * @param {Uint32Array} actual
+ * @returns {{pixels: Uint32Array, width: number, height: number, changed: number}}
+ */
+export function makeDiffImage(expected, actual) {
+  const width = SCREEN_WIDTH * 3;
+  const pixels = new Uint32Array(width * SCREEN_HEIGHT);
+  let changed = 0;
+
+  for (let y = 0; y < SCREEN_HEIGHT; y++) {
+    for (let x = 0; x < SCREEN_WIDTH; x++) {
+      const src = y * SCREEN_WIDTH + x;
+      const dst = y * width + x;
+      const e = expected[src];
+      const a = actual[src];
+
+      pixels[dst] = e;
+      pixels[dst + SCREEN_WIDTH] = a;
+      if (e !== a) {
+        pixels[dst + SCREEN_WIDTH * 2] = DIFF_COLOR;
+        changed++;
+      } else {
+        pixels[dst + SCREEN_WIDTH * 2] = (a >> DIFF_DIM_SHIFT) & 0x3F3F3F;
+      }
+    }
+  }
+
+  return { pixels, width, height: SCREEN_HEIGHT, changed };
+}
@@ -0,0 +1,367 @@
+// =============================================================================
+// REWIND MODULE
+// Keeps a ring buffer of recent machine states so the game can run backwards.
+// Usage: import { initRewind, recordRewindFrame, rewindStep } from './nes-rewind.js';
+//        initRewind(nes, { seconds: 60 });
+//        nes.frame(); recordRewindFrame();     // After every emulated frame
+//        rewindStep();                         // Each tick while the key is held
+//
+// Snapshots are NES.toJSON() states flattened into a Float64Array of values
+// plus a structural "skeleton". Only the newest snapshot is stored in full;
+// each older one is a sparse reverse delta (changed indices + old values)
+// against its newer neighbour, so evicting the oldest entry is free.
+//
+// Each snapshot also records the active input movie's frame counter, so a
+// rewind during playback puts the movie back in step with the machine, and
+// one during recording truncates it there like loading a save state (one
+// rerecord per rewind).
+// =============================================================================
+
+import { REGIONS } from './region.js';
+
+const DEFAULT_OPTIONS = {
+  seconds: 60,                  // How far back rewind can go
+  interval: 2,                  // Frames between snapshots
+  maxBytes: 64 * 1024 * 1024,   // Hard memory budget for the history
+};
+
+// Skeleton leaf markers (numbers never appear in a skeleton otherwise)
+const LEAF_NUMBER = 0;
+const LEAF_BOOLEAN = 1;
+
+// Reference set by init()
+let nes = null;
+
+let options = { ...DEFAULT_OPTIONS };
+let frameCounter = 0;
+let framesPerSecond = REGIONS.ntsc.frameRate; // Console frame rate, set by clearRewind()
+let capacity = 1;                              // Ring slots, set by clearRewind()
+let rerecorded = false;                        // This rewind already counted a rerecord
+
+// Newest snapshot, stored in full: { skeleton, shape, values }
+let head = null;
+
+// Older snapshots, oldest first, as a ring buffer of
+// { delta: { indices, values } } or { full: { skeleton, shape, values } }
+let ring = [];
+let ringStart = 0;
+let ringCount = 0;
+let ringBytes = 0;
+
+// Reused between snapshots to avoid per-frame allocations
+let scratchIndices = new Uint32Array(4096);
+let scratchValues = new Float64Array(0);
+
+// =============================================================================
+// STATE FLATTENING
+// =============================================================================
+
+/**
+ * Flatten a toJSON() state tree. Numbers and booleans go into `out.values`;
+ * everything else is kept in the returned skeleton. `out.shape` collects a
+ * description of the structure used to tell whether two snapshots line up.
+ */
+function flatten(node, out) {
+  if (typeof node === 'number') {
+    pushValue(out, node);
+    return LEAF_NUMBER;
+  }
+  if (typeof node === 'boolean') {
+    pushValue(out, node ? 1 : 0);
+    return LEAF_BOOLEAN;
+  }
+  if (node === null || typeof node !== 'object') {
+    out.shape.push(typeof node === 'string' ? JSON.stringify(node) : String(node));
+    return node;
+  }
+
+  if (ArrayBuffer.isView(node) || isNumericArray(node)) {
+    const type = Array.isArray(node) ? 'Array' : node.constructor.name;
+    out.shape.push(`${type}[${node.length}]`);
+    reserve(out, node.length);
+    if (Array.isArray(node)) {
+      for (let i = 0; i < node.length; i++) out.values[out.length + i] = node[i];
+    } else {
+      out.values.set(node, out.length);
+    }
+    out.length += node.length;
+    return { packed: type, length: node.length };
+  }
+
+  if (Array.isArray(node)) {
+    out.shape.push(`[${node.length}`);
+    const skeleton = node.map(item => flatten(item, out));
+    out.shape.push(']');
+    return skeleton;
+  }
+
+  const skeleton = {};
+  out.shape.push('{');
+  for (const key of Object.keys(node)) {
+    out.shape.push(key);
+    skeleton[key] = flatten(node[key], out);
+  }
+  out.shape.push('}');
+  return { object: skeleton };
+}
+
+function isNumericArray(node) {
+  if (!Array.isArray(node) || node.length === 0) return false;
+  for (let i = 0; i < node.length; i++) {
+    if (typeof node[i] !== 'number') return false;
+  }
+  return true;
+}
+
+function pushValue(out, value) {
+  reserve(out, 1);
+  out.values[out.length++] = value;
+}
+
+function reserve(out, count) {
+  if (out.length + count <= out.values.length) return;
+  const grown = new Float64Array(Math.max(1024, out.values.length * 2, out.length + count));
+  grown.set(out.values.subarray(0, out.length));
+  out.values = grown;
+}
+
+/**
+ * Rebuild a state tree from its skeleton and flattened values
+ */
+function unflatten(skeleton, values, cursor) {
+  if (skeleton === LEAF_NUMBER) return values[cursor.index++];
+  if (skeleton === LEAF_BOOLEAN) return values[cursor.index++] !== 0;
+  if (skeleton === null || typeof skeleton !== 'object') return skeleton;
+
+  if (skeleton.packed) {
+    const slice = values.subarray(cursor.index, cursor.index + skeleton.length);
+    cursor.index += skeleton.length;
+    if (skeleton.packed === 'Array') return Array.from(slice);
+    return new globalThis[skeleton.packed](slice);
+  }
+
+  if (Array.isArray(skeleton)) {
+    return skeleton.map(item => unflatten(item, values, cursor));
+  }
+
+  const node = {};
+  for (const key of Object.keys(skeleton.object)) {
+    node[key] = unflatten(skeleton.object[key], values, cursor);
+  }
+  return node;
+}
+
+function captureSnapshot() {
+  const out = { values: scratchValues, length: 0, shape: [] };
+  const skeleton = flatten({ nes: nes.toJSON(), movie: movieMarker() }, out);
+  scratchValues = out.values;
+  return {
+    skeleton,
+    shape: out.shape.join('|'),
+    values: out.values.slice(0, out.length),
+  };
+}
+
+// Which movie frame the state belongs to, or null when no movie is active
+function movieMarker() {
+  const movie = nes.movie;
+  return movie && movie.active ? { guid: movie.movie.guid, frame: movie.frame } : null;
+}
+
+// Put the active movie at the snapshot's frame, through the same path as
+// loading a save state. False if the snapshot was taken before this movie
+// started.
+function restoreMovieFrame(marker) {
+  const session = nes.movie;
+  if (!session || !session.active) return true;
+  if (!marker || marker.guid !== session.movie.guid) return false;
+
+  session.restoreSnapshot({ frame: marker.frame }, { rerecord: !rerecorded });
+  rerecorded = true;
+  return true;
+}
+
+// =============================================================================
+// DELTA ENCODING
+// =============================================================================
+
+/**
+ * Encode `older` as the values that differ from `newer` (same shape)
+ * @param {Float64Array} older
+ * @param {Float64Array} newer
+ * @returns {{indices: Uint32Array, values: Float64Array}}
+ */
+function encodeDelta(older, newer) {
+  // Compare bit patterns, so NaN and -0 round-trip exactly
+  const a = new Uint32Array(older.buffer, older.byteOffset, older.length * 2);
+  const b = new Uint32Array(newer.buffer, newer.byteOffset, newer.length * 2);
+
+  let count = 0;
+  for (let i = 0, w = 0; i < older.length; i++, w += 2) {
+    if (a[w] !== b[w] || a[w + 1] !== b[w + 1]) scratchIndices[count++] = i;
+    if (count === scratchIndices.length) growScratch();
+  }
+
+  const indices = scratchIndices.slice(0, count);
+  const values = new Float64Array(count);
+  for (let n = 0; n < count; n++) values[n] = older[indices[n]];
+  return { indices, values };
+}
+
+function growScratch() {
+  const grown = new Uint32Array(scratchIndices.length * 2);
+  grown.set(scratchIndices);
+  scratchIndices = grown;
+}
+
+function applyDelta(delta, newer) {
+  const values = newer.slice();
+  for (let i = 0; i < delta.indices.length; i++) {
+    values[delta.indices[i]] = delta.values[i];
+  }
+  return values;
+}
+
+function entryBytes(entry) {
+  if (entry.delta) return entry.delta.indices.byteLength + entry.delta.values.byteLength;
+  return entry.full.values.byteLength;
+}
+
+// =============================================================================
+// RING BUFFER
+// =============================================================================
+
+function ringCapacity() {
+  return Math.max(1, Math.ceil(options.seconds * framesPerSecond / options.interval));
+}
+
+function ringPush(entry) {
+  if (ringCount === capacity) ringShift();
+
+  ring[(ringStart + ringCount) % capacity] = entry;
+  ringCount++;
+  ringBytes += entryBytes(entry);
+
+  while (ringCount > 0 && ringBytes + head.values.byteLength > options.maxBytes) {
+    ringShift();
+  }
+}
+
+// Drop the oldest entry. Nothing depends on it: deltas point newer.
+function ringShift() {
+  const entry = ring[ringStart];
+  ring[ringStart] = undefined;
+  ringBytes -= entryBytes(entry);
+  ringStart = (ringStart + 1) % capacity;
+  ringCount--;
+}
+
+function ringPop() {
+  const index = (ringStart + ringCount - 1) % capacity;
+  const entry = ring[index];
+  ring[index] = undefined;
+  ringBytes -= entryBytes(entry);
+  ringCount--;
+  return entry;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Initialize the rewind module
+ * @param {NES} nesInstance - The NES emulator instance
+ * @param {Object} [opts] - { seconds, interval, maxBytes }
+ */
+export function initRewind(nesInstance, opts) {
+  nes = nesInstance;
+  if (opts) setRewindOptions(opts);
+  clearRewind();
+}
+
+/**
+ * Change the history length, snapshot interval or memory budget.
+ * Clears the existing history.
+ * @param {Object} opts - { seconds, interval, maxBytes }
+ */
+export function setRewindOptions(opts) {
+  options = { ...options, ...opts };
+  clearRewind();
+}
+
+/**
+ * Forget all snapshots (call after loading a ROM or a save state, or
+ * changing region). The history is sized for the current region's frame rate.
+ */
+export function clearRewind() {
+  framesPerSecond = nes && REGIONS[nes.region] ? REGIONS[nes.region].frameRate : REGIONS.ntsc.frameRate;
+  capacity = ringCapacity();
+  head = null;
+  ring = new Array(capacity);
+  ringStart = 0;
+  ringCount = 0;
+  ringBytes = 0;
+  frameCounter = 0;
+}
+
+/**
+ * Record the state after an emulated frame; every `interval` frames a
+ * snapshot is taken. Call once per nes.frame() during normal play.
+ */
+export function recordRewindFrame() {
+  if (!nes || !nes.rom) return;
+  rerecorded = false;
+  if (++frameCounter < options.interval) return;
+  frameCounter = 0;
+
+  const snapshot = captureSnapshot();
+  if (head) {
+    // Structure changed (rare): keep the previous snapshot whole
+    ringPush(head.shape === snapshot.shape
+      ? { delta: encodeDelta(head.values, snapshot.values) }
+      : { full: head });
+  }
+  head = snapshot;
+}
+
+/**
+ * Step back one snapshot and run a frame so the screen shows it.
+ * Audio produced by that frame should be discarded by the caller.
+ * @returns {boolean} False when the history is exhausted
+ */
+export function rewindStep() {
+  if (!head || ringCount === 0) return false;
+
+  // The newest snapshot is the frame being left; restore the one before it
+  const entry = ringPop();
+  head = entry.full || {
+    skeleton: head.skeleton,
+    shape: head.shape,
+    values: applyDelta(entry.delta, head.values),
+  };
+
+  const state = unflatten(head.skeleton, head.values, { index: 0 });
+  if (!restoreMovieFrame(state.movie)) {
+    // Older history belongs to the time before the movie
+    clearRewind();
+    return false;
+  }
+  nes.fromJSON(state.nes);
+  nes.frame();
+  frameCounter = 0;
+  return true;
+}
+
+/**
+ * @returns {{seconds: number, bytes: number, snapshots: number}}
+ *   How much history is available and what it costs
+ */
+export function getRewindStats() {
+  const snapshots = ringCount + (head ? 1 : 0);
+  return {
+    seconds: ringCount * options.interval / framesPerSecond,
+    bytes: ringBytes + (head ? head.values.byteLength : 0),
+    snapshots,
+  };
+}
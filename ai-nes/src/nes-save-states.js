@@ -201,6 +201,7 @@ export function saveState(slot = 0) {
       version: SAVE_STATE_VERSION,
       timestamp: Date.now(),
       romHash: getRomHash(),
+      movie: nes.movie.getSnapshot(),
       data: compressedState
     };
 
@@ -258,6 +259,7 @@ export function loadState(slot = 0) {
     // Decompress if v2+, otherwise use raw data
     const stateData = state.version >= 2 ? decompressState(state.data) : state.data;
     nes.fromJSON(stateData);
+    nes.movie.restoreSnapshot(state.movie);
 
     logStatus(`📂 State loaded from slot ${slot}`, 'success');
     return true;
@@ -282,6 +284,7 @@ export function quickSave() {
     version: SAVE_STATE_VERSION,
     timestamp: Date.now(),
     romHash: getRomHash(),
+    movie: nes.movie.getSnapshot(),
     data: nes.toJSON()
   };
   logStatus('⚡ Quick saved', 'success');
@@ -308,6 +311,7 @@ export function quickLoad() {
   }
 
   nes.fromJSON(quickSaveData.data);
+  nes.movie.restoreSnapshot(quickSaveData.movie);
   logStatus('⚡ Quick loaded', 'success');
   return true;
 }
@@ -0,0 +1,156 @@
+// =============================================================================
+// TEST ROM HARNESS
+// Runs blargg-style test ROMs headlessly and reads their result protocol:
+//   $6000      Status: $80 = running, $81 = press reset, $00-$7F = result code
+//   $6001-6003 Signature $DE $B0 $61 (marks the status byte as valid)
+//   $6004+     Zero-terminated result text
+// Usage: import { runTestRom } from './nes-test-roms.js';
+//        const result = runTestRom(romData);   // { status: 'pass', ... }
+// =============================================================================
+
+import { HeadlessNES } from './nes-headless.js';
+
+const STATUS_ADDR = 0x6000;
+const TEXT_ADDR = 0x6004;
+const SIGNATURE = [0xDE, 0xB0, 0x61];
+const STATUS_RUNNING = 0x80;
+const STATUS_NEEDS_RESET = 0x81;
+
+const FRAMES_PER_SECOND = 60;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const RESET_DELAY_FRAMES = 8; // Protocol asks for at least 100ms before reset
+const SUMMARY_LENGTH = 60;
+
+// Matched against the lower-cased ROM path, first match wins
+const CATEGORY_PATTERNS = [
+  ['Mapper', /mmc\d|mapper|vrc\d|fme-?7/],
+  ['APU', /apu|dmc|sound|square|triangle|noise/],
+  ['PPU', /ppu|sprite|vbl|nmi|oam|scroll|palette/],
+  ['CPU', /cpu|instr|nestest|branch|6502|opcode/],
+];
+
+export const TEST_CATEGORIES = ['CPU', 'PPU', 'APU', 'Mapper', 'Other'];
+
+/**
+ * Classify a test ROM by its path (folder or file name)
+ * @param {string} path
+ * @returns {string} One of TEST_CATEGORIES
+ */
+export function categorizeTestRom(path) {
+  const lower = path.toLowerCase();
+  for (const [category, pattern] of CATEGORY_PATTERNS) {
+    if (pattern.test(lower)) return category;
+  }
+  return 'Other';
+}
+
+/**
+ * Run one test ROM until it reports a result or times out
+ * @param {Uint8Array} romData - Raw .nes file
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutSeconds] - Emulated seconds before giving up
+ * @returns {{status: string, code: number|null, text: string, frames: number}}
+ *   status is 'pass', 'fail', 'timeout' or 'error'
+ */
+export function runTestRom(romData, opts = {}) {
+  const timeoutFrames = (opts.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * FRAMES_PER_SECOND;
+  const runner = new HeadlessNES();
+  const ram = new Uint8Array(0x2000); // Shadow of $6000-$7FFF as written
+
+  try {
+    runner.loadROM(romData);
+  } catch (err) {
+    return { status: 'error', code: null, text: err.message, frames: 0 };
+  }
+
+  // Observe writes on their way into the mapper, so ROMs on boards without
+  // PRG-RAM (or mappers that ignore $6000 writes) still report results
+  const mmap = runner.nes.mmap;
+  const cpuWrite = mmap.cpuWrite.bind(mmap);
+  mmap.cpuWrite = (address, data) => {
+    if (address >= 0x6000 && address < 0x8000) ram[address - 0x6000] = data;
+    return cpuWrite(address, data);
+  };
+
+  let resetAtFrame = -1;
+  try {
+    while (runner.frameCount < timeoutFrames) {
+      runner.runFrames(1);
+      if (!hasSignature(ram)) continue;
+
+      const status = ram[STATUS_ADDR - 0x6000];
+      if (status === STATUS_RUNNING) {
+        resetAtFrame = -1;
+      } else if (status === STATUS_NEEDS_RESET) {
+        if (resetAtFrame < 0) {
+          resetAtFrame = runner.frameCount + RESET_DELAY_FRAMES;
+        } else if (runner.frameCount >= resetAtFrame) {
+          resetAtFrame = -1;
+          runner.nes.reset();
+        }
+      } else if (status < STATUS_RUNNING) {
+        return {
+          status: status === 0 ? 'pass' : 'fail',
+          code: status,
+          text: readText(ram),
+          frames: runner.frameCount,
+        };
+      }
+    }
+  } catch (err) {
+    return { status: 'error', code: null, text: err.message, frames: runner.frameCount };
+  }
+
+  return {
+    status: 'timeout',
+    code: null,
+    text: hasSignature(ram) ? readText(ram) : '',
+    frames: runner.frameCount,
+  };
+}
+
+/**
+ * Format results as a plain-text table grouped by category
+ * @param {Array<{path: string, category: string, status: string, code: number|null, text: string}>} results
+ * @returns {string}
+ */
+export function formatTestResults(results) {
+  const lines = [];
+  const width = Math.max(4, ...results.map(r => r.path.length));
+
+  for (const category of TEST_CATEGORIES) {
+    const group = results.filter(r => r.category === category);
+    if (group.length === 0) continue;
+
+    const passed = group.filter(r => r.status === 'pass').length;
+    lines.push(`${category} (${passed}/${group.length} passed)`);
+    for (const r of group) {
+      const code = r.code !== null && r.status === 'fail' ? ` #${r.code}` : '';
+      const note = summarizeText(r.text);
+      lines.push(`  ${r.path.padEnd(width)}  ${(r.status.toUpperCase() + code).padEnd(9)}  ${note}`.trimEnd());
+    }
+    lines.push('');
+  }
+
+  const passed = results.filter(r => r.status === 'pass').length;
+  lines.push(`Total: ${passed}/${results.length} passed`);
+  return lines.join('\n');
+}
+
+function hasSignature(ram) {
+  return ram[1] === SIGNATURE[0] && ram[2] === SIGNATURE[1] && ram[3] === SIGNATURE[2];
+}
+
+function readText(ram) {
+  let text = '';
+  for (let i = TEXT_ADDR - 0x6000; i < ram.length && ram[i] !== 0; i++) {
+    text += String.fromCharCode(ram[i]);
+  }
+  return text;
+}
+
+// The ROM's report collapsed onto one line for the table
+function summarizeText(text) {
+  const line = text.split('\n').map(l => l.trim()).filter(l => l.length > 0).join(' / ');
+  return line.length > SUMMARY_LENGTH ? line.slice(0, SUMMARY_LENGTH - 3) + '...' : line;
+}
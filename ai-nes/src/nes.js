@@ -3,6 +3,13 @@ import { Controller, ROM } from "./index.js";
 import { PPU } from "./ppu.js";
 import { PAPU } from "./apu.js";
 import { PaletteTable } from "./palette-table.js";
+import { MovieSession } from "./nes-movie.js";
+import { CheatEngine } from "./cheats.js";
+import { Debugger } from "./debugger.js";
+import { REGIONS, detectRegion } from "./region.js";
+import { applyPatch } from "./patch.js";
+import { ControllerPorts, detectInputDevice } from "./controller.js";
+import { createRandom } from "./utils.js";
 
 export class NES {
   constructor(opts) {
@@ -14,12 +21,27 @@ export class NES {
 
       preferredFrameRate: 60,
 
+      // Console timing: 'ntsc', 'pal', 'dendy', or 'auto' to detect it from
+      // the NES 2.0 header, the cartridge database or the file name
+      region: 'auto',
+
+      // Controller port device: 'standard', 'fourscore' (NES Four Score),
+      // 'fourplayer' (Famicom four-player adapter), or 'auto' to take it from
+      // the NES 2.0 header or the cartridge database
+      inputDevice: 'auto',
+
       emulateSound: true,
       sampleRate: 48000, // Sound sample rate in hz
 
       // RAM initialization pattern (real NES hardware has undefined/random RAM at power-on)
       // Options: 'all_zero' (Mesen default), 'all_ff', 'random' (Actual hardware-like)
       ramInitPattern: 'random',
+      // Seed for 'random' RAM init. null = unseeded (Math.random); a number
+      // makes power-on state reproducible for regression runs.
+      ramInitSeed: null,
+
+      // Famicom Disk System BIOS (disksys.rom, 8KB Uint8Array), needed to run .fds images
+      fdsBios: null,
     };
 
     if (typeof opts !== "undefined") {
@@ -36,6 +58,7 @@ export class NES {
       writeFrame: this.opts.onFrame,
       updateStatus: this.opts.onStatusUpdate,
     };
+    this.seedRandom();
     this.cpu = new CPU(this);
     this.ppu = new PPU(this);
     this.palTable = new PaletteTable();
@@ -43,11 +66,25 @@ export class NES {
     this.papu = new PAPU(this);
     this.mmap = null; // set in loadROM()
     this.rom = null;  // set in loadROM()
+    this.romFileName = '';
+    this.region = null; // Resolved region, set by setRegion()
+    this.ppuExtraDotPeriod = 0;
+    this.ppuExtraDotCycles = 0;
+    this.setRegion(this.opts.region);
     this.controllers = {
       1: new Controller(),
       2: new Controller(),
+      3: new Controller(), // Players 3 and 4 need a Four Score or Famicom adapter
+      4: new Controller(),
     };
+    this.controllerPorts = new ControllerPorts(this.controllers);
+    this.inputDevice = null; // Resolved port device, set by setInputDevice()
+    this.setInputDevice(this.opts.inputDevice);
     this.zapper = { x: 0, y: 0, fired: false };
+    this.movie = new MovieSession(this); // Input movie recording/playback
+    this.cheats = new CheatEngine(this);  // Game Genie / Pro Action Replay
+    this.debugger = new Debugger(this);   // Breakpoints and stepping
+    this.tracer = null;                   // Instruction trace (TraceLogger), opt-in
 
     this.ui.updateStatus("Ready to load a ROM.");
 
@@ -59,6 +96,8 @@ export class NES {
     this.zapperFireUp = this.zapperFireUp.bind(this);
 
     this.fpsFrameCount = 0;
+    this.frameCount = 0;          // Frames completed since the ROM was loaded
+    this.frameInProgress = false; // A debugger break left frame() mid-frame
     this.romData = null;
     this.break = false;
     this.ppuCyclesToSkip = 0;
@@ -94,6 +133,11 @@ export class NES {
     this.break = false;
   }
 
+  // Restart the power-on RAM generator (this.random) from opts.ramInitSeed
+  seedRandom() {
+    this.random = this.opts.ramInitSeed === null ? Math.random : createRandom(this.opts.ramInitSeed);
+  }
+
   // Hard Reset / Power Cycle
   powerOn() {
     if (this.mmap !== null) {
@@ -117,7 +161,8 @@ export class NES {
     const target = this.cpu.cycleOffset || 0;
     if (target > this.ppuCaughtUp) {
       const cycles = target - this.ppuCaughtUp;
-      // Interleave PPU steps and Mapper clocks for accuracy (MMC5)
+      // Interleave PPU steps and Mapper clocks for accuracy (MMC5).
+      // PAL's extra dots are added by frame() at the end of the instruction.
       for (let i = 0; i < cycles; i++) {
         this.ppu.step();
         this.ppu.step();
@@ -135,12 +180,27 @@ export class NES {
     const cpu = this.cpu;
     const ppu = this.ppu;
     const papu = this.papu;
+    const debug = this.debugger;
+
+    // Paused in the debugger: nothing runs until resume() or a step
+    if (debug.paused) return;
 
-    ppu.startFrame();
+    // After a debugger break, carry on with the interrupted frame
+    if (!this.frameInProgress) {
+      // Movies feed or capture controller input before the frame runs
+      if (this.movie.active) this.movie.beforeFrame();
+      if (this.cheats.freezes.length > 0) this.cheats.applyFreezes();
+
+      ppu.startFrame();
+      this.frameInProgress = true;
+    }
 
     while (!ppu.frameComplete && !this.break) {
       let cpuCycles = 0;
 
+      // Breakpoints and steps are checked on instruction boundaries only
+      if (debug.active && cpu.cyclesToHalt === 0 && debug.beforeInstruction()) return;
+
       this.ppuCaughtUp = 0;
       cpuCycles = cpu.step();
 
@@ -151,7 +211,16 @@ export class NES {
 
       // For each CPU cycle, PPU runs 3 cycles
       let ppuCycles = (cpuCycles << 1) + cpuCycles; // Equivalent to cpuCycles * 3
-      
+
+      // PAL runs 3.2: one extra dot every 5 CPU cycles
+      if (this.ppuExtraDotPeriod) {
+        this.ppuExtraDotCycles += cpuCycles;
+        while (this.ppuExtraDotCycles >= this.ppuExtraDotPeriod) {
+          this.ppuExtraDotCycles -= this.ppuExtraDotPeriod;
+          ppuCycles++;
+        }
+      }
+
       while (this.ppuCyclesToSkip > 0 && ppuCycles > 0) {
         this.ppuCyclesToSkip--;
         ppuCycles--;
@@ -171,6 +240,8 @@ export class NES {
       }
     }
 
+    this.frameInProgress = false;
+    this.frameCount++;
     this.fpsFrameCount++;
   }
 
@@ -208,17 +279,32 @@ export class NES {
 
   reloadROM() {
     if (this.romData !== null) {
-      this.loadROM(this.romData);
+      // Carry battery RAM across the reload, like a real power cycle
+      this.loadROM(this.romData, this.getBatteryRam(), this.romFileName);
     }
   }
 
   // Loads a ROM file into the CPU and PPU.
-  // The ROM file is validated first.
-  loadROM(data) {
+  // The ROM file is validated first. batteryRam is an optional raw .sav image
+  // restored into the cartridge's PRG-RAM before the first frame runs.
+  // fileName is optional; region tags in it ("(E)", "(Europe)") help 'auto' region detection.
+  // patch is an optional IPS/UPS/BPS file applied before the header is parsed; the
+  // patched image's CRC32 then keys save states and battery saves.
+  loadROM(data, batteryRam = null, fileName = '', patch = null) {
+    if (patch) {
+      data = applyPatch(data, patch);
+    }
 
-    // Step 1: Create ROM and parse header/data
+    // Step 1: Create ROM and parse header/data. Reseed first so a seeded
+    // run powers on identically no matter what was loaded before.
+    this.seedRandom();
     this.rom = new ROM(this);
     this.rom.load(data);
+    this.romFileName = fileName;
+
+    // Timing must be in place before the APU/PPU power on
+    this.setRegion(this.opts.region);
+    this.setInputDevice(this.opts.inputDevice);
 
     if (this.papu && this.papu.clearExpansionAudioSources) {
       this.papu.clearExpansionAudioSources();
@@ -241,17 +327,63 @@ export class NES {
     // Step 4: Load CHR and Initialize Mapper. The mapper's reset() method (called by powerOn) is responsible for setting the initial mirroring.
     this.mmap.loadROM();
 
-    // Step 6: Store for potential reload
+    // Four-screen boards carry their own nametable RAM; mappers leave mirroring alone then
+    if (this.rom.fourScreen) {
+      this.ppu.setMirroring(this.rom.FOURSCREEN_MIRRORING);
+    }
+
+    // Step 5: Restore battery RAM. Done after loadROM() because some mappers (MMC1) allocate PRG-RAM there.
+    if (batteryRam && this.rom.batteryRam) {
+      this.mmap.loadBatteryRam(batteryRam);
+    }
+
+    // Step 6: Store for potential reload (already patched)
     this.romData = data;
 
     // Reset state
     this.lastFpsTime = null;
     this.fpsFrameCount = 0;
+    this.frameCount = 0;
+    this.frameInProgress = false;
+    this.debugger.reset();
     this.break = false;
 
     this.ui.updateStatus("ROM loaded. Ready to play.");
   }
 
+  // Returns the cartridge's battery-backed PRG-RAM, or null if it has none.
+  getBatteryRam() {
+    return this.mmap ? this.mmap.getBatteryRam() : null;
+  }
+
+  /**
+   * Switch console timing. 'auto' picks a region for the loaded ROM (see detectRegion).
+   * @param {string} region - 'ntsc' | 'pal' | 'dendy' | 'auto'
+   */
+  setRegion(region) {
+    const name = region === 'auto' ? detectRegion(this.rom, this.romFileName) : region;
+    const timing = REGIONS[name];
+    if (!timing) throw new Error(`Unknown region: ${region}`);
+
+    this.region = name;
+    this.ppuExtraDotPeriod = timing.extraDotPeriod;
+    this.ppuExtraDotCycles = 0;
+    this.ppu.setRegion(timing);
+    this.papu.setRegion(timing);
+    this.setFramerate(timing.frameRate);
+  }
+
+  /**
+   * Choose what is plugged into the controller ports. 'auto' uses the loaded
+   * ROM's default expansion device (see detectInputDevice).
+   * @param {string} device - 'standard' | 'fourscore' | 'fourplayer' | 'auto'
+   */
+  setInputDevice(device) {
+    const name = device === 'auto' ? detectInputDevice(this.rom) : device;
+    this.controllerPorts.setDevice(name);
+    this.inputDevice = name;
+  }
+
   setFramerate(rate) {
     this.opts.preferredFrameRate = rate;
     this.frameTime = 1000 / rate;
@@ -260,6 +392,8 @@ export class NES {
 
   toJSON() {
     return {
+      region: this.region,
+      ppuExtraDotCycles: this.ppuExtraDotCycles, // PAL/Dendy extra-dot phase
       cpu: this.cpu.toJSON(),
       mmap: this.mmap.toJSON(),
       ppu: this.ppu.toJSON(),
@@ -268,6 +402,10 @@ export class NES {
   }
 
   fromJSON(s) {
+    // States are taken between frames
+    this.frameInProgress = false;
+    if (s.region && s.region !== this.region) this.setRegion(s.region);
+    this.ppuExtraDotCycles = s.ppuExtraDotCycles || 0;
     this.cpu.fromJSON(s.cpu);
     this.mmap.fromJSON(s.mmap);
     this.ppu.fromJSON(s.ppu);
@@ -0,0 +1,341 @@
+// =============================================================================
+// NSF / NSFE MUSIC FILES
+// Parses NES Sound Format rips: the 128-byte NESM header (NSF 1 and 2) and the
+// chunked NSFe format with its track titles, lengths and playlist. ROM.load()
+// turns the result into a cartridge for the synthetic NSF mapper
+// (mappers/mapper-nsf.js), which runs the tune's INIT and PLAY routines.
+// Usage: if (isNsf(data)) {
+//          const nsf = parseNsf(data);
+//          nsf.title, nsf.songCount, nsf.tracks[nsf.startSong].label
+//        }
+// =============================================================================
+
+/** Mapper number for the synthetic NSF player board (outside the NES 2.0 range) */
+export const NSF_MAPPER_ID = 0xFFFF;
+
+/** Expansion sound chip flags (NSF header byte $7B, NSFe INFO byte 7) */
+export const NSF_CHIPS = {
+  vrc6: 0x01,
+  vrc7: 0x02,
+  fds: 0x04,
+  mmc5: 0x08,
+  n163: 0x10,
+  sunsoft5b: 0x20,
+};
+
+const CHIP_LABELS = {
+  vrc6: 'VRC6',
+  vrc7: 'VRC7',
+  fds: 'FDS',
+  mmc5: 'MMC5',
+  n163: 'Namco 163',
+  sunsoft5b: 'Sunsoft 5B',
+};
+
+const NSF_HEADER_SIZE = 0x80;
+
+// Play rates when the file leaves them at 0, in microseconds per PLAY call
+const DEFAULT_NTSC_SPEED = 16639;
+const DEFAULT_PAL_SPEED = 19997;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean} True for NSF ("NESM\x1A") and NSFe ("NSFE") files
+ */
+export function isNsf(data) {
+  if (!data || data.length < 4) return false;
+  const magic = String.fromCharCode(data[0], data[1], data[2], data[3]);
+  return (magic === 'NESM' && data[4] === 0x1A) || magic === 'NSFE';
+}
+
+/**
+ * Names of the expansion chips set in a chip flag byte
+ * @param {number} chips - NSF_CHIPS bits
+ * @returns {string[]} Keys of NSF_CHIPS ('vrc6', 'mmc5', ...)
+ */
+export function getNsfChipNames(chips) {
+  return Object.keys(NSF_CHIPS).filter(name => chips & NSF_CHIPS[name]);
+}
+
+/**
+ * @param {string} name - Key of NSF_CHIPS
+ * @returns {string} Display name ("Namco 163")
+ */
+export function getNsfChipLabel(name) {
+  return CHIP_LABELS[name] || name;
+}
+
+/**
+ * @typedef {Object} NsfTrack
+ * @property {string|null} label - Title from the NSFe tlbl chunk
+ * @property {number|null} time - Length in milliseconds, or null if unknown
+ * @property {number|null} fade - Fade-out in milliseconds, or null if unknown
+ */
+
+/**
+ * @typedef {Object} NsfInfo
+ * @property {string} format - 'nsf' | 'nsfe'
+ * @property {number} version - NSF header version (2 = NSF2), 0 for NSFe
+ * @property {number} songCount
+ * @property {number} startSong - 0-based
+ * @property {number} loadAddress
+ * @property {number} initAddress
+ * @property {number} playAddress
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} copyright
+ * @property {string} ripper - NSFe only
+ * @property {number} ntscSpeed - Microseconds between PLAY calls
+ * @property {number} palSpeed
+ * @property {number} dendySpeed
+ * @property {boolean} pal - Tune was made for PAL timing
+ * @property {boolean} dualRegion - Tune adapts to the X register passed to INIT
+ * @property {number} chips - NSF_CHIPS bits
+ * @property {Uint8Array|null} bankInit - Initial $5FF8-$5FFF values, or null if not bankswitched
+ * @property {Uint8Array} data - Program data, to be placed at loadAddress
+ * @property {NsfTrack[]} tracks - One per song
+ * @property {number[]} playlist - Song order to present (NSFe plst, else every song; never empty)
+ */
+
+/**
+ * Parse an NSF or NSFe file. Throws if it is neither or is truncated.
+ * @param {Uint8Array} data
+ * @returns {NsfInfo}
+ */
+export function parseNsf(data) {
+  if (!isNsf(data)) throw new Error('Not an NSF or NSFe file');
+  const info = data[0] === 0x4E && data[1] === 0x45 ? parseNsfHeader(data) : parseNsfe(data);
+
+  if (info.songCount < 1) throw new Error('NSF has no songs');
+  if (info.startSong >= info.songCount) info.startSong = 0;
+  while (info.tracks.length < info.songCount) {
+    info.tracks.push({ label: null, time: null, fade: null });
+  }
+  info.tracks.length = info.songCount;
+  // An empty or out-of-range plst chunk falls back to every song
+  if (info.playlist) info.playlist = info.playlist.filter(song => song < info.songCount);
+  if (!info.playlist || info.playlist.length === 0) info.playlist = info.tracks.map((track, i) => i);
+  return info;
+}
+
+function createInfo(format) {
+  return {
+    format,
+    version: 0,
+    songCount: 1,
+    startSong: 0,
+    loadAddress: 0x8000,
+    initAddress: 0x8000,
+    playAddress: 0x8000,
+    title: '',
+    artist: '',
+    copyright: '',
+    ripper: '',
+    ntscSpeed: DEFAULT_NTSC_SPEED,
+    palSpeed: DEFAULT_PAL_SPEED,
+    dendySpeed: DEFAULT_PAL_SPEED,
+    pal: false,
+    dualRegion: false,
+    chips: 0,
+    bankInit: null,
+    data: new Uint8Array(0),
+    tracks: [],
+    playlist: null,
+  };
+}
+
+// =============================================================================
+// NSF
+// =============================================================================
+
+function parseNsfHeader(data) {
+  if (data.length < NSF_HEADER_SIZE) throw new Error('NSF header is truncated');
+  const info = createInfo('nsf');
+
+  info.version = data[5];
+  info.songCount = data[6];
+  info.startSong = Math.max(1, data[7]) - 1;
+  info.loadAddress = readU16(data, 0x08);
+  info.initAddress = readU16(data, 0x0A);
+  info.playAddress = readU16(data, 0x0C);
+  info.title = readString(data, 0x0E, 32);
+  info.artist = readString(data, 0x2E, 32);
+  info.copyright = readString(data, 0x4E, 32);
+  info.ntscSpeed = readU16(data, 0x6E) || DEFAULT_NTSC_SPEED;
+  info.palSpeed = readU16(data, 0x78) || DEFAULT_PAL_SPEED;
+  info.dendySpeed = info.palSpeed;
+  setRegionFlags(info, data[0x7A]);
+  info.chips = data[0x7B] & 0x3F;
+
+  const banks = data.subarray(0x70, 0x78);
+  if (banks.some(bank => bank !== 0)) info.bankInit = banks.slice();
+
+  // NSF2 may give the program length, with metadata chunks after it
+  const length = info.version >= 2 ? data[0x7D] | (data[0x7E] << 8) | (data[0x7F] << 16) : 0;
+  const end = length > 0 ? Math.min(data.length, NSF_HEADER_SIZE + length) : data.length;
+  info.data = data.slice(NSF_HEADER_SIZE, end);
+  return info;
+}
+
+// Byte $7A: bit 0 = PAL, bit 1 = works on both
+function setRegionFlags(info, flags) {
+  info.dualRegion = (flags & 0x02) !== 0;
+  info.pal = !info.dualRegion && (flags & 0x01) !== 0;
+}
+
+// =============================================================================
+// NSFE
+// =============================================================================
+
+// Chunks are a 32-bit length, a four-character ID and the data, ending with
+// NEND. IDs starting with an uppercase letter must be understood to play the
+// file; lowercase ones are optional metadata.
+function parseNsfe(data) {
+  const info = createInfo('nsfe');
+  let pos = 4;
+  let hasInfo = false;
+  let hasData = false;
+
+  for (;;) {
+    if (pos + 8 > data.length) throw new Error('NSFe is truncated (no NEND chunk)');
+    const length = readU32(data, pos);
+    const id = String.fromCharCode(...data.subarray(pos + 4, pos + 8));
+    const start = pos + 8;
+    if (start + length > data.length) throw new Error(`NSFe ${id} chunk is truncated`);
+    const chunk = data.subarray(start, start + length);
+    pos = start + length;
+
+    switch (id) {
+      case 'INFO':
+        if (chunk.length < 8) throw new Error('NSFe INFO chunk is too short');
+        info.loadAddress = readU16(chunk, 0);
+        info.initAddress = readU16(chunk, 2);
+        info.playAddress = readU16(chunk, 4);
+        setRegionFlags(info, chunk[6]);
+        info.chips = chunk[7] & 0x3F;
+        info.songCount = chunk.length > 8 ? chunk[8] : 1;
+        info.startSong = chunk.length > 9 ? chunk[9] : 0;
+        hasInfo = true;
+        break;
+      case 'DATA':
+        info.data = chunk.slice();
+        hasData = true;
+        break;
+      case 'BANK': {
+        const banks = new Uint8Array(8);
+        banks.set(chunk.subarray(0, 8));
+        info.bankInit = banks;
+        break;
+      }
+      case 'RATE':
+        if (chunk.length >= 2) info.ntscSpeed = readU16(chunk, 0) || info.ntscSpeed;
+        if (chunk.length >= 4) info.palSpeed = info.dendySpeed = readU16(chunk, 2) || info.palSpeed;
+        if (chunk.length >= 6) info.dendySpeed = readU16(chunk, 4) || info.dendySpeed;
+        break;
+      case 'NEND':
+        if (!hasInfo || !hasData) throw new Error('NSFe is missing its INFO or DATA chunk');
+        return info;
+      case 'auth': {
+        const [title = '', artist = '', copyright = '', ripper = ''] = readStrings(chunk);
+        Object.assign(info, { title, artist, copyright, ripper });
+        break;
+      }
+      case 'tlbl':
+        readStrings(chunk).forEach((label, i) => { trackAt(info, i).label = label; });
+        break;
+      case 'time':
+        for (let i = 0; i + 4 <= chunk.length; i += 4) {
+          const ms = readS32(chunk, i);
+          trackAt(info, i >> 2).time = ms >= 0 ? ms : null;
+        }
+        break;
+      case 'fade':
+        for (let i = 0; i + 4 <= chunk.length; i += 4) {
+          const ms = readS32(chunk, i);
+          trackAt(info, i >> 2).fade = ms >= 0 ? ms : null;
+        }
+        break;
+      case 'plst':
+        info.playlist = Array.from(chunk);
+        break;
+      default:
+        if (/^[A-Z]/.test(id)) throw new Error(`NSFe chunk ${id} is not supported`);
+    }
+  }
+}
+
+function trackAt(info, index) {
+  while (info.tracks.length <= index) info.tracks.push({ label: null, time: null, fade: null });
+  return info.tracks[index];
+}
+
+// =============================================================================
+// PRG IMAGE
+// =============================================================================
+
+/**
+ * Lay the program out in 4KB banks. Bankswitched tunes start their data
+ * (loadAddress & $FFF) bytes into bank 0 and map banks with $5FF8-$5FFF;
+ * others are placed at loadAddress in a 32KB image mapped straight through
+ * (banks 0-7).
+ * @param {NsfInfo} nsf
+ * @returns {Uint8Array} PRG image, a multiple of 4KB
+ */
+export function buildNsfPrg(nsf) {
+  if (nsf.bankInit) {
+    const padding = nsf.loadAddress & 0x0FFF;
+    const prg = new Uint8Array(Math.ceil((padding + nsf.data.length) / 0x1000) * 0x1000 || 0x1000);
+    prg.set(nsf.data, padding);
+    return prg;
+  }
+
+  if (nsf.loadAddress < 0x8000) {
+    throw new Error(`NSF load address $${nsf.loadAddress.toString(16).toUpperCase()} is below $8000`);
+  }
+  const prg = new Uint8Array(0x8000);
+  const offset = nsf.loadAddress - 0x8000;
+  prg.set(nsf.data.subarray(0, prg.length - offset), offset);
+  return prg;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function readU16(data, pos) {
+  return data[pos] | (data[pos + 1] << 8);
+}
+
+function readU32(data, pos) {
+  return (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+}
+
+function readS32(data, pos) {
+  return data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24);
+}
+
+// Zero-padded text field (the NSF header's 32-byte name, artist and copyright)
+function readString(data, pos, length) {
+  const field = data.subarray(pos, pos + length);
+  const end = field.indexOf(0);
+  return decodeText(end >= 0 ? field.subarray(0, end) : field).trim();
+}
+
+// Back-to-back zero-terminated strings (NSFe auth and tlbl)
+function readStrings(chunk) {
+  const strings = [];
+  let start = 0;
+  for (let i = 0; i < chunk.length; i++) {
+    if (chunk[i] === 0) {
+      strings.push(decodeText(chunk.subarray(start, i)));
+      start = i + 1;
+    }
+  }
+  if (start < chunk.length) strings.push(decodeText(chunk.subarray(start)));
+  return strings;
+}
+
+// NSF text is nominally ASCII; decoding as UTF-8 also covers rips that use it
+function decodeText(bytes) {
+  return new TextDecoder().decode(bytes);
+}
@@ -0,0 +1,269 @@
+// =============================================================================
+// ROM PATCHES
+// Soft-patching for translations and hacks: IPS, UPS and BPS, applied to the raw
+// .nes image before ROM.load() parses it. UPS and BPS carry CRC32s of the source,
+// target and patch, which are all verified.
+// Usage: const patched = applyPatch(romData, patchData);   // Format from the magic
+//        nes.loadROM(romData, null, 'Game.nes', patchData);
+//        isPatchFileName('Game (T-Eng).ips');               // true
+//        const ips = createIPS(original, edited);            // Diff as an IPS file
+// =============================================================================
+
+import { crc32 } from './utils.js';
+
+const INES_HEADER_SIZE = 16;
+const FOOTER_SIZE = 12; // UPS/BPS: source, target and patch CRC32s
+
+/** File extensions recognized as patches */
+export const PATCH_EXTENSIONS = ['ips', 'ups', 'bps'];
+
+/**
+ * @param {string} fileName
+ * @returns {boolean} True for .ips/.ups/.bps names
+ */
+export function isPatchFileName(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return !!match && PATCH_EXTENSIONS.includes(match[1].toLowerCase());
+}
+
+/**
+ * Patch format from the file's magic bytes
+ * @param {Uint8Array} patch
+ * @returns {string|null} 'ips' | 'ups' | 'bps', or null if unrecognized
+ */
+export function getPatchFormat(patch) {
+  const magic = String.fromCharCode(...patch.subarray(0, 5));
+  if (magic === 'PATCH') return 'ips';
+  if (magic.startsWith('UPS1')) return 'ups';
+  if (magic.startsWith('BPS1')) return 'bps';
+  return null;
+}
+
+/**
+ * Apply an IPS, UPS or BPS patch. Throws if the format is unknown, the patch is
+ * corrupt or it was made for a different ROM.
+ * @param {Uint8Array} source - Unpatched ROM image
+ * @param {Uint8Array} patch - Patch file contents
+ * @returns {Uint8Array} Patched ROM image (the source is left untouched)
+ */
+export function applyPatch(source, patch) {
+  switch (getPatchFormat(patch)) {
+    case 'ips': return applyIPS(source, patch);
+    case 'ups': return applyChecked(source, patch, applyUPS);
+    case 'bps': return applyChecked(source, patch, applyBPS);
+    default: throw new Error('Unknown patch format (expected IPS, UPS or BPS)');
+  }
+}
+
+// =============================================================================
+// IPS
+// =============================================================================
+
+// Records of 24-bit offset + 16-bit size + data; size 0 is an RLE run.
+// "EOF" ends the patch, optionally followed by a 24-bit truncation length.
+function applyIPS(source, patch) {
+  const records = [];
+  let end = source.length;
+  let pos = 5;
+
+  for (;;) {
+    if (pos + 3 > patch.length) throw new Error('IPS patch is truncated');
+    const offset = (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2];
+    pos += 3;
+    if (offset === 0x454F46) break; // "EOF"
+
+    if (pos + 2 > patch.length) throw new Error('IPS patch is truncated');
+    let size = (patch[pos] << 8) | patch[pos + 1];
+    pos += 2;
+    let rle = false;
+    if (size === 0) {
+      if (pos + 3 > patch.length) throw new Error('IPS patch is truncated');
+      size = (patch[pos] << 8) | patch[pos + 1];
+      rle = true;
+      pos += 2;
+    }
+    if (!rle && pos + size > patch.length) throw new Error('IPS patch is truncated');
+
+    records.push({ offset, size, rle, data: pos });
+    pos += rle ? 1 : size;
+    end = Math.max(end, offset + size);
+  }
+
+  const truncate = pos + 3 <= patch.length
+    ? (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2]
+    : null;
+
+  const target = new Uint8Array(truncate !== null ? truncate : end);
+  target.set(source.subarray(0, Math.min(source.length, target.length)));
+  for (const { offset, size, rle, data } of records) {
+    for (let i = 0; i < size && offset + i < target.length; i++) {
+      target[offset + i] = rle ? patch[data] : patch[data + i];
+    }
+  }
+  return target;
+}
+
+/**
+ * Build an IPS patch that turns `source` into `target`. Used to keep changes
+ * to large images (FDS disks) as small saves.
+ * @param {Uint8Array} source
+ * @param {Uint8Array} target - At most 16MB
+ * @returns {Uint8Array} IPS file; applyPatch(source, it) returns a copy of target
+ */
+export function createIPS(source, target) {
+  const out = [0x50, 0x41, 0x54, 0x43, 0x48]; // "PATCH"
+  const differs = i => i >= source.length || source[i] !== target[i];
+
+  for (let i = 0; i < target.length;) {
+    if (!differs(i)) {
+      i++;
+      continue;
+    }
+    // An offset of "EOF" would end the patch; start a byte early instead
+    const offset = i === 0x454F46 ? i - 1 : i;
+    let end = i + 1;
+    while (end < target.length && end - offset < 0xFFFF && differs(end)) end++;
+
+    out.push(offset >> 16, (offset >> 8) & 0xFF, offset & 0xFF, (end - offset) >> 8, (end - offset) & 0xFF);
+    for (let j = offset; j < end; j++) out.push(target[j]);
+    i = end;
+  }
+
+  out.push(0x45, 0x4F, 0x46); // "EOF"
+  if (target.length < source.length) {
+    out.push(target.length >> 16, (target.length >> 8) & 0xFF, target.length & 0xFF);
+  }
+  return Uint8Array.from(out);
+}
+
+// =============================================================================
+// UPS / BPS
+// =============================================================================
+
+// Verifies the patch CRC, finds the source the patch was made for and checks
+// the result. NES patches are made against either the headered .nes file or
+// the bare PRG+CHR, so a headerless match keeps the original iNES header.
+function applyChecked(source, patch, apply) {
+  if (patch.length < FOOTER_SIZE + 4) throw new Error('Patch is truncated');
+  const footer = patch.length - FOOTER_SIZE;
+  const sourceCrc = readU32(patch, footer);
+  const targetCrc = readU32(patch, footer + 4);
+  const patchCrc = readU32(patch, footer + 8);
+
+  if (crc32([patch.subarray(0, footer + 8)]) !== patchCrc) {
+    throw new Error('Patch is corrupt (checksum mismatch)');
+  }
+
+  let header = null;
+  let body = source;
+  if (crc32([source]) !== sourceCrc) {
+    if (source.length > INES_HEADER_SIZE && crc32([source.subarray(INES_HEADER_SIZE)]) === sourceCrc) {
+      header = source.subarray(0, INES_HEADER_SIZE);
+      body = source.subarray(INES_HEADER_SIZE);
+    } else {
+      throw new Error(`Patch is for a different ROM (expects CRC32 ${hex32(sourceCrc)})`);
+    }
+  }
+
+  const patched = apply(body, patch);
+  if (crc32([patched]) !== targetCrc) throw new Error('Patched ROM failed verification');
+  if (!header) return patched;
+
+  const target = new Uint8Array(INES_HEADER_SIZE + patched.length);
+  target.set(header);
+  target.set(patched, INES_HEADER_SIZE);
+  return target;
+}
+
+// Variable-length integer shared by UPS and BPS: 7 bits per byte, high bit ends
+function readNumber(patch, state) {
+  let value = 0;
+  let shift = 1;
+  for (;;) {
+    if (state.pos >= patch.length) throw new Error('Patch is truncated');
+    const byte = patch[state.pos++];
+    value += (byte & 0x7F) * shift;
+    if (byte & 0x80) return value;
+    shift *= 128;
+    value += shift;
+  }
+}
+
+// Runs of XOR bytes separated by skip counts; each run ends with a 0 byte
+function applyUPS(source, patch) {
+  const state = { pos: 4 };
+  const sourceSize = readNumber(patch, state);
+  const targetSize = readNumber(patch, state);
+  if (sourceSize !== source.length) throw new Error('Patch is for a different ROM (size mismatch)');
+
+  const end = patch.length - FOOTER_SIZE;
+  const target = new Uint8Array(targetSize);
+  target.set(source.subarray(0, Math.min(source.length, targetSize)));
+
+  let offset = 0;
+  while (state.pos < end) {
+    offset += readNumber(patch, state);
+    for (;;) {
+      const xor = patch[state.pos++];
+      if (offset < targetSize) {
+        target[offset] = (offset < source.length ? source[offset] : 0) ^ xor;
+      }
+      offset++;
+      if (xor === 0 || state.pos >= end) break;
+    }
+  }
+  return target;
+}
+
+// Commands copy from the source at the same offset, from the patch, or from
+// relative positions in the source or the target built so far
+function applyBPS(source, patch) {
+  const state = { pos: 4 };
+  const sourceSize = readNumber(patch, state);
+  const targetSize = readNumber(patch, state);
+  const metadataSize = readNumber(patch, state);
+  state.pos += metadataSize;
+  if (sourceSize !== source.length) throw new Error('Patch is for a different ROM (size mismatch)');
+
+  const end = patch.length - FOOTER_SIZE;
+  const target = new Uint8Array(targetSize);
+  let output = 0;
+  let sourceRelative = 0;
+  let targetRelative = 0;
+
+  while (state.pos < end) {
+    const data = readNumber(patch, state);
+    const length = Math.floor(data / 4) + 1;
+    if (output + length > targetSize) throw new Error('BPS patch writes past the end of the ROM');
+
+    switch (data & 3) {
+      case 0: // SourceRead
+        for (let i = 0; i < length; i++, output++) target[output] = source[output];
+        break;
+      case 1: // TargetRead
+        for (let i = 0; i < length; i++, output++) target[output] = patch[state.pos++];
+        break;
+      case 2: { // SourceCopy
+        const delta = readNumber(patch, state);
+        sourceRelative += (delta & 1 ? -1 : 1) * Math.floor(delta / 2);
+        for (let i = 0; i < length; i++, output++) target[output] = source[sourceRelative++];
+        break;
+      }
+      case 3: { // TargetCopy (may overlap the bytes being written)
+        const delta = readNumber(patch, state);
+        targetRelative += (delta & 1 ? -1 : 1) * Math.floor(delta / 2);
+        for (let i = 0; i < length; i++, output++) target[output] = target[targetRelative++];
+        break;
+      }
+    }
+  }
+  return target;
+}
+
+function readU32(data, pos) {
+  return (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+}
+
+function hex32(value) {
+  return value.toString(16).toUpperCase().padStart(8, '0');
+}
@@ -56,6 +56,12 @@ export class PPU {
     this.cycle = 0;
     this.frame = 0;
 
+    // Region timing (see setRegion); NTSC until a ROM is loaded
+    this.vblankScanline = 241;
+    this.preRenderScanline = 261;
+    this.oddFrameSkip = true;
+    this.swapEmphasis = false;
+
     // -----------------------------
     // NMI
     // -----------------------------
@@ -166,6 +172,16 @@ export class PPU {
     //this.vramMem.fill(0);
   }
 
+  // =========================================================================
+  // Region timing (NES.setRegion passes an entry from REGIONS in region.js)
+  // =========================================================================
+  setRegion(timing) {
+    this.vblankScanline = timing.vblankScanline;
+    this.preRenderScanline = timing.preRenderScanline;
+    this.oddFrameSkip = timing.oddFrameSkip;
+    this.swapEmphasis = timing.swapEmphasis;
+  }
+
   // =========================================================================
   // Mirroring (mapper sets this)
   // =========================================================================
@@ -186,7 +202,7 @@ export class PPU {
 
         // Race condition: Reading $2002 at the exact start of VBlank (Scanline 241, Cycle 1)
         // returns the VBlank flag as CLEAR, but still clears the internal flag (suppressing NMI).
-        if (this.scanline === 241 && this.cycle === 1) {
+        if (this.scanline === this.vblankScanline && this.cycle === 1) {
              result &= 0x7F; // Clear bit 7 (VBlank) in result
         }
 
@@ -252,7 +268,12 @@ export class PPU {
         this.mask = value;
         // Update palette emphasis if supported by PaletteTable
         if (this.nes.palTable && typeof this.nes.palTable.setEmphasis === 'function') {
-            this.nes.palTable.setEmphasis((value >> 5) & 7);
+            let emphasis = (value >> 5) & 7;
+            // PAL PPUs swap the red and green emphasis bits
+            if (this.swapEmphasis) {
+              emphasis = (emphasis & 4) | ((emphasis & 1) << 1) | ((emphasis >> 1) & 1);
+            }
+            this.nes.palTable.setEmphasis(emphasis);
         }
         if (this.nes.mmap && typeof this.nes.mmap.onPpuRegisterWrite === 'function') {
           this.nes.mmap.onPpuRegisterWrite(0x2001, value);
@@ -854,8 +875,6 @@ renderPixel() {
 
     if (!renderingEnabled) return;
 
-    const preRenderScanline = 261;
-
     // Increment horizontal position every 8 cycles during rendering
     if ((this.cycle >= 1 && this.cycle <= 256) || (this.cycle >= 321 && this.cycle <= 336)) {
       if ((this.cycle & 7) === 0) {
@@ -932,7 +951,7 @@ renderPixel() {
   }
 
   // =========================================================================
-  // PPU main step (one PPU cycle). Call this 3 times per CPU cycle.
+  // PPU main step (one PPU cycle). Call this 3 times per CPU cycle (3.2 on PAL).
   // =========================================================================
   step() {
     // Rendering is enabled if either BG or sprites are visible
@@ -954,9 +973,9 @@ renderPixel() {
       this.renderPixel();
     }
 
-    // VBlank:             241-260
-    // Pre-render:         261
-    const preRenderScanline = 261;
+    // VBlank:             241-260 (PAL 241-310, Dendy 291-310)
+    // Pre-render:         261 (PAL/Dendy 311)
+    const preRenderScanline = this.preRenderScanline;
 
     // During the pre-render scanline, the PPU constantly copies the vertical scroll bits from t to v.
     // This only happens if rendering is enabled.
@@ -964,15 +983,15 @@ renderPixel() {
       this.copyVerticalBits();
     }
 
-    // VBlank START – at scanline 241, cycle 1
-    if (this.scanline === 241 && this.cycle === 1) {
+    // VBlank START – at scanline 241 (Dendy 291), cycle 1
+    if (this.scanline === this.vblankScanline && this.cycle === 1) {
       this.nmiOccurred = true;
       this.setStatusFlag(this.STATUS_VBLANK, true);
       this.nmiChange();
     }
 
-    // Pre-render scanline (261): Clear VBlank and sprite flags at cycle 1
-    if (this.scanline === 261 && this.cycle === 1) {
+    // Pre-render scanline: Clear VBlank and sprite flags at cycle 1
+    if (this.scanline === preRenderScanline && this.cycle === 1) {
       this.setStatusFlag(this.STATUS_VBLANK, false);
       this.setStatusFlag(this.STATUS_SPRITE0HIT, false);
       this.setStatusFlag(this.STATUS_SPRITE_OVERFLOW, false);
@@ -989,10 +1008,10 @@ renderPixel() {
     // Evaluate sprites for the NEXT scanline during sprite tile fetch window
     if (this.cycle === 257 && ((this.mask & 0x10) !== 0)) {
       // Evaluate sprites for next scanline
-      // During scanline 261 (pre-render), evaluate for scanline 0
+      // During the pre-render scanline, evaluate for scanline 0
       // During scanline 0-238, evaluate for scanline 1-239
       // During scanline 239, evaluation happens but scanline 240 is not rendered
-      if (this.scanline === 261 || (this.scanline >= 0 && this.scanline < 240)) {
+      if (this.scanline === preRenderScanline || (this.scanline >= 0 && this.scanline < 240)) {
         // Switch to Sprite CHR banks for pattern fetching
         if (this.nes.mmap?.hasSeparateChrBanks) {
             this.nes.mmap.setChrMode(true);
@@ -1009,14 +1028,14 @@ renderPixel() {
 
     // MMC5 scanline IRQ detection at cycle 4 (attribute table fetch)
     // This must happen BEFORE the game's IRQ handler can change nametable settings
-    if (this.cycle === 4 && renderingEnabled && (this.scanline < 240 || this.scanline === 261)) {
+    if (this.cycle === 4 && renderingEnabled && (this.scanline < 240 || this.scanline === preRenderScanline)) {
       if (this.nes.mmap && this.nes.mmap.onEndScanline) {
         this.nes.mmap.onEndScanline(this.scanline);
       }
     }
 
     // Background tile fetching and rendering for visible scanlines + pre-render
-    if (renderingEnabled && (this.scanline < 240 || this.scanline === 261)) {
+    if (renderingEnabled && (this.scanline < 240 || this.scanline === preRenderScanline)) {
       // Tile fetching happens during cycles 1-256 and 321-336
 
       // Shift registers for the current pixel, before it is rendered.
@@ -1087,20 +1106,20 @@ renderPixel() {
     }
 
     // Horizontal/vertical VRAM address updates during rendering
-    if (renderingEnabled && (this.scanline < 240 || this.scanline === 261)) {
+    if (renderingEnabled && (this.scanline < 240 || this.scanline === preRenderScanline)) {
       this.updateScrollCounters();
     }
 
     // Advance to next cycle
     this.cycle++;
 
-    // Determine scanline length (handles odd frame skip)
+    // Determine scanline length (handles odd frame skip, NTSC only)
     let cyclesThisScanline = 341;
-    if (this.oddFrame && this.scanline === 261 && renderingEnabled) {
+    if (this.oddFrame && this.oddFrameSkip && this.scanline === preRenderScanline && renderingEnabled) {
       cyclesThisScanline = 340;
     }
 
-    // Standard NTSC scanline = 341 PPU cycles (dots 0 through 340)
+    // Standard scanline = 341 PPU cycles (dots 0 through 340)
     if (this.cycle >= cyclesThisScanline) {
       this.cycle = 0;
 
@@ -1108,8 +1127,8 @@ renderPixel() {
       // Note: MMC5 onEndScanline is called at cycle 4, not here
       this.scanline++;
 
-      // Full NTSC frame = scanlines 0 through 261 inclusive (262 total lines)
-      if (this.scanline > 261) {
+      // Full frame = scanlines 0 through pre-render inclusive (262 lines NTSC, 312 PAL/Dendy)
+      if (this.scanline > preRenderScanline) {
         this.scanline = 0;
         this.frame++;
 
@@ -1177,7 +1196,7 @@ renderPixel() {
     // Sprite evaluation for NEXT scanline
     // Called during scanline N at cycle 257, evaluates for rendering on scanline N+1
     let nextScanline = this.scanline + 1;
-    if (nextScanline > 261) nextScanline = 0;
+    if (nextScanline > this.preRenderScanline) nextScanline = 0;
     const spriteHeight = (this.ctrl & 0x20) ? 16 : 8;
 
     // Clear secondary OAM
@@ -1238,7 +1257,7 @@ renderPixel() {
   fetchSpritePatterns() {
     // Fetch patterns for NEXT scanline (same as evaluation)
     let nextScanline = this.scanline + 1;
-    if (nextScanline > 261) nextScanline = 0;
+    if (nextScanline > this.preRenderScanline) nextScanline = 0;
     const spriteHeight = (this.ctrl & 0x20) ? 16 : 8;
 
     // Real PPU always performs 8 sprite fetches (16 memory accesses).
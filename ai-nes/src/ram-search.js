@@ -0,0 +1,185 @@
+// =============================================================================
+// RAM SEARCH
+// Narrows down which byte (or 16-bit word) of memory holds a game value by
+// comparing snapshots across frames, desktop-emulator style:
+//   search.reset();                     // Every address is a candidate
+//   ... play, lose a life ...
+//   search.filter('lt');                // Value went down since the last snapshot
+//   search.filter('eq', 3);             // Value is exactly 3 now
+//   search.toFreezeCodes(0x075A, 9);    // ['075A:09'] for nes.cheats.add()
+//
+// Searched memory is the 2KB of work RAM ($0000-$07FF, CPU.mem) followed by
+// the PRG-RAM the CPU currently sees at $6000-$7FFF, read through the mapper.
+// Boards with more than 8KB of PRG-RAM (MMC5, FME-7, FDS) only show the banks
+// mapped there, which are also the bytes a freeze code writes. 16-bit values
+// are little-endian and never straddle the two regions.
+// =============================================================================
+
+const WORK_RAM_SIZE = 0x800;
+const PRG_RAM_BASE = 0x6000;
+const PRG_RAM_WINDOW = 0x2000;
+
+// Comparisons accepted by filter(). 'changed'/'unchanged' always compare
+// against the previous snapshot; the others compare against `value` when
+// given, otherwise against the previous snapshot.
+const COMPARISONS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  lt: (a, b) => a < b,
+  gte: (a, b) => a >= b,
+  lte: (a, b) => a <= b,
+  changed: (a, b) => a !== b,
+  unchanged: (a, b) => a === b,
+};
+
+export class RamSearch {
+  constructor(nes) {
+    this.nes = nes;
+    this.size = 1;           // Bytes per value: 1 or 2
+    this.signed = false;
+    this.previous = null;    // Snapshot from the last reset()/filter()
+    this.candidates = null;  // Uint32Array of snapshot offsets still matching
+  }
+
+  /**
+   * Choose how values are read. Keeps the candidate list; a candidate whose
+   * word would cross the end of its region is dropped when switching to 16-bit.
+   * @param {Object} view - { size: 1|2, signed: boolean }
+   */
+  setView({ size = this.size, signed = this.signed }) {
+    if (size !== 1 && size !== 2) throw new Error('RAM search size must be 1 or 2 bytes');
+    this.size = size;
+    this.signed = signed;
+    if (this.candidates) {
+      this.candidates = this.candidates.filter(offset => this.isValidOffset(offset, this.previous.length));
+    }
+  }
+
+  /**
+   * Start a new search: snapshot memory and make every address a candidate
+   */
+  reset() {
+    this.previous = this.snapshot();
+    const candidates = [];
+    for (let offset = 0; offset < this.previous.length; offset++) {
+      if (this.isValidOffset(offset, this.previous.length)) candidates.push(offset);
+    }
+    this.candidates = Uint32Array.from(candidates);
+  }
+
+  /**
+   * Keep only the candidates whose current value passes the comparison
+   * @param {string} comparison - eq, ne, gt, lt, gte, lte, changed, unchanged
+   * @param {number|null} [value] - Compare against this instead of the previous snapshot
+   * @returns {number} Remaining candidate count
+   */
+  filter(comparison, value = null) {
+    const test = COMPARISONS[comparison];
+    if (!test) throw new Error(`Unknown RAM search comparison "${comparison}"`);
+    if (!this.candidates) this.reset();
+
+    const current = this.snapshot();
+    // Memory layout changed (new ROM): old offsets mean nothing
+    if (current.length !== this.previous.length) {
+      this.reset();
+      return this.candidates.length;
+    }
+
+    const useValue = value !== null && comparison !== 'changed' && comparison !== 'unchanged';
+    const kept = new Uint32Array(this.candidates.length);
+    let count = 0;
+    for (let i = 0; i < this.candidates.length; i++) {
+      const offset = this.candidates[i];
+      const now = this.read(current, offset);
+      const then = useValue ? value : this.read(this.previous, offset);
+      if (test(now, then)) kept[count++] = offset;
+    }
+
+    this.candidates = kept.slice(0, count);
+    this.previous = current;
+    return count;
+  }
+
+  get count() {
+    return this.candidates ? this.candidates.length : 0;
+  }
+
+  /**
+   * Current candidates with their values
+   * @param {number} [limit=100]
+   * @returns {Array<{address: number, value: number, previous: number}>}
+   */
+  results(limit = 100) {
+    if (!this.candidates) return [];
+    const current = this.snapshot();
+    if (current.length !== this.previous.length) return [];
+
+    const results = [];
+    const count = Math.min(limit, this.candidates.length);
+    for (let i = 0; i < count; i++) {
+      const offset = this.candidates[i];
+      results.push({
+        address: this.offsetToAddress(offset),
+        value: this.read(current, offset),
+        previous: this.read(this.previous, offset),
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Pro Action Replay codes that freeze `value` at `address` with the current
+   * view size (two codes for a 16-bit value)
+   * @param {number} address - CPU address from results()
+   * @param {number} value - Value in the current view (signed values allowed)
+   * @returns {string[]}
+   */
+  toFreezeCodes(address, value) {
+    const codes = [];
+    for (let i = 0; i < this.size; i++) {
+      const byte = (value >> (i * 8)) & 0xFF;
+      codes.push(`${hex(address + i, 4)}:${hex(byte, 2)}`);
+    }
+    return codes;
+  }
+
+  // Work RAM followed by the $6000-$7FFF window (if the cartridge has PRG-RAM).
+  // RAM smaller than the window is only read once, not through its mirrors.
+  snapshot() {
+    const ram = this.nes.cpu.mem.subarray(0, WORK_RAM_SIZE);
+    const mmap = this.nes.mmap;
+    const windowSize = mmap?.prgRam ? Math.min(mmap.prgRam.length, PRG_RAM_WINDOW) : 0;
+    const out = new Uint8Array(WORK_RAM_SIZE + windowSize);
+    out.set(ram);
+    for (let i = 0; i < windowSize; i++) {
+      out[WORK_RAM_SIZE + i] = mmap.cpuRead(PRG_RAM_BASE + i) ?? 0;
+    }
+    return out;
+  }
+
+  read(snapshot, offset) {
+    let value = snapshot[offset];
+    if (this.size === 2) value |= snapshot[offset + 1] << 8;
+    if (this.signed) {
+      const bits = this.size * 8;
+      if (value & (1 << (bits - 1))) value -= 1 << bits;
+    }
+    return value;
+  }
+
+  isValidOffset(offset, length) {
+    if (this.size === 1) return offset < length;
+    // The high byte must be in the same region as the low byte
+    const end = offset < WORK_RAM_SIZE ? WORK_RAM_SIZE : length;
+    return offset + 1 < end;
+  }
+
+  offsetToAddress(offset) {
+    return offset < WORK_RAM_SIZE ? offset : PRG_RAM_BASE + offset - WORK_RAM_SIZE;
+  }
+}
+
+function hex(value, digits) {
+  return value.toString(16).toUpperCase().padStart(digits, '0');
+}
@@ -0,0 +1,117 @@
+// =============================================================================
+// CONSOLE REGIONS
+// Timing for NTSC (RP2A03/RP2C02), PAL (RP2A07/RP2C07) and Dendy (the UA6538
+// famiclone: PAL frame length with NTSC-like CPU and APU timing), plus
+// auto-detection from the ROM header, the cartridge database and the file name.
+// Usage: const nes = new NES({ region: 'auto' });  // 'ntsc' | 'pal' | 'dendy' | 'auto'
+//        nes.loadROM(data, null, 'Elite (E).nes');  // Detected as PAL
+//        nes.setRegion('dendy');                    // Switch at runtime
+// =============================================================================
+
+export const REGION_NAMES = ['ntsc', 'pal', 'dendy'];
+
+/**
+ * @typedef {Object} RegionTiming
+ * @property {string} name
+ * @property {number} cpuFreq - CPU clock in Hz
+ * @property {number} frameRate - Frames per second
+ * @property {number} vblankScanline - Scanline whose dot 1 sets VBlank and fires NMI
+ * @property {number} preRenderScanline - Last scanline of the frame
+ * @property {number} extraDotPeriod - PPU runs one extra dot every N CPU cycles (0 = exactly 3 dots per cycle)
+ * @property {boolean} oddFrameSkip - Pre-render line is one dot shorter on odd frames
+ * @property {boolean} swapEmphasis - $2001 red/green emphasis bits are swapped
+ * @property {string} apuTables - Noise/DMC period and frame-counter tables ('ntsc' | 'pal')
+ */
+
+/** @type {Object<string, RegionTiming>} */
+export const REGIONS = {
+  ntsc: {
+    name: 'ntsc',
+    cpuFreq: 1789772.5,
+    frameRate: 60.0988,
+    vblankScanline: 241,
+    preRenderScanline: 261,
+    extraDotPeriod: 0,
+    oddFrameSkip: true,
+    swapEmphasis: false,
+    apuTables: 'ntsc',
+  },
+  pal: {
+    name: 'pal',
+    cpuFreq: 1662607,
+    frameRate: 50.007,
+    vblankScanline: 241,
+    preRenderScanline: 311,
+    extraDotPeriod: 5, // 3.2 dots per CPU cycle
+    oddFrameSkip: false,
+    swapEmphasis: true,
+    apuTables: 'pal',
+  },
+  dendy: {
+    name: 'dendy',
+    cpuFreq: 1773448,
+    frameRate: 50.007,
+    vblankScanline: 291, // 50 idle post-render lines before VBlank
+    preRenderScanline: 311,
+    extraDotPeriod: 0,
+    oddFrameSkip: false,
+    swapEmphasis: false,
+    apuTables: 'ntsc',
+  },
+};
+
+// File name region tags: No-Intro "(Europe)", GoodNES "(E)" and friends
+const PAL_TAGS = new Set([
+  'E', 'EUROPE', 'EUR', 'EU', 'PAL', 'A', 'AUSTRALIA', 'G', 'GERMANY', 'F', 'FRANCE',
+  'S', 'SPAIN', 'I', 'ITALY', 'SW', 'SWEDEN', 'NL', 'NETHERLANDS', 'UK', 'SCANDINAVIA',
+]);
+const NTSC_TAGS = new Set([
+  'U', 'USA', 'US', 'J', 'JAPAN', 'JU', 'UJ', 'K', 'KOREA', 'NTSC', 'W', 'WORLD', 'ASIA',
+]);
+const DENDY_TAGS = new Set(['DENDY']);
+
+/**
+ * Region from bracketed file name tags, e.g. "Elite (E).nes" or "Game (Europe) (Rev A).nes".
+ * Only groups made entirely of region names count, so "(Rev A)" is not Australia.
+ * @param {string} fileName
+ * @returns {string|null} 'ntsc' | 'pal' | 'dendy', or null when absent or mixed
+ */
+export function detectRegionFromFileName(fileName) {
+  let pal = false;
+  let ntsc = false;
+
+  for (const [, group] of (fileName || '').matchAll(/[([]([^)\]]+)[)\]]/g)) {
+    const tags = group.toUpperCase().split(/[\s,]+/).filter(Boolean);
+    if (tags.some(tag => DENDY_TAGS.has(tag))) return 'dendy';
+    if (!tags.every(tag => PAL_TAGS.has(tag) || NTSC_TAGS.has(tag) || isGoodNesCode(tag))) continue;
+
+    for (const tag of tags) {
+      // GoodNES joins single-letter codes: "(UE)", "(JUE)"
+      const codes = PAL_TAGS.has(tag) || NTSC_TAGS.has(tag) ? [tag] : tag.split('');
+      for (const code of codes) {
+        if (PAL_TAGS.has(code)) pal = true;
+        if (NTSC_TAGS.has(code)) ntsc = true;
+      }
+    }
+  }
+
+  if (pal !== ntsc) return pal ? 'pal' : 'ntsc';
+  return null;
+}
+
+function isGoodNesCode(tag) {
+  return /^[A-Z]{2,3}$/.test(tag) &&
+    tag.split('').every(code => PAL_TAGS.has(code) || NTSC_TAGS.has(code));
+}
+
+/**
+ * Pick a region for a loaded ROM: the header timing (corrected by the cartridge
+ * database in ROM.load()), then the file name. Defaults to NTSC.
+ * @param {ROM|null} rom
+ * @param {string} [fileName]
+ * @returns {string} 'ntsc' | 'pal' | 'dendy'
+ */
+export function detectRegion(rom, fileName = '') {
+  if (rom && REGIONS[rom.region]) return rom.region;
+  return detectRegionFromFileName(fileName) || 'ntsc';
+}
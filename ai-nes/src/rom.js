@@ -1,7 +1,39 @@
 // Parses and manages NES ROM data, including iNES header parsing,
 // PRG-ROM and CHR-ROM loading, and mapper creation.
 
-import { createMapper } from "./mappers/mapper-factory.js";
+import { createMapper, getUnifBoard } from "./mappers/mapper-factory.js";
+import { applyCartridgeDb } from "./cartridge-db.js";
+import { crc32, sha1 } from "./utils.js";
+import { isNsf, parseNsf, buildNsfPrg, NSF_MAPPER_ID } from "./nsf.js";
+import { isFds, parseFds, FDS_MAPPER_ID } from "./fds.js";
+import { isUnif, parseUnif, UNIF_MIRRORING } from "./unif.js";
+
+// Header byte 7 bits 0-1
+const CONSOLE_TYPES = ['nes', 'vs', 'playchoice', 'extended'];
+
+// NES 2.0 ROM size: a 12-bit count of `unit`-byte banks, or when the MSB
+// nibble is $F, 2^E * (M*2+1) bytes from the LSB byte (EEEEEEMM).
+function nes2RomSize(lsb, msb, unit) {
+  if (msb === 0x0f) {
+    return Math.pow(2, lsb >> 2) * ((lsb & 0x03) * 2 + 1);
+  }
+  return ((msb << 8) | lsb) * unit;
+}
+
+// UNIF chunks need not fill whole banks; repeat the data up to a bank multiple
+// so small images mirror the way they would on the board
+function padToBanks(data, bankSize) {
+  const size = Math.ceil(data.length / bankSize) * bankSize;
+  if (size === data.length) return data;
+  const out = new Uint8Array(size);
+  for (let i = 0; i < size; i += data.length) out.set(data.subarray(0, size - i), i);
+  return out;
+}
+
+// NES 2.0 RAM size nibble: 0 = none, otherwise 64 << n bytes
+function nes2RamSize(shift) {
+  return shift === 0 ? 0 : 64 << shift;
+}
 
 export class ROM {
   constructor(nes) {
@@ -18,12 +50,21 @@ export class ROM {
     this.mapperName[7] = "AOROM";
     this.mapperName[9] = "Nintendo MMC2";
     this.mapperName[11] = "Color Dreams Chip";
-    this.mapperName[25] = "Konami VRC4b";
+    this.mapperName[19] = "Namco 163";
+    this.mapperName[20] = "Famicom Disk System";
+    this.mapperName[21] = "Konami VRC4a/VRC4c";
+    this.mapperName[22] = "Konami VRC2a";
+    this.mapperName[23] = "Konami VRC2b/VRC4e/VRC4f";
+    this.mapperName[24] = "Konami VRC6a";
+    this.mapperName[25] = "Konami VRC2c/VRC4b/VRC4d";
+    this.mapperName[26] = "Konami VRC6b";
     this.mapperName[34] = "32kB ROM switch";
     this.mapperName[47] = "NES-QJ Chip";
+    this.mapperName[64] = "Tengen RAMBO-1";
     this.mapperName[66] = "GxROM Chip";
     this.mapperName[69] = "SunSoft5 FME-7 Chip";
     this.mapperName[79] = "NINA-03/NINA-06 Chip";
+    this.mapperName[85] = "Konami VRC7";
     this.mapperName[206] = "DxROM";
 
     // Mirroring types (match PPU expectations):
@@ -48,6 +89,27 @@ export class ROM {
     this.trainer = null;
     this.fourScreen = null;
     this.mapperType = null;
+    this.region = null;   // Header timing: 'ntsc' | 'pal' | 'dendy' | 'multi', or null if unknown
+
+    // NES 2.0 header fields. RAM sizes are in bytes and stay null for iNES 1.0
+    // headers, which do not record them; mappers then use their board defaults.
+    this.isNES2 = false;
+    this.submapper = 0;
+    this.prgRamSize = null;    // Volatile PRG-RAM
+    this.prgNvramSize = null;  // Battery-backed PRG-RAM
+    this.chrRamSize = null;    // Volatile CHR-RAM
+    this.chrNvramSize = null;  // Battery-backed CHR-RAM
+    this.consoleType = 'nes';  // 'nes' | 'vs' | 'playchoice' | 'extended'
+    this.vsPpuType = 0;        // Vs. System PPU model (byte 13 low nibble)
+    this.vsHardwareType = 0;   // Vs. System hardware type (byte 13 high nibble)
+    this.extendedConsoleType = 0; // Byte 13 low nibble when consoleType is 'extended'
+    this.miscRomCount = 0;
+    this.miscRom = null;       // Data after CHR-ROM when miscRomCount > 0
+    this.expansionDevice = 0;  // Default expansion device (0 = unspecified, 1 = standard controllers)
+    this.dbEntry = null;       // Cartridge database entry applied over the header, if any
+    this.nsf = null;           // Parsed NSF/NSFe (see nsf.js) when a music file was loaded
+    this.fds = null;           // Parsed disk image (see fds.js) when an .fds was loaded
+    this.unif = null;          // Parsed UNIF chunks (see unif.js) when a .unf was loaded
     this.valid = false;
   }
 
@@ -56,6 +118,24 @@ export class ROM {
     // Legacy path: Support string for backward compatibility
     const isUint8Array = data instanceof Uint8Array;
 
+    // NSF/NSFe music files become a cartridge for the NSF player mapper
+    if (isUint8Array && isNsf(data)) {
+      this.loadNsf(data);
+      return;
+    }
+
+    // FDS disk images run on the disk drive mapper with the user's BIOS
+    if (isUint8Array && isFds(data)) {
+      this.loadFds(data);
+      return;
+    }
+
+    // UNIF names its board instead of a mapper number
+    if (isUint8Array && isUnif(data)) {
+      this.loadUnif(data);
+      return;
+    }
+
     // Validate iNES header magic bytes
     if (isUint8Array) {
       if (data.length < 16 || data[0] !== 0x4E || data[1] !== 0x45 || data[2] !== 0x53 || data[3] !== 0x1A) {
@@ -81,11 +161,43 @@ export class ROM {
 
     // Check for NES 2.0 header format
     const isNES2 = (this.header[7] & 0x0c) === 0x08;
+    this.isNES2 = isNES2;
+
+    // iNES 1.0 only has the Vs. System (bit 0) and PlayChoice-10 (bit 1) flags
+    const consoleBits = this.header[7] & 0x03;
+    this.consoleType = (isNES2 || consoleBits !== 3) ? CONSOLE_TYPES[consoleBits] : 'vs';
+
+    let prgSize = this.romCount * 16384;
+    let chrSize = this.vromCount * 4096;
     if (isNES2) {
       // iNES 2.0 format
       const mapperBase = (this.header[6] >> 4) | (this.header[7] & 0xf0);
       const mapperMSB = this.header[8] & 0x0f; // Upper 4 bits of mapper number
       this.mapperType = (mapperMSB << 8) | mapperBase;
+      this.submapper = this.header[8] >> 4;
+
+      // Byte 9 holds the upper 4 bits of the PRG/CHR-ROM sizes
+      prgSize = nes2RomSize(this.header[4], this.header[9] & 0x0f, 16384);
+      chrSize = nes2RomSize(this.header[5], this.header[9] >> 4, 8192);
+      this.romCount = Math.ceil(prgSize / 16384);
+      this.vromCount = Math.ceil(chrSize / 4096);
+
+      this.prgRamSize = nes2RamSize(this.header[10] & 0x0f);
+      this.prgNvramSize = nes2RamSize(this.header[10] >> 4);
+      this.chrRamSize = nes2RamSize(this.header[11] & 0x0f);
+      this.chrNvramSize = nes2RamSize(this.header[11] >> 4);
+
+      this.region = ['ntsc', 'pal', 'multi', 'dendy'][this.header[12] & 0x03];
+
+      if (this.consoleType === 'vs') {
+        this.vsPpuType = this.header[13] & 0x0f;
+        this.vsHardwareType = this.header[13] >> 4;
+      } else if (this.consoleType === 'extended') {
+        this.extendedConsoleType = this.header[13] & 0x0f;
+      }
+
+      this.miscRomCount = this.header[14] & 0x03;
+      this.expansionDevice = this.header[15] & 0x3f;
     } else {
       // iNES 1.0 format
       this.mapperType = (this.header[6] >> 4) | (this.header[7] & 0xf0);
@@ -101,6 +213,11 @@ export class ROM {
       if (isDirty) {
         this.mapperType &= 0x0f; // Trust only the lower 4 bits of the mapper number.
       }
+
+      // Byte 9 bit 0 is the iNES TV system flag. Few dumps set it, so only trust it
+      // when the rest of the header is clean.
+      const tailClean = this.header.slice(10, 16).every(b => b === 0);
+      this.region = tailClean && (this.header[9] & 0x01) ? 'pal' : null;
     }
 
     // Calculate offset (skip trainer if present)
@@ -112,8 +229,7 @@ export class ROM {
     // ========================================
     // PRG-ROM Loading
     // ========================================
-    const prgSize = this.romCount * 16384;
-    this.prg = new Uint8Array(prgSize);
+    this.prg = new Uint8Array(this.romCount * 16384);
 
     // Also maintain legacy array-of-banks format for compatibility
     this.rom = new Array(this.romCount);
@@ -134,8 +250,8 @@ export class ROM {
     // ========================================
     // CHR-ROM Loading
     // ========================================
-    const chrSize = this.vromCount * 4096;
-    this.chr = new Uint8Array(chrSize);
+    offset = 16 + (this.trainer ? 512 : 0) + prgSize;
+    this.chr = new Uint8Array(this.vromCount * 4096);
 
     this.vrom = new Array(this.vromCount);
     for (let i = 0; i < this.vromCount; i++) {
@@ -151,11 +267,97 @@ export class ROM {
       offset += 4096;
     }
 
+    // ========================================
+    // Miscellaneous ROM (NES 2.0)
+    // ========================================
+    // Exponent-form sizes need not fill whole banks, so the misc ROM starts
+    // right after the sizes the header declared.
+    if (this.miscRomCount > 0) {
+      const miscStart = 16 + (this.trainer ? 512 : 0) + prgSize + chrSize;
+      this.miscRom = new Uint8Array(Math.max(0, data.length - miscStart));
+      for (let i = 0; i < this.miscRom.length; i++) {
+        this.miscRom[i] = isUint8Array ? data[miscStart + i] : (data.charCodeAt(miscStart + i) & 0xff);
+      }
+    }
+
+    // Known dumps override whatever the header says
+    this.dbEntry = applyCartridgeDb(this);
+
+    this.valid = true;
+  }
+
+  // NSF/NSFe: no header to parse, just the program laid out in 4KB banks.
+  // The cartridge database does not apply.
+  loadNsf(data) {
+    this.nsf = parseNsf(data);
+    this.mapperType = NSF_MAPPER_ID;
+    this.prg = buildNsfPrg(this.nsf);
+    this.chr = new Uint8Array(0);
+    this.romCount = Math.ceil(this.prg.length / 16384);
+    this.vromCount = 0;
+    this.mirroring = this.VERTICAL_MIRRORING;
+    this.batteryRam = false;
+    this.trainer = false;
+    this.fourScreen = false;
+    this.region = this.nsf.dualRegion ? 'multi' : this.nsf.pal ? 'pal' : 'ntsc';
+    this.valid = true;
+  }
+
+  // FDS: the disk sides stand in for PRG-ROM, so their CRC32 keys save states and
+  // the disk save. Disks are writable, which the battery flag stands for.
+  loadFds(data) {
+    this.fds = parseFds(data);
+    this.mapperType = FDS_MAPPER_ID;
+    this.prg = new Uint8Array(this.fds.sides.length * this.fds.sides[0].length);
+    this.fds.sides.forEach((side, i) => this.prg.set(side, i * side.length));
+    this.chr = new Uint8Array(0);
+    this.romCount = Math.ceil(this.prg.length / 16384);
+    this.vromCount = 0;
+    this.mirroring = this.HORIZONTAL_MIRRORING;
+    this.batteryRam = true;
+    this.trainer = false;
+    this.fourScreen = false;
+    this.region = 'ntsc';
+    this.valid = true;
+  }
+
+  // UNIF: the board table in mapper-factory.js picks the mapper. The chunks
+  // carry no RAM sizes, so mappers use their board defaults; the cartridge
+  // database still applies.
+  loadUnif(data) {
+    this.unif = parseUnif(data);
+    const board = getUnifBoard(this.unif.board);
+    if (!board) {
+      throw new Error(`UNIF board "${this.unif.board}" is not supported: no emulated mapper ` +
+        'is known for it (a .nes dump with a mapper number may work)');
+    }
+
+    this.mapperType = board.mapper;
+    this.submapper = board.submapper;
+    this.prg = padToBanks(this.unif.prg, 16384);
+    this.chr = padToBanks(this.unif.chr, 4096);
+    this.romCount = this.prg.length / 16384;
+    this.vromCount = this.chr.length / 4096;
+
+    const mirroring = this.unif.mirroring;
+    this.fourScreen = board.fourScreen || mirroring === UNIF_MIRRORING.FOUR_SCREEN;
+    this.mirroring = mirroring === UNIF_MIRRORING.VERTICAL ? this.VERTICAL_MIRRORING
+      : mirroring === UNIF_MIRRORING.SINGLE_SCREEN_A ? this.SINGLESCREEN_MIRRORING_A
+      : mirroring === UNIF_MIRRORING.SINGLE_SCREEN_B ? this.SINGLESCREEN_MIRRORING_B
+      : this.HORIZONTAL_MIRRORING;
+    this.batteryRam = this.unif.battery;
+    this.trainer = false;
+    this.region = ['ntsc', 'pal', 'multi'][this.unif.tvSystem] || null;
+
+    this.dbEntry = applyCartridgeDb(this);
     this.valid = true;
   }
 
   getMirroringType() {
     if (this.fourScreen) return this.FOURSCREEN_MIRRORING;
+    if (this.mirroring === this.SINGLESCREEN_MIRRORING_A || this.mirroring === this.SINGLESCREEN_MIRRORING_B) {
+      return this.mirroring; // UNIF hard-wired single screen
+    }
 
     // iNES format: bit 0 of header[6]
     // 0 = Horizontal Mirroring
@@ -164,6 +366,7 @@ export class ROM {
   }
 
   getMapperName() {
+    if (this.nsf) return "NSF Player";
     if (this.mapperType >= 0 && this.mapperType < this.mapperName.length) {
       return this.mapperName[this.mapperType];
     }
@@ -183,13 +386,23 @@ export class ROM {
       case 7: return "AxROM";
       case 9: return "MMC2 (PxROM)";
       case 11: return "Color Dreams";
-      case 25: return "VRC4";
+      case 19: return "Namco 163";
+      case FDS_MAPPER_ID: return "FDS";
+      case 21: return "VRC4";
+      case 22: return "VRC2";
+      case 23:
+      case 25: return ["VRC2/VRC4", "VRC4", "VRC4", "VRC2"][this.submapper] || "VRC2/VRC4";
+      case 24: return "VRC6a (351951)";
+      case 26: return "VRC6b (351949A)";
       case 34: return "BNROM";
       case 47: return "NES-QJ";
+      case 64: return "Tengen 800032";
       case 66: return "GxROM";
       case 69: return "FME-7 Chip";
       case 79: return "NINA-03/NINA-06";
+      case 85: return "VRC7";
       case 206: return "DxROM";
+      case NSF_MAPPER_ID: return "NSF";
       default: return `Mapper ${this.mapperType}`;
     }
   }
@@ -197,24 +410,12 @@ export class ROM {
   // Calculate CRC32 checksum of the ROM data (PRG + CHR)
   // Used for identifying specific game dumps to apply compatibility fixes. 
   getCRC32() {
-    const crcTable = new Int32Array(256);
-    for (let i = 0; i < 256; i++) {
-      let c = i;
-      for (let k = 0; k < 8; k++) {
-        c = ((c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1));
-      }
-      crcTable[i] = c;
-    }
+    return crc32([this.prg, this.chr]);
+  }
 
-    let crc = -1;
-    const data = [this.prg, this.chr];
-    for (const buffer of data) {
-      if (!buffer) continue;
-      for (let i = 0; i < buffer.length; i++) {
-        crc = (crc >>> 8) ^ crcTable[(crc ^ buffer[i]) & 0xFF];
-      }
-    }
-    return (crc ^ -1) >>> 0;
+  // SHA-1 of PRG + CHR as a lowercase hex string (the cartridge database key)
+  getSHA1() {
+    return sha1([this.prg, this.chr]);
   }
 
   mapperSupported() {
@@ -0,0 +1,179 @@
+// =============================================================================
+// TRACE LOGGER
+// Opt-in instruction trace from CPU.emulate(), one line per instruction in
+// the nestest.log layout (which Mesen and FCEUX can also produce):
+//
+//   C000  4C F5 C5  JMP $C5F5                       A:00 X:00 Y:00 P:24 SP:FD PPU:  0, 21 CYC:7
+//   C72A  B1 33     LDA ($33),Y = 0400 @ 0400 = 00  A:00 X:00 Y:00 P:26 SP:FB PPU: 16,125 CYC:1795
+//
+// Unofficial opcodes are marked with "*". Operand values come from
+// side-effect-free reads (Debugger.peek); I/O registers show as FF.
+// Usage: const tracer = new TraceLogger(nes);                  // Ring buffer (browser)
+//        const tracer = new TraceLogger(nes, { write: text => fs.writeSync(fd, text) });
+//        tracer.start(); nes.frame(); tracer.stop();
+//        tracer.getText();                                     // Ring buffer contents
+// =============================================================================
+
+import {
+  disassemble, MODE_ZP, MODE_ZPX, MODE_ZPY, MODE_ABS, MODE_ABX, MODE_ABY, MODE_IND, MODE_IZX, MODE_IZY,
+} from './disassembler.js';
+
+const DEFAULT_RING_SIZE = 100000;  // Lines kept in memory without a write callback
+const WRITE_BATCH_LINES = 4096;    // Lines buffered before calling write()
+const UNREADABLE = 0xFF;           // Shown for I/O registers
+
+export class TraceLogger {
+  /**
+   * @param {NES} nes
+   * @param {Object} [opts]
+   * @param {Function} [opts.write] - Receives batches of newline-terminated text; without it lines go to a ring buffer
+   * @param {number} [opts.ringSize=100000] - Ring buffer capacity in lines
+   */
+  constructor(nes, opts = {}) {
+    this.nes = nes;
+    this.write = opts.write || null;
+    this.ringSize = opts.ringSize || DEFAULT_RING_SIZE;
+    this.read = address => this.nes.debugger.peek(address) ?? UNREADABLE;
+    this.clear();
+  }
+
+  // Attach to the NES; every instruction from now on is logged
+  start() {
+    this.nes.tracer = this;
+  }
+
+  // Detach and push out any batched lines
+  stop() {
+    if (this.nes.tracer === this) this.nes.tracer = null;
+    this.flush();
+  }
+
+  get running() {
+    return this.nes.tracer === this;
+  }
+
+  clear() {
+    this.ring = new Array(this.write ? 0 : this.ringSize);
+    this.ringStart = 0;
+    this.ringCount = 0;
+    this.batch = [];
+    this.lineCount = 0;
+  }
+
+  // Called by CPU.emulate() before each instruction executes
+  logInstruction() {
+    const line = this.formatLine();
+    this.lineCount++;
+
+    if (this.write) {
+      this.batch.push(line);
+      if (this.batch.length >= WRITE_BATCH_LINES) this.flush();
+      return;
+    }
+
+    if (this.ringCount < this.ringSize) {
+      this.ring[(this.ringStart + this.ringCount) % this.ringSize] = line;
+      this.ringCount++;
+    } else {
+      this.ring[this.ringStart] = line;
+      this.ringStart = (this.ringStart + 1) % this.ringSize;
+    }
+  }
+
+  flush() {
+    if (!this.write || this.batch.length === 0) return;
+    this.write(this.batch.join('\n') + '\n');
+    this.batch = [];
+  }
+
+  /**
+   * Ring buffer contents, oldest first
+   * @returns {string[]}
+   */
+  getLines() {
+    const lines = [];
+    for (let i = 0; i < this.ringCount; i++) lines.push(this.ring[(this.ringStart + i) % this.ringSize]);
+    return lines;
+  }
+
+  /**
+   * @returns {string} Ring buffer contents as a .log file
+   */
+  getText() {
+    return this.ringCount > 0 ? this.getLines().join('\n') + '\n' : '';
+  }
+
+  /**
+   * Format the instruction at PC with the current machine state
+   * @returns {string}
+   */
+  formatLine() {
+    const cpu = this.nes.cpu;
+    const ppu = this.nes.ppu;
+    const pc = (cpu.REG_PC + 1) & 0xFFFF;
+    const ins = disassemble(this.read, pc);
+
+    const bytes = ins.bytes.map(hex8).join(' ');
+    const text = ins.text + this.describeOperand(ins);
+    // nestest shows P with the B flag clear and bit 5 set
+    const status = (cpu.getStatus() & 0xEF) | 0x20;
+
+    return `${hex16(pc)}  ${bytes.padEnd(8)} ${ins.unofficial ? '*' : ' '}${text.padEnd(32)}` +
+      `A:${hex8(cpu.REG_ACC)} X:${hex8(cpu.REG_X)} Y:${hex8(cpu.REG_Y)} P:${hex8(status)} SP:${hex8(cpu.REG_SP)} ` +
+      `PPU:${String(ppu.scanline).padStart(3)},${String(ppu.cycle).padStart(3)} CYC:${cpu.cycleCount}`;
+  }
+
+  // nestest's effective-address annotations ("@ 0301 = 5A")
+  describeOperand(ins) {
+    const cpu = this.nes.cpu;
+    const read = this.read;
+    const op = ins.operand;
+
+    switch (ins.mode) {
+      case MODE_ZP: return ` = ${hex8(read(op))}`;
+      case MODE_ZPX: {
+        const addr = (op + cpu.REG_X) & 0xFF;
+        return ` @ ${hex8(addr)} = ${hex8(read(addr))}`;
+      }
+      case MODE_ZPY: {
+        const addr = (op + cpu.REG_Y) & 0xFF;
+        return ` @ ${hex8(addr)} = ${hex8(read(addr))}`;
+      }
+      case MODE_ABS:
+        if (ins.mnemonic === 'JMP' || ins.mnemonic === 'JSR') return '';
+        return ` = ${hex8(read(op))}`;
+      case MODE_ABX: {
+        const addr = (op + cpu.REG_X) & 0xFFFF;
+        return ` @ ${hex16(addr)} = ${hex8(read(addr))}`;
+      }
+      case MODE_ABY: {
+        const addr = (op + cpu.REG_Y) & 0xFFFF;
+        return ` @ ${hex16(addr)} = ${hex8(read(addr))}`;
+      }
+      case MODE_IND: {
+        // The 6502 never carries into the high byte of the pointer
+        const target = read(op) | (read((op & 0xFF00) | ((op + 1) & 0xFF)) << 8);
+        return ` = ${hex16(target)}`;
+      }
+      case MODE_IZX: {
+        const pointer = (op + cpu.REG_X) & 0xFF;
+        const addr = read(pointer) | (read((pointer + 1) & 0xFF) << 8);
+        return ` @ ${hex8(pointer)} = ${hex16(addr)} = ${hex8(read(addr))}`;
+      }
+      case MODE_IZY: {
+        const base = read(op) | (read((op + 1) & 0xFF) << 8);
+        const addr = (base + cpu.REG_Y) & 0xFFFF;
+        return ` = ${hex16(base)} @ ${hex16(addr)} = ${hex8(read(addr))}`;
+      }
+    }
+    return '';
+  }
+}
+
+function hex8(value) {
+  return value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function hex16(value) {
+  return value.toString(16).toUpperCase().padStart(4, '0');
+}
@@ -0,0 +1,115 @@
+// =============================================================================
+// UNIF CARTRIDGE IMAGES
+// Parses .unf files: a 32-byte "UNIF" header followed by tagged chunks. Instead
+// of a mapper number they name the board (MAPR), which the board table in
+// mappers/mapper-factory.js turns into one of our mappers. ROM.load() does that
+// and lays out the PRG/CHR chunks like an iNES image.
+// Usage: if (isUnif(data)) {
+//          const unif = parseUnif(data);
+//          unif.board, unif.prg.length, unif.battery
+//        }
+// =============================================================================
+
+const HEADER_SIZE = 32;
+const CHUNK_HEADER_SIZE = 8;
+
+/** MIRR chunk values */
+export const UNIF_MIRRORING = {
+  HORIZONTAL: 0,
+  VERTICAL: 1,
+  SINGLE_SCREEN_A: 2,
+  SINGLE_SCREEN_B: 3,
+  FOUR_SCREEN: 4,
+  MAPPER: 5, // Mapper-controlled
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean} True for files starting with the UNIF magic
+ */
+export function isUnif(data) {
+  return !!data && data.length >= HEADER_SIZE &&
+    data[0] === 0x55 && data[1] === 0x4E && data[2] === 0x49 && data[3] === 0x46; // "UNIF"
+}
+
+/**
+ * @typedef {Object} UnifInfo
+ * @property {number} revision - Header revision
+ * @property {string} board - MAPR board name as written ("NES-TLROM", "UNL-...")
+ * @property {string} name - NAME chunk, or '' when absent
+ * @property {Uint8Array} prg - PRG0-PRGF in chunk number order
+ * @property {Uint8Array} chr - CHR0-CHRF in chunk number order (empty for CHR-RAM boards)
+ * @property {number|null} mirroring - MIRR value (UNIF_MIRRORING), or null when absent
+ * @property {boolean} battery - A BATR chunk is present
+ * @property {number|null} tvSystem - TVCI value: 0 NTSC, 1 PAL, 2 both; null when absent
+ */
+
+/**
+ * Parse a UNIF image. Throws if it has no board name or no PRG data.
+ * @param {Uint8Array} data
+ * @returns {UnifInfo}
+ */
+export function parseUnif(data) {
+  if (!isUnif(data)) throw new Error('Not a UNIF file');
+
+  const info = {
+    revision: data[4] | (data[5] << 8) | (data[6] << 16) | (data[7] << 24),
+    board: '',
+    name: '',
+    prg: null,
+    chr: null,
+    mirroring: null,
+    battery: false,
+    tvSystem: null,
+  };
+  const prgChunks = [];
+  const chrChunks = [];
+
+  let pos = HEADER_SIZE;
+  while (pos + CHUNK_HEADER_SIZE <= data.length) {
+    const id = String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+    const size = (data[pos + 4] | (data[pos + 5] << 8) | (data[pos + 6] << 16) | (data[pos + 7] << 24)) >>> 0;
+    pos += CHUNK_HEADER_SIZE;
+    if (pos + size > data.length) throw new Error(`UNIF chunk ${id} is truncated`);
+    const chunk = data.subarray(pos, pos + size);
+    pos += size;
+
+    const bank = /^(PRG|CHR)([0-9A-F])$/.exec(id);
+    if (bank) {
+      (bank[1] === 'PRG' ? prgChunks : chrChunks)[parseInt(bank[2], 16)] = chunk;
+      continue;
+    }
+
+    switch (id) {
+      case 'MAPR': info.board = readString(chunk); break;
+      case 'NAME': info.name = readString(chunk); break;
+      case 'MIRR': if (size > 0) info.mirroring = chunk[0]; break;
+      case 'BATR': info.battery = true; break;
+      case 'TVCI': if (size > 0) info.tvSystem = chunk[0]; break;
+    }
+  }
+
+  if (!info.board) throw new Error('UNIF file has no board name (MAPR chunk)');
+  info.prg = concatChunks(prgChunks);
+  info.chr = concatChunks(chrChunks);
+  if (info.prg.length === 0) throw new Error('UNIF file has no PRG data');
+  return info;
+}
+
+// Null-terminated ASCII (MAPR, NAME)
+function readString(chunk) {
+  const end = chunk.indexOf(0);
+  return String.fromCharCode(...chunk.subarray(0, end < 0 ? chunk.length : end)).trim();
+}
+
+// PRG0..PRGF (or CHR0..CHRF) in number order; missing numbers are skipped
+function concatChunks(chunks) {
+  const present = chunks.filter(Boolean);
+  const out = new Uint8Array(present.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of present) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
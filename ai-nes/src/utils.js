@@ -20,4 +20,86 @@ export function toJSON(obj) {
     state[obj.JSON_PROPERTIES[i]] = obj[obj.JSON_PROPERTIES[i]];
   }
   return state;
-}
\ No newline at end of file
+}
+
+// Seeded PRNG (mulberry32). Returns a Math.random()-compatible function
+// producing the same [0, 1) sequence for the same 32-bit seed.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let crcTable = null;
+
+// CRC32 (IEEE, as used by zip, UPS and BPS) of one or more byte arrays, concatenated
+export function crc32(buffers) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[i] = c;
+    }
+  }
+
+  let crc = -1;
+  for (const buffer of buffers) {
+    if (!buffer) continue;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = (crc >>> 8) ^ crcTable[(crc ^ buffer[i]) & 0xFF];
+    }
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// SHA-1 of one or more byte arrays, concatenated. Synchronous, so it works in
+// ROM.load() where crypto.subtle.digest() (async) can't be used.
+export function sha1(buffers) {
+  let length = 0;
+  for (const buffer of buffers) length += buffer ? buffer.length : 0;
+
+  // Message + 0x80 + zero padding + 64-bit big-endian bit length
+  const padded = new Uint8Array((((length + 8) >> 6) + 1) << 6);
+  let offset = 0;
+  for (const buffer of buffers) {
+    if (!buffer) continue;
+    padded.set(buffer, offset);
+    offset += buffer.length;
+  }
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length << 3) >>> 0);
+
+  let h0 = 0x67452301, h1 = 0xEFCDAB89, h2 = 0x98BADCFE, h3 = 0x10325476, h4 = 0xC3D2E1F0;
+  const w = new Int32Array(80);
+  for (let block = 0; block < padded.length; block += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getInt32(block + (i << 2));
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+
+    let a = h0, b = h1, c = h2, d = h3, e = h4;
+    for (let i = 0; i < 80; i++) {
+      let f, k;
+      if (i < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+      else if (i < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+      else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+      else { f = b ^ c ^ d; k = 0xCA62C1D6; }
+      const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+      e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = t;
+    }
+    h0 = (h0 + a) | 0; h1 = (h1 + b) | 0; h2 = (h2 + c) | 0; h3 = (h3 + d) | 0; h4 = (h4 + e) | 0;
+  }
+
+  return [h0, h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+}
@@ -0,0 +1,344 @@
+// =============================================================================
+// ZIP ARCHIVES
+// Reads .zip files without any library: the central directory lists the
+// entries, and stored or deflated entries are extracted with the built-in
+// inflate below (RFC 1951) and checked against their CRC32.
+// Usage: if (isZip(data)) {
+//          const entries = listZipEntries(data).filter(e => e.name.endsWith('.nes'));
+//          const rom = extractZipEntry(data, entries[0]);
+//        }
+// =============================================================================
+
+import { crc32 } from './utils.js';
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIG = 0x06054b50;
+const END_OF_CENTRAL_DIR_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean} True if the data starts with a zip local file header
+ */
+export function isZip(data) {
+  return data.length >= 4 && readU32(data, 0) === LOCAL_HEADER_SIG;
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive ("roms/Game (USA).nes")
+ * @property {number} method - 0 = stored, 8 = deflate
+ * @property {number} crc32
+ * @property {number} compressedSize
+ * @property {number} size - Uncompressed size
+ * @property {number} localOffset - Offset of the entry's local header
+ */
+
+/**
+ * Files in the archive, from the central directory. Folders and the macOS
+ * resource forks Finder adds under __MACOSX/ are skipped.
+ * @param {Uint8Array} data
+ * @returns {ZipEntry[]}
+ */
+export function listZipEntries(data) {
+  const end = findEndOfCentralDirectory(data);
+  const count = readU16(data, end + 10);
+  let pos = readU32(data, end + 16);
+  if (pos === 0xFFFFFFFF || count === 0xFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > data.length || readU32(data, pos) !== CENTRAL_HEADER_SIG) {
+      throw new Error('Zip central directory is corrupt');
+    }
+    const flags = readU16(data, pos + 8);
+    const nameLength = readU16(data, pos + 28);
+    const extraLength = readU16(data, pos + 30);
+    const commentLength = readU16(data, pos + 32);
+    const name = decoder.decode(data.subarray(pos + 46, pos + 46 + nameLength));
+
+    if (!name.endsWith('/') && !name.startsWith('__MACOSX/')) {
+      entries.push({
+        name,
+        encrypted: (flags & 0x01) !== 0,
+        method: readU16(data, pos + 10),
+        crc32: readU32(data, pos + 16),
+        compressedSize: readU32(data, pos + 20),
+        size: readU32(data, pos + 24),
+        localOffset: readU32(data, pos + 42),
+      });
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Decompress one entry and verify its CRC32
+ * @param {Uint8Array} data - The whole archive
+ * @param {ZipEntry} entry - From listZipEntries()
+ * @returns {Uint8Array}
+ */
+export function extractZipEntry(data, entry) {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+
+  const pos = entry.localOffset;
+  if (pos + 30 > data.length || readU32(data, pos) !== LOCAL_HEADER_SIG) {
+    throw new Error(`${entry.name}: local header is corrupt`);
+  }
+  // The local name/extra lengths can differ from the central directory's
+  const start = pos + 30 + readU16(data, pos + 26) + readU16(data, pos + 28);
+  const compressed = data.subarray(start, start + entry.compressedSize);
+
+  let output;
+  if (entry.method === METHOD_STORED) {
+    output = compressed.slice();
+  } else if (entry.method === METHOD_DEFLATE) {
+    output = inflateRaw(compressed, entry.size);
+  } else {
+    throw new Error(`${entry.name}: unsupported compression method ${entry.method}`);
+  }
+
+  if (output.length !== entry.size || crc32([output]) !== entry.crc32) {
+    throw new Error(`${entry.name}: CRC32 mismatch, the archive is damaged`);
+  }
+  return output;
+}
+
+function findEndOfCentralDirectory(data) {
+  const last = data.length - END_OF_CENTRAL_DIR_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_SIZE);
+  for (let pos = last; pos >= first; pos--) {
+    if (readU32(data, pos) === END_OF_CENTRAL_DIR_SIG) return pos;
+  }
+  throw new Error('Not a zip archive (no central directory)');
+}
+
+function readU16(data, pos) {
+  return data[pos] | (data[pos + 1] << 8);
+}
+
+function readU32(data, pos) {
+  return (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+}
+
+// =============================================================================
+// INFLATE (RFC 1951)
+// Canonical Huffman decoding one bit at a time, as in zlib's puff.c. Slower
+// than a table-driven decoder but small, and ROMs are at most a few MB.
+// =============================================================================
+
+const MAX_BITS = 15;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+// Order the code length code lengths are stored in (dynamic blocks)
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+/**
+ * Decompress a raw deflate stream (no zlib/gzip wrapper)
+ * @param {Uint8Array} input
+ * @param {number} [sizeHint=0] - Expected output size, to avoid regrowing the buffer
+ * @returns {Uint8Array}
+ */
+export function inflateRaw(input, sizeHint = 0) {
+  const s = {
+    input,
+    pos: 0,
+    bitBuf: 0,
+    bitCount: 0,
+    output: new Uint8Array(sizeHint || input.length * 4 || 1024),
+    outPos: 0,
+  };
+
+  let final;
+  do {
+    final = readBits(s, 1);
+    const type = readBits(s, 2);
+    if (type === 0) {
+      inflateStored(s);
+    } else if (type === 1) {
+      if (!fixedTables) fixedTables = buildFixedTables();
+      inflateBlock(s, fixedTables.lengths, fixedTables.distances);
+    } else if (type === 2) {
+      const { lengths, distances } = readDynamicTables(s);
+      inflateBlock(s, lengths, distances);
+    } else {
+      throw new Error('Invalid deflate block type');
+    }
+  } while (!final);
+
+  return s.output.subarray(0, s.outPos);
+}
+
+function readBits(s, count) {
+  while (s.bitCount < count) {
+    if (s.pos >= s.input.length) throw new Error('Deflate stream is truncated');
+    s.bitBuf |= s.input[s.pos++] << s.bitCount;
+    s.bitCount += 8;
+  }
+  const value = s.bitBuf & ((1 << count) - 1);
+  s.bitBuf >>>= count;
+  s.bitCount -= count;
+  return value;
+}
+
+function ensureOutput(s, extra) {
+  if (s.outPos + extra <= s.output.length) return;
+  let size = s.output.length * 2;
+  while (size < s.outPos + extra) size *= 2;
+  const grown = new Uint8Array(size);
+  grown.set(s.output.subarray(0, s.outPos));
+  s.output = grown;
+}
+
+function inflateStored(s) {
+  // Drop the rest of the current byte and hand back any whole bytes already buffered
+  s.pos -= s.bitCount >> 3;
+  s.bitBuf = 0;
+  s.bitCount = 0;
+
+  if (s.pos + 4 > s.input.length) throw new Error('Deflate stream is truncated');
+  const length = s.input[s.pos] | (s.input[s.pos + 1] << 8);
+  const inverse = s.input[s.pos + 2] | (s.input[s.pos + 3] << 8);
+  if ((length ^ 0xFFFF) !== inverse) throw new Error('Deflate stored block length is corrupt');
+  s.pos += 4;
+  if (s.pos + length > s.input.length) throw new Error('Deflate stream is truncated');
+
+  ensureOutput(s, length);
+  s.output.set(s.input.subarray(s.pos, s.pos + length), s.outPos);
+  s.outPos += length;
+  s.pos += length;
+}
+
+function inflateBlock(s, lengths, distances) {
+  for (;;) {
+    const symbol = decodeSymbol(s, lengths);
+    if (symbol < 256) {
+      ensureOutput(s, 1);
+      s.output[s.outPos++] = symbol;
+      continue;
+    }
+    if (symbol === 256) return;
+
+    const lengthIndex = symbol - 257;
+    if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid deflate length code');
+    const length = LENGTH_BASE[lengthIndex] + readBits(s, LENGTH_EXTRA[lengthIndex]);
+
+    const distIndex = decodeSymbol(s, distances);
+    if (distIndex >= DIST_BASE.length) throw new Error('Invalid deflate distance code');
+    const distance = DIST_BASE[distIndex] + readBits(s, DIST_EXTRA[distIndex]);
+    if (distance > s.outPos) throw new Error('Deflate distance is too far back');
+
+    // Byte by byte: the source may overlap the bytes being written
+    ensureOutput(s, length);
+    const output = s.output;
+    let from = s.outPos - distance;
+    for (let i = 0; i < length; i++) output[s.outPos++] = output[from++];
+  }
+}
+
+// Canonical Huffman table: how many codes of each length, and the symbols in code order
+function buildHuffman(codeLengths) {
+  const counts = new Uint16Array(MAX_BITS + 1);
+  for (const length of codeLengths) counts[length]++;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(MAX_BITS + 2);
+  for (let length = 1; length <= MAX_BITS; length++) {
+    offsets[length + 1] = offsets[length] + counts[length];
+  }
+  const symbols = new Uint16Array(codeLengths.length);
+  for (let symbol = 0; symbol < codeLengths.length; symbol++) {
+    if (codeLengths[symbol]) symbols[offsets[codeLengths[symbol]]++] = symbol;
+  }
+  return { counts, symbols };
+}
+
+function decodeSymbol(s, table) {
+  let code = 0;   // Bits read so far
+  let first = 0;  // First code of the current length
+  let index = 0;  // Index of that code's symbol
+  for (let length = 1; length <= MAX_BITS; length++) {
+    code |= readBits(s, 1);
+    const count = table.counts[length];
+    if (code - first < count) return table.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('Invalid deflate Huffman code');
+}
+
+function buildFixedTables() {
+  const lengths = new Uint8Array(288);
+  lengths.fill(8, 0, 144);
+  lengths.fill(9, 144, 256);
+  lengths.fill(7, 256, 280);
+  lengths.fill(8, 280, 288);
+  return { lengths: buildHuffman(lengths), distances: buildHuffman(new Uint8Array(30).fill(5)) };
+}
+
+function readDynamicTables(s) {
+  const literalCount = readBits(s, 5) + 257;
+  const distanceCount = readBits(s, 5) + 1;
+  const codeLengthCount = readBits(s, 4) + 4;
+
+  const codeLengthLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(s, 3);
+  }
+  const codeLengthTable = buildHuffman(codeLengthLengths);
+
+  // Literal/length and distance code lengths form one run-length coded sequence
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  for (let i = 0; i < lengths.length;) {
+    const symbol = decodeSymbol(s, codeLengthTable);
+    if (symbol < 16) {
+      lengths[i++] = symbol;
+      continue;
+    }
+
+    let value = 0;
+    let repeat;
+    if (symbol === 16) {
+      if (i === 0) throw new Error('Deflate code lengths repeat with no previous length');
+      value = lengths[i - 1];
+      repeat = 3 + readBits(s, 2);
+    } else if (symbol === 17) {
+      repeat = 3 + readBits(s, 3);
+    } else {
+      repeat = 11 + readBits(s, 7);
+    }
+    if (i + repeat > lengths.length) throw new Error('Deflate code lengths overflow');
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+
+  if (lengths[256] === 0) throw new Error('Deflate block has no end-of-block code');
+  return {
+    lengths: buildHuffman(lengths.subarray(0, literalCount)),
+    distances: buildHuffman(lengths.subarray(literalCount)),
+  };
+}